@@ -1,4 +1,13 @@
 import { io } from "socket.io-client";
+import {
+  SNAPSHOT_ENCODING_BINARY,
+  SNAPSHOT_ENCODING_JSON,
+  createPeerIdTable,
+  decodeSnapshotBinary
+} from "../src/game/net/snapshotCodec.js";
+
+const DEFAULT_LINK_GATE_VERSION = "2026-03-03-allowlist-v1";
+const BOT_WALK_SPEED = 8.8;
 
 function parseArg(name, fallback) {
   const prefix = `--${name}=`;
@@ -13,6 +22,27 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+function resolveLinkGateAuth(env = process.env) {
+  const linkGateVersion = String(env.EMPTINES_LINK_GATE_VERSION ?? DEFAULT_LINK_GATE_VERSION).trim();
+  const disabledRaw = String(env.EMPTINES_LINK_GATE_DISABLED ?? "").trim().toLowerCase();
+  if (!linkGateVersion || disabledRaw === "1" || disabledRaw === "true" || disabledRaw === "yes") {
+    return null;
+  }
+  return {
+    linkGateVersion,
+    linkGateMode: "player"
+  };
+}
+
+function formatBreakdown(breakdown) {
+  if (!breakdown || typeof breakdown !== "object") {
+    return "n/a";
+  }
+  return Object.entries(breakdown)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(" ");
+}
+
 async function fetchJson(url, timeoutMs = 5000) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeoutMs);
@@ -35,25 +65,57 @@ const botCount = Math.max(1, Math.min(200, Number(parseArg("bots", 50)) || 50));
 const durationSec = Math.max(5, Math.min(900, Number(parseArg("duration", 35)) || 35));
 const sendHz = Math.max(5, Math.min(60, Number(parseArg("hz", 20)) || 20));
 const sendIntervalMs = Math.max(8, Math.round(1000 / sendHz));
+const spreadRadius = Math.max(0, Math.min(2000, Number(parseArg("spread", 0)) || 0));
+const linkGateAuth = resolveLinkGateAuth();
+const encodingMode = String(parseArg("encoding", "mixed")).trim().toLowerCase();
+
+function resolveBotEncoding(index) {
+  if (encodingMode === "json") {
+    return SNAPSHOT_ENCODING_JSON;
+  }
+  if (encodingMode === "binary") {
+    return SNAPSHOT_ENCODING_BINARY;
+  }
+  return index % 2 === 0 ? SNAPSHOT_ENCODING_BINARY : SNAPSHOT_ENCODING_JSON;
+}
 
 const sockets = [];
 const intervals = [];
 let connected = 0;
 let snapshots = 0;
+let decodeFailures = 0;
+const receivedByEncoding = {
+  [SNAPSHOT_ENCODING_JSON]: { snapshots: 0, bytes: 0 },
+  [SNAPSHOT_ENCODING_BINARY]: { snapshots: 0, bytes: 0 }
+};
 let inputAcked = 0;
 
-console.log(`[loadtest] endpoint=${endpoint} bots=${botCount} duration=${durationSec}s sendHz=${sendHz}`);
+console.log(
+  `[loadtest] endpoint=${endpoint} bots=${botCount} duration=${durationSec}s sendHz=${sendHz} spread=${spreadRadius} encoding=${encodingMode}`
+);
 
 for (let index = 0; index < botCount; index += 1) {
+  const encoding = resolveBotEncoding(index);
+  const peerIds = createPeerIdTable();
   const socket = io(endpoint, {
     transports: ["websocket"],
     timeout: 6000,
-    reconnection: false
+    reconnection: false,
+    auth: {
+      ...(linkGateAuth ?? {}),
+      playerKey: `loadtest_bot_${String(index + 1).padStart(3, "0")}`,
+      snapshotEncoding: encoding
+    }
   });
   sockets.push(socket);
 
   let seq = 0;
   let angle = (Math.PI * 2 * index) / Math.max(botCount, 1);
+  // Bots walk outward along their own heading first so --spread fans the crowd across the map.
+  let spreadTicks =
+    spreadRadius > 0
+      ? Math.round(((spreadRadius * ((index % 10) + 1)) / 10) / (BOT_WALK_SPEED / sendHz))
+      : 0;
   let sprint = false;
   const pingSentAt = new Map();
 
@@ -65,7 +127,11 @@ for (let index = 0; index < botCount; index += 1) {
       if (!socket.connected) {
         return;
       }
-      angle += 0.08 + (index % 7) * 0.003;
+      if (spreadTicks > 0) {
+        spreadTicks -= 1;
+      } else {
+        angle += 0.08 + (index % 7) * 0.003;
+      }
       sprint = !sprint;
       seq += 1;
       socket.emit("input:cmd", {
@@ -92,8 +158,19 @@ for (let index = 0; index < botCount; index += 1) {
     intervals.push(pingTimer);
   });
 
-  socket.on("snapshot:world", () => {
+  socket.on("snapshot:world", (payload) => {
     snapshots += 1;
+    const binary = payload instanceof ArrayBuffer || ArrayBuffer.isView(payload);
+    const bucket = receivedByEncoding[binary ? SNAPSHOT_ENCODING_BINARY : SNAPSHOT_ENCODING_JSON];
+    bucket.snapshots += 1;
+    if (binary) {
+      bucket.bytes += payload.byteLength;
+      if (!decodeSnapshotBinary(payload, peerIds)) {
+        decodeFailures += 1;
+      }
+    } else {
+      bucket.bytes += Buffer.byteLength(JSON.stringify(payload), "utf8");
+    }
   });
 
   socket.on("ack:input", () => {
@@ -143,11 +220,23 @@ console.log("[loadtest] summary");
 console.log(`connected: ${connected}/${botCount}`);
 console.log(`snapshot events: ${snapshots}`);
 console.log(`input ack events: ${inputAcked}`);
+for (const [encoding, bucket] of Object.entries(receivedByEncoding)) {
+  const average = bucket.snapshots > 0 ? Math.round(bucket.bytes / bucket.snapshots) : "n/a";
+  console.log(`received ${encoding}: snapshots=${bucket.snapshots} bytes=${bucket.bytes} avgBytes=${average}`);
+}
+console.log(`binary decode failures: ${decodeFailures}`);
 console.log(`tickDriftP95Ms: ${metrics?.tickDriftP95Ms ?? "n/a"}`);
 console.log(`sendSizeP95Bytes: ${metrics?.sendSizeP95Bytes ?? "n/a"}`);
+console.log(`sendSizeP95BytesByEncoding: ${formatBreakdown(metrics?.sendSizeP95BytesByEncoding)}`);
+console.log(`binarySnapshotSizeRatio: ${metrics?.binarySnapshotSizeRatio ?? "n/a"}`);
 console.log(`cpuAvgPct: ${metrics?.cpuAvgPct ?? "n/a"}`);
 console.log(`cpuP95Pct: ${metrics?.cpuP95Pct ?? "n/a"}`);
 console.log(`cpuPeakPct: ${metrics?.cpuPeakPct ?? "n/a"}`);
+console.log(`tickBreakdownP95Ms: ${formatBreakdown(metrics?.tickBreakdownP95Ms)}`);
+console.log(`tickBreakdownPeakMs: ${formatBreakdown(metrics?.tickBreakdownPeakMs)}`);
+console.log(`interestGridCellSize: ${metrics?.interestGridCellSize ?? "n/a"}`);
+console.log(`interestCellsVisitedP95: ${metrics?.interestCellsVisitedP95 ?? "n/a"}`);
+console.log(`interestCandidatesP95: ${metrics?.interestCandidatesP95 ?? "n/a"}`);
 console.log(`memRssMb: ${metrics?.memRssMb ?? "n/a"}`);
 console.log(`avgRttMs: ${metrics?.avgRttMs ?? "n/a"}`);
 console.log(`inputDropRate: ${metrics?.inputDropRate ?? "n/a"}`);
@@ -0,0 +1,109 @@
+import { loadRuntimeConfig } from "../server/config/runtimeConfig.js";
+import {
+  WORLD_STORE_BACKEND_DIR,
+  WORLD_STORE_BACKEND_FILE,
+  createWorldStore,
+  createWorldStoreDirtySet,
+  normalizeWorldStoreBackend
+} from "../server/domain/worldStore.js";
+
+function hasFlag(flagSet, ...names) {
+  return names.some((name) => flagSet.has(name));
+}
+
+function readOption(argv, name) {
+  const index = argv.indexOf(name);
+  if (index >= 0 && index + 1 < argv.length) {
+    return argv[index + 1];
+  }
+  const prefixed = argv.find((arg) => arg.startsWith(`${name}=`));
+  return prefixed ? prefixed.slice(name.length + 1) : "";
+}
+
+function printHelp() {
+  console.log(`Usage: node scripts/migrate-world-store.mjs [options]
+
+Copies saved world state between persistence backends. The source is left untouched.
+
+Options:
+  --to <dir|file>   Target backend (default: dir)
+  --from <dir|file> Source backend (default: the other backend)
+  --force           Overwrite a target store that already has data
+  --help            Show this help
+
+Paths come from SURFACE_PAINT_STORE_PATH (file backend) and WORLD_STORE_DIR
+(dir backend, default: world-store/ next to the surface-paint store).
+
+Examples:
+  node scripts/migrate-world-store.mjs
+  node scripts/migrate-world-store.mjs --to file --force
+`);
+}
+
+function countSurfaces(document) {
+  const core = document?.surfacePaintCore;
+  if (Array.isArray(core?.surfaces)) {
+    return core.surfaces.length;
+  }
+  if (Array.isArray(core)) {
+    return core.length;
+  }
+  return Array.isArray(document?.surfaces) ? document.surfaces.length : 0;
+}
+
+function countList(value) {
+  return Array.isArray(value) ? value.length : 0;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const args = new Set(argv);
+  if (hasFlag(args, "--help", "-h", "/?")) {
+    printHelp();
+    return;
+  }
+
+  const to = normalizeWorldStoreBackend(readOption(argv, "--to"), WORLD_STORE_BACKEND_DIR);
+  const from = normalizeWorldStoreBackend(
+    readOption(argv, "--from"),
+    to === WORLD_STORE_BACKEND_DIR ? WORLD_STORE_BACKEND_FILE : WORLD_STORE_BACKEND_DIR
+  );
+  if (from === to) {
+    throw new Error(`source and target backend are both "${to}"`);
+  }
+
+  const config = loadRuntimeConfig(process.env);
+  const paths = {
+    filePath: String(config.surfacePaintStorePath ?? "").trim(),
+    dirPath: String(config.worldStoreDir ?? "").trim()
+  };
+  const source = createWorldStore({ backend: from, ...paths });
+  const target = createWorldStore({ backend: to, ...paths });
+  if (!source || !target) {
+    throw new Error("world store path is empty");
+  }
+
+  const document = source.load();
+  if (!document || typeof document !== "object") {
+    throw new Error(`no saved world state found at ${source.location}`);
+  }
+  if (target.load() && !hasFlag(args, "--force")) {
+    throw new Error(`target store already has data: ${target.location} (use --force to overwrite)`);
+  }
+
+  const result = await target.write(document, createWorldStoreDirtySet({ all: true }));
+
+  console.log(`[migrate] ${from}: ${source.location}`);
+  console.log(`[migrate] ${to}: ${target.location} (${result.files} files written)`);
+  console.log(
+    `[migrate] surfaces=${countSurfaces(document)}, chat=${countList(document.chatHistory)}, platforms=${countList(document.platforms)}, ropes=${countList(document.ropes)}, promoObjects=${countList(document.promoObjects)}`
+  );
+  if (to !== config.worldStoreBackend) {
+    console.log(`[migrate] set WORLD_STORE_BACKEND=${to} and restart the socket server to use it.`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`[migrate] ${error?.message ?? error}`);
+  process.exitCode = 1;
+});
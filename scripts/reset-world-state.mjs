@@ -1,6 +1,6 @@
-import { access, copyFile, readFile, writeFile } from "node:fs/promises";
-import { constants as fsConstants } from "node:fs";
+import { cp } from "node:fs/promises";
 import { loadRuntimeConfig } from "../server/config/runtimeConfig.js";
+import { createWorldStore, createWorldStoreDirtySet } from "../server/domain/worldStore.js";
 
 const SURFACE_PAINT_CORE_PAYLOAD_VERSION = 1;
 
@@ -27,15 +27,6 @@ Examples:
 `);
 }
 
-async function pathExists(filePath) {
-  try {
-    await access(filePath, fsConstants.F_OK);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
 function normalizeSurfaceList(rawValue) {
   return Array.isArray(rawValue) ? rawValue : [];
 }
@@ -78,16 +69,19 @@ async function main() {
   const clearChat = clearAll || hasFlag(args, "--chat");
 
   const config = loadRuntimeConfig(process.env);
-  const storePath = String(config.surfacePaintStorePath ?? "").trim();
-  if (!storePath) {
-    throw new Error("surface paint store path is empty");
+  const store = createWorldStore({
+    backend: config.worldStoreBackend,
+    filePath: config.surfacePaintStorePath,
+    dirPath: config.worldStoreDir
+  });
+  if (!store) {
+    throw new Error("world store path is empty");
+  }
+  const storePath = store.location;
+  const parsed = store.load();
+  if (!parsed) {
+    throw new Error(`store not found: ${storePath}`);
   }
-  if (!(await pathExists(storePath))) {
-    throw new Error(`store file not found: ${storePath}`);
-  }
-
-  const raw = await readFile(storePath, "utf8");
-  const parsed = JSON.parse(raw);
   const next = normalizeObject(parsed, {});
   const beforeSurfaces = normalizeSurfacePaintCore(next.surfacePaintCore, normalizeSurfaceList(next.surfaces));
   const beforePromoObjects = normalizeSurfaceList(next.promoObjects);
@@ -100,7 +94,7 @@ async function main() {
 
   const backupStamp = new Date(now).toISOString().replace(/[:.]/g, "-");
   const backupPath = `${storePath}.bak-${backupStamp}`;
-  await copyFile(storePath, backupPath);
+  await cp(storePath, backupPath, { recursive: true });
 
   let surfaces = beforeSurfaces.slice();
   let promoObjects = beforePromoObjects.slice();
@@ -193,7 +187,7 @@ async function main() {
   next.objectPositions = objectPositions;
   next.chatHistory = chatHistory;
 
-  await writeFile(storePath, `${JSON.stringify(next, null, 2)}\n`, "utf8");
+  await store.write(next, createWorldStoreDirtySet({ all: true }));
 
   console.log(`[reset] store: ${storePath}`);
   console.log(`[reset] backup: ${backupPath}`);
@@ -94,6 +94,11 @@ async function checkSyntax() {
     "src/game/runtime/GameRuntime.js",
     "src/game/config/gameConstants.js",
     "src/game/content/registry.js",
+    "src/game/net/chatChannels.js",
+    "src/game/net/chatMentions.js",
+    "src/game/net/mediaUpload.js",
+    "src/game/net/roomRoles.js",
+    "src/game/net/snapshotCodec.js",
     "src/game/content/schema.js",
     "src/game/content/packs/baseVoidPack.js",
     "src/game/content/packs/base-void/pack.js",
@@ -101,15 +106,33 @@ async function checkSyntax() {
     "src/game/utils/device.js",
     "src/game/utils/math.js",
     "src/game/utils/threeUtils.js",
+    "scripts/migrate-world-store.mjs",
     "scripts/world-audit.mjs",
+    "scripts/world-history.mjs",
     "server.js",
     "server/config/runtimeConfig.js",
+    "server/domain/AuditLog.js",
+    "server/domain/ChatFilter.js",
+    "server/domain/ChatHistoryIndex.js",
+    "server/domain/collisionWorld.js",
+    "server/domain/MediaStore.js",
+    "server/domain/ModerationStore.js",
+    "server/domain/movementGuard.js",
     "server/domain/playerState.js",
+    "server/domain/ProfileStore.js",
+    "server/domain/RoleStore.js",
     "server/domain/RoomService.js",
+    "server/domain/SessionStore.js",
+    "server/domain/SessionTokens.js",
     "server/domain/spawn.js",
+    "server/domain/worldStore.js",
+    "server/domain/WorldHistory.js",
+    "server/http/adminApi.js",
     "server/http/createStatusServer.js",
+    "server/http/prometheusMetrics.js",
     "server/runtime/startRealtimeServer.js",
     "server/runtime/AuthoritativeWorld.js",
+    "server/runtime/SpatialGrid.js",
     "server/socket/registerSocketHandlers.js",
     "server/utils/ack.js",
     "server/utils/playerCounter.js",
@@ -0,0 +1,146 @@
+import { loadRuntimeConfig } from "../server/config/runtimeConfig.js";
+import {
+  WORLD_HISTORY_COLLECTIONS,
+  WorldHistory,
+  applyWorldHistoryCollections,
+  normalizeWorldHistoryCollection,
+  parseWorldHistoryTarget
+} from "../server/domain/WorldHistory.js";
+import {
+  createWorldStore,
+  createWorldStoreDirtySet,
+  markWorldStoreDirty
+} from "../server/domain/worldStore.js";
+
+const QUIET_LOG = { log() {}, warn: console.warn, error: console.error };
+
+function hasFlag(flagSet, ...names) {
+  return names.some((name) => flagSet.has(name));
+}
+
+function readOption(argv, name) {
+  const index = argv.indexOf(name);
+  if (index >= 0 && index + 1 < argv.length) {
+    return argv[index + 1];
+  }
+  const prefixed = argv.find((arg) => arg.startsWith(`${name}=`));
+  return prefixed ? prefixed.slice(name.length + 1) : "";
+}
+
+function printHelp() {
+  console.log(`Usage: node scripts/world-history.mjs <list|rollback> [options]
+
+Lists world state revisions or rolls the saved world store back to one of them.
+Stop the socket server before a rollback; it rewrites the store on its next save.
+
+Commands:
+  list                  Show recent revisions (newest first)
+  rollback --to <when>  Restore saved state as of a revision or time
+
+Options:
+  --collection <name|all>  Limit to one collection (default: all)
+  --limit <n>              Rows to list (default: 20)
+  --to <when>              #42 / 42 (revision), 30m / 2h / 1d ago, or an ISO time
+  --help                   Show this help
+
+Collections: ${WORLD_HISTORY_COLLECTIONS.join(", ")}
+
+Paths come from WORLD_HISTORY_DIR (default: world-history/ next to the
+surface-paint store) and the configured world store backend.
+
+Examples:
+  node scripts/world-history.mjs list --collection platforms
+  node scripts/world-history.mjs rollback --to 2h
+  node scripts/world-history.mjs rollback --collection ropes --to #120
+`);
+}
+
+function formatTime(at) {
+  return new Date(Number(at) || 0).toISOString();
+}
+
+function listRevisions(history, collection, limit) {
+  const result = history.list({ collection, limit });
+  if (result.revisions.length === 0) {
+    console.log(`[history] no revisions recorded in ${history.location}`);
+    return;
+  }
+  console.log(`[history] ${history.location} (rev ${result.revision}, oldest ${formatTime(result.oldestAt)})`);
+  for (const row of result.revisions) {
+    const label = row.snapshot ? "snapshot" : row.collections.join(",");
+    const reason = row.reason ? ` - ${row.reason}` : "";
+    console.log(`#${row.rev}\t${formatTime(row.at)}\t${label}${reason}`);
+  }
+}
+
+async function rollback(history, config, collection, rawTarget) {
+  const target = parseWorldHistoryTarget(rawTarget);
+  if (!target) {
+    throw new Error(`invalid rollback target "${rawTarget}"`);
+  }
+  const store = createWorldStore({
+    backend: config.worldStoreBackend,
+    filePath: String(config.surfacePaintStorePath ?? "").trim(),
+    dirPath: String(config.worldStoreDir ?? "").trim(),
+    log: QUIET_LOG
+  });
+  if (!store) {
+    throw new Error("world store path is empty");
+  }
+  const document = store.load();
+  if (!document || typeof document !== "object") {
+    throw new Error(`no saved world state found at ${store.location}`);
+  }
+
+  const result = await history.buildDocumentAt(target);
+  if (!result.ok) {
+    throw new Error(result.error);
+  }
+  const collections = collection === "all" ? WORLD_HISTORY_COLLECTIONS : [collection];
+  const previousRevision = history.revision;
+  applyWorldHistoryCollections(document, result.document, collections);
+  await store.write(document, createWorldStoreDirtySet({ all: true }));
+  await history.record(document, markWorldStoreDirty(createWorldStoreDirtySet(), collections), {
+    reason: `rollback to #${result.rev} (cli)`
+  });
+
+  console.log(`[history] restored ${collections.join(", ")} to #${result.rev} (${formatTime(result.at)})`);
+  console.log(`[history] wrote ${store.location}; the previous state is kept as #${previousRevision}.`);
+  console.log("[history] restart the socket server to load it.");
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const args = new Set(argv);
+  const command = String(argv[0] ?? "").toLowerCase();
+  if (hasFlag(args, "--help", "-h", "/?") || (command !== "list" && command !== "rollback")) {
+    printHelp();
+    return;
+  }
+
+  const config = loadRuntimeConfig(process.env);
+  const history = new WorldHistory({
+    dirPath: config.worldHistoryDir,
+    snapshotIntervalMs: config.worldHistorySnapshotIntervalMs,
+    maxSnapshots: config.worldHistoryMaxSnapshots,
+    log: QUIET_LOG
+  });
+  if (!history.enabled) {
+    throw new Error("world history path is empty");
+  }
+  const collection = normalizeWorldHistoryCollection(readOption(argv, "--collection") || "all");
+  if (!collection) {
+    throw new Error(`unknown collection "${readOption(argv, "--collection")}"`);
+  }
+
+  if (command === "list") {
+    listRevisions(history, collection, readOption(argv, "--limit") || 20);
+    return;
+  }
+  await rollback(history, config, collection, readOption(argv, "--to"));
+}
+
+main().catch((error) => {
+  console.error(`[history] ${error?.message ?? error}`);
+  process.exitCode = 1;
+});
@@ -7,7 +7,29 @@ export const DEFAULT_A_ZONE_PORTAL_TARGET_URL =
 export const DEFAULT_SURFACE_PAINT_STORE_PATH = "server/data/surface-paint.json";
 export const DEFAULT_RENDER_SURFACE_PAINT_STORE_PATH = "/var/data/surface-paint.json";
 export const DEFAULT_SURFACE_PAINT_SAVE_DEBOUNCE_MS = 300;
-export const DEFAULT_MAX_SOCKET_PAYLOAD_BYTES = 35_000_000;
+export const DEFAULT_SESSION_STORE_FILENAME = "player-sessions.json";
+export const DEFAULT_ROLE_STORE_FILENAME = "room-roles.json";
+export const DEFAULT_MODERATION_STORE_FILENAME = "moderation.json";
+export const DEFAULT_PROFILE_STORE_FILENAME = "player-profiles.json";
+export const DEFAULT_SESSION_TOKEN_STORE_FILENAME = "session-tokens.json";
+export const DEFAULT_CHAT_FILTER_FILENAME = "chat-filter.json";
+export const DEFAULT_CHAT_FILTER_RELOAD_MS = 2000;
+export const DEFAULT_HOST_SUCCESSION_POLICY = "moderator";
+export const DEFAULT_WORLD_STORE_BACKEND = "file";
+export const DEFAULT_WORLD_STORE_DIRNAME = "world-store";
+export const DEFAULT_MEDIA_STORE_DIRNAME = "media";
+export const DEFAULT_MEDIA_STORE_MAX_BYTES = 2_000_000_000;
+export const DEFAULT_MEDIA_UPLOAD_BUDGET_BYTES = 100_000_000;
+export const DEFAULT_WORLD_HISTORY_DIRNAME = "world-history";
+export const DEFAULT_WORLD_HISTORY_SNAPSHOT_INTERVAL_MS = 3_600_000;
+export const DEFAULT_WORLD_HISTORY_MAX_SNAPSHOTS = 48;
+export const DEFAULT_WORLD_HISTORY_MAX_BYTES = 512_000_000;
+export const DEFAULT_AUDIT_LOG_FILENAME = "audit-log.jsonl";
+export const DEFAULT_AUDIT_LOG_MAX_BYTES = 5_000_000;
+export const DEFAULT_AUDIT_LOG_MAX_FILES = 5;
+export const DEFAULT_SESSION_RESUME_GRACE_MS = 120_000;
+export const DEFAULT_MAX_SOCKET_PAYLOAD_BYTES = 5_000_000;
+export const DEFAULT_ADMIN_WORLD_IMPORT_MAX_BYTES = 16_000_000;
 export const DEFAULT_STATIC_CLIENT_DIR = "dist";
 export const DEFAULT_MAP_LAYOUT_VERSION = "2026-03-06-layout-v3";
 export const DEFAULT_SURFACE_PAINT_MODE = "host";
@@ -21,12 +43,18 @@ export const DEFAULT_ANTI_ABUSE_CONFIG = Object.freeze({
   connectionBanMs: 15 * 60 * 1000,
   promoWindowMs: 15_000,
   promoMaxOpsPerSocketWindow: 14,
-  promoMaxOpsPerIpWindow: 40
+  promoMaxOpsPerIpWindow: 40,
+  movementViolationWindowMs: 60_000,
+  movementViolationsBeforeBan: 8,
+  movementBanMs: 15 * 60 * 1000
 });
 
 const DEFAULT_MAX_ROOM_PLAYERS = 120;
 const MIN_ROOM_PLAYERS = 16;
 const MAX_ROOM_PLAYERS_LIMIT = 256;
+const DEFAULT_MAX_ROOMS = 24;
+const DEFAULT_CONTENT_PACK_ID = "base-void";
+const MAX_ROOMS_LIMIT = 256;
 
 export const DEFAULT_SERVER_SIM_CONFIG = {
   tickRateHz: 30,
@@ -35,6 +63,8 @@ export const DEFAULT_SERVER_SIM_CONFIG = {
   playerSprint: 13.2,
   playerGravity: -24,
   jumpForce: 11.5,
+  playerRadius: 0.45,
+  climbSpeed: 5.5,
   worldLimit: 120,
   inputStaleMs: 600,
   minInputIntervalMs: 8,
@@ -44,12 +74,24 @@ export const DEFAULT_SERVER_SIM_CONFIG = {
 export const DEFAULT_SNAPSHOT_CONFIG = {
   aoiRadius: 380,
   maxPeersPerClient: 32,
+  gridCellSize: 24,
   heartbeatMs: 950,
   minMoveSq: 0.00064,
   minYawDelta: 0.01,
   minPitchDelta: 0.01
 };
 
+export const DEFAULT_MOVEMENT_GUARD_CONFIG = {
+  speedTolerance: 1.25,
+  slackMeters: 1.5,
+  minWindowMs: 150,
+  maxWindowMs: 1500,
+  rejectFactor: 3,
+  relocateGraceMs: 2000,
+  placementWindowMs: 15_000,
+  placementRadius: 12
+};
+
 function parseBoundedNumber(value, fallback, min, max) {
   const parsed = Number(value);
   if (!Number.isFinite(parsed)) {
@@ -101,6 +143,31 @@ function parseFeatureMode(rawValue, fallback = "public") {
     : "public";
 }
 
+// Comma-separated; the first secret signs new tokens, all of them verify.
+function parseSessionTokenSecrets(rawValue) {
+  return parseOptionalString(rawValue, 4096)
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+}
+
+// moderator = co-hosts, then granted owners/moderators; cohost = co-hosts only; off = seat frees up.
+function parseHostSuccessionPolicy(rawValue, fallback = DEFAULT_HOST_SUCCESSION_POLICY) {
+  const text = parseOptionalString(rawValue, 16).toLowerCase();
+  return text === "moderator" || text === "cohost" || text === "off" ? text : fallback;
+}
+
+function parseWorldStoreBackend(rawValue, fallback = DEFAULT_WORLD_STORE_BACKEND) {
+  const text = parseOptionalString(rawValue, 16).toLowerCase();
+  if (text === "file" || text === "single" || text === "single-file") {
+    return "file";
+  }
+  if (text === "dir" || text === "directory") {
+    return "dir";
+  }
+  return fallback;
+}
+
 function trimTrailingSlashes(value) {
   return String(value ?? "").replace(/[\\/]+$/, "");
 }
@@ -127,6 +194,99 @@ function resolveSurfacePaintStorePath(env = process.env) {
   return DEFAULT_SURFACE_PAINT_STORE_PATH;
 }
 
+// Sessions live next to the surface-paint store so they share its disk.
+function resolveSessionStorePath(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.SESSION_STORE_PATH, 2048);
+  if (explicitPath) {
+    return explicitPath;
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_SESSION_STORE_FILENAME);
+}
+
+function resolveRoleStorePath(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.ROLE_STORE_PATH, 2048);
+  if (explicitPath) {
+    return explicitPath;
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_ROLE_STORE_FILENAME);
+}
+
+function resolveModerationStorePath(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.MODERATION_STORE_PATH, 2048);
+  if (explicitPath) {
+    return explicitPath;
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_MODERATION_STORE_FILENAME);
+}
+
+function resolveProfileStorePath(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.PROFILE_STORE_PATH, 2048);
+  if (explicitPath) {
+    return explicitPath;
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_PROFILE_STORE_FILENAME);
+}
+
+function resolveSessionTokenStorePath(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.SESSION_TOKEN_STORE_PATH, 2048);
+  if (explicitPath) {
+    return explicitPath;
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_SESSION_TOKEN_STORE_FILENAME);
+}
+
+function resolveChatFilterPath(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.CHAT_FILTER_PATH, 2048);
+  if (explicitPath) {
+    return explicitPath;
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_CHAT_FILTER_FILENAME);
+}
+
+// The directory backend defaults to a `world-store/` folder next to the surface-paint store.
+function resolveWorldStoreDir(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.WORLD_STORE_DIR, 2048);
+  if (explicitPath) {
+    return trimTrailingSlashes(explicitPath);
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_WORLD_STORE_DIRNAME);
+}
+
+// Uploaded media blobs default to a `media/` folder next to the surface-paint store.
+function resolveMediaStoreDir(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.MEDIA_STORE_DIR, 2048);
+  if (explicitPath) {
+    return trimTrailingSlashes(explicitPath);
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_MEDIA_STORE_DIRNAME);
+}
+
+function resolveAuditLogPath(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.AUDIT_LOG_PATH, 2048);
+  if (explicitPath) {
+    return explicitPath;
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_AUDIT_LOG_FILENAME);
+}
+
+// Revision journal and snapshots default to a `world-history/` folder next to the surface-paint store.
+function resolveWorldHistoryDir(env = process.env, surfacePaintStorePath = "") {
+  const explicitPath = parseOptionalString(env.WORLD_HISTORY_DIR, 2048);
+  if (explicitPath) {
+    return trimTrailingSlashes(explicitPath);
+  }
+  return resolveSiblingStorePath(surfacePaintStorePath, DEFAULT_WORLD_HISTORY_DIRNAME);
+}
+
+function resolveSiblingStorePath(storePath, name) {
+  const normalizedPath = String(storePath ?? "").trim();
+  if (!normalizedPath) {
+    return "";
+  }
+  const slashIndex = normalizedPath.lastIndexOf("/");
+  return slashIndex >= 0 ? `${normalizedPath.slice(0, slashIndex + 1)}${name}` : name;
+}
+
 function normalizeAbsoluteHttpUrl(rawValue, fallback = "") {
   const value = parseOptionalString(rawValue, 2048);
   if (!value) {
@@ -224,15 +384,89 @@ export function loadRuntimeConfig(env = process.env) {
     env.DEFAULT_A_ZONE_PORTAL_TARGET_URL,
     DEFAULT_A_ZONE_PORTAL_TARGET_URL
   );
+  const surfacePaintStorePath = resolveSurfacePaintStorePath(env);
 
   return {
     serviceName: SERVICE_NAME,
     defaultRoomCode: DEFAULT_ROOM_CODE,
     maxRoomPlayers,
+    maxRooms: Math.trunc(parseBoundedNumber(env.MAX_ROOMS, DEFAULT_MAX_ROOMS, 1, MAX_ROOMS_LIMIT)),
+    contentPackId: parseOptionalString(env.CONTENT_PACK_ID, 64) || DEFAULT_CONTENT_PACK_ID,
     hostClaimKey: parseOptionalString(env.HOST_CLAIM_KEY, 256),
+    hostSuccessionPolicy: parseHostSuccessionPolicy(env.HOST_SUCCESSION),
+    adminApiToken: parseOptionalString(env.ADMIN_API_TOKEN, 256),
+    adminWorldImportMaxBytes: Math.trunc(
+      parseBoundedNumber(
+        env.ADMIN_WORLD_IMPORT_MAX_BYTES,
+        DEFAULT_ADMIN_WORLD_IMPORT_MAX_BYTES,
+        1_000_000,
+        256_000_000
+      )
+    ),
+    metricsToken: parseOptionalString(env.METRICS_TOKEN, 256),
     defaultPortalTargetUrl,
     defaultAZonePortalTargetUrl,
-    surfacePaintStorePath: resolveSurfacePaintStorePath(env),
+    surfacePaintStorePath,
+    worldStoreBackend: parseWorldStoreBackend(env.WORLD_STORE_BACKEND),
+    worldStoreDir: resolveWorldStoreDir(env, surfacePaintStorePath),
+    sessionStorePath: resolveSessionStorePath(env, surfacePaintStorePath),
+    roleStorePath: resolveRoleStorePath(env, surfacePaintStorePath),
+    moderationStorePath: resolveModerationStorePath(env, surfacePaintStorePath),
+    profileStorePath: resolveProfileStorePath(env, surfacePaintStorePath),
+    sessionTokenSecrets: parseSessionTokenSecrets(env.SESSION_TOKEN_SECRETS),
+    sessionTokenStorePath: resolveSessionTokenStorePath(env, surfacePaintStorePath),
+    sessionLegacyKeyMigration: parseFeatureMode(env.SESSION_LEGACY_KEY_MIGRATION, "public") !== "off",
+    chatFilterPath: resolveChatFilterPath(env, surfacePaintStorePath),
+    chatFilterReloadMs: Math.trunc(
+      parseBoundedNumber(env.CHAT_FILTER_RELOAD_MS, DEFAULT_CHAT_FILTER_RELOAD_MS, 250, 60_000)
+    ),
+    mediaStoreDir: resolveMediaStoreDir(env, surfacePaintStorePath),
+    mediaStoreMaxBytes: Math.trunc(
+      parseBoundedNumber(env.MEDIA_STORE_MAX_BYTES, DEFAULT_MEDIA_STORE_MAX_BYTES, 50_000_000, 1_000_000_000_000)
+    ),
+    mediaUploadBudgetBytes: Math.trunc(
+      parseBoundedNumber(env.MEDIA_UPLOAD_BUDGET_BYTES, DEFAULT_MEDIA_UPLOAD_BUDGET_BYTES, 1_000_000, 100_000_000_000)
+    ),
+    worldHistoryDir: resolveWorldHistoryDir(env, surfacePaintStorePath),
+    worldHistorySnapshotIntervalMs: Math.trunc(
+      parseBoundedNumber(
+        env.WORLD_HISTORY_SNAPSHOT_INTERVAL_MS,
+        DEFAULT_WORLD_HISTORY_SNAPSHOT_INTERVAL_MS,
+        60_000,
+        7 * 24 * 60 * 60 * 1000
+      )
+    ),
+    worldHistoryMaxSnapshots: Math.trunc(
+      parseBoundedNumber(
+        env.WORLD_HISTORY_MAX_SNAPSHOTS,
+        DEFAULT_WORLD_HISTORY_MAX_SNAPSHOTS,
+        1,
+        1000
+      )
+    ),
+    worldHistoryMaxBytes: Math.trunc(
+      parseBoundedNumber(
+        env.WORLD_HISTORY_MAX_BYTES,
+        DEFAULT_WORLD_HISTORY_MAX_BYTES,
+        1_000_000,
+        100_000_000_000
+      )
+    ),
+    auditLogPath: resolveAuditLogPath(env, surfacePaintStorePath),
+    auditLogMaxBytes: Math.trunc(
+      parseBoundedNumber(env.AUDIT_LOG_MAX_BYTES, DEFAULT_AUDIT_LOG_MAX_BYTES, 10_000, 1_000_000_000)
+    ),
+    auditLogMaxFiles: Math.trunc(
+      parseBoundedNumber(env.AUDIT_LOG_MAX_FILES, DEFAULT_AUDIT_LOG_MAX_FILES, 1, 100)
+    ),
+    sessionResumeGraceMs: Math.trunc(
+      parseBoundedNumber(
+        env.SESSION_RESUME_GRACE_MS,
+        DEFAULT_SESSION_RESUME_GRACE_MS,
+        0,
+        30 * 60 * 1000
+      )
+    ),
     surfacePaintMode: parseFeatureMode(env.SURFACE_PAINT_MODE, DEFAULT_SURFACE_PAINT_MODE),
     promoMode: parseFeatureMode(env.PROMO_MODE, DEFAULT_PROMO_MODE),
     mapLayoutVersion:
@@ -292,6 +526,18 @@ export function loadRuntimeConfig(env = process.env) {
         1,
         30
       ),
+      playerRadius: parseBoundedNumber(
+        env.SIM_PLAYER_RADIUS,
+        DEFAULT_SERVER_SIM_CONFIG.playerRadius,
+        0.12,
+        2
+      ),
+      climbSpeed: parseBoundedNumber(
+        env.SIM_CLIMB_SPEED,
+        DEFAULT_SERVER_SIM_CONFIG.climbSpeed,
+        0.5,
+        20
+      ),
       worldLimit: parseBoundedNumber(
         env.SIM_WORLD_LIMIT,
         DEFAULT_SERVER_SIM_CONFIG.worldLimit,
@@ -350,6 +596,62 @@ export function loadRuntimeConfig(env = process.env) {
         DEFAULT_SNAPSHOT_CONFIG.minPitchDelta,
         0.0001,
         0.4
+      ),
+      gridCellSize: parseBoundedNumber(
+        env.SNAPSHOT_GRID_CELL_SIZE,
+        DEFAULT_SNAPSHOT_CONFIG.gridCellSize,
+        4,
+        256
+      )
+    },
+    movementGuard: {
+      speedTolerance: parseBoundedNumber(
+        env.MOVE_GUARD_SPEED_TOLERANCE,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.speedTolerance,
+        1,
+        4
+      ),
+      slackMeters: parseBoundedNumber(
+        env.MOVE_GUARD_SLACK_METERS,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.slackMeters,
+        0,
+        20
+      ),
+      minWindowMs: parseBoundedNumber(
+        env.MOVE_GUARD_MIN_WINDOW_MS,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.minWindowMs,
+        0,
+        2000
+      ),
+      maxWindowMs: parseBoundedNumber(
+        env.MOVE_GUARD_MAX_WINDOW_MS,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.maxWindowMs,
+        100,
+        10_000
+      ),
+      rejectFactor: parseBoundedNumber(
+        env.MOVE_GUARD_REJECT_FACTOR,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.rejectFactor,
+        1,
+        20
+      ),
+      relocateGraceMs: parseBoundedNumber(
+        env.MOVE_GUARD_RELOCATE_GRACE_MS,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.relocateGraceMs,
+        0,
+        10_000
+      ),
+      placementWindowMs: parseBoundedNumber(
+        env.MOVE_GUARD_PLACEMENT_WINDOW_MS,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.placementWindowMs,
+        0,
+        120_000
+      ),
+      placementRadius: parseBoundedNumber(
+        env.MOVE_GUARD_PLACEMENT_RADIUS,
+        DEFAULT_MOVEMENT_GUARD_CONFIG.placementRadius,
+        0,
+        100
       )
     },
     antiAbuse: {
@@ -424,6 +726,30 @@ export function loadRuntimeConfig(env = process.env) {
           1,
           2_000
         )
+      ),
+      movementViolationWindowMs: Math.trunc(
+        parseBoundedNumber(
+          env.ABUSE_MOVEMENT_VIOLATION_WINDOW_MS,
+          DEFAULT_ANTI_ABUSE_CONFIG.movementViolationWindowMs,
+          5_000,
+          30 * 60 * 1000
+        )
+      ),
+      movementViolationsBeforeBan: Math.trunc(
+        parseBoundedNumber(
+          env.ABUSE_MOVEMENT_VIOLATIONS_BEFORE_BAN,
+          DEFAULT_ANTI_ABUSE_CONFIG.movementViolationsBeforeBan,
+          1,
+          200
+        )
+      ),
+      movementBanMs: Math.trunc(
+        parseBoundedNumber(
+          env.ABUSE_MOVEMENT_BAN_MS,
+          DEFAULT_ANTI_ABUSE_CONFIG.movementBanMs,
+          5_000,
+          24 * 60 * 60 * 1000
+        )
       )
     },
     port,
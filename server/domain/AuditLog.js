@@ -0,0 +1,233 @@
+import { existsSync, readFileSync, statSync } from "node:fs";
+import { appendFile, mkdir, readFile, rename, unlink } from "node:fs/promises";
+import { dirname, isAbsolute, resolve as resolvePath } from "node:path";
+
+const MAX_RECENT_ENTRIES = 500;
+const MAX_QUERY_LIMIT = 1000;
+const MAX_SUMMARY_STRING_CHARS = 240;
+const MAX_SUMMARY_ARRAY_ITEMS = 8;
+const MAX_SUMMARY_DEPTH = 4;
+const DATA_URL_PATTERN = /^data:([a-z0-9.+-]+\/[a-z0-9.+-]+)?[;,]/i;
+
+// Shrinks a state value for the log: data URLs become their type and size, long arrays their
+// length, and `updatedAt` stamps are dropped so before/after only differ where the action did.
+export function summarizeAuditValue(value, depth = 0) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "string") {
+    const dataUrl = DATA_URL_PATTERN.exec(value);
+    if (dataUrl) {
+      return `data:${dataUrl[1] ?? "unknown"} (${value.length} chars)`;
+    }
+    return value.length > MAX_SUMMARY_STRING_CHARS ? `${value.slice(0, MAX_SUMMARY_STRING_CHARS)}...` : value;
+  }
+  if (typeof value !== "object") {
+    return typeof value === "function" ? null : value;
+  }
+  if (depth >= MAX_SUMMARY_DEPTH) {
+    return Array.isArray(value) ? { count: value.length } : "{...}";
+  }
+  if (Array.isArray(value)) {
+    if (value.length > MAX_SUMMARY_ARRAY_ITEMS) {
+      return { count: value.length };
+    }
+    return value.map((item) => summarizeAuditValue(item, depth + 1));
+  }
+  const summary = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (key === "updatedAt" || typeof entry === "function") {
+      continue;
+    }
+    summary[key] = summarizeAuditValue(entry, depth + 1);
+  }
+  return summary;
+}
+
+function normalizeActor(actor = {}) {
+  return {
+    playerKey: String(actor?.playerKey ?? "").trim() || null,
+    name: String(actor?.name ?? "").trim().slice(0, 48) || null,
+    ip: String(actor?.ip ?? "").trim() || null,
+    socketId: String(actor?.socketId ?? "").trim() || null
+  };
+}
+
+function parseLines(text) {
+  const entries = [];
+  for (const line of String(text ?? "").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // torn line from a crash mid-append
+    }
+  }
+  return entries;
+}
+
+function matchesQuery(entry, { event, actor, room, since, until }) {
+  if (event && !(entry.event === event || (event.endsWith(":") && entry.event?.startsWith(event)))) {
+    return false;
+  }
+  if (room && entry.room !== room) {
+    return false;
+  }
+  if (since && entry.at < since) {
+    return false;
+  }
+  if (until && entry.at > until) {
+    return false;
+  }
+  if (actor) {
+    const needle = actor.toLowerCase();
+    const fields = [entry.actor?.playerKey, entry.actor?.name, entry.actor?.ip, entry.actor?.socketId];
+    if (!fields.some((field) => String(field ?? "").toLowerCase().includes(needle))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Append-only JSONL log of host and moderation actions. The active file rotates to `.1`,
+// `.2`, ... once it passes `maxFileBytes`; files past `maxFiles` are deleted.
+export class AuditLog {
+  constructor({ filePath = "", maxFileBytes = 5_000_000, maxFiles = 5, log = console } = {}) {
+    this.log = log ?? console;
+    this.filePath = this.resolveStorePath(filePath);
+    this.maxFileBytes = Math.max(10_000, Math.trunc(Number(maxFileBytes) || 5_000_000));
+    this.maxFiles = Math.max(1, Math.trunc(Number(maxFiles) || 5));
+    this.recent = [];
+    this.currentBytes = 0;
+    this.totalRecorded = 0;
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  resolveStorePath(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  getRotatedPath(index) {
+    return index === 0 ? this.filePath : `${this.filePath}.${index}`;
+  }
+
+  load() {
+    if (!this.filePath || !existsSync(this.filePath)) {
+      return;
+    }
+    try {
+      this.currentBytes = statSync(this.filePath).size;
+      this.recent = parseLines(readFileSync(this.filePath, "utf8")).slice(-MAX_RECENT_ENTRIES);
+    } catch (error) {
+      this.log?.warn?.(`[audit] Failed to read ${this.filePath}: ${error?.message ?? error}`);
+    }
+  }
+
+  // Entries are kept in memory even when the log has no file, so the host panel still works.
+  record({ event, actor, room = null, before = null, after = null, request = null, at = Date.now() } = {}) {
+    const entry = {
+      at,
+      event: String(event ?? "").trim().slice(0, 64) || "unknown",
+      actor: normalizeActor(actor),
+      room: room ? String(room) : null,
+      before: summarizeAuditValue(before),
+      after: summarizeAuditValue(after),
+      request: summarizeAuditValue(request)
+    };
+    this.recent.push(entry);
+    if (this.recent.length > MAX_RECENT_ENTRIES) {
+      this.recent.splice(0, this.recent.length - MAX_RECENT_ENTRIES);
+    }
+    this.totalRecorded += 1;
+    if (this.enabled) {
+      const line = `${JSON.stringify(entry)}\n`;
+      this.writeChain = this.writeChain.then(() => this.append(line)).catch(() => {});
+    }
+    return entry;
+  }
+
+  // Resolves once every recorded entry has been appended.
+  flush() {
+    return this.writeChain;
+  }
+
+  async append(line) {
+    try {
+      const bytes = Buffer.byteLength(line);
+      if (this.currentBytes > 0 && this.currentBytes + bytes > this.maxFileBytes) {
+        await this.rotate();
+      }
+      await mkdir(dirname(this.filePath), { recursive: true });
+      await appendFile(this.filePath, line, "utf8");
+      this.currentBytes += bytes;
+    } catch (error) {
+      this.log?.warn?.(`[audit] Failed to append: ${error?.message ?? error}`);
+    }
+  }
+
+  async rotate() {
+    await unlink(this.getRotatedPath(this.maxFiles - 1)).catch(() => {});
+    for (let index = this.maxFiles - 2; index >= 0; index -= 1) {
+      await rename(this.getRotatedPath(index), this.getRotatedPath(index + 1)).catch(() => {});
+    }
+    this.currentBytes = 0;
+  }
+
+  getRecent(limit = 20) {
+    const count = Math.max(1, Math.min(MAX_RECENT_ENTRIES, Math.trunc(Number(limit) || 20)));
+    return this.recent.slice(-count).reverse();
+  }
+
+  // Newest first across the active and rotated files.
+  // Filters: event (exact, or a prefix ending in ":"), actor (substring of key/name/ip/socket),
+  // room, since/until (epoch ms).
+  async query({ event = "", actor = "", room = "", since = 0, until = 0, limit = 100 } = {}) {
+    const filters = {
+      event: String(event ?? "").trim(),
+      actor: String(actor ?? "").trim(),
+      room: String(room ?? "").trim(),
+      since: Math.max(0, Math.trunc(Number(since) || 0)),
+      until: Math.max(0, Math.trunc(Number(until) || 0))
+    };
+    const maxEntries = Math.max(1, Math.min(MAX_QUERY_LIMIT, Math.trunc(Number(limit) || 100)));
+    if (!this.enabled) {
+      return this.recent.filter((entry) => matchesQuery(entry, filters)).reverse().slice(0, maxEntries);
+    }
+    await this.writeChain;
+    const results = [];
+    for (let index = 0; index < this.maxFiles && results.length < maxEntries; index += 1) {
+      let text = "";
+      try {
+        text = await readFile(this.getRotatedPath(index), "utf8");
+      } catch {
+        continue;
+      }
+      const entries = parseLines(text);
+      for (let cursor = entries.length - 1; cursor >= 0 && results.length < maxEntries; cursor -= 1) {
+        if (matchesQuery(entries[cursor], filters)) {
+          results.push(entries[cursor]);
+        }
+      }
+    }
+    return results;
+  }
+
+  getStats() {
+    return {
+      available: this.enabled,
+      recorded: this.totalRecorded,
+      currentFileBytes: this.currentBytes
+    };
+  }
+}
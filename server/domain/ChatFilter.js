@@ -0,0 +1,330 @@
+import { readFileSync, unwatchFile, watchFile } from "node:fs";
+import { isAbsolute, resolve as resolvePath } from "node:path";
+
+const MAX_FILTER_WORDS = 2000;
+const MAX_FILTER_WORD_CHARS = 48;
+const MAX_REPORTED_MATCHES = 5;
+const HANGUL_SYLLABLE_BASE = 0xac00;
+const HANGUL_SYLLABLE_LAST = 0xd7a3;
+// Compatibility jamo for the lead, vowel and tail of a syllable, so "시발" and "ㅅㅣㅂㅏㄹ" compare equal.
+const HANGUL_LEADS = Array.from("ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ");
+const HANGUL_VOWELS = Array.from("ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ");
+const HANGUL_TAILS = ["", ...Array.from("ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ")];
+const LINK_PATTERN =
+  /(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|kr|me|ly|co|xyz|app|dev|tv|link|site)\b(?:\/[^\s]*)?/gi;
+
+export const CHAT_FILTER_ACTIONS = Object.freeze(["allow", "mask", "flag", "reject"]);
+
+export const DEFAULT_CHAT_FILTER_RULES = Object.freeze({
+  words: Object.freeze({ mask: [], flag: [], reject: [] }),
+  links: Object.freeze({ action: "allow", allowDomains: [] }),
+  maxRepeat: 8,
+  caps: Object.freeze({ minLetters: 12, maxRatio: 0.8, action: "lower" }),
+  maskChar: "*"
+});
+
+function decomposeJamo(char) {
+  const code = char.codePointAt(0);
+  if (code >= HANGUL_SYLLABLE_BASE && code <= HANGUL_SYLLABLE_LAST) {
+    const index = code - HANGUL_SYLLABLE_BASE;
+    return [
+      HANGUL_LEADS[Math.floor(index / 588)],
+      HANGUL_VOWELS[Math.floor((index % 588) / 28)],
+      HANGUL_TAILS[index % 28]
+    ].filter(Boolean);
+  }
+  if (code >= 0x1100 && code <= 0x1112) {
+    return [HANGUL_LEADS[code - 0x1100]];
+  }
+  if (code >= 0x1161 && code <= 0x1175) {
+    return [HANGUL_VOWELS[code - 0x1161]];
+  }
+  if (code >= 0x11a8 && code <= 0x11c2) {
+    return [HANGUL_TAILS[code - 0x11a8 + 1]];
+  }
+  if (code >= 0x3131 && code <= 0x318e) {
+    return [char];
+  }
+  return Array.from(char.normalize("NFKC").toLowerCase());
+}
+
+// Letters and digits only, Hangul split into jamo and repeated units collapsed, so spacing,
+// punctuation, stretched letters and half-typed syllables do not dodge the word lists.
+// `spans[i]` is the [first, last] code point index in `chars` that produced unit i.
+function buildMatchText(chars) {
+  const units = [];
+  const spans = [];
+  chars.forEach((char, index) => {
+    for (const unit of decomposeJamo(char)) {
+      if (!/[\p{L}\p{N}]/u.test(unit)) {
+        continue;
+      }
+      if (units.length > 0 && units[units.length - 1] === unit) {
+        spans[spans.length - 1][1] = index;
+        continue;
+      }
+      units.push(unit);
+      spans.push([index, index]);
+    }
+  });
+  return { text: units.join(""), units, spans };
+}
+
+export function normalizeChatFilterWord(rawValue) {
+  const word = String(rawValue ?? "").trim().slice(0, MAX_FILTER_WORD_CHARS);
+  return buildMatchText(Array.from(word)).text;
+}
+
+// Match key -> the entry as written, which is what moderators see in `matches`.
+function normalizeWordList(rawList) {
+  const words = new Map();
+  for (const raw of Array.isArray(rawList) ? rawList : []) {
+    const key = normalizeChatFilterWord(raw);
+    if (key && !words.has(key)) {
+      words.set(key, String(raw).trim().slice(0, MAX_FILTER_WORD_CHARS));
+    }
+    if (words.size >= MAX_FILTER_WORDS) {
+      break;
+    }
+  }
+  return words;
+}
+
+function normalizeFilterAction(rawValue, allowed, fallback) {
+  const action = String(rawValue ?? "").trim().toLowerCase();
+  return allowed.includes(action) ? action : fallback;
+}
+
+export function normalizeChatFilterRules(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const defaults = DEFAULT_CHAT_FILTER_RULES;
+  const caps = source.caps && typeof source.caps === "object" ? source.caps : {};
+  const links = source.links && typeof source.links === "object" ? source.links : {};
+  const maxRepeat = Math.trunc(Number(source.maxRepeat ?? defaults.maxRepeat));
+  const maskChar = Array.from(String(source.maskChar ?? "").trim())[0];
+  return {
+    words: {
+      mask: normalizeWordList(source.words?.mask),
+      flag: normalizeWordList(source.words?.flag),
+      reject: normalizeWordList(source.words?.reject)
+    },
+    links: {
+      action: normalizeFilterAction(links.action, CHAT_FILTER_ACTIONS, defaults.links.action),
+      allowDomains: (Array.isArray(links.allowDomains) ? links.allowDomains : [])
+        .map((domain) => String(domain ?? "").trim().toLowerCase().replace(/^\.+/, ""))
+        .filter(Boolean)
+        .slice(0, 200)
+    },
+    // 0 turns the collapse off.
+    maxRepeat: Number.isFinite(maxRepeat) ? Math.max(0, Math.min(50, maxRepeat)) : defaults.maxRepeat,
+    caps: {
+      minLetters: Math.max(1, Math.trunc(Number(caps.minLetters ?? defaults.caps.minLetters) || 1)),
+      maxRatio: Math.max(0, Math.min(1, Number(caps.maxRatio ?? defaults.caps.maxRatio) || 0)),
+      action: normalizeFilterAction(
+        caps.action,
+        ["allow", "lower", "flag", "reject"],
+        defaults.caps.action
+      )
+    },
+    maskChar: maskChar || defaults.maskChar
+  };
+}
+
+function readLinkHost(link) {
+  const host = link
+    .replace(/^https?:\/\//i, "")
+    .split(/[/?#:]/)[0]
+    .toLowerCase();
+  return host.replace(/^www\./, "");
+}
+
+function isAllowedLink(link, allowDomains) {
+  const host = readLinkHost(link);
+  return allowDomains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+function findWordMatches(matchText, words) {
+  const matches = [];
+  for (const [key, word] of words) {
+    let index = matchText.indexOf(key);
+    while (index >= 0) {
+      matches.push({ word, start: index, end: index + key.length - 1 });
+      index = matchText.indexOf(key, index + 1);
+    }
+  }
+  return matches;
+}
+
+// Chat content rules: word lists (mask / flag / reject), link policy, repeated-character
+// collapse and a caps limit. Rules come from a JSON file and reload when it changes.
+export class ChatFilter {
+  constructor({ rulesPath = "", reloadIntervalMs = 2000, log = console } = {}) {
+    this.log = log ?? console;
+    this.rulesPath = this.resolveRulesPath(rulesPath);
+    this.reloadIntervalMs = Math.max(250, Math.trunc(Number(reloadIntervalMs) || 2000));
+    this.rules = normalizeChatFilterRules(null);
+    this.loadedAt = 0;
+    this.lastLoadError = "";
+    this.watching = false;
+    this.load();
+  }
+
+  resolveRulesPath(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  // A missing file means the built-in defaults; a broken one keeps the rules already loaded.
+  load() {
+    if (!this.rulesPath) {
+      return { ok: true, rules: this.summarize() };
+    }
+    let parsed = null;
+    try {
+      parsed = JSON.parse(String(readFileSync(this.rulesPath, "utf8") ?? "").trim() || "{}");
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        parsed = null;
+      } else {
+        this.lastLoadError = String(error?.message ?? error ?? "read failed").trim();
+        this.log?.warn?.(`[chat-filter] Failed to read rules (${this.rulesPath}): ${this.lastLoadError}`);
+        return { ok: false, error: this.lastLoadError };
+      }
+    }
+    this.rules = normalizeChatFilterRules(parsed);
+    this.loadedAt = Date.now();
+    this.lastLoadError = "";
+    if (parsed) {
+      const { words } = this.rules;
+      this.log?.log?.(
+        `[chat-filter] Loaded rules: ${words.mask.size} mask, ${words.flag.size} flag, ${words.reject.size} reject words, links=${this.rules.links.action}`
+      );
+    }
+    return { ok: true, rules: this.summarize() };
+  }
+
+  watch() {
+    if (!this.rulesPath || this.watching) {
+      return;
+    }
+    this.watching = true;
+    watchFile(this.rulesPath, { interval: this.reloadIntervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.load();
+      }
+    });
+  }
+
+  close() {
+    if (this.watching) {
+      unwatchFile(this.rulesPath);
+      this.watching = false;
+    }
+  }
+
+  summarize() {
+    const { words, links, maxRepeat, caps } = this.rules;
+    return {
+      path: this.rulesPath,
+      loadedAt: this.loadedAt,
+      lastLoadError: this.lastLoadError,
+      words: { mask: words.mask.size, flag: words.flag.size, reject: words.reject.size },
+      links: { action: links.action, allowDomains: links.allowDomains.slice() },
+      maxRepeat,
+      caps: { ...caps }
+    };
+  }
+
+  // Returns `{ ok: false, error: "message rejected", reasons }` or the text to deliver with
+  // `flagged` set when moderators should review it. `matches` lists the word-list hits.
+  apply(rawText) {
+    const { words, links, maxRepeat, caps, maskChar } = this.rules;
+    const reasons = [];
+    let flagged = false;
+    let text = String(rawText ?? "");
+
+    if (maxRepeat > 0) {
+      text = text.replace(new RegExp(`(.)\\1{${maxRepeat},}`, "gsu"), (run, char) => char.repeat(maxRepeat));
+    }
+
+    const upper = (text.match(/\p{Lu}/gu) ?? []).length;
+    const lower = (text.match(/\p{Ll}/gu) ?? []).length;
+    if (caps.action !== "allow" && upper + lower >= caps.minLetters && upper / (upper + lower) > caps.maxRatio) {
+      if (caps.action === "reject") {
+        return { ok: false, error: "message rejected", reasons: ["caps"] };
+      }
+      reasons.push("caps");
+      if (caps.action === "flag") {
+        flagged = true;
+      } else {
+        text = text.toLowerCase();
+      }
+    }
+
+    if (links.action !== "allow") {
+      const blockedLinks = (text.match(LINK_PATTERN) ?? []).filter(
+        (link) => !isAllowedLink(link, links.allowDomains)
+      );
+      if (blockedLinks.length > 0) {
+        if (links.action === "reject") {
+          return { ok: false, error: "message rejected", reasons: ["link"] };
+        }
+        reasons.push("link");
+        if (links.action === "flag") {
+          flagged = true;
+        } else {
+          text = text.replace(LINK_PATTERN, (link) =>
+            isAllowedLink(link, links.allowDomains) ? link : maskChar.repeat(3)
+          );
+        }
+      }
+    }
+
+    const chars = Array.from(text);
+    const matchText = buildMatchText(chars);
+    const rejected = findWordMatches(matchText.text, words.reject);
+    if (rejected.length > 0) {
+      return {
+        ok: false,
+        error: "message rejected",
+        reasons: [...reasons, "word"],
+        matches: [...new Set(rejected.map((match) => match.word))].slice(0, MAX_REPORTED_MATCHES)
+      };
+    }
+    const flaggedWords = findWordMatches(matchText.text, words.flag);
+    const maskedWords = findWordMatches(matchText.text, words.mask);
+    if (flaggedWords.length > 0) {
+      flagged = true;
+    }
+    if (maskedWords.length > 0) {
+      for (const match of maskedWords) {
+        const first = matchText.spans[match.start][0];
+        const last = matchText.spans[match.end][1];
+        for (let index = first; index <= last; index += 1) {
+          if (!/\s/u.test(chars[index])) {
+            chars[index] = maskChar;
+          }
+        }
+      }
+      text = chars.join("");
+    }
+    if (flaggedWords.length > 0 || maskedWords.length > 0) {
+      reasons.push("word");
+    }
+
+    return {
+      ok: true,
+      text,
+      changed: text !== String(rawText ?? ""),
+      flagged,
+      reasons,
+      matches: [...new Set([...flaggedWords, ...maskedWords].map((match) => match.word))].slice(
+        0,
+        MAX_REPORTED_MATCHES
+      )
+    };
+  }
+}
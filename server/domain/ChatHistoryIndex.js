@@ -0,0 +1,215 @@
+const MIN_SEARCH_CHARS = 2;
+const MAX_AUTHOR_MATCHES = 64;
+
+function compareEntries(left, right) {
+  if (left.createdAt !== right.createdAt) {
+    return left.createdAt - right.createdAt;
+  }
+  return left.messageId < right.messageId ? -1 : left.messageId > right.messageId ? 1 : 0;
+}
+
+// Lowercased, width-folded and without whitespace, so "Hello World" is found by "lowo".
+export function normalizeChatSearchText(rawValue) {
+  return String(rawValue ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/gu, "");
+}
+
+function toBigrams(text) {
+  const chars = Array.from(text);
+  const grams = new Set();
+  for (let index = 0; index + 1 < chars.length; index += 1) {
+    grams.add(`${chars[index]}${chars[index + 1]}`);
+  }
+  return grams;
+}
+
+function addToIndex(map, key, messageId) {
+  let ids = map.get(key);
+  if (!ids) {
+    ids = new Set();
+    map.set(key, ids);
+  }
+  ids.add(messageId);
+}
+
+function removeFromIndex(map, key, messageId) {
+  const ids = map.get(key);
+  if (!ids) {
+    return;
+  }
+  ids.delete(messageId);
+  if (ids.size === 0) {
+    map.delete(key);
+  }
+}
+
+// A room's chat history ordered by (createdAt, messageId), with lookups by messageId, text bigram
+// and author name so cursors, date ranges and searches avoid walking every message.
+// `entries` is the live array; callers treat it as read-only.
+export class ChatHistoryIndex {
+  constructor(entries = [], { maxEntries = 5000 } = {}) {
+    this.maxEntries = Math.max(1, Math.trunc(Number(maxEntries) || 5000));
+    this.entries = [];
+    this.byMessageId = new Map();
+    this.grams = new Map();
+    this.authors = new Map();
+    for (const entry of [...entries].sort(compareEntries)) {
+      this.add(entry);
+    }
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  has(messageId) {
+    return this.byMessageId.has(messageId);
+  }
+
+  // First position whose entry sorts after `probe` (or at/after it with `inclusive`).
+  bound(probe, inclusive = false) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      const order = compareEntries(this.entries[middle], probe);
+      if (order < 0 || (!inclusive && order === 0)) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  add(entry) {
+    if (!entry?.messageId || this.byMessageId.has(entry.messageId)) {
+      return false;
+    }
+    const last = this.entries[this.entries.length - 1];
+    if (!last || compareEntries(last, entry) <= 0) {
+      this.entries.push(entry);
+    } else {
+      this.entries.splice(this.bound(entry), 0, entry);
+    }
+    this.byMessageId.set(entry.messageId, entry);
+    for (const gram of toBigrams(normalizeChatSearchText(entry.text))) {
+      addToIndex(this.grams, gram, entry.messageId);
+    }
+    addToIndex(this.authors, String(entry.name ?? "").toLowerCase(), entry.messageId);
+    while (this.entries.length > this.maxEntries) {
+      this.remove(this.entries[0]);
+    }
+    return true;
+  }
+
+  remove(entry) {
+    if (!entry || this.byMessageId.get(entry.messageId) !== entry) {
+      return false;
+    }
+    const position = this.bound(entry, true);
+    if (this.entries[position] === entry) {
+      this.entries.splice(position, 1);
+    }
+    this.byMessageId.delete(entry.messageId);
+    for (const gram of toBigrams(normalizeChatSearchText(entry.text))) {
+      removeFromIndex(this.grams, gram, entry.messageId);
+    }
+    removeFromIndex(this.authors, String(entry.name ?? "").toLowerCase(), entry.messageId);
+    return true;
+  }
+
+  // messageIds that can match `text` and `author`; null when neither narrows the search.
+  findCandidates(text, author) {
+    let candidates = null;
+    const narrow = (ids) => {
+      candidates = candidates ? new Set([...ids].filter((id) => candidates.has(id))) : ids;
+    };
+    if (text) {
+      const sets = [...toBigrams(text)].map((gram) => this.grams.get(gram) ?? new Set());
+      sets.sort((left, right) => left.size - right.size);
+      for (const ids of sets) {
+        narrow(ids);
+      }
+    }
+    if (author) {
+      // Partial names match; the distinct author list is much smaller than the history.
+      const ids = new Set();
+      let matched = 0;
+      for (const [name, authorIds] of this.authors) {
+        if (name.includes(author) && matched < MAX_AUTHOR_MATCHES) {
+          matched += 1;
+          authorIds.forEach((id) => ids.add(id));
+        }
+      }
+      narrow(ids);
+    }
+    return candidates;
+  }
+
+  // Newest-first page of up to `limit` entries older than the `before` cursor, inside
+  // [since, until), matching `query` (text) and `author` and passing `visible`.
+  // Returns the page oldest-first plus the cursor for the next (older) page.
+  query({ before = "", since = 0, until = 0, query = "", author = "", limit = 100, visible = null } = {}) {
+    const text = normalizeChatSearchText(query);
+    if (text && Array.from(text).length < MIN_SEARCH_CHARS) {
+      return { ok: false, error: "query too short" };
+    }
+    const authorText = String(author ?? "").trim().toLowerCase();
+    const cursor = before ? this.byMessageId.get(before) : null;
+    if (before && !cursor) {
+      return { ok: false, error: "unknown cursor" };
+    }
+    const pageSize = Math.max(1, Math.trunc(Number(limit) || 100));
+    let upper = this.entries.length;
+    if (cursor) {
+      upper = Math.min(upper, this.bound(cursor, true));
+    }
+    if (until > 0) {
+      upper = Math.min(upper, this.bound({ createdAt: until, messageId: "" }, true));
+    }
+    const lower = since > 0 ? this.bound({ createdAt: since, messageId: "" }, true) : 0;
+    const candidates = this.findCandidates(text, authorText);
+
+    const page = [];
+    const accept = (entry) =>
+      (!text || normalizeChatSearchText(entry.text).includes(text)) && (!visible || visible(entry));
+    if (candidates) {
+      const matches = [...candidates]
+        .map((id) => this.byMessageId.get(id))
+        .filter((entry) => {
+          if (!entry) {
+            return false;
+          }
+          const position = this.bound(entry, true);
+          return position >= lower && position < upper;
+        })
+        .sort(compareEntries);
+      for (let index = matches.length - 1; index >= 0 && page.length <= pageSize; index -= 1) {
+        if (accept(matches[index])) {
+          page.push(matches[index]);
+        }
+      }
+    } else {
+      for (let index = upper - 1; index >= lower && page.length <= pageSize; index -= 1) {
+        if (accept(this.entries[index])) {
+          page.push(this.entries[index]);
+        }
+      }
+    }
+
+    const hasMore = page.length > pageSize;
+    if (hasMore) {
+      page.length = pageSize;
+    }
+    page.reverse();
+    return {
+      ok: true,
+      messages: page,
+      hasMore,
+      nextCursor: hasMore ? page[0].messageId : ""
+    };
+  }
+}
@@ -0,0 +1,711 @@
+import { createHash, randomBytes } from "node:crypto";
+import { createReadStream, readdirSync, rmSync, statSync } from "node:fs";
+import { appendFile, mkdir, open, rename, stat, truncate, unlink, writeFile } from "node:fs/promises";
+import { isAbsolute, join, resolve as resolvePath } from "node:path";
+
+const MEDIA_ID_PATTERN = /^[a-f0-9]{64}$/;
+const MEDIA_REFERENCE_PATTERN = /\/media\/([a-f0-9]{64})/g;
+const MEDIA_URL_PATTERN = /(?:^|\/)media\/([a-f0-9]{64})$/;
+const DATA_URL_PATTERN = /^data:([a-z0-9.+-]+\/[a-z0-9.+-]+);base64,/i;
+const MEDIA_FILE_PATTERN = /^([a-f0-9]{64})\.([a-z0-9]{2,5})$/;
+const UPLOAD_TOKEN_TTL_MS = 60_000;
+const MAX_UPLOAD_TOKENS = 2000;
+const UPLOADS_DIR_NAME = ".uploads";
+const UPLOAD_SESSION_TTL_MS = 30 * 60_000;
+const MAX_UPLOAD_SESSIONS = 64;
+const MAX_UPLOAD_SESSIONS_PER_OWNER = 4;
+const SNIFF_BYTES = 16;
+// Blobs nothing refers to are kept this long, so an upload survives until the client uses it.
+const UNREFERENCED_MEDIA_GRACE_MS = 60 * 60_000;
+const UPLOAD_BUDGET_WINDOW_MS = 60 * 60_000;
+const MAX_UPLOAD_BUDGET_ENTRIES = 10_000;
+
+const DEFAULT_MEDIA_STORE_MAX_BYTES = 2_000_000_000;
+const DEFAULT_MEDIA_UPLOAD_BUDGET_BYTES = 100_000_000;
+
+// Chunk size for resumable socket uploads; keeps every chunk far below the socket payload cap.
+export const MEDIA_UPLOAD_CHUNK_BYTES = 256 * 1024;
+
+// Accepted content types per media kind, with the file extension used on disk.
+const MEDIA_TYPES = Object.freeze({
+  "image/png": Object.freeze({ kind: "image", ext: "png" }),
+  "image/jpeg": Object.freeze({ kind: "image", ext: "jpg" }),
+  "image/webp": Object.freeze({ kind: "image", ext: "webp" }),
+  "image/gif": Object.freeze({ kind: "image", ext: "gif" }),
+  "video/mp4": Object.freeze({ kind: "video", ext: "mp4" }),
+  "video/webm": Object.freeze({ kind: "video", ext: "webm" }),
+  "audio/mpeg": Object.freeze({ kind: "audio", ext: "mp3" }),
+  "audio/mp3": Object.freeze({ kind: "audio", ext: "mp3" }),
+  "audio/ogg": Object.freeze({ kind: "audio", ext: "ogg" }),
+  "audio/wav": Object.freeze({ kind: "audio", ext: "wav" }),
+  "audio/webm": Object.freeze({ kind: "audio", ext: "weba" }),
+  "audio/mp4": Object.freeze({ kind: "audio", ext: "m4a" }),
+  "audio/aac": Object.freeze({ kind: "audio", ext: "aac" })
+});
+const MIME_TYPE_BY_EXT = Object.freeze({
+  png: "image/png",
+  jpg: "image/jpeg",
+  webp: "image/webp",
+  gif: "image/gif",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg",
+  wav: "audio/wav",
+  weba: "audio/webm",
+  m4a: "audio/mp4",
+  aac: "audio/aac"
+});
+
+// Byte limits match the decoded size of the old inline data URL caps.
+export const MEDIA_KIND_MAX_BYTES = Object.freeze({
+  image: 3_100_000,
+  video: 22_000_000,
+  audio: 9_000_000
+});
+
+export function normalizeMediaKind(rawValue) {
+  const value = String(rawValue ?? "")
+    .trim()
+    .toLowerCase();
+  return Object.prototype.hasOwnProperty.call(MEDIA_KIND_MAX_BYTES, value) ? value : "";
+}
+
+export function normalizeMediaId(rawValue) {
+  const value = String(rawValue ?? "")
+    .trim()
+    .toLowerCase();
+  return MEDIA_ID_PATTERN.test(value) ? value : "";
+}
+
+export function normalizeMediaMimeType(rawValue) {
+  const value = String(rawValue ?? "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  return Object.prototype.hasOwnProperty.call(MEDIA_TYPES, value) ? value : "";
+}
+
+export function getMediaUrl(mediaId) {
+  return `/media/${mediaId}`;
+}
+
+// Accepts `/media/<id>` or an absolute URL ending in it (clients echo back resolved URLs)
+// and returns the canonical relative form, or "" for anything else.
+export function parseMediaUrl(rawValue) {
+  const value = String(rawValue ?? "").trim();
+  if (!value || value.length > 2048) {
+    return "";
+  }
+  const match = MEDIA_URL_PATTERN.exec(value);
+  return match ? getMediaUrl(match[1]) : "";
+}
+
+// Adds every mediaId a `/media/<id>` reference in `text` points to.
+export function collectMediaReferences(text, ids = new Set()) {
+  for (const match of String(text ?? "").matchAll(MEDIA_REFERENCE_PATTERN)) {
+    ids.add(match[1]);
+  }
+  return ids;
+}
+
+function startsWithBytes(head, bytes, offset = 0) {
+  return head.length >= offset + bytes.length && bytes.every((byte, index) => head[offset + index] === byte);
+}
+
+function startsWithText(head, text, offset = 0) {
+  return head.length >= offset + text.length && head.toString("latin1", offset, offset + text.length) === text;
+}
+
+// Content type from the file's leading bytes; containers shared by audio and video (MP4, WebM)
+// follow the kind the upload was made for. Returns "" when the bytes match no accepted type.
+export function sniffMediaMimeType(head, kind = "") {
+  if (!Buffer.isBuffer(head)) {
+    return "";
+  }
+  if (startsWithBytes(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (startsWithBytes(head, [0xff, 0xd8, 0xff])) {
+    return "image/jpeg";
+  }
+  if (startsWithText(head, "GIF87a") || startsWithText(head, "GIF89a")) {
+    return "image/gif";
+  }
+  if (startsWithText(head, "RIFF") && startsWithText(head, "WEBP", 8)) {
+    return "image/webp";
+  }
+  if (startsWithText(head, "RIFF") && startsWithText(head, "WAVE", 8)) {
+    return "audio/wav";
+  }
+  if (startsWithText(head, "ftyp", 4)) {
+    return kind === "audio" ? "audio/mp4" : "video/mp4";
+  }
+  if (startsWithBytes(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return kind === "audio" ? "audio/webm" : "video/webm";
+  }
+  if (startsWithText(head, "OggS")) {
+    return "audio/ogg";
+  }
+  if (startsWithText(head, "ID3")) {
+    return "audio/mpeg";
+  }
+  // MPEG frame sync: layer bits 00 are ADTS (AAC), anything else is an MP3 frame.
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0) {
+    return (head[1] & 0x06) === 0 ? "audio/aac" : "audio/mpeg";
+  }
+  return "";
+}
+
+async function readFileHead(filePath, length = SNIFF_BYTES) {
+  const handle = await open(filePath, "r");
+  try {
+    const head = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(head, 0, length, 0);
+    return head.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function sha256Hex(buffer) {
+  return createHash("sha256").update(buffer).digest("hex");
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash("sha256");
+    createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+function getUploadUsageKeys(uploader) {
+  const keys = [];
+  const ownerKey = String(uploader?.ownerKey ?? "").trim();
+  const ip = String(uploader?.ip ?? "").trim();
+  if (ownerKey) {
+    keys.push(`key:${ownerKey}`);
+  }
+  if (ip) {
+    keys.push(`ip:${ip}`);
+  }
+  return keys;
+}
+
+async function unlinkQuietly(filePath) {
+  try {
+    await unlink(filePath);
+  } catch {
+    // ignore cleanup failures
+  }
+}
+
+// Content-addressed blob store for host media (billboard video, shared music, portal and
+// promo images). Blobs are stored as <sha256>.<ext> and served from /media/<sha256>.
+// New bytes count against a per-playerKey and per-address hourly budget whatever the uploader's
+// role, and against `maxBytes` for the whole store; blobs nothing refers to (`getReferencedIds`)
+// are deleted once they are past the grace period.
+export class MediaStore {
+  constructor({
+    storeDir = "",
+    maxBytes = DEFAULT_MEDIA_STORE_MAX_BYTES,
+    uploadBudgetBytes = DEFAULT_MEDIA_UPLOAD_BUDGET_BYTES,
+    getReferencedIds = null,
+    log = console
+  } = {}) {
+    this.log = log ?? console;
+    this.storeDir = this.resolveStoreDir(storeDir);
+    this.maxBytes = Math.max(0, Math.trunc(Number(maxBytes) || 0)) || DEFAULT_MEDIA_STORE_MAX_BYTES;
+    this.uploadBudgetBytes =
+      Math.max(0, Math.trunc(Number(uploadBudgetBytes) || 0)) || DEFAULT_MEDIA_UPLOAD_BUDGET_BYTES;
+    this.getReferencedIds = typeof getReferencedIds === "function" ? getReferencedIds : null;
+    this.entries = new Map();
+    this.uploadTokens = new Map();
+    this.uploadSessions = new Map();
+    // "key:<playerKey>" / "ip:<address>" -> { bytes, windowStart }
+    this.uploadUsage = new Map();
+    this.totalBytes = 0;
+    this.load();
+  }
+
+  get enabled() {
+    return Boolean(this.storeDir);
+  }
+
+  get uploadsDir() {
+    return join(this.storeDir, UPLOADS_DIR_NAME);
+  }
+
+  resolveStoreDir(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  load() {
+    if (!this.storeDir) {
+      return;
+    }
+    // Partial uploads only resume within one server run; older parts are dropped on startup.
+    try {
+      rmSync(this.uploadsDir, { recursive: true, force: true });
+    } catch (error) {
+      this.log?.warn?.(`[media] Failed to clear partial uploads: ${error?.message ?? error}`);
+    }
+    let fileNames = [];
+    try {
+      fileNames = readdirSync(this.storeDir);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(`[media] Failed to read media store (${this.storeDir}): ${error?.message ?? error}`);
+      }
+      return;
+    }
+    for (const fileName of fileNames) {
+      const match = MEDIA_FILE_PATTERN.exec(fileName);
+      const mimeType = match ? MIME_TYPE_BY_EXT[match[2]] : "";
+      if (!mimeType) {
+        continue;
+      }
+      try {
+        const stats = statSync(join(this.storeDir, fileName));
+        this.addEntry(match[1], mimeType, stats.size, join(this.storeDir, fileName), Math.trunc(stats.mtimeMs));
+      } catch {
+        // skip files removed while scanning
+      }
+    }
+    if (this.entries.size > 0) {
+      this.log?.log?.(`[media] Indexed ${this.entries.size} media files (${this.totalBytes} bytes)`);
+    }
+  }
+
+  getMaxBytes(kind) {
+    return MEDIA_KIND_MAX_BYTES[normalizeMediaKind(kind)] ?? 0;
+  }
+
+  get(rawMediaId) {
+    const mediaId = normalizeMediaId(rawMediaId);
+    return mediaId ? this.entries.get(mediaId) ?? null : null;
+  }
+
+  // `uploader` is `{ ownerKey, ip }`; new bytes are charged to both.
+  async put(buffer, rawMimeType, { kind = "", uploader = null } = {}) {
+    if (!this.enabled) {
+      return { ok: false, error: "media store unavailable" };
+    }
+    const declaredType = MEDIA_TYPES[normalizeMediaMimeType(rawMimeType)] ?? null;
+    if (!declaredType || (kind && declaredType.kind !== kind)) {
+      return { ok: false, error: "unsupported media type" };
+    }
+    const size = Number(buffer?.length) || 0;
+    if (size <= 0) {
+      return { ok: false, error: "empty media" };
+    }
+    if (size > MEDIA_KIND_MAX_BYTES[declaredType.kind]) {
+      return { ok: false, error: "media too large" };
+    }
+    // The declared type only picks the kind; the bytes decide what is stored and served.
+    const mimeType = sniffMediaMimeType(buffer.subarray(0, SNIFF_BYTES), declaredType.kind);
+    const type = mimeType ? MEDIA_TYPES[mimeType] : null;
+    if (!type || type.kind !== declaredType.kind) {
+      return { ok: false, error: "unsupported media type" };
+    }
+
+    const mediaId = sha256Hex(buffer);
+    const existing = this.entries.get(mediaId);
+    if (existing) {
+      return { ok: true, created: false, ...this.describe(existing) };
+    }
+    const space = this.reserveSpace(size, uploader);
+    if (!space.ok) {
+      return space;
+    }
+
+    const filePath = join(this.storeDir, `${mediaId}.${type.ext}`);
+    const tmpPath = `${filePath}.tmp-${randomBytes(4).toString("hex")}`;
+    try {
+      await mkdir(this.storeDir, { recursive: true });
+      await writeFile(tmpPath, buffer);
+      await rename(tmpPath, filePath);
+    } catch (error) {
+      this.log?.warn?.(`[media] Failed to store ${mediaId}: ${error?.message ?? error}`);
+      await unlinkQuietly(tmpPath);
+      return { ok: false, error: "media write failed" };
+    }
+    this.chargeUploadBudget(uploader, size);
+    return { ok: true, created: true, ...this.describe(this.addEntry(mediaId, mimeType, size, filePath)) };
+  }
+
+  addEntry(mediaId, mimeType, size, filePath, createdAt = Date.now()) {
+    const entry = { id: mediaId, mimeType, size, filePath, createdAt };
+    this.entries.set(mediaId, entry);
+    this.totalBytes += size;
+    return entry;
+  }
+
+  // Stores an inline data URL sent by an older client so rooms only keep the media URL.
+  async putDataUrl(rawDataUrl, { kind = "", uploader = null } = {}) {
+    const value = String(rawDataUrl ?? "").trim();
+    const match = DATA_URL_PATTERN.exec(value);
+    if (!match) {
+      return { ok: false, error: "invalid data url" };
+    }
+    const buffer = Buffer.from(value.slice(match[0].length), "base64");
+    return this.put(buffer, match[1], { kind, uploader });
+  }
+
+  getUploadUsage(usageKey, now = Date.now()) {
+    const usage = this.uploadUsage.get(usageKey);
+    return usage && now - usage.windowStart < UPLOAD_BUDGET_WINDOW_MS ? usage.bytes : 0;
+  }
+
+  // Budget errors carry `limited: true` so callers do not fall back to storing the media inline.
+  checkUploadBudget(uploader, size, now = Date.now()) {
+    const keys = getUploadUsageKeys(uploader);
+    const used = Math.max(0, ...keys.map((usageKey) => this.getUploadUsage(usageKey, now)));
+    if (used + size > this.uploadBudgetBytes) {
+      return { ok: false, error: "upload budget exceeded", limited: true };
+    }
+    return { ok: true };
+  }
+
+  chargeUploadBudget(uploader, size, now = Date.now()) {
+    for (const usageKey of getUploadUsageKeys(uploader)) {
+      const bytes = this.getUploadUsage(usageKey, now);
+      const usage = this.uploadUsage.get(usageKey);
+      this.uploadUsage.delete(usageKey);
+      this.uploadUsage.set(usageKey, {
+        bytes: bytes + size,
+        windowStart: bytes > 0 ? usage.windowStart : now
+      });
+    }
+    while (this.uploadUsage.size > MAX_UPLOAD_BUDGET_ENTRIES) {
+      this.uploadUsage.delete(this.uploadUsage.keys().next().value);
+    }
+  }
+
+  // Checks the uploader's budget and the store quota for `size` new bytes (plus `pendingBytes`
+  // of unfinished uploads), deleting unreferenced blobs first when the store is full.
+  reserveSpace(size, uploader, { pendingBytes = 0, now = Date.now() } = {}) {
+    const budget = this.checkUploadBudget(uploader, size, now);
+    if (!budget.ok) {
+      return budget;
+    }
+    if (this.totalBytes + pendingBytes + size > this.maxBytes) {
+      this.collectGarbage(now);
+    }
+    if (this.totalBytes + pendingBytes + size > this.maxBytes) {
+      this.log?.warn?.(`[media] store full (${this.totalBytes}/${this.maxBytes} bytes)`);
+      return { ok: false, error: "media store full", limited: true };
+    }
+    return { ok: true };
+  }
+
+  // Deletes blobs that nothing refers to and that are older than the grace period.
+  collectGarbage(now = Date.now()) {
+    const referenced = this.getReferencedIds?.();
+    if (!this.enabled || !referenced) {
+      return { removed: 0, bytes: 0 };
+    }
+    let removed = 0;
+    let bytes = 0;
+    for (const entry of [...this.entries.values()]) {
+      if (referenced.has(entry.id) || now - entry.createdAt < UNREFERENCED_MEDIA_GRACE_MS) {
+        continue;
+      }
+      this.entries.delete(entry.id);
+      this.totalBytes -= entry.size;
+      removed += 1;
+      bytes += entry.size;
+      try {
+        rmSync(entry.filePath, { force: true });
+      } catch (error) {
+        this.log?.warn?.(`[media] Failed to delete ${entry.id}: ${error?.message ?? error}`);
+      }
+    }
+    if (removed > 0) {
+      this.log?.log?.(`[media] Deleted ${removed} unreferenced media files (${bytes} bytes)`);
+    }
+    return { removed, bytes };
+  }
+
+  describe(entry) {
+    return {
+      mediaId: entry.id,
+      url: getMediaUrl(entry.id),
+      mimeType: entry.mimeType,
+      size: entry.size
+    };
+  }
+
+  // Resolves a mediaId (or /media URL) from a socket payload to a stored entry of the given kind.
+  resolve(rawReference, { kind = "", mimeTypes = null } = {}) {
+    const mediaUrl = parseMediaUrl(rawReference);
+    const entry = this.get(mediaUrl ? mediaUrl.slice("/media/".length) : rawReference);
+    if (!entry) {
+      return { ok: false, error: "media not found" };
+    }
+    if (kind && MEDIA_TYPES[entry.mimeType]?.kind !== kind) {
+      return { ok: false, error: "unsupported media type" };
+    }
+    if (Array.isArray(mimeTypes) && !mimeTypes.includes(entry.mimeType)) {
+      return { ok: false, error: "unsupported media type" };
+    }
+    return { ok: true, ...this.describe(entry) };
+  }
+
+  // Starts or resumes a chunked upload. The same owner uploading the same file gets the same
+  // upload id back, with `received` telling the client where to continue.
+  beginUpload({ kind, mimeType: rawMimeType, size: rawSize, sha256, ownerKey, ip = "", now = Date.now() } = {}) {
+    if (!this.enabled) {
+      return { ok: false, error: "media store unavailable" };
+    }
+    const mimeType = normalizeMediaMimeType(rawMimeType);
+    const type = mimeType ? MEDIA_TYPES[mimeType] : null;
+    if (!type || type.kind !== normalizeMediaKind(kind)) {
+      return { ok: false, error: "unsupported media type" };
+    }
+    const size = Math.trunc(Number(rawSize) || 0);
+    if (size <= 0) {
+      return { ok: false, error: "empty media" };
+    }
+    if (size > MEDIA_KIND_MAX_BYTES[type.kind]) {
+      return { ok: false, error: "media too large" };
+    }
+    const checksum = normalizeMediaId(sha256);
+    if (!checksum) {
+      return { ok: false, error: "invalid checksum" };
+    }
+    const owner = String(ownerKey ?? "").trim();
+    if (!owner) {
+      return { ok: false, error: "upload owner required" };
+    }
+
+    const existing = this.entries.get(checksum);
+    if (existing && existing.size === size) {
+      return { ok: true, complete: true, ...this.describe(existing) };
+    }
+
+    this.pruneUploadSessions(now);
+    const uploadId = sha256Hex(`${owner}:${checksum}:${size}:${mimeType}`).slice(0, 32);
+    let session = this.uploadSessions.get(uploadId);
+    if (!session) {
+      const pendingBytes = [...this.uploadSessions.values()].reduce((sum, entry) => sum + entry.size, 0);
+      const space = this.reserveSpace(size, { ownerKey: owner, ip }, { pendingBytes, now });
+      if (!space.ok) {
+        return space;
+      }
+      const ownerSessions = [...this.uploadSessions.values()].filter((entry) => entry.ownerKey === owner);
+      if (ownerSessions.length >= MAX_UPLOAD_SESSIONS_PER_OWNER) {
+        return { ok: false, error: "too many uploads" };
+      }
+      if (this.uploadSessions.size >= MAX_UPLOAD_SESSIONS) {
+        return { ok: false, error: "upload capacity reached" };
+      }
+      session = {
+        id: uploadId,
+        ownerKey: owner,
+        ip: String(ip ?? "").trim(),
+        kind: type.kind,
+        mimeType,
+        size,
+        sha256: checksum,
+        received: 0,
+        busy: false,
+        partPath: join(this.uploadsDir, `${uploadId}.part`),
+        updatedAt: now
+      };
+      this.uploadSessions.set(uploadId, session);
+    }
+    session.updatedAt = now;
+    return this.describeUpload(session);
+  }
+
+  describeUpload(session) {
+    return {
+      ok: true,
+      complete: false,
+      uploadId: session.id,
+      received: session.received,
+      size: session.size,
+      chunkBytes: MEDIA_UPLOAD_CHUNK_BYTES
+    };
+  }
+
+  getUploadSession(rawUploadId, ownerKey) {
+    const session = this.uploadSessions.get(String(rawUploadId ?? "").trim());
+    if (!session || session.ownerKey !== String(ownerKey ?? "").trim()) {
+      return null;
+    }
+    return session;
+  }
+
+  async appendUploadChunk(rawUploadId, { ownerKey, offset, data, now = Date.now() } = {}) {
+    const session = this.getUploadSession(rawUploadId, ownerKey);
+    if (!session) {
+      return { ok: false, error: "upload not found" };
+    }
+    if (session.busy) {
+      return { ok: false, error: "upload busy", received: session.received };
+    }
+    const chunk = Buffer.isBuffer(data) ? data : data instanceof Uint8Array ? Buffer.from(data) : null;
+    if (!chunk || chunk.length <= 0 || chunk.length > MEDIA_UPLOAD_CHUNK_BYTES) {
+      return { ok: false, error: "invalid chunk", received: session.received };
+    }
+    // A chunk whose ack was lost arrives again after reconnect; the client resyncs from `received`.
+    if (Math.trunc(Number(offset)) !== session.received) {
+      return { ok: false, error: "offset mismatch", received: session.received };
+    }
+    if (session.received + chunk.length > session.size) {
+      return { ok: false, error: "chunk exceeds size", received: session.received };
+    }
+
+    session.busy = true;
+    try {
+      await mkdir(this.uploadsDir, { recursive: true });
+      await appendFile(session.partPath, chunk);
+      session.received += chunk.length;
+    } catch (error) {
+      this.log?.warn?.(`[media] Failed to append upload ${session.id}: ${error?.message ?? error}`);
+      // Drop whatever part of the chunk landed so the next retry starts from `received`.
+      await truncate(session.partPath, session.received).catch(() => {});
+      return { ok: false, error: "media write failed", received: session.received };
+    } finally {
+      session.busy = false;
+      session.updatedAt = now;
+    }
+    return { ok: true, received: session.received, size: session.size };
+  }
+
+  async finishUpload(rawUploadId, { ownerKey } = {}) {
+    const session = this.getUploadSession(rawUploadId, ownerKey);
+    if (!session) {
+      return { ok: false, error: "upload not found" };
+    }
+    if (session.busy) {
+      return { ok: false, error: "upload busy", received: session.received };
+    }
+    if (session.received !== session.size) {
+      return { ok: false, error: "upload incomplete", received: session.received };
+    }
+
+    session.busy = true;
+    try {
+      const partSize = (await stat(session.partPath)).size;
+      const checksum = partSize === session.size ? await sha256File(session.partPath) : "";
+      if (checksum !== session.sha256) {
+        this.uploadSessions.delete(session.id);
+        await unlinkQuietly(session.partPath);
+        return { ok: false, error: "checksum mismatch" };
+      }
+      const existing = this.entries.get(checksum);
+      if (existing) {
+        await unlinkQuietly(session.partPath);
+        return { ok: true, created: false, ...this.describe(existing) };
+      }
+      const mimeType = sniffMediaMimeType(await readFileHead(session.partPath), session.kind);
+      if (!mimeType || MEDIA_TYPES[mimeType].kind !== session.kind) {
+        this.uploadSessions.delete(session.id);
+        await unlinkQuietly(session.partPath);
+        return { ok: false, error: "unsupported media type" };
+      }
+      const uploader = { ownerKey: session.ownerKey, ip: session.ip };
+      const space = this.reserveSpace(session.size, uploader);
+      if (!space.ok) {
+        this.uploadSessions.delete(session.id);
+        await unlinkQuietly(session.partPath);
+        return space;
+      }
+      const filePath = join(this.storeDir, `${checksum}.${MEDIA_TYPES[mimeType].ext}`);
+      await rename(session.partPath, filePath);
+      this.chargeUploadBudget(uploader, session.size);
+      const entry = this.addEntry(checksum, mimeType, session.size, filePath);
+      return { ok: true, created: true, ...this.describe(entry) };
+    } catch (error) {
+      this.log?.warn?.(`[media] Failed to finish upload ${session.id}: ${error?.message ?? error}`);
+      return { ok: false, error: "media write failed" };
+    } finally {
+      session.busy = false;
+      if (this.entries.has(session.sha256)) {
+        this.uploadSessions.delete(session.id);
+      }
+    }
+  }
+
+  async abortUpload(rawUploadId, { ownerKey } = {}) {
+    const session = this.getUploadSession(rawUploadId, ownerKey);
+    if (!session || session.busy) {
+      return { ok: false, error: session ? "upload busy" : "upload not found" };
+    }
+    this.uploadSessions.delete(session.id);
+    await unlinkQuietly(session.partPath);
+    return { ok: true };
+  }
+
+  pruneUploadSessions(now = Date.now()) {
+    for (const [uploadId, session] of this.uploadSessions) {
+      if (!session.busy && now - session.updatedAt > UPLOAD_SESSION_TTL_MS) {
+        this.uploadSessions.delete(uploadId);
+        void unlinkQuietly(session.partPath);
+      }
+    }
+  }
+
+  issueUploadToken({ kind, socketId = "", uploader = null, now = Date.now() } = {}) {
+    const normalizedKind = normalizeMediaKind(kind);
+    if (!this.enabled) {
+      return { ok: false, error: "media store unavailable" };
+    }
+    if (!normalizedKind) {
+      return { ok: false, error: "invalid media kind" };
+    }
+    this.pruneUploadTokens(now);
+    while (this.uploadTokens.size >= MAX_UPLOAD_TOKENS) {
+      this.uploadTokens.delete(this.uploadTokens.keys().next().value);
+    }
+    const token = randomBytes(24).toString("hex");
+    const expiresAt = now + UPLOAD_TOKEN_TTL_MS;
+    this.uploadTokens.set(token, { kind: normalizedKind, socketId, uploader, expiresAt });
+    return {
+      ok: true,
+      token,
+      kind: normalizedKind,
+      maxBytes: MEDIA_KIND_MAX_BYTES[normalizedKind],
+      expiresAt
+    };
+  }
+
+  // Upload tokens are single-use.
+  consumeUploadToken(rawToken, now = Date.now()) {
+    const token = String(rawToken ?? "").trim();
+    const grant = token ? this.uploadTokens.get(token) : null;
+    if (!grant) {
+      return null;
+    }
+    this.uploadTokens.delete(token);
+    return grant.expiresAt > now ? grant : null;
+  }
+
+  pruneUploadTokens(now = Date.now()) {
+    for (const [token, grant] of this.uploadTokens) {
+      if (grant.expiresAt <= now) {
+        this.uploadTokens.delete(token);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      available: this.enabled,
+      files: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      pendingUploads: this.uploadSessions.size
+    };
+  }
+}
@@ -0,0 +1,246 @@
+import { randomBytes } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { mkdir, rename, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, resolve as resolvePath } from "node:path";
+import { normalizeRolePlayerKey } from "./RoleStore.js";
+import { sanitizeName } from "./playerState.js";
+
+const MODERATION_STORE_VERSION = 1;
+const MAX_MODERATION_ENTRIES = 5000;
+const MAX_REASON_CHARS = 200;
+const TIME_UNIT_MS = Object.freeze({ s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 });
+
+export const MODERATION_KINDS = Object.freeze(["ban", "mute"]);
+
+// `45s`, `10m`, `2h`, `7d`, or plain minutes. Returns 0 when the value is not a duration.
+export function parseModerationDuration(rawValue) {
+  const value = String(rawValue ?? "").trim().toLowerCase();
+  const match = /^(\d{1,6})([smhd]?)$/.exec(value);
+  if (!match) {
+    return 0;
+  }
+  return Number(match[1]) * TIME_UNIT_MS[match[2] || "m"];
+}
+
+export function normalizeModerationEntry(raw, now = Date.now()) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const kind = MODERATION_KINDS.includes(raw.kind) ? raw.kind : "";
+  const playerKey = normalizeRolePlayerKey(raw.playerKey);
+  const ip = String(raw.ip ?? "").trim().slice(0, 64);
+  const until = Math.trunc(Number(raw.until) || 0);
+  if (!kind || (playerKey.length < 8 && !ip) || until <= now) {
+    return null;
+  }
+  return {
+    id: String(raw.id ?? "").trim().slice(0, 24) || randomBytes(6).toString("hex"),
+    kind,
+    // "" applies to every room (admin API bans).
+    roomCode: String(raw.roomCode ?? "")
+      .trim()
+      .toUpperCase()
+      .slice(0, 16),
+    playerKey: playerKey.length >= 8 ? playerKey : "",
+    ip,
+    name: sanitizeName(raw.name),
+    reason: String(raw.reason ?? "").trim().slice(0, MAX_REASON_CHARS),
+    createdBy: String(raw.createdBy ?? "").trim().slice(0, 48),
+    createdAt: Math.max(0, Math.trunc(Number(raw.createdAt) || now)),
+    until
+  };
+}
+
+function matchesTarget(entry, { kind, roomCodes, playerKey, ip }) {
+  if (kind && entry.kind !== kind) {
+    return false;
+  }
+  if (roomCodes && !roomCodes.includes(entry.roomCode)) {
+    return false;
+  }
+  return Boolean((playerKey && entry.playerKey === playerKey) || (ip && entry.ip === ip));
+}
+
+// Bans and mutes keyed by playerKey and/or ip, persisted so they survive restarts.
+export class ModerationStore {
+  constructor({ storePath = "", saveDebounceMs = 500, log = console } = {}) {
+    this.log = log ?? console;
+    this.storePath = this.resolveStorePath(storePath);
+    this.saveDebounceMs = Math.max(50, Math.trunc(Number(saveDebounceMs) || 500));
+    this.entries = new Map();
+    this.saveTimer = null;
+    this.saveQueued = false;
+    this.saveInFlightPromise = null;
+    this.load();
+  }
+
+  resolveStorePath(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  load() {
+    if (!this.storePath) {
+      return;
+    }
+    let parsed = null;
+    try {
+      const raw = String(readFileSync(this.storePath, "utf8") ?? "").trim();
+      if (!raw) {
+        return;
+      }
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(`[moderation] Failed to read moderation store (${this.storePath}): ${error?.message ?? error}`);
+      }
+      return;
+    }
+
+    for (const raw of Array.isArray(parsed?.entries) ? parsed.entries : []) {
+      const entry = normalizeModerationEntry(raw);
+      if (entry) {
+        this.entries.set(entry.id, entry);
+      }
+    }
+    if (this.entries.size > 0) {
+      this.log?.log?.(`[moderation] Restored ${this.entries.size} bans and mutes`);
+    }
+  }
+
+  // Drops expired entries; they are never returned, this only keeps the file small.
+  prune(now = Date.now()) {
+    let pruned = 0;
+    for (const [id, entry] of this.entries) {
+      if (entry.until <= now) {
+        this.entries.delete(id);
+        pruned += 1;
+      }
+    }
+    if (pruned > 0) {
+      this.scheduleSave();
+    }
+    return pruned;
+  }
+
+  add(rawEntry, now = Date.now()) {
+    const entry = normalizeModerationEntry({ ...rawEntry, id: "" }, now);
+    if (!entry) {
+      return null;
+    }
+    this.prune(now);
+    this.entries.set(entry.id, entry);
+    while (this.entries.size > MAX_MODERATION_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.scheduleSave();
+    return entry;
+  }
+
+  // `roomCodes` limits the match to those rooms; omitted matches every room.
+  find({ kind = "", roomCodes = null, playerKey = "", ip = "" } = {}, now = Date.now()) {
+    let found = null;
+    for (const entry of this.entries.values()) {
+      if (entry.until > now && matchesTarget(entry, { kind, roomCodes, playerKey, ip })) {
+        if (!found || entry.until > found.until) {
+          found = entry;
+        }
+      }
+    }
+    return found;
+  }
+
+  remove({ kind = "", roomCodes = null, playerKey = "", ip = "" } = {}) {
+    const removed = [];
+    for (const [id, entry] of this.entries) {
+      if (matchesTarget(entry, { kind, roomCodes, playerKey, ip })) {
+        this.entries.delete(id);
+        removed.push(entry);
+      }
+    }
+    if (removed.length > 0) {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  list({ kind = "", roomCodes = null } = {}, now = Date.now()) {
+    this.prune(now);
+    return [...this.entries.values()].filter(
+      (entry) => (!kind || entry.kind === kind) && (!roomCodes || roomCodes.includes(entry.roomCode))
+    );
+  }
+
+  get pendingSave() {
+    return this.saveQueued || Boolean(this.saveTimer);
+  }
+
+  scheduleSave() {
+    if (!this.storePath) {
+      return;
+    }
+    this.saveQueued = true;
+    if (this.saveTimer || this.saveInFlightPromise) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      void this.flush();
+    }, this.saveDebounceMs);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    if (!this.storePath) {
+      return { ok: false, error: "moderation store unavailable" };
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    while (this.saveInFlightPromise) {
+      await this.saveInFlightPromise;
+      if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+      }
+    }
+    this.saveQueued = false;
+
+    const payload = {
+      version: MODERATION_STORE_VERSION,
+      savedAt: Date.now(),
+      entries: [...this.entries.values()]
+    };
+    const tmpPath = `${this.storePath}.tmp`;
+    let persistError = "";
+    this.saveInFlightPromise = (async () => {
+      try {
+        await mkdir(dirname(this.storePath), { recursive: true });
+        await writeFile(tmpPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+        await rename(tmpPath, this.storePath);
+      } catch (error) {
+        persistError = String(error?.message ?? error ?? "persist failed").trim();
+        this.log?.warn?.(`[moderation] Failed to persist moderation store (${this.storePath}): ${error?.message ?? error}`);
+        try {
+          await unlink(tmpPath);
+        } catch {
+          // ignore cleanup failures
+        }
+      }
+    })();
+
+    try {
+      await this.saveInFlightPromise;
+    } finally {
+      this.saveInFlightPromise = null;
+      if (this.saveQueued) {
+        this.scheduleSave();
+      }
+    }
+    return persistError ? { ok: false, error: persistError } : { ok: true };
+  }
+}
@@ -0,0 +1,325 @@
+import { readFileSync } from "node:fs";
+import { mkdir, rename, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, resolve as resolvePath } from "node:path";
+import { getRoleGrantId, normalizeRolePlayerKey } from "./RoleStore.js";
+import { sanitizeName } from "./playerState.js";
+
+const PROFILE_STORE_VERSION = 1;
+const MAX_PROFILES = 20_000;
+const MAX_NICKNAME_HISTORY = 10;
+const MIN_PROFILE_KEY_LENGTH = 8;
+// A nickname given up by a rename stays with its previous owner for a while, so it cannot be
+// picked up right away by someone else.
+const NICKNAME_HOLD_MS = 7 * 24 * 60 * 60 * 1000;
+const NICKNAME_SUFFIX_ATTEMPTS = 50;
+
+// Names that differ only in case, width, separators or look-alike characters share a key,
+// so "Bob", "B_O_B" and "BOB" cannot be held by different players.
+export function getNicknameKey(rawValue) {
+  const text = String(rawValue ?? "")
+    .normalize("NFKC")
+    .toLowerCase();
+  const key = text
+    .replace(/[\p{Cf}\s_.\-]+/gu, "")
+    .replace(/0/g, "o")
+    .replace(/[1l|]/g, "i");
+  return key || text;
+}
+
+function normalizeHistoryEntry(raw) {
+  const nickname = sanitizeName(raw?.nickname);
+  const changedAt = Math.max(0, Math.trunc(Number(raw?.changedAt) || 0));
+  return changedAt > 0 ? { nickname, changedAt } : null;
+}
+
+export function normalizeProfile(raw, now = Date.now()) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const playerKey = normalizeRolePlayerKey(raw.playerKey);
+  if (playerKey.length < MIN_PROFILE_KEY_LENGTH) {
+    return null;
+  }
+  const firstSeenAt = Math.max(0, Math.trunc(Number(raw.firstSeenAt) || now));
+  return {
+    playerKey,
+    nickname: sanitizeName(raw.nickname),
+    firstSeenAt,
+    lastSeenAt: Math.max(firstSeenAt, Math.trunc(Number(raw.lastSeenAt) || now)),
+    visits: Math.max(1, Math.trunc(Number(raw.visits) || 1)),
+    // Assigned rather than chosen (a default or placeholder name); giving it up leaves no history.
+    provisional: Boolean(raw.provisional),
+    // Previous nicknames, newest first; `changedAt` is when the profile stopped using it.
+    nicknameHistory: (Array.isArray(raw.nicknameHistory) ? raw.nicknameHistory : [])
+      .map(normalizeHistoryEntry)
+      .filter(Boolean)
+      .slice(0, MAX_NICKNAME_HISTORY)
+  };
+}
+
+// What other players may see; the playerKey stays on the server.
+export function serializePublicProfile(profile) {
+  if (!profile) {
+    return null;
+  }
+  return {
+    profileId: getRoleGrantId(profile.playerKey),
+    nickname: profile.nickname,
+    firstSeenAt: profile.firstSeenAt,
+    lastSeenAt: profile.lastSeenAt,
+    visits: profile.visits,
+    provisional: profile.provisional,
+    nicknameHistory: profile.nicknameHistory.map((entry) => ({ ...entry }))
+  };
+}
+
+// Long-lived player profiles keyed by playerKey: a nickname reserved for that key, when the
+// player was first and last seen, and the nicknames they used before.
+export class ProfileStore {
+  constructor({ storePath = "", saveDebounceMs = 1000, log = console } = {}) {
+    this.log = log ?? console;
+    this.storePath = this.resolveStorePath(storePath);
+    this.saveDebounceMs = Math.max(50, Math.trunc(Number(saveDebounceMs) || 1000));
+    this.profiles = new Map();
+    // nickname key -> { playerKey, until } where `until` is 0 for a current nickname.
+    this.nicknames = new Map();
+    this.saveTimer = null;
+    this.saveQueued = false;
+    this.saveInFlightPromise = null;
+    this.load();
+  }
+
+  resolveStorePath(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  load() {
+    if (!this.storePath) {
+      return;
+    }
+    let parsed = null;
+    try {
+      const raw = String(readFileSync(this.storePath, "utf8") ?? "").trim();
+      if (!raw) {
+        return;
+      }
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(`[profiles] Failed to read profile store (${this.storePath}): ${error?.message ?? error}`);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    const profiles = (Array.isArray(parsed?.profiles) ? parsed.profiles : [])
+      .map((entry) => normalizeProfile(entry, now))
+      .filter(Boolean)
+      .sort((left, right) => right.lastSeenAt - left.lastSeenAt);
+    // On a clash (e.g. a hand-edited file) the most recently seen profile keeps the name.
+    for (const profile of profiles) {
+      if (!this.isNicknameAvailable(profile.nickname, profile.playerKey, now)) {
+        profile.nickname = this.findFreeNickname(profile.nickname, profile.playerKey, now);
+      }
+      this.reserveNickname(profile.nickname, profile.playerKey, 0);
+    }
+    for (const profile of profiles) {
+      for (const entry of profile.nicknameHistory) {
+        const until = entry.changedAt + NICKNAME_HOLD_MS;
+        if (until > now && !this.nicknames.has(getNicknameKey(entry.nickname))) {
+          this.reserveNickname(entry.nickname, profile.playerKey, until);
+        }
+      }
+    }
+    // Least recently seen first, which is the eviction order.
+    for (const profile of profiles.reverse()) {
+      this.profiles.set(profile.playerKey, profile);
+    }
+    if (this.profiles.size > 0) {
+      this.log?.log?.(`[profiles] Restored ${this.profiles.size} player profiles`);
+    }
+  }
+
+  get(rawPlayerKey) {
+    return this.profiles.get(normalizeRolePlayerKey(rawPlayerKey)) ?? null;
+  }
+
+  getByNickname(rawName, now = Date.now()) {
+    const owner = this.nicknames.get(getNicknameKey(sanitizeName(rawName)));
+    return owner && (owner.until === 0 || owner.until > now) ? this.profiles.get(owner.playerKey) ?? null : null;
+  }
+
+  isNicknameAvailable(rawName, playerKey, now = Date.now()) {
+    const owner = this.nicknames.get(getNicknameKey(sanitizeName(rawName)));
+    return !owner || owner.playerKey === playerKey || (owner.until > 0 && owner.until <= now);
+  }
+
+  reserveNickname(nickname, playerKey, until) {
+    this.nicknames.set(getNicknameKey(nickname), { playerKey, until });
+  }
+
+  // `BASE_1234` style fallback for a name someone else holds.
+  findFreeNickname(rawName, playerKey, now = Date.now()) {
+    const base = sanitizeName(rawName).slice(0, 11);
+    for (let attempt = 0; attempt < NICKNAME_SUFFIX_ATTEMPTS; attempt += 1) {
+      const candidate = `${base}_${Math.floor(Math.random() * 9000 + 1000)}`;
+      if (this.isNicknameAvailable(candidate, playerKey, now)) {
+        return candidate;
+      }
+    }
+    return `${base}_${Date.now().toString(36).slice(-4)}`;
+  }
+
+  // Records a visit and claims `requestedName` for the player. A name held by someone else
+  // keeps the profile's current nickname (or a suffixed one for a new profile) and reports
+  // `error: "nickname taken"` alongside the profile that was used. A `provisional` name only
+  // seeds a new profile; an existing one keeps its nickname.
+  claim(rawPlayerKey, requestedName, { visit = false, provisional = false, now = Date.now() } = {}) {
+    const playerKey = normalizeRolePlayerKey(rawPlayerKey);
+    if (playerKey.length < MIN_PROFILE_KEY_LENGTH) {
+      return { ok: false, error: "invalid player key" };
+    }
+    const nickname = sanitizeName(requestedName);
+    let profile = this.profiles.get(playerKey);
+    const available = this.isNicknameAvailable(nickname, playerKey, now);
+
+    if (!profile) {
+      profile = normalizeProfile(
+        {
+          playerKey,
+          nickname: available ? nickname : this.findFreeNickname(nickname, playerKey, now),
+          firstSeenAt: now,
+          lastSeenAt: now,
+          provisional
+        },
+        now
+      );
+      this.profiles.set(playerKey, profile);
+      this.reserveNickname(profile.nickname, playerKey, 0);
+      while (this.profiles.size > MAX_PROFILES) {
+        this.evict(this.profiles.values().next().value);
+      }
+      this.scheduleSave();
+      return { ok: true, profile, changed: true, ...(available || provisional ? {} : { error: "nickname taken" }) };
+    }
+
+    // Keep the map in least-recently-seen order for eviction.
+    this.profiles.delete(playerKey);
+    this.profiles.set(playerKey, profile);
+    profile.lastSeenAt = now;
+    if (visit) {
+      profile.visits += 1;
+    }
+    if (provisional || nickname === profile.nickname) {
+      this.scheduleSave();
+      return { ok: true, profile, changed: false };
+    }
+    if (!available) {
+      this.scheduleSave();
+      return { ok: true, profile, changed: false, error: "nickname taken" };
+    }
+
+    const previous = profile.nickname;
+    if (profile.provisional) {
+      this.nicknames.delete(getNicknameKey(previous));
+    } else {
+      if (getNicknameKey(previous) !== getNicknameKey(nickname)) {
+        this.reserveNickname(previous, playerKey, now + NICKNAME_HOLD_MS);
+      }
+      profile.nicknameHistory = [{ nickname: previous, changedAt: now }, ...profile.nicknameHistory]
+        .filter((entry) => entry.nickname !== nickname)
+        .slice(0, MAX_NICKNAME_HISTORY);
+    }
+    profile.provisional = false;
+    profile.nickname = nickname;
+    this.reserveNickname(nickname, playerKey, 0);
+    this.scheduleSave();
+    return { ok: true, profile, changed: true };
+  }
+
+  evict(profile) {
+    if (!profile) {
+      return;
+    }
+    this.profiles.delete(profile.playerKey);
+    for (const [key, owner] of this.nicknames) {
+      if (owner.playerKey === profile.playerKey) {
+        this.nicknames.delete(key);
+      }
+    }
+  }
+
+  get pendingSave() {
+    return this.saveQueued || Boolean(this.saveTimer);
+  }
+
+  scheduleSave() {
+    if (!this.storePath) {
+      return;
+    }
+    this.saveQueued = true;
+    if (this.saveTimer || this.saveInFlightPromise) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      void this.flush();
+    }, this.saveDebounceMs);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    if (!this.storePath) {
+      return { ok: false, error: "profile store unavailable" };
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    while (this.saveInFlightPromise) {
+      await this.saveInFlightPromise;
+      if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+      }
+    }
+    this.saveQueued = false;
+
+    const payload = {
+      version: PROFILE_STORE_VERSION,
+      savedAt: Date.now(),
+      profiles: [...this.profiles.values()]
+    };
+    const tmpPath = `${this.storePath}.tmp`;
+    let persistError = "";
+    this.saveInFlightPromise = (async () => {
+      try {
+        await mkdir(dirname(this.storePath), { recursive: true });
+        await writeFile(tmpPath, `${JSON.stringify(payload)}\n`, "utf8");
+        await rename(tmpPath, this.storePath);
+      } catch (error) {
+        persistError = String(error?.message ?? error ?? "persist failed").trim();
+        this.log?.warn?.(`[profiles] Failed to persist profile store (${this.storePath}): ${error?.message ?? error}`);
+        try {
+          await unlink(tmpPath);
+        } catch {
+          // ignore cleanup failures
+        }
+      }
+    })();
+
+    try {
+      await this.saveInFlightPromise;
+    } finally {
+      this.saveInFlightPromise = null;
+      if (this.saveQueued) {
+        this.scheduleSave();
+      }
+    }
+    return persistError ? { ok: false, error: persistError } : { ok: true };
+  }
+}
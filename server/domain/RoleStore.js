@@ -0,0 +1,175 @@
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { mkdir, rename, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, resolve as resolvePath } from "node:path";
+import { normalizeRoomRole } from "../../src/game/net/roomRoles.js";
+import { sanitizeName } from "./playerState.js";
+
+const ROLE_STORE_VERSION = 1;
+const MAX_ROLE_GRANTS = 2000;
+
+export function normalizeRolePlayerKey(rawValue) {
+  return String(rawValue ?? "")
+    .trim()
+    .replace(/[^a-zA-Z0-9:_-]/g, "")
+    .slice(0, 96);
+}
+
+// Stable handle for a grant that does not reveal the playerKey.
+export function getRoleGrantId(playerKey) {
+  return createHash("sha256").update(normalizeRolePlayerKey(playerKey), "utf8").digest("hex").slice(0, 16);
+}
+
+export function normalizeRoleGrant(raw, now = Date.now()) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const playerKey = normalizeRolePlayerKey(raw.playerKey);
+  const role = normalizeRoomRole(raw.role);
+  if (playerKey.length < 8 || !role || role === "guest") {
+    return null;
+  }
+  return {
+    playerKey,
+    role,
+    name: sanitizeName(raw.name),
+    grantedBy: String(raw.grantedBy ?? "").trim().slice(0, 48),
+    grantedAt: Math.max(0, Math.trunc(Number(raw.grantedAt) || now))
+  };
+}
+
+// Role grants of the persistent room, keyed by playerKey. Custom rooms keep theirs in memory.
+export class RoleStore {
+  constructor({ storePath = "", saveDebounceMs = 500, log = console } = {}) {
+    this.log = log ?? console;
+    this.storePath = this.resolveStorePath(storePath);
+    this.saveDebounceMs = Math.max(50, Math.trunc(Number(saveDebounceMs) || 500));
+    this.grants = new Map();
+    this.saveTimer = null;
+    this.saveQueued = false;
+    this.saveInFlightPromise = null;
+    this.load();
+  }
+
+  resolveStorePath(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  load() {
+    if (!this.storePath) {
+      return;
+    }
+    let parsed = null;
+    try {
+      const raw = String(readFileSync(this.storePath, "utf8") ?? "").trim();
+      if (!raw) {
+        return;
+      }
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(`[roles] Failed to read role store (${this.storePath}): ${error?.message ?? error}`);
+      }
+      return;
+    }
+
+    for (const entry of Array.isArray(parsed?.grants) ? parsed.grants : []) {
+      const grant = normalizeRoleGrant(entry);
+      if (grant) {
+        this.grants.set(grant.playerKey, grant);
+      }
+    }
+    if (this.grants.size > 0) {
+      this.log?.log?.(`[roles] Restored ${this.grants.size} role grants`);
+    }
+  }
+
+  // Returns the stored grant, or null when the role was "guest" and the grant was removed.
+  set(rawGrant) {
+    const playerKey = normalizeRolePlayerKey(rawGrant?.playerKey);
+    const grant = normalizeRoleGrant(rawGrant);
+    this.grants.delete(playerKey);
+    if (grant) {
+      this.grants.set(grant.playerKey, grant);
+      while (this.grants.size > MAX_ROLE_GRANTS) {
+        this.grants.delete(this.grants.keys().next().value);
+      }
+    }
+    this.scheduleSave();
+    return grant;
+  }
+
+  get pendingSave() {
+    return this.saveQueued || Boolean(this.saveTimer);
+  }
+
+  scheduleSave() {
+    if (!this.storePath) {
+      return;
+    }
+    this.saveQueued = true;
+    if (this.saveTimer || this.saveInFlightPromise) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      void this.flush();
+    }, this.saveDebounceMs);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    if (!this.storePath) {
+      return { ok: false, error: "role store unavailable" };
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    while (this.saveInFlightPromise) {
+      await this.saveInFlightPromise;
+      if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+      }
+    }
+    this.saveQueued = false;
+
+    const payload = {
+      version: ROLE_STORE_VERSION,
+      savedAt: Date.now(),
+      grants: [...this.grants.values()]
+    };
+    const tmpPath = `${this.storePath}.tmp`;
+    let persistError = "";
+    this.saveInFlightPromise = (async () => {
+      try {
+        await mkdir(dirname(this.storePath), { recursive: true });
+        await writeFile(tmpPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+        await rename(tmpPath, this.storePath);
+      } catch (error) {
+        persistError = String(error?.message ?? error ?? "persist failed").trim();
+        this.log?.warn?.(`[roles] Failed to persist role store (${this.storePath}): ${error?.message ?? error}`);
+        try {
+          await unlink(tmpPath);
+        } catch {
+          // ignore cleanup failures
+        }
+      }
+    })();
+
+    try {
+      await this.saveInFlightPromise;
+    } finally {
+      this.saveInFlightPromise = null;
+      if (this.saveQueued) {
+        this.scheduleSave();
+      }
+    }
+    return persistError ? { ok: false, error: persistError } : { ok: true };
+  }
+}
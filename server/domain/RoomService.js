@@ -1,10 +1,33 @@
 import { sanitizeName, sanitizePlayerState } from "./playerState.js";
+import { collectMediaReferences, parseMediaUrl } from "./MediaStore.js";
 import { chooseDistributedSpawnState } from "./spawn.js";
-import { readFileSync } from "node:fs";
-import { mkdir, rename, unlink, writeFile } from "node:fs/promises";
-import { dirname, isAbsolute, resolve as resolvePath } from "node:path";
+import { WORLD_HISTORY_COLLECTIONS } from "./WorldHistory.js";
+import { getRoleGrantId, normalizeRoleGrant, normalizeRolePlayerKey } from "./RoleStore.js";
+import { ModerationStore } from "./ModerationStore.js";
+import { ProfileStore, serializePublicProfile } from "./ProfileStore.js";
+import { ChatHistoryIndex } from "./ChatHistoryIndex.js";
+import { getRoomRoleRank, normalizeRoomRole, roomRoleHasCapability } from "../../src/game/net/roomRoles.js";
+import { normalizeChatChannel } from "../../src/game/net/chatChannels.js";
+import { MAX_CHAT_MENTIONS } from "../../src/game/net/chatMentions.js";
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import {
+  WORLD_STORE_BACKEND_FILE,
+  WORLD_STORE_COLLECTIONS,
+  createWorldStore,
+  createWorldStoreDirtySet,
+  markWorldStoreDirty,
+  mergeWorldStoreDirty
+} from "./worldStore.js";
 
 const SURFACE_ID_PATTERN = /^[a-zA-Z0-9:_-]{1,96}$/;
+const ROOM_CODE_PATTERN = /^[A-Z0-9_-]{3,16}$/;
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const GENERATED_ROOM_CODE_LENGTH = 6;
+const MAX_ROOM_NAME_CHARS = 32;
+const MAX_ROOM_PASSWORD_CHARS = 64;
+const MIN_CUSTOM_ROOM_CAPACITY = 2;
+const ROOM_PASSWORD_KEY_BYTES = 32;
 const MAX_SURFACE_IMAGE_CHARS = 4_200_000;
 const RIGHT_BILLBOARD_ALLOWED_VIDEO_IDS = Object.freeze([
   "GROK01",
@@ -90,6 +113,10 @@ const HOST_CONTROLLED_SURFACE_ID_PATTERN = /^bridge_panel_\d+:(?:px|nx|py|ny|pz|
 const CHAT_MESSAGE_ID_PATTERN = /^[a-zA-Z0-9:_-]{1,80}$/;
 const MAX_CHAT_MESSAGES = 5000;
 const MAX_CHAT_TEXT_CHARS = 200;
+const MAX_CHAT_AUDIENCE = 256;
+const MAX_CHAT_FLAGS = 100;
+const CHAT_AUDIENCE_ID_PATTERN = /^[a-f0-9]{16}$/;
+const CHAT_REPLY_QUOTE_CHARS = 80;
 const MAX_PORTAL_DISPLAY_LINE_CHARS = 72;
 const PORTAL_DISPLAY_KEYS = Object.freeze(["portal1", "portal2", "hall"]);
 const PORTAL_DISPLAY_DEFAULT_TITLES = Object.freeze({
@@ -117,6 +144,11 @@ const PORTAL_DISPLAY_DEFAULT_LINES = Object.freeze({
   })
 });
 const ROOM_ZONE_IDS = Object.freeze(["lobby", "fps", "ox"]);
+const MAX_ROOM_CO_HOSTS = 8;
+const HOST_SUCCESSION_POLICIES = Object.freeze(["moderator", "cohost", "off"]);
+// Names given before the player picked one (client placeholders, the server's PLAYER_1234
+// default); they never replace a profile's nickname.
+const PLACEHOLDER_PLAYER_NAME_PATTERN = /^(PLAYER(_\d{4})?|게스트)$/;
 const ROOM_ZONE_PORTAL_OBJECT_ID_BY_ZONE = Object.freeze({
   fps: "portal_fps",
   ox: "portal_ox",
@@ -503,16 +535,44 @@ function normalizeChatHistoryEntry(rawValue, fallbackCreatedAt = Date.now()) {
     return null;
   }
 
-  return {
+  const channel = normalizeChatChannel(rawValue?.channel);
+  const entry = {
     messageId,
     id: normalizeChatActorId(rawValue?.id ?? rawValue?.playerId ?? ""),
     name: sanitizeName(rawValue?.name ?? "PLAYER"),
     text,
+    zone: normalizeRoomZone(rawValue?.zone ?? "lobby", "lobby"),
+    channel,
     createdAt: Math.max(
       0,
       Math.trunc(Number(rawValue?.createdAt) || Number(fallbackCreatedAt) || Date.now())
     )
   };
+  if (channel === "whisper") {
+    entry.toName = sanitizeName(rawValue?.toName ?? "PLAYER");
+  }
+  const mentions = Array.isArray(rawValue?.mentions) ? rawValue.mentions : [];
+  if (mentions.length > 0) {
+    entry.mentions = mentions.slice(0, MAX_CHAT_MENTIONS).map((name) => sanitizeName(name));
+  }
+  // A short quote of the message this one replies to, so the thread survives that message's eviction.
+  const replyToId = normalizeChatMessageId(rawValue?.replyTo?.messageId ?? "");
+  if (replyToId) {
+    entry.replyTo = {
+      messageId: replyToId,
+      name: sanitizeName(rawValue.replyTo.name ?? "PLAYER"),
+      text: String(rawValue.replyTo.text ?? "").trim().slice(0, CHAT_REPLY_QUOTE_CHARS)
+    };
+  }
+  // Hashed playerKeys of who received a proximity or whisper line; history shows it only to them.
+  if (channel === "proximity" || channel === "whisper") {
+    const audience = Array.isArray(rawValue?.audience) ? rawValue.audience : [];
+    entry.audience = audience
+      .map((value) => String(value ?? "").trim())
+      .filter((value) => CHAT_AUDIENCE_ID_PATTERN.test(value))
+      .slice(0, MAX_CHAT_AUDIENCE);
+  }
+  return entry;
 }
 
 function getPromoOwnerKeyFromSurfaceId(rawSurfaceId, promoMap = null) {
@@ -801,6 +861,10 @@ function nextStateRevision(currentRevision = 0) {
 
 function normalizeSharedAudioDataUrl(rawValue) {
   const value = String(rawValue ?? "").trim();
+  const mediaUrl = parseMediaUrl(value);
+  if (mediaUrl) {
+    return mediaUrl;
+  }
   if (!value || value.length > MAX_SHARED_AUDIO_DATA_URL_CHARS) {
     return "";
   }
@@ -1004,6 +1068,10 @@ function normalizePromoUrl(rawValue) {
 
 function normalizePromoMediaDataUrl(rawValue) {
   const value = String(rawValue ?? "").trim();
+  const mediaUrl = parseMediaUrl(value);
+  if (mediaUrl) {
+    return mediaUrl;
+  }
   if (!value || value.length > MAX_PROMO_MEDIA_DATA_URL_CHARS) {
     return "";
   }
@@ -1117,6 +1185,10 @@ function normalizeRightBillboardVideoId(rawValue) {
 
 function normalizeLeftBillboardImageDataUrl(rawValue) {
   const value = String(rawValue ?? "").trim();
+  const mediaUrl = parseMediaUrl(value);
+  if (mediaUrl) {
+    return mediaUrl;
+  }
   if (!value || value.length > MAX_LEFT_BILLBOARD_IMAGE_CHARS) {
     return "";
   }
@@ -1128,6 +1200,10 @@ function normalizeLeftBillboardImageDataUrl(rawValue) {
 
 function normalizeMainPortalAdImageDataUrl(rawValue) {
   const value = String(rawValue ?? "").trim();
+  const mediaUrl = parseMediaUrl(value);
+  if (mediaUrl) {
+    return mediaUrl;
+  }
   if (!value || value.length > MAX_MAIN_PORTAL_AD_IMAGE_CHARS) {
     return "";
   }
@@ -1207,6 +1283,10 @@ function getPortalDisplayDefaults(portalKey) {
 
 function normalizeBillboardVideoDataUrl(rawValue) {
   const value = String(rawValue ?? "").trim();
+  const mediaUrl = parseMediaUrl(value);
+  if (mediaUrl) {
+    return mediaUrl;
+  }
   if (!value || value.length > MAX_BILLBOARD_VIDEO_DATA_URL_CHARS) {
     return "";
   }
@@ -1224,10 +1304,73 @@ function normalizeBillboardVideoTarget(rawValue) {
   return "";
 }
 
+export function normalizeRoomCode(rawValue) {
+  const value = String(rawValue ?? "")
+    .trim()
+    .toUpperCase();
+  if (!ROOM_CODE_PATTERN.test(value)) {
+    return "";
+  }
+  return value;
+}
+
+function normalizeRoomName(rawValue, fallback = "") {
+  const value = String(rawValue ?? "")
+    .replace(/[\u0000-\u001F\u007F]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_ROOM_NAME_CHARS);
+  return value || fallback;
+}
+
+function normalizeRoomPassword(rawValue) {
+  return String(rawValue ?? "").slice(0, MAX_ROOM_PASSWORD_CHARS);
+}
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt runs on the libuv pool so a password check does not stall the simulation tick.
+function hashRoomPassword(password, salt) {
+  return scryptAsync(String(password ?? ""), String(salt ?? ""), ROOM_PASSWORD_KEY_BYTES);
+}
+
+async function createRoomPasswordState(rawPassword) {
+  const password = normalizeRoomPassword(rawPassword);
+  if (!password) {
+    return { passwordSalt: "", passwordHash: "" };
+  }
+  const passwordSalt = randomBytes(16).toString("hex");
+  return {
+    passwordSalt,
+    passwordHash: (await hashRoomPassword(password, passwordSalt)).toString("hex")
+  };
+}
+
+async function verifyRoomPassword(room, rawPassword) {
+  const expectedHex = String(room?.passwordHash ?? "");
+  if (!expectedHex) {
+    return true;
+  }
+  const password = normalizeRoomPassword(rawPassword);
+  if (!password) {
+    return false;
+  }
+  const expected = Buffer.from(expectedHex, "hex");
+  const actual = await hashRoomPassword(password, room.passwordSalt);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
 function createPersistentRoom(code, defaultPortalTargetUrl, defaultAZonePortalTargetUrl) {
   return {
     code,
+    name: code,
+    capacity: 0,
+    passwordSalt: "",
+    passwordHash: "",
+    createdBy: "",
     hostId: null,
+    coHostIds: new Set(),
+    roleGrants: new Map(),
     portalTarget: defaultPortalTargetUrl,
     aZonePortalTarget: defaultAZonePortalTargetUrl,
     portalSchedule: createPortalScheduleState(),
@@ -1240,12 +1383,15 @@ function createPersistentRoom(code, defaultPortalTargetUrl, defaultAZonePortalTa
     surfacePolicies: createSurfacePoliciesState(),
     surfacePaint: new Map(),
     chatHistory: [],
+    chatIndex: null,
+    chatFlags: [],
     promoObjects: new Map(),
     objectEditor: createObjectEditorState(),
     objectPositions: {},
     platformRevision: 0,
     ropeRevision: 0,
     objectRevision: 0,
+    promoRevision: 0,
     platforms: [],
     ropes: [],
     players: new Map(),
@@ -1254,24 +1400,56 @@ function createPersistentRoom(code, defaultPortalTargetUrl, defaultAZonePortalTa
   };
 }
 
+function createCustomRoom(
+  code,
+  { name = "", passwordState = null, capacity = 0, createdBy = "" } = {},
+  defaultPortalTargetUrl,
+  defaultAZonePortalTargetUrl
+) {
+  const room = createPersistentRoom(code, defaultPortalTargetUrl, defaultAZonePortalTargetUrl);
+  room.name = normalizeRoomName(name, code);
+  room.capacity = Math.max(0, Math.trunc(Number(capacity) || 0));
+  room.createdBy = String(createdBy ?? "");
+  room.persistent = false;
+  Object.assign(room, { passwordSalt: "", passwordHash: "", ...passwordState });
+  return room;
+}
+
 export class RoomService {
   constructor({
     io,
     defaultRoomCode,
     maxRoomPlayers,
+    maxRooms = 24,
     defaultPortalTargetUrl,
     defaultAZonePortalTargetUrl = "",
     portalOpenSeconds = 24,
     portalFinalCountdownSeconds = 10,
     surfacePaintStorePath = "",
+    worldStore = null,
+    worldHistory = null,
     mapLayoutVersion = "default-layout-v1",
     surfacePaintSaveDebounceMs = 300,
+    sessionStore = null,
+    roleStore = null,
+    moderationStore = null,
+    profileStore = null,
+    hostSuccessionPolicy = "moderator",
     log = console
   }) {
     this.io = io;
     this.log = log ?? console;
+    this.sessionStore = sessionStore;
+    this.roleStore = roleStore;
+    // Without a persisted store, bans and mutes last until restart.
+    this.moderationStore = moderationStore ?? new ModerationStore({ log: this.log });
+    this.profileStore = profileStore ?? new ProfileStore({ log: this.log });
+    this.hostSuccessionPolicy = HOST_SUCCESSION_POLICIES.includes(hostSuccessionPolicy)
+      ? hostSuccessionPolicy
+      : "moderator";
     this.defaultRoomCode = defaultRoomCode;
     this.maxRoomPlayers = maxRoomPlayers;
+    this.maxRooms = Math.max(1, Math.trunc(Number(maxRooms) || 24));
     this.defaultPortalTargetUrl = normalizeRoomPortalTarget(defaultPortalTargetUrl, "");
     this.defaultAZonePortalTargetUrl = normalizeRoomPortalTarget(
       defaultAZonePortalTargetUrl,
@@ -1283,7 +1461,15 @@ export class RoomService {
       Math.min(30, Math.trunc(Number(portalFinalCountdownSeconds) || 10))
     );
     this.rooms = new Map();
-    this.surfacePaintStorePath = this.resolveSurfacePaintStorePath(surfacePaintStorePath);
+    this.worldStore =
+      worldStore ??
+      createWorldStore({
+        backend: WORLD_STORE_BACKEND_FILE,
+        filePath: surfacePaintStorePath,
+        log: this.log
+      });
+    this.worldHistory = worldHistory?.enabled ? worldHistory : null;
+    this.worldHistoryReason = "";
     this.mapLayoutVersion = normalizeMapLayoutVersion(mapLayoutVersion);
     this.surfacePaintSaveDebounceMs = Math.max(
       50,
@@ -1294,10 +1480,23 @@ export class RoomService {
     this.surfacePaintSaveQueued = false;
     this.surfacePaintForceNextFlush = false;
     this.surfacePaintSaveInFlightPromise = null;
+    // The first write after startup is a full one, so the store matches what was restored.
+    this.surfacePaintDirty = createWorldStoreDirtySet({ all: true });
     this.surfacePaintLastPersistError = "";
     this.surfacePaintLastPersistAt = 0;
     this.getDefaultRoom();
     this.loadSurfacePaintFromDisk();
+    this.restoreHostReservations();
+  }
+
+  // Hosts who were connected at shutdown keep their seat until their session expires.
+  restoreHostReservations() {
+    const room = this.getDefaultRoom();
+    for (const session of this.sessionStore?.listHostSessions?.() ?? []) {
+      if (session.roomCode === room.code) {
+        room.hostReservation = { key: session.key, until: session.expiresAt };
+      }
+    }
   }
 
   getDefaultRoom() {
@@ -1308,40 +1507,15 @@ export class RoomService {
         this.defaultPortalTargetUrl,
         this.defaultAZonePortalTargetUrl
       );
+      room.roleGrants = this.roleStore?.grants ?? room.roleGrants;
       this.rooms.set(this.defaultRoomCode, room);
     }
     return room;
   }
 
-  resolveSurfacePaintStorePath(rawPath) {
-    const value = String(rawPath ?? "").trim();
-    if (!value) {
-      return "";
-    }
-    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
-  }
-
   loadSurfacePaintFromDisk() {
-    if (!this.surfacePaintStorePath) {
-      return;
-    }
-
-    let parsed = null;
-    try {
-      const raw = readFileSync(this.surfacePaintStorePath, "utf8");
-      const trimmed = String(raw ?? "").trim();
-      if (!trimmed) {
-        return;
-      }
-      parsed = JSON.parse(trimmed);
-    } catch (error) {
-      if (error?.code !== "ENOENT") {
-        this.log?.warn?.(
-          `[paint] Failed to read surface store (${this.surfacePaintStorePath}): ${
-            error?.message ?? error
-          }`
-        );
-      }
+    const parsed = this.worldStore?.load?.() ?? null;
+    if (!parsed || typeof parsed !== "object") {
       return;
     }
 
@@ -1462,15 +1636,18 @@ export class RoomService {
     }
     if (restored.size > 0) {
       this.log?.log?.(
-        `[paint] Restored ${restored.size} painted surfaces from ${this.surfacePaintStorePath}`
+        `[paint] Restored ${restored.size} painted surfaces from ${this.worldStore.location}`
       );
     }
   }
 
-  scheduleSurfacePaintSave() {
-    if (!this.surfacePaintStorePath) {
+  // `collections` names the world store collections that changed (see worldStore.js);
+  // omitting it marks everything dirty.
+  scheduleSurfacePaintSave(collections = null, { surfaceId = "" } = {}) {
+    if (!this.worldStore) {
       return;
     }
+    markWorldStoreDirty(this.surfacePaintDirty, collections, surfaceId);
     this.surfacePaintSaveQueued = true;
     if (this.surfacePaintSaveTimer || this.surfacePaintSaveInFlight) {
       return;
@@ -1483,7 +1660,7 @@ export class RoomService {
   }
 
   async flushSurfacePaintToDiskNow() {
-    if (!this.surfacePaintStorePath) {
+    if (!this.worldStore) {
       throw new Error("persistent storage path missing");
     }
     this.surfacePaintSaveQueued = true;
@@ -1518,7 +1695,7 @@ export class RoomService {
   }
 
   async flushSurfacePaintToDisk() {
-    if (!this.surfacePaintStorePath || this.surfacePaintSaveInFlight || !this.surfacePaintSaveQueued) {
+    if (!this.worldStore || this.surfacePaintSaveInFlight || !this.surfacePaintSaveQueued) {
       return { ok: false, error: "surface store unavailable" };
     }
 
@@ -1526,54 +1703,31 @@ export class RoomService {
     this.surfacePaintSaveQueued = false;
     const forceNextFlush = this.surfacePaintForceNextFlush;
     this.surfacePaintForceNextFlush = false;
+    const dirty = this.surfacePaintDirty;
+    this.surfacePaintDirty = createWorldStoreDirtySet();
+    const historyReason = this.worldHistoryReason || (dirty.all ? "startup" : "edit");
+    this.worldHistoryReason = "";
     const room = this.getDefaultRoom();
-    const serializedSurfacePaint = this.serializeSurfacePaint(room);
-    const payload = {
-      version: SURFACE_PAINT_STORE_VERSION,
-      savedAt: Date.now(),
-      defaultRoomCode: this.defaultRoomCode,
-      layoutVersion: this.mapLayoutVersion,
-      portalTarget: String(room.portalTarget ?? "").trim(),
-      aZonePortalTarget: String(room.aZonePortalTarget ?? "").trim(),
-      surfacePaintCore: {
-        payloadVersion: SURFACE_PAINT_CORE_PAYLOAD_VERSION,
-        surfaces: serializedSurfacePaint
-      },
-      chatHistory: this.serializeChatHistory(room),
-      portalDisplays: this.serializePortalDisplays(room),
-      mainPortalAd: this.serializeMainPortalAd(room),
-      leftBillboard: this.serializeLeftBillboard(room),
-      rightBillboard: this.serializeRightBillboard(room),
-      platforms: this.serializePlatforms(room),
-      platformRevision: this.getPlatformRevision(room),
-      ropes: this.serializeRopes(room),
-      ropeRevision: this.getRopeRevision(room),
-      promoObjects: this.serializePromoObjects(room),
-      surfacePolicies: this.serializeSurfacePolicies(room),
-      hostCustomBlocks: serializePersistedHostCustomBlockList(this.serializeObjectPositions(room)),
-      objectRevision: this.getObjectRevision(room),
-      objectEditor: this.serializeObjectEditor(room)
-    };
-    const tmpPath = `${this.surfacePaintStorePath}.tmp`;
+    const payload = this.buildWorldStoreDocument(room, this.worldStore.incremental ? dirty : null);
     let persistError = "";
 
     const writePromise = (async () => {
       try {
-        await mkdir(dirname(this.surfacePaintStorePath), { recursive: true });
-        await writeFile(tmpPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
-        await rename(tmpPath, this.surfacePaintStorePath);
+        await this.worldStore.write(payload, dirty);
+        // History follows the store: only state that actually reached disk gets a revision.
+        void this.worldHistory?.record(payload, dirty, {
+          reason: historyReason,
+          buildFullDocument: () => this.buildWorldStoreDocument(room)
+        });
       } catch (error) {
         persistError = String(error?.message ?? error ?? "persist failed").trim();
+        // Keep the failed collections dirty so the next flush retries them.
+        mergeWorldStoreDirty(this.surfacePaintDirty, dirty);
         this.log?.warn?.(
-          `[paint] Failed to persist surface store (${this.surfacePaintStorePath}): ${
+          `[paint] Failed to persist surface store (${this.worldStore.location}): ${
             error?.message ?? error
           }`
         );
-        try {
-          await unlink(tmpPath);
-        } catch {
-          // ignore cleanup failures
-        }
       }
     })();
     this.surfacePaintSaveInFlightPromise = writePromise;
@@ -1587,7 +1741,8 @@ export class RoomService {
         if (this.surfacePaintForceNextFlush || forceNextFlush) {
           void this.flushSurfacePaintToDisk();
         } else {
-          this.scheduleSurfacePaintSave();
+          // Changes queued during the write are already in the dirty set.
+          this.scheduleSurfacePaintSave([]);
         }
       } else {
         this.surfacePaintForceNextFlush = false;
@@ -1602,6 +1757,85 @@ export class RoomService {
     return { ok: true };
   }
 
+  serializeWorldStoreCollection(room, collection) {
+    switch (collection) {
+      case "portals":
+        return {
+          portalTarget: String(room.portalTarget ?? "").trim(),
+          aZonePortalTarget: String(room.aZonePortalTarget ?? "").trim()
+        };
+      case "chatHistory":
+        return { chatHistory: this.serializeChatHistory(room) };
+      case "portalDisplays":
+        return { portalDisplays: this.serializePortalDisplays(room) };
+      case "mainPortalAd":
+        return { mainPortalAd: this.serializeMainPortalAd(room) };
+      case "leftBillboard":
+        return { leftBillboard: this.serializeLeftBillboard(room) };
+      case "rightBillboard":
+        return { rightBillboard: this.serializeRightBillboard(room) };
+      case "platforms":
+        return {
+          platforms: this.serializePlatforms(room),
+          platformRevision: this.getPlatformRevision(room)
+        };
+      case "ropes":
+        return { ropes: this.serializeRopes(room), ropeRevision: this.getRopeRevision(room) };
+      case "promoObjects":
+        return { promoObjects: this.serializePromoObjects(room) };
+      case "surfacePolicies":
+        return { surfacePolicies: this.serializeSurfacePolicies(room) };
+      case "hostCustomBlocks":
+        return {
+          hostCustomBlocks: serializePersistedHostCustomBlockList(this.serializeObjectPositions(room)),
+          objectRevision: this.getObjectRevision(room)
+        };
+      case "objectEditor":
+        return { objectEditor: this.serializeObjectEditor(room) };
+      case "surfaces":
+        return {
+          surfacePaintCore: {
+            payloadVersion: SURFACE_PAINT_CORE_PAYLOAD_VERSION,
+            surfaces: this.serializeSurfacePaint(room)
+          }
+        };
+      default:
+        return {};
+    }
+  }
+
+  // Without `dirty` (or with `dirty.all`) this is the full store document; otherwise only the
+  // dirty collections and surfaces are serialized for an incremental write.
+  buildWorldStoreDocument(room, dirty = null) {
+    const document = {
+      version: SURFACE_PAINT_STORE_VERSION,
+      savedAt: Date.now(),
+      defaultRoomCode: this.defaultRoomCode,
+      layoutVersion: this.mapLayoutVersion
+    };
+    const fullDocument = !dirty || dirty.all;
+    for (const collection of Object.keys(WORLD_STORE_COLLECTIONS)) {
+      if (fullDocument || dirty.collections.has(collection)) {
+        Object.assign(document, this.serializeWorldStoreCollection(room, collection));
+      }
+    }
+    if (!fullDocument && !dirty.collections.has("surfaces") && dirty.surfaceIds.size > 0) {
+      const surfaces = [];
+      for (const surfaceId of dirty.surfaceIds) {
+        const paintEntry = normalizeSurfacePaintEntry(room.surfacePaint?.get?.(surfaceId));
+        if (paintEntry) {
+          surfaces.push({
+            surfaceId,
+            imageDataUrl: paintEntry.imageDataUrl,
+            updatedAt: paintEntry.updatedAt
+          });
+        }
+      }
+      document.surfacePaintCore = { payloadVersion: SURFACE_PAINT_CORE_PAYLOAD_VERSION, surfaces };
+    }
+    return document;
+  }
+
   getRoomByCode(code) {
     return this.rooms.get(code);
   }
@@ -1611,11 +1845,42 @@ export class RoomService {
     return roomCode ? this.rooms.get(roomCode) : null;
   }
 
+  getRoomCapacity(room) {
+    const capacity = Math.trunc(Number(room?.capacity) || 0);
+    if (capacity <= 0) {
+      return this.maxRoomPlayers;
+    }
+    return Math.max(MIN_CUSTOM_ROOM_CAPACITY, Math.min(this.maxRoomPlayers, capacity));
+  }
+
+  isRoomLocked(room) {
+    return Boolean(room?.passwordHash);
+  }
+
   getHealthSnapshot() {
     const globalRoom = this.getDefaultRoom();
-    this.pruneRoomPlayers(globalRoom);
+    let totalPlayers = 0;
+    const zonePlayers = {};
+    const roomPlayers = {};
+    for (const zone of ROOM_ZONE_IDS) {
+      zonePlayers[zone] = 0;
+    }
+    for (const room of this.rooms.values()) {
+      this.pruneRoomPlayers(room);
+      totalPlayers += room.players.size;
+      roomPlayers[room.code] = room.players.size;
+      const counts = this.countZonePlayers(room);
+      for (const zone of ROOM_ZONE_IDS) {
+        zonePlayers[zone] += counts[zone];
+      }
+    }
     return {
       rooms: this.rooms.size,
+      maxRooms: this.maxRooms,
+      totalPlayers,
+      zonePlayers,
+      roomPlayers,
+      resumableSessions: this.sessionStore?.sessions?.size ?? 0,
       globalPlayers: globalRoom.players.size,
       globalCapacity: this.maxRoomPlayers
     };
@@ -1625,7 +1890,7 @@ export class RoomService {
     const room = this.getDefaultRoom();
     const hostCustomBlocks = this.serializeObjectPositions(room);
     const surfacePaint = this.serializeSurfacePaint(room);
-    const storePath = this.surfacePaintStorePath || null;
+    const storePath = this.worldStore?.location || null;
     const available = Boolean(storePath);
     const lastPersistAt = Math.max(0, Math.trunc(Number(this.surfacePaintLastPersistAt) || 0));
     const lastPersistError = String(this.surfacePaintLastPersistError ?? "").trim();
@@ -1659,6 +1924,7 @@ export class RoomService {
     };
     return {
       storePath,
+      storeBackend: this.worldStore?.kind ?? null,
       available,
       queued: Boolean(this.surfacePaintSaveQueued),
       inFlight: Boolean(this.surfacePaintSaveInFlight),
@@ -1667,16 +1933,211 @@ export class RoomService {
       coreMemorySchemaVersion: CORE_MEMORY_SCHEMA_VERSION,
       coreMemory: grayBlockCoreMemory,
       grayBlockCoreMemory,
-      surfacePaintCoreMemory
+      surfacePaintCoreMemory,
+      history: this.worldHistory?.getStats?.() ?? { available: false }
     };
   }
 
-  serializeRoom(room) {
+  listWorldHistory(options = {}) {
+    if (!this.worldHistory) {
+      return { ok: false, error: "world history unavailable" };
+    }
+    return { ok: true, ...this.worldHistory.list(options) };
+  }
+
+  // Puts the given collections of the persistent room back to how they were at `target`
+  // ({ rev } or { at }) and broadcasts them. Revision counters move forward so clients accept
+  // the restored state; the rollback itself becomes a new history revision.
+  async rollbackWorldHistory(target, collections = WORLD_HISTORY_COLLECTIONS, { actorName = "" } = {}) {
+    if (!this.worldHistory) {
+      return { ok: false, error: "world history unavailable" };
+    }
+    const result = await this.worldHistory.buildDocumentAt(target);
+    if (!result.ok) {
+      return result;
+    }
+    const room = this.getDefaultRoom();
+    const document = result.document;
+    for (const collection of collections) {
+      this.restoreWorldHistoryCollection(room, collection, document);
+    }
+    this.worldHistoryReason = `rollback to #${result.rev}${actorName ? ` by ${actorName}` : ""}`;
+    this.scheduleSurfacePaintSave(collections.slice());
+    return { ok: true, rev: result.rev, at: result.at, collections: collections.slice() };
+  }
+
+  // Replaces the persistent room's collections with those present in an exported store
+  // document (see buildWorldStoreDocument); collections missing from it are left alone.
+  importWorldDocument(
+    document,
+    collections = WORLD_HISTORY_COLLECTIONS,
+    { actorName = "", room = this.getDefaultRoom() } = {}
+  ) {
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+      return { ok: false, error: "invalid world document" };
+    }
+    const imported = collections.filter((collection) =>
+      (WORLD_STORE_COLLECTIONS[collection] ?? []).some((field) =>
+        Object.prototype.hasOwnProperty.call(document, field)
+      )
+    );
+    if (imported.length === 0) {
+      return { ok: false, error: "no known collections in document" };
+    }
+    for (const collection of imported) {
+      this.restoreWorldHistoryCollection(room, collection, document);
+    }
+    // Custom rooms are not persisted; their import only lives as long as the room.
+    if (room.persistent) {
+      this.worldHistoryReason = `import${actorName ? ` by ${actorName}` : ""}`;
+      this.scheduleSurfacePaintSave(imported.slice());
+    }
+    return { ok: true, room: room.code, collections: imported };
+  }
+
+  restoreWorldHistoryCollection(room, collection, document) {
+    switch (collection) {
+      case "portals":
+        room.portalTarget = normalizeRoomPortalTarget(document.portalTarget, this.defaultPortalTargetUrl);
+        room.aZonePortalTarget = normalizeRoomPortalTarget(
+          document.aZonePortalTarget,
+          this.defaultAZonePortalTargetUrl
+        );
+        this.emitPortalTargetUpdate(room);
+        this.emitAZonePortalTargetUpdate(room);
+        return;
+      case "portalDisplays":
+        room.portalDisplays = createPortalDisplaysState(document.portalDisplays);
+        this.emitPortalDisplayUpdate(room);
+        return;
+      case "mainPortalAd":
+        room.mainPortalAd = this.serializeMainPortalAd({ mainPortalAd: document.mainPortalAd });
+        this.emitMainPortalAdUpdate(room);
+        return;
+      case "leftBillboard":
+        room.leftBillboard = this.serializeLeftBillboard({ leftBillboard: document.leftBillboard });
+        this.emitLeftBillboardUpdate(room);
+        return;
+      case "rightBillboard":
+        room.rightBillboard = this.serializeRightBillboard({ rightBillboard: document.rightBillboard });
+        this.emitRightBillboardUpdate(room);
+        return;
+      case "platforms":
+        this.setPlatforms(room, Array.isArray(document.platforms) ? document.platforms : [], {
+          persist: false
+        });
+        this.emitPlatformUpdate(room);
+        return;
+      case "ropes":
+        this.setRopes(room, Array.isArray(document.ropes) ? document.ropes : [], { persist: false });
+        this.emitRopeUpdate(room);
+        return;
+      case "promoObjects":
+        this.setPromoObjects(room, Array.isArray(document.promoObjects) ? document.promoObjects : [], {
+          persist: false
+        });
+        this.emitPromoObjectsUpdate(room);
+        return;
+      case "hostCustomBlocks":
+        this.setObjectPositions(
+          room,
+          Object.prototype.hasOwnProperty.call(document, "hostCustomBlocks")
+            ? normalizePersistedHostCustomBlockList(document.hostCustomBlocks)
+            : normalizePersistedHostCustomBlockPositions(document.objectPositions),
+          { persist: false }
+        );
+        this.emitObjectPositionUpdate(room);
+        return;
+      case "surfacePolicies":
+        room.surfacePolicies = createSurfacePoliciesState(document.surfacePolicies);
+        this.emitRoomUpdate(room);
+        return;
+      case "objectEditor":
+        room.objectEditor = normalizeObjectEditorState(document.objectEditor, room.objectEditor);
+        this.emitRoomUpdate(room);
+        return;
+      case "surfaces": {
+        const restored = new Map();
+        const surfaces = Array.isArray(document.surfacePaintCore?.surfaces)
+          ? document.surfacePaintCore.surfaces
+          : [];
+        for (const entry of surfaces) {
+          const surfaceId = normalizeSurfaceId(entry?.surfaceId);
+          const paintEntry = normalizeSurfacePaintEntry(entry);
+          if (surfaceId && paintEntry) {
+            restored.set(surfaceId, paintEntry);
+          }
+        }
+        room.surfacePaint = restored;
+        this.io.to(room.code).emit("paint:state", { surfaces: this.serializeSurfacePaint(room) });
+        return;
+      }
+    }
+  }
+
+  getPlayerZone(room, socketId) {
+    const player = room?.players?.get?.(socketId);
+    return player ? normalizeRoomZone(player.zone ?? "lobby", "lobby") : "";
+  }
+
+  countZonePlayers(room) {
+    const counts = {};
+    for (const zone of ROOM_ZONE_IDS) {
+      counts[zone] = 0;
+    }
+    for (const player of room?.players?.values?.() ?? []) {
+      counts[normalizeRoomZone(player?.zone ?? "lobby", "lobby")] += 1;
+    }
+    return counts;
+  }
+
+  getZoneSocketIds(room, zone) {
+    const socketIds = [];
+    for (const player of room?.players?.values?.() ?? []) {
+      if (normalizeRoomZone(player?.zone ?? "lobby", "lobby") === zone) {
+        socketIds.push(player.id);
+      }
+    }
+    return socketIds;
+  }
+
+  // Empty target lists must not reach io.to(), which would broadcast to every socket.
+  emitToZone(room, zone, eventName, payload) {
+    const socketIds = this.getZoneSocketIds(room, zone);
+    if (socketIds.length === 0) {
+      return 0;
+    }
+    this.io.to(socketIds).emit(eventName, payload);
+    return socketIds.length;
+  }
+
+  // Players are scoped to the viewer's zone; pass "" for the whole room.
+  serializeRoom(room, zone = "") {
     this.pruneRoomPlayers(room);
     this.tickPortalSchedule(room);
+    const viewerZone = normalizeRoomZone(zone, "");
+    const players = [];
+    for (const player of room.players.values()) {
+      const playerZone = normalizeRoomZone(player?.zone ?? "lobby", "lobby");
+      if (viewerZone && playerZone !== viewerZone) {
+        continue;
+      }
+      players.push({
+        id: player.id,
+        name: player.name,
+        state: player.state ?? null,
+        zone: playerZone,
+        role: this.getPlayerRole(room, player.id)
+      });
+    }
     return {
       code: room.code,
+      name: normalizeRoomName(room.name, room.code),
+      capacity: this.getRoomCapacity(room),
+      locked: this.isRoomLocked(room),
+      persistent: Boolean(room.persistent),
       hostId: room.hostId,
+      coHostIds: [...room.coHostIds],
       portalTarget: String(room.portalTarget ?? "").trim(),
       aZonePortalTarget: String(room.aZonePortalTarget ?? "").trim(),
       portalSchedule: this.serializePortalSchedule(room),
@@ -1687,26 +2148,52 @@ export class RoomService {
       objectEditor: this.serializeObjectEditor(room),
       promoObjects: this.serializePromoObjects(room),
       surfacePolicies: this.serializeSurfacePolicies(room),
-      players: Array.from(room.players.values()).map((player) => ({
-        id: player.id,
-        name: player.name,
-        state: player.state ?? null,
-        zone: normalizeRoomZone(player?.zone ?? "lobby", "lobby")
-      }))
+      zone: viewerZone || null,
+      playerCount: room.players.size,
+      zoneCounts: this.countZonePlayers(room),
+      players
     };
   }
 
+  // mediaIds any room still shows or plays, or a retained history revision could restore; the
+  // media store deletes the other blobs.
+  collectMediaIds() {
+    const ids = this.worldHistory?.collectMediaIds?.() ?? new Set();
+    for (const room of this.rooms.values()) {
+      // Raw state, so media kept while another mode is showing still counts.
+      const text = JSON.stringify([
+        room.portalDisplays,
+        room.mainPortalAd,
+        room.leftBillboard,
+        room.rightBillboard,
+        room.sharedMusic,
+        [...(this.getPromoObjectsMap(room)?.values() ?? [])]
+      ]);
+      collectMediaReferences(text, ids);
+    }
+    return ids;
+  }
+
   summarizeRooms() {
-    const room = this.getDefaultRoom();
-    this.pruneRoomPlayers(room);
-    return [
-      {
+    const defaultRoom = this.getDefaultRoom();
+    const rooms = [defaultRoom];
+    for (const room of this.rooms.values()) {
+      if (room !== defaultRoom) {
+        rooms.push(room);
+      }
+    }
+    return rooms.map((room) => {
+      this.pruneRoomPlayers(room);
+      return {
         code: room.code,
+        name: normalizeRoomName(room.name, room.code),
         count: room.players.size,
-        capacity: this.maxRoomPlayers,
-        hostName: room.players.get(room.hostId)?.name ?? "AUTO"
-      }
-    ];
+        capacity: this.getRoomCapacity(room),
+        hostName: room.players.get(room.hostId)?.name ?? "AUTO",
+        locked: this.isRoomLocked(room),
+        persistent: Boolean(room.persistent)
+      };
+    });
   }
 
   emitRoomList(target = this.io) {
@@ -1714,28 +2201,94 @@ export class RoomService {
   }
 
   emitRoomUpdate(room) {
-    this.io.to(room.code).emit("room:update", this.serializeRoom(room));
+    this.pruneRoomPlayers(room);
+    for (const zone of ROOM_ZONE_IDS) {
+      if (this.getZoneSocketIds(room, zone).length > 0) {
+        this.emitToZone(room, zone, "room:update", this.serializeRoom(room, zone));
+      }
+    }
+  }
+
+  // `room.chatHistory` is the index's own array; replacing it (restore from disk) rebuilds the index.
+  getChatIndex(room) {
+    if (!room.chatIndex || room.chatIndex.entries !== room.chatHistory) {
+      const source = Array.isArray(room.chatHistory) ? room.chatHistory : [];
+      room.chatIndex = new ChatHistoryIndex(
+        source.map((entry) => normalizeChatHistoryEntry(entry)).filter(Boolean),
+        { maxEntries: MAX_CHAT_MESSAGES }
+      );
+      room.chatHistory = room.chatIndex.entries;
+    }
+    return room.chatIndex;
   }
 
   serializeChatHistory(room) {
     if (!room || typeof room !== "object") {
       return [];
     }
-    const source = Array.isArray(room.chatHistory) ? room.chatHistory : [];
-    const sanitized = [];
-    for (const entry of source) {
-      const normalized = normalizeChatHistoryEntry(entry);
-      if (!normalized) {
+    return this.getChatIndex(room).entries;
+  }
+
+  findChatEntry(room, messageId) {
+    return room && messageId ? this.getChatIndex(room).byMessageId.get(messageId) ?? null : null;
+  }
+
+  // Cursor page or search over the history the requester may see (`zone`, `audienceId`).
+  queryChatHistory(room, { zone = "lobby", audienceId = "", ...options } = {}) {
+    if (!room || typeof room !== "object") {
+      return { ok: false, error: "room not found" };
+    }
+    const result = this.getChatIndex(room).query({
+      ...options,
+      visible: (entry) => this.canSeeChatEntry(entry, zone, audienceId)
+    });
+    if (!result.ok) {
+      return result;
+    }
+    return { ...result, messages: result.messages.map(({ audience, ...entry }) => entry) };
+  }
+
+  // Audience handle for proximity and whisper history; "" when the socket has no playerKey.
+  getChatAudienceId(socketId) {
+    const key = this.getSocketPlayerKey(socketId);
+    return key ? getRoleGrantId(key) : "";
+  }
+
+  // Zone chat is seen from its zone and announcements room-wide; proximity and whisper lines
+  // only by the players they reached.
+  canSeeChatEntry(entry, zone, audienceId) {
+    if (entry.channel === "announce") {
+      return true;
+    }
+    if (entry.channel === "proximity" || entry.channel === "whisper") {
+      return Boolean(audienceId) && entry.audience.includes(audienceId);
+    }
+    return entry.zone === zone;
+  }
+
+  // The sender plus players in the same zone within `radius` (horizontal distance).
+  getNearbySocketIds(room, socketId, radius) {
+    const sender = room?.players?.get(socketId);
+    if (!sender) {
+      return [];
+    }
+    const zone = normalizeRoomZone(sender.zone ?? "lobby", "lobby");
+    const origin = sender.state;
+    const socketIds = [socketId];
+    if (!Number.isFinite(Number(origin?.x)) || !Number.isFinite(Number(origin?.z))) {
+      return socketIds;
+    }
+    for (const player of room.players.values()) {
+      if (player.id === socketId || normalizeRoomZone(player?.zone ?? "lobby", "lobby") !== zone) {
         continue;
       }
-      sanitized.push(normalized);
-    }
-    sanitized.sort((a, b) => a.createdAt - b.createdAt);
-    if (sanitized.length > MAX_CHAT_MESSAGES) {
-      sanitized.splice(0, sanitized.length - MAX_CHAT_MESSAGES);
+      const dx = Number(player.state?.x) - Number(origin.x);
+      const dz = Number(player.state?.z) - Number(origin.z);
+      if (Math.hypot(dx, dz) <= radius) {
+        socketIds.push(player.id);
+      }
     }
-    room.chatHistory = sanitized;
-    return sanitized;
+    return socketIds;
   }
 
   appendChatHistory(room, rawEntry, { persist = true } = {}) {
@@ -1747,25 +2300,65 @@ export class RoomService {
       return { ok: false, error: "invalid chat message" };
     }
 
-    const history = this.serializeChatHistory(room);
-    const duplicate = history.some((entry) => entry.messageId === nextEntry.messageId);
-    if (duplicate) {
+    if (!this.getChatIndex(room).add(nextEntry)) {
       return { ok: true, changed: false, message: nextEntry };
     }
 
-    history.push(nextEntry);
-    history.sort((a, b) => a.createdAt - b.createdAt);
-    if (history.length > MAX_CHAT_MESSAGES) {
-      history.splice(0, history.length - MAX_CHAT_MESSAGES);
-    }
-    room.chatHistory = history;
-
     if (persist) {
-      this.scheduleSurfacePaintSave();
+      this.scheduleSurfacePaintSave("chatHistory");
     }
     return { ok: true, changed: true, message: nextEntry };
   }
 
+  // Messages the chat filter flagged, oldest first, until a moderator resolves them. Memory only.
+  addChatFlag(room, { message, originalText = "", reasons = [], matches = [] } = {}) {
+    if (!room || !message) {
+      return null;
+    }
+    const flag = {
+      id: randomBytes(6).toString("hex"),
+      messageId: String(message.messageId ?? ""),
+      playerId: String(message.id ?? ""),
+      name: sanitizeName(message.name),
+      grantId: this.getChatAudienceId(message.id),
+      zone: String(message.zone ?? ""),
+      channel: normalizeChatChannel(message.channel),
+      text: String(message.text ?? "").slice(0, MAX_CHAT_TEXT_CHARS),
+      originalText: String(originalText ?? "").slice(0, MAX_CHAT_TEXT_CHARS),
+      reasons: reasons.slice(0, 8),
+      matches: matches.slice(0, 8),
+      createdAt: Math.trunc(Number(message.createdAt) || Date.now())
+    };
+    room.chatFlags.push(flag);
+    if (room.chatFlags.length > MAX_CHAT_FLAGS) {
+      room.chatFlags.splice(0, room.chatFlags.length - MAX_CHAT_FLAGS);
+    }
+    return flag;
+  }
+
+  listChatFlags(room) {
+    return room?.chatFlags?.map((flag) => ({ ...flag })) ?? [];
+  }
+
+  // No ids resolves the whole queue.
+  resolveChatFlags(room, rawIds = []) {
+    if (!room) {
+      return [];
+    }
+    const ids = new Set((Array.isArray(rawIds) ? rawIds : []).map((id) => String(id ?? "").trim()));
+    const resolved = room.chatFlags.filter((flag) => ids.size === 0 || ids.has(flag.id));
+    room.chatFlags = room.chatFlags.filter((flag) => !resolved.includes(flag));
+    return resolved;
+  }
+
+  emitToCapability(room, capability, eventName, payload) {
+    for (const socketId of room?.players?.keys() ?? []) {
+      if (this.can(room, socketId, capability)) {
+        this.io.to(socketId).emit(eventName, payload);
+      }
+    }
+  }
+
   emitPortalTargetUpdate(room) {
     this.io.to(room.code).emit("portal:target:update", {
       targetUrl: String(room?.portalTarget ?? "").trim()
@@ -1852,7 +2445,7 @@ export class RoomService {
       allowOthersDraw,
       updatedAt
     };
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("surfacePolicies");
     return {
       ok: true,
       changed: true,
@@ -1897,7 +2490,7 @@ export class RoomService {
       ropesTrimmed = true;
     }
     if (persist) {
-      this.scheduleSurfacePaintSave();
+      this.scheduleSurfacePaintSave(["objectEditor", "platforms", "ropes"]);
     }
     return {
       ok: true,
@@ -1995,8 +2588,9 @@ export class RoomService {
         break;
       }
     }
+    room.promoRevision = nextStateRevision(room.promoRevision);
     if (persist) {
-      this.scheduleSurfacePaintSave();
+      this.scheduleSurfacePaintSave("promoObjects");
     }
     return { ok: true };
   }
@@ -2080,7 +2674,8 @@ export class RoomService {
       normalized.ownerName = normalizePromoName(actorName);
     }
     map.set(targetOwnerKey, normalized);
-    this.scheduleSurfacePaintSave();
+    room.promoRevision = nextStateRevision(room.promoRevision);
+    this.scheduleSurfacePaintSave("promoObjects");
     return {
       ok: true,
       changed: true,
@@ -2088,7 +2683,7 @@ export class RoomService {
     };
   }
 
-  removePromoObject(room, actorOwnerKey, rawTargetOwnerKey = "") {
+  removePromoObject(room, actorOwnerKey, rawTargetOwnerKey = "", canModerate = false) {
     if (!room) {
       return { ok: false, error: "room not found" };
     }
@@ -2102,11 +2697,12 @@ export class RoomService {
     if (!previous) {
       return { ok: true, changed: false };
     }
-    if (targetOwnerKey !== actorKey) {
+    if (targetOwnerKey !== actorKey && !canModerate) {
       return { ok: false, error: "owner denied edits" };
     }
     map.delete(targetOwnerKey);
-    this.scheduleSurfacePaintSave();
+    room.promoRevision = nextStateRevision(room.promoRevision);
+    this.scheduleSurfacePaintSave("promoObjects");
     return { ok: true, changed: true };
   }
 
@@ -2164,7 +2760,7 @@ export class RoomService {
       room.objectRevision = nextStateRevision(room.objectRevision);
     }
     if (persist) {
-      this.scheduleSurfacePaintSave();
+      this.scheduleSurfacePaintSave("hostCustomBlocks");
     }
     return { ok: true };
   }
@@ -2197,7 +2793,7 @@ export class RoomService {
       room.platformRevision = nextStateRevision(room.platformRevision);
     }
     if (persist) {
-      this.scheduleSurfacePaintSave();
+      this.scheduleSurfacePaintSave("platforms");
     }
     return { ok: true };
   }
@@ -2232,7 +2828,7 @@ export class RoomService {
       room.ropeRevision = nextStateRevision(room.ropeRevision);
     }
     if (persist) {
-      this.scheduleSurfacePaintSave();
+      this.scheduleSurfacePaintSave("ropes");
     }
     return { ok: true };
   }
@@ -2336,7 +2932,7 @@ export class RoomService {
 
     room.portalDisplays = createPortalDisplaysState(room.portalDisplays);
     room.portalDisplays[portalKey] = next;
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("portalDisplays");
     return {
       ok: true,
       changed: true,
@@ -2376,7 +2972,7 @@ export class RoomService {
 
     room.portalDisplays = createPortalDisplaysState(room.portalDisplays);
     room.portalDisplays[portalKey] = next;
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("portalDisplays");
     return {
       ok: true,
       changed: true,
@@ -2427,7 +3023,7 @@ export class RoomService {
     room.mainPortalAd.mode = "image";
     room.mainPortalAd.imageDataUrl = imageDataUrl;
     room.mainPortalAd.updatedAt = Date.now();
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("mainPortalAd");
 
     return {
       ok: true,
@@ -2456,7 +3052,7 @@ export class RoomService {
     room.mainPortalAd.mode = "ad";
     room.mainPortalAd.imageDataUrl = "";
     room.mainPortalAd.updatedAt = Date.now();
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("mainPortalAd");
 
     return {
       ok: true,
@@ -2515,7 +3111,7 @@ export class RoomService {
     room.leftBillboard.imageDataUrl = imageDataUrl;
     room.leftBillboard.videoDataUrl = "";
     room.leftBillboard.updatedAt = Date.now();
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("leftBillboard");
 
     return {
       ok: true,
@@ -2545,7 +3141,7 @@ export class RoomService {
     room.leftBillboard.imageDataUrl = "";
     room.leftBillboard.videoDataUrl = "";
     room.leftBillboard.updatedAt = Date.now();
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("leftBillboard");
 
     return {
       ok: true,
@@ -2604,7 +3200,7 @@ export class RoomService {
     room.rightBillboard.videoId = videoId;
     room.rightBillboard.videoDataUrl = "";
     room.rightBillboard.updatedAt = Date.now();
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("rightBillboard");
 
     return {
       ok: true,
@@ -2634,7 +3230,7 @@ export class RoomService {
     room.rightBillboard.videoId = "";
     room.rightBillboard.videoDataUrl = "";
     room.rightBillboard.updatedAt = Date.now();
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("rightBillboard");
 
     return {
       ok: true,
@@ -2693,7 +3289,7 @@ export class RoomService {
       previousRight.videoDataUrl !== rightState.videoDataUrl;
 
     if (changed) {
-      this.scheduleSurfacePaintSave();
+      this.scheduleSurfacePaintSave(["leftBillboard", "rightBillboard"]);
     }
 
     return {
@@ -2877,7 +3473,7 @@ export class RoomService {
       imageDataUrl,
       updatedAt
     });
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("surfaces", { surfaceId });
     return {
       ok: true,
       changed: true,
@@ -2888,10 +3484,78 @@ export class RoomService {
   }
 
   updateHost(room) {
+    for (const coHostId of room.coHostIds) {
+      if (!room.players.has(coHostId)) {
+        room.coHostIds.delete(coHostId);
+      }
+    }
     if (room.hostId && room.players.has(room.hostId)) {
       return;
     }
+    const previousHostId = room.hostId;
     room.hostId = null;
+    if (!previousHostId) {
+      return;
+    }
+
+    // The seat goes straight to a successor so scheduled portals and music keep a controller.
+    const successor = this.pickHostSuccessor(room);
+    if (!successor) {
+      return;
+    }
+    room.hostId = successor.id;
+    room.coHostIds.delete(successor.id);
+    room.hostReservation = null;
+    this.io?.to(room.code).emit("room:host:changed", {
+      roomCode: room.code,
+      hostId: successor.id,
+      hostName: successor.name,
+      previousHostId,
+      reason: "succession"
+    });
+  }
+
+  // Co-hosts first, then (policy "moderator") granted owners and moderators; ties go to
+  // whoever has been in the room longest.
+  pickHostSuccessor(room) {
+    if (this.hostSuccessionPolicy === "off") {
+      return null;
+    }
+    let best = null;
+    let bestRank = Infinity;
+    for (const player of room.players.values()) {
+      let rank = Infinity;
+      if (room.coHostIds.has(player.id)) {
+        rank = 0;
+      } else if (this.hostSuccessionPolicy === "moderator") {
+        const role = this.getRoleGrant(room, player.id)?.role;
+        rank = role === "owner" ? 1 : role === "moderator" ? 2 : Infinity;
+      }
+      if (
+        rank < bestRank ||
+        (rank === bestRank && rank !== Infinity && (player.joinedAt ?? 0) < (best?.joinedAt ?? 0))
+      ) {
+        best = player;
+        bestRank = rank;
+      }
+    }
+    return bestRank === Infinity ? null : best;
+  }
+
+  getHostReservation(room, now = Date.now()) {
+    const reservation = room?.hostReservation;
+    if (!reservation) {
+      return null;
+    }
+    if (reservation.until <= now) {
+      room.hostReservation = null;
+      return null;
+    }
+    return reservation;
+  }
+
+  getSocketSessionKey(socketId) {
+    return String(this.io?.sockets?.sockets?.get(socketId)?.data?.sessionKey ?? "").trim();
   }
 
   isHost(room, socketId) {
@@ -2920,10 +3584,219 @@ export class RoomService {
       return { ok: false, error: "room already has a host" };
     }
 
+    // A host who dropped keeps the seat for the resume grace period
+    const reservation = this.getHostReservation(room);
+    if (reservation && reservation.key !== this.getSocketSessionKey(socketId)) {
+      return { ok: false, error: "host seat reserved" };
+    }
+
     room.hostId = socketId;
+    room.coHostIds.delete(socketId);
+    room.hostReservation = null;
     return { ok: true, changed: true, hostId: room.hostId };
   }
 
+  // The seat holder hands the seat to another player and steps down to a regular player.
+  transferHost(room, socketId, targetId) {
+    if (!room || !socketId) {
+      return { ok: false, error: "room not found" };
+    }
+    if (room.hostId !== socketId) {
+      return { ok: false, error: "host only" };
+    }
+    if (!targetId || !room.players.has(targetId)) {
+      return { ok: false, error: "player not found" };
+    }
+    if (targetId === socketId) {
+      return { ok: true, changed: false, hostId: room.hostId };
+    }
+    room.hostId = targetId;
+    room.coHostIds.delete(targetId);
+    room.hostReservation = null;
+    return { ok: true, changed: true, hostId: room.hostId, previousHostId: socketId };
+  }
+
+  // Co-hosts share the host controls with the seat holder until they leave the room.
+  setCoHost(room, socketId, targetId, enabled) {
+    if (!room || !socketId) {
+      return { ok: false, error: "room not found" };
+    }
+    if (room.hostId !== socketId) {
+      return { ok: false, error: "host only" };
+    }
+    if (!targetId || !room.players.has(targetId)) {
+      return { ok: false, error: "player not found" };
+    }
+    if (targetId === socketId) {
+      return { ok: false, error: "host is already in control" };
+    }
+    const active = room.coHostIds.has(targetId);
+    if (active === Boolean(enabled)) {
+      return { ok: true, changed: false, coHostIds: [...room.coHostIds] };
+    }
+    if (enabled && room.coHostIds.size >= MAX_ROOM_CO_HOSTS) {
+      return { ok: false, error: "co-host limit reached" };
+    }
+    if (enabled) {
+      room.coHostIds.add(targetId);
+    } else {
+      room.coHostIds.delete(targetId);
+    }
+    return { ok: true, changed: true, coHostIds: [...room.coHostIds] };
+  }
+
+  // Active ban or mute of this socket's playerKey or address in the room (or server-wide).
+  getModerationEntry(room, socket, kind) {
+    if (!room || !socket) {
+      return null;
+    }
+    return this.moderationStore.find({
+      kind,
+      roomCodes: ["", room.code],
+      playerKey: normalizeRolePlayerKey(socket.data?.playerKey ?? ""),
+      ip: String(socket.data?.clientIp ?? "")
+    });
+  }
+
+  getSocketPlayerKey(socketId) {
+    return normalizeRolePlayerKey(this.io?.sockets?.sockets?.get(socketId)?.data?.playerKey ?? "");
+  }
+
+  // Nicknames are reserved per playerKey. Without a requested name (or with a placeholder) the
+  // profile keeps its nickname; a name someone else holds is refused with `error`.
+  claimPlayerName(socket, rawName = null) {
+    const requested = sanitizeName(rawName ?? socket?.data?.playerName);
+    const claimed = this.profileStore.claim(socket?.data?.playerKey, requested, {
+      visit: !socket?.data?.profileSeen,
+      provisional: rawName == null || PLACEHOLDER_PLAYER_NAME_PATTERN.test(requested)
+    });
+    if (!claimed.ok) {
+      return { name: requested, error: "" };
+    }
+    socket.data.profileSeen = true;
+    return { name: claimed.profile.nickname, error: claimed.error ?? "" };
+  }
+
+  getPlayerProfile(room, socketId) {
+    const player = room?.players?.get(socketId);
+    if (!player) {
+      return { ok: false, error: "player not found" };
+    }
+    const profile = serializePublicProfile(this.profileStore.get(this.getSocketPlayerKey(socketId)));
+    return {
+      ok: true,
+      profile: {
+        ...profile,
+        id: socketId,
+        nickname: player.name,
+        role: this.getPlayerRole(room, socketId),
+        zone: this.getPlayerZone(room, socketId),
+        joinedAt: player.joinedAt
+      }
+    };
+  }
+
+  getRoleGrant(room, socketId) {
+    const key = this.getSocketPlayerKey(socketId);
+    return key ? room?.roleGrants?.get(key) ?? null : null;
+  }
+
+  // The host seat and co-hosts count as owner while held; otherwise the playerKey's grant decides.
+  getPlayerRole(room, socketId) {
+    if (!room || !socketId) {
+      return "guest";
+    }
+    if (room.hostId === socketId || room.coHostIds.has(socketId)) {
+      return "owner";
+    }
+    return this.getRoleGrant(room, socketId)?.role ?? "guest";
+  }
+
+  // Rank for acting on other players (lower = more authority). A granted role always outranks
+  // authority that only comes from holding the seat or a co-host slot, which anyone can pick up.
+  getPlayerRank(room, socketId) {
+    const grant = this.getRoleGrant(room, socketId);
+    if (grant) {
+      return getRoomRoleRank(grant.role);
+    }
+    const guestRank = getRoomRoleRank("guest");
+    return room && (room.hostId === socketId || room.coHostIds.has(socketId)) ? guestRank - 0.5 : guestRank;
+  }
+
+  // Bans that reach past the room (persistent-room bans apply server-wide, address bans hit
+  // everyone behind the address) need a granted owner or moderator, not just the seat.
+  hasGrantedModeration(room, socketId) {
+    const role = this.getRoleGrant(room, socketId)?.role;
+    return role === "owner" || role === "moderator";
+  }
+
+  can(room, socketId, capability) {
+    if (!room || !socketId) {
+      return false;
+    }
+    // Grants in the persistent room outlive the seat, so handing them out takes a granted owner.
+    if (capability === "roles" && room.persistent) {
+      return this.getRoleGrant(room, socketId)?.role === "owner";
+    }
+    return roomRoleHasCapability(this.getPlayerRole(room, socketId), capability);
+  }
+
+  // `role: "guest"` removes the grant.
+  setRoleGrant(room, { playerKey, role, name = "", grantedBy = "" } = {}) {
+    if (!room) {
+      return { ok: false, error: "room not found" };
+    }
+    const key = normalizeRolePlayerKey(playerKey);
+    if (key.length < 8) {
+      return { ok: false, error: "invalid player key" };
+    }
+    const nextRole = normalizeRoomRole(role);
+    if (!nextRole) {
+      return { ok: false, error: "invalid role" };
+    }
+    const previousRole = room.roleGrants.get(key)?.role ?? "guest";
+    if (previousRole === nextRole) {
+      return { ok: true, changed: false, role: nextRole };
+    }
+    const grant = { playerKey: key, role: nextRole, name, grantedBy };
+    if (room.persistent && this.roleStore) {
+      this.roleStore.set(grant);
+    } else if (nextRole === "guest") {
+      room.roleGrants.delete(key);
+    } else {
+      room.roleGrants.set(key, normalizeRoleGrant(grant));
+    }
+    return { ok: true, changed: true, role: nextRole, previousRole };
+  }
+
+  listRoleGrants(room) {
+    const onlineByKey = new Map();
+    for (const socketId of room?.players?.keys?.() ?? []) {
+      const key = this.getSocketPlayerKey(socketId);
+      if (key) {
+        onlineByKey.set(key, socketId);
+      }
+    }
+    return [...(room?.roleGrants?.values?.() ?? [])].map((grant) => ({
+      ...grant,
+      grantId: getRoleGrantId(grant.playerKey),
+      onlineId: onlineByKey.get(grant.playerKey) ?? null
+    }));
+  }
+
+  findRoleGrantByGrantId(room, rawGrantId) {
+    const grantId = String(rawGrantId ?? "").trim().toLowerCase();
+    if (!grantId) {
+      return null;
+    }
+    for (const grant of room?.roleGrants?.values?.() ?? []) {
+      if (getRoleGrantId(grant.playerKey) === grantId) {
+        return grant;
+      }
+    }
+    return null;
+  }
+
   setPortalTarget(room, rawTarget) {
     if (!room) {
       return { ok: false, error: "room not found" };
@@ -2939,7 +3812,7 @@ export class RoomService {
     }
 
     room.portalTarget = normalized;
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("portals");
     return { ok: true, changed: true, targetUrl: room.portalTarget };
   }
 
@@ -2958,7 +3831,7 @@ export class RoomService {
     }
 
     room.aZonePortalTarget = normalized;
-    this.scheduleSurfacePaintSave();
+    this.scheduleSurfacePaintSave("portals");
     return { ok: true, changed: true, targetUrl: room.aZonePortalTarget };
   }
 
@@ -3215,6 +4088,134 @@ export class RoomService {
     };
   }
 
+  rememberSession(socket, now = Date.now()) {
+    const room = this.getRoomBySocket(socket);
+    const player = room?.players.get(socket.id);
+    const key = String(socket?.data?.sessionKey ?? "").trim();
+    if (!this.sessionStore?.enabled || !player || !key) {
+      return null;
+    }
+    const host = room.hostId === socket.id;
+    const session = this.sessionStore.remember(
+      key,
+      {
+        roomCode: room.code,
+        zone: player.zone,
+        name: player.name,
+        host,
+        coHost: room.coHostIds.has(socket.id),
+        state: player.state
+      },
+      now
+    );
+    if (session && host) {
+      room.hostReservation = { key: session.key, until: session.expiresAt };
+    }
+    return session;
+  }
+
+  forgetSession(rawKey) {
+    const key = String(rawKey ?? "").trim();
+    if (!key) {
+      return;
+    }
+    const session = this.sessionStore?.take?.(key);
+    for (const room of this.rooms.values()) {
+      const reservationKey = room.hostReservation?.key;
+      if (reservationKey && (reservationKey === key || reservationKey === session?.key)) {
+        room.hostReservation = null;
+      }
+    }
+  }
+
+  // Graceful shutdown: everyone still connected becomes resumable after the restart.
+  rememberAllSessions() {
+    const now = Date.now();
+    let count = 0;
+    for (const room of this.rooms.values()) {
+      for (const socketId of room.players.keys()) {
+        const socket = this.io?.sockets?.sockets?.get(socketId);
+        if (socket && this.rememberSession(socket, now)) {
+          count += 1;
+        }
+      }
+    }
+    return count;
+  }
+
+  resumeSession(socket) {
+    const key = String(socket?.data?.sessionKey ?? "").trim();
+    const session = key ? this.sessionStore?.take?.(key) : null;
+    if (!session) {
+      return null;
+    }
+
+    const savedRoom = session.roomCode ? this.rooms.get(session.roomCode) ?? null : null;
+    const room = savedRoom ?? this.getDefaultRoom();
+    // Custom rooms are not persisted, so after a restart their players land in the default room.
+    const expiredRoomCode = session.roomCode && !savedRoom ? session.roomCode : "";
+    socket.data.playerName = session.name;
+    const joined = this.joinRoom(socket, room.code, { skipPassword: true });
+    if (!joined.ok) {
+      return null;
+    }
+
+    const player = room.players.get(socket.id);
+    if (savedRoom && player) {
+      const state = sanitizePlayerState(session.state);
+      player.zone = normalizeRoomZone(session.zone, "lobby");
+      player.state = state;
+      player.input = {
+        ...player.input,
+        yaw: state.yaw,
+        pitch: state.pitch,
+        updatedAt: Date.now()
+      };
+    }
+
+    const reservation = this.getHostReservation(room);
+    const hostFree = !room.hostId || !room.players.has(room.hostId);
+    const host =
+      Boolean(savedRoom && session.host && hostFree) &&
+      (!reservation || reservation.key === session.key);
+    if (host) {
+      room.hostId = socket.id;
+      room.hostReservation = null;
+    } else if (savedRoom && (session.host || session.coHost) && room.coHostIds.size < MAX_ROOM_CO_HOSTS) {
+      // Someone took over the seat meanwhile; come back as a co-host instead.
+      room.coHostIds.add(socket.id);
+    }
+
+    this.emitRoomUpdate(room);
+    this.emitRoomList();
+    const zone = this.getPlayerZone(room, socket.id) || "lobby";
+    return {
+      ok: true,
+      room: this.serializeRoom(room, zone),
+      zone,
+      host,
+      name: session.name,
+      state: savedRoom ? session.state : null,
+      expiredRoomCode
+    };
+  }
+
+  // Closes empty custom rooms once no remembered session can return to them.
+  pruneEmptyRooms(now = Date.now()) {
+    let closed = 0;
+    for (const room of [...this.rooms.values()]) {
+      if (room.persistent || room.players.size > 0 || this.sessionStore?.hasRoomSession?.(room.code, now)) {
+        continue;
+      }
+      this.rooms.delete(room.code);
+      closed += 1;
+    }
+    if (closed > 0) {
+      this.emitRoomList();
+    }
+    return closed;
+  }
+
   leaveCurrentRoom(socket) {
     const roomCode = socket.data.roomCode;
     if (!roomCode) {
@@ -3234,7 +4235,8 @@ export class RoomService {
     this.pruneRoomPlayers(room);
     this.updateHost(room);
 
-    if (!room.persistent && room.players.size === 0) {
+    // A dropped player's session keeps the room open until it resumes or expires.
+    if (!room.persistent && room.players.size === 0 && !this.sessionStore?.hasRoomSession?.(room.code)) {
       this.rooms.delete(room.code);
     }
 
@@ -3242,30 +4244,166 @@ export class RoomService {
     this.emitRoomList();
   }
 
+  generateRoomCode() {
+    for (let attempt = 0; attempt < 32; attempt += 1) {
+      const bytes = randomBytes(GENERATED_ROOM_CODE_LENGTH);
+      let code = "";
+      for (const byte of bytes) {
+        code += ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length];
+      }
+      if (!this.rooms.has(code)) {
+        return code;
+      }
+    }
+    return "";
+  }
+
+  async createRoom(socket, payload = {}) {
+    if (this.rooms.size >= this.maxRooms) {
+      return { ok: false, error: `room limit reached (${this.maxRooms})` };
+    }
+
+    const hasRequestedCode = String(payload?.code ?? "").trim() !== "";
+    const requestedCode = hasRequestedCode ? normalizeRoomCode(payload.code) : "";
+    if (hasRequestedCode && !requestedCode) {
+      return { ok: false, error: "invalid room code" };
+    }
+    if (requestedCode && this.rooms.has(requestedCode)) {
+      return { ok: false, error: "room code already in use" };
+    }
+    const passwordState = await createRoomPasswordState(payload?.password);
+    // Rooms may have come and gone while the password was hashed.
+    if (!socket.connected) {
+      return { ok: false, error: "disconnected" };
+    }
+    if (this.rooms.size >= this.maxRooms) {
+      return { ok: false, error: `room limit reached (${this.maxRooms})` };
+    }
+    const code = requestedCode || this.generateRoomCode();
+    if (!code) {
+      return { ok: false, error: "room code unavailable" };
+    }
+    if (this.rooms.has(code)) {
+      return { ok: false, error: "room code already in use" };
+    }
+
+    const requestedCapacity = Math.trunc(Number(payload?.capacity) || 0);
+    const capacity =
+      requestedCapacity > 0
+        ? Math.max(MIN_CUSTOM_ROOM_CAPACITY, Math.min(this.maxRoomPlayers, requestedCapacity))
+        : this.maxRoomPlayers;
+    const room = createCustomRoom(
+      code,
+      {
+        name: payload?.name,
+        passwordState,
+        capacity,
+        createdBy: socket.id
+      },
+      this.defaultPortalTargetUrl,
+      this.defaultAZonePortalTargetUrl
+    );
+    this.rooms.set(code, room);
+
+    const joined = this.joinRoom(socket, code, {
+      nameOverride: payload?.playerName ?? null,
+      skipPassword: true
+    });
+    if (!joined.ok) {
+      this.rooms.delete(code);
+      this.emitRoomList();
+      return joined;
+    }
+
+    room.hostId = socket.id;
+    this.setRoleGrant(room, {
+      playerKey: socket.data?.playerKey,
+      role: "owner",
+      name: socket.data?.playerName,
+      grantedBy: "room creator"
+    });
+    this.emitRoomUpdate(room);
+    this.emitRoomList();
+    return {
+      ok: true,
+      room: this.serializeRoom(room, this.getPlayerZone(room, socket.id)),
+      ...(joined.nameError ? { nameError: joined.nameError } : {})
+    };
+  }
+
   joinDefaultRoom(socket, nameOverride = null) {
-    const room = this.getDefaultRoom();
+    return this.joinRoom(socket, this.defaultRoomCode, { nameOverride });
+  }
+
+  // Whether joining `rawCode` takes a password check (a locked room the socket is not in yet).
+  roomNeedsPassword(socket, rawCode) {
+    const code = normalizeRoomCode(rawCode);
+    const room = code === this.defaultRoomCode ? this.getDefaultRoom() : this.rooms.get(code);
+    return Boolean(room?.passwordHash) && !(socket.data.roomCode === room.code && room.players.has(socket.id));
+  }
+
+  async joinRoomWithPassword(socket, rawCode, { password = "", nameOverride = null } = {}) {
+    if (!this.roomNeedsPassword(socket, rawCode)) {
+      return this.joinRoom(socket, rawCode, { nameOverride });
+    }
+    const room = this.rooms.get(normalizeRoomCode(rawCode));
+    const verified = await verifyRoomPassword(room, password);
+    if (!verified) {
+      return { ok: false, error: "invalid room password" };
+    }
+    if (!socket.connected) {
+      return { ok: false, error: "disconnected" };
+    }
+    // The room may have closed while the password was hashed.
+    if (this.rooms.get(room.code) !== room) {
+      return { ok: false, error: "room not found" };
+    }
+    return this.joinRoom(socket, room.code, { nameOverride, skipPassword: true });
+  }
+
+  // Locked rooms are only entered through `joinRoomWithPassword` (or `skipPassword` by trusted callers).
+  joinRoom(socket, rawCode, { nameOverride = null, skipPassword = false } = {}) {
+    const code = normalizeRoomCode(rawCode);
+    const room = code === this.defaultRoomCode ? this.getDefaultRoom() : this.rooms.get(code);
+    if (!room) {
+      return { ok: false, error: "room not found" };
+    }
     this.pruneRoomPlayers(room);
 
-    const name = sanitizeName(nameOverride ?? socket.data.playerName);
-    socket.data.playerName = name;
+    // The nickname is only claimed once the join can no longer fail.
+    const claimName = () => {
+      const claimed = this.claimPlayerName(socket, nameOverride);
+      socket.data.playerName = claimed.name;
+      return { name: claimed.name, nameResult: claimed.error ? { nameError: claimed.error } : {} };
+    };
 
     if (socket.data.roomCode === room.code && room.players.has(socket.id)) {
+      const { name, nameResult } = claimName();
       const existing = room.players.get(socket.id);
       existing.name = name;
       existing.zone = normalizeRoomZone(existing?.zone ?? "lobby", "lobby");
       this.emitRoomUpdate(room);
-      return { ok: true, room: this.serializeRoom(room) };
+      return { ok: true, changed: false, room: this.serializeRoom(room, existing.zone), ...nameResult };
     }
 
-    this.leaveCurrentRoom(socket);
+    if (!skipPassword && room.passwordHash) {
+      return { ok: false, error: "invalid room password" };
+    }
 
-    if (room.players.size >= this.maxRoomPlayers) {
+    if (this.getModerationEntry(room, socket, "ban")) {
+      return { ok: false, error: "banned from room" };
+    }
+
+    const capacity = this.getRoomCapacity(room);
+    if (room.players.size >= capacity) {
       return {
         ok: false,
-        error: `${this.defaultRoomCode} room is full (${this.maxRoomPlayers})`
+        error: `${room.code} room is full (${capacity})`
       };
     }
 
+    const { name, nameResult } = claimName();
+    this.leaveCurrentRoom(socket);
     const spawnState = chooseDistributedSpawnState(room.players);
     const initialState = sanitizePlayerState(spawnState);
     room.players.set(socket.id, {
@@ -3287,7 +4425,8 @@ export class RoomService {
         updatedAt: Date.now()
       },
       lastInputSeq: 0,
-      lastProcessedInputSeq: 0
+      lastProcessedInputSeq: 0,
+      joinedAt: Date.now()
     });
 
     this.updateHost(room);
@@ -3297,6 +4436,6 @@ export class RoomService {
     this.emitRoomUpdate(room);
     this.emitRoomList();
 
-    return { ok: true, room: this.serializeRoom(room) };
+    return { ok: true, changed: true, room: this.serializeRoom(room, "lobby"), ...nameResult };
   }
 }
@@ -0,0 +1,263 @@
+import { readFileSync } from "node:fs";
+import { mkdir, rename, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, resolve as resolvePath } from "node:path";
+import { sanitizeName, sanitizePlayerState } from "./playerState.js";
+
+const SESSION_STORE_VERSION = 1;
+const MAX_SESSIONS = 4000;
+
+function normalizeSessionKey(rawValue) {
+  return String(rawValue ?? "")
+    .trim()
+    .replace(/[^a-zA-Z0-9:_-]/g, "")
+    .slice(0, 96);
+}
+
+function normalizeSessionZone(rawValue) {
+  const zone = String(rawValue ?? "")
+    .trim()
+    .toLowerCase();
+  return zone === "fps" || zone === "ox" ? zone : "lobby";
+}
+
+function normalizeSessionEntry(raw, now = Date.now()) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const key = normalizeSessionKey(raw.key);
+  const expiresAt = Math.trunc(Number(raw.expiresAt) || 0);
+  if (!key || expiresAt <= now) {
+    return null;
+  }
+  const state = sanitizePlayerState(raw.state ?? {});
+  return {
+    key,
+    roomCode: String(raw.roomCode ?? "")
+      .trim()
+      .toUpperCase()
+      .slice(0, 16),
+    zone: normalizeSessionZone(raw.zone),
+    name: sanitizeName(raw.name),
+    host: Boolean(raw.host),
+    coHost: Boolean(raw.coHost),
+    state: {
+      x: state.x,
+      y: state.y,
+      z: state.z,
+      yaw: state.yaw,
+      pitch: state.pitch
+    },
+    savedAt: Math.max(0, Math.trunc(Number(raw.savedAt) || now)),
+    expiresAt
+  };
+}
+
+// Short-lived per-playerKey snapshot of where a player was, so a dropped socket or a
+// graceful restart does not reset zone, position, nickname or host role.
+export class SessionStore {
+  constructor({ storePath = "", graceMs = 120_000, saveDebounceMs = 500, log = console } = {}) {
+    this.log = log ?? console;
+    this.storePath = this.resolveStorePath(storePath);
+    this.graceMs = Math.max(0, Math.trunc(Number(graceMs) || 0));
+    this.saveDebounceMs = Math.max(50, Math.trunc(Number(saveDebounceMs) || 500));
+    this.sessions = new Map();
+    this.saveTimer = null;
+    this.saveQueued = false;
+    this.saveInFlightPromise = null;
+    this.load();
+  }
+
+  get enabled() {
+    return this.graceMs > 0;
+  }
+
+  resolveStorePath(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  load() {
+    if (!this.storePath || !this.enabled) {
+      return;
+    }
+    let parsed = null;
+    try {
+      const raw = String(readFileSync(this.storePath, "utf8") ?? "").trim();
+      if (!raw) {
+        return;
+      }
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(
+          `[session] Failed to read session store (${this.storePath}): ${error?.message ?? error}`
+        );
+      }
+      return;
+    }
+
+    const now = Date.now();
+    for (const entry of Array.isArray(parsed?.sessions) ? parsed.sessions : []) {
+      const normalized = normalizeSessionEntry(entry, now);
+      if (normalized) {
+        this.sessions.set(normalized.key, normalized);
+      }
+    }
+    if (this.sessions.size > 0) {
+      this.log?.log?.(`[session] Restored ${this.sessions.size} resumable sessions`);
+    }
+  }
+
+  remember(rawKey, entry = {}, now = Date.now()) {
+    const key = normalizeSessionKey(rawKey);
+    if (!key || !this.enabled) {
+      return null;
+    }
+    const normalized = normalizeSessionEntry(
+      { ...entry, key, savedAt: now, expiresAt: now + this.graceMs },
+      now
+    );
+    if (!normalized) {
+      return null;
+    }
+    this.sessions.delete(key);
+    this.sessions.set(key, normalized);
+    while (this.sessions.size > MAX_SESSIONS) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    this.scheduleSave();
+    return normalized;
+  }
+
+  peek(rawKey, now = Date.now()) {
+    const key = normalizeSessionKey(rawKey);
+    const entry = key ? this.sessions.get(key) : null;
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= now) {
+      this.sessions.delete(key);
+      this.scheduleSave();
+      return null;
+    }
+    return entry;
+  }
+
+  take(rawKey, now = Date.now()) {
+    const entry = this.peek(rawKey, now);
+    if (entry) {
+      this.sessions.delete(entry.key);
+      this.scheduleSave();
+    }
+    return entry;
+  }
+
+  hasRoomSession(roomCode, now = Date.now()) {
+    for (const entry of this.sessions.values()) {
+      if (entry.roomCode === roomCode && entry.expiresAt > now) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  listHostSessions(now = Date.now()) {
+    const hosts = [];
+    for (const entry of this.sessions.values()) {
+      if (entry.host && entry.expiresAt > now) {
+        hosts.push(entry);
+      }
+    }
+    return hosts;
+  }
+
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, entry] of this.sessions) {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed > 0) {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  get pendingSave() {
+    return this.saveQueued || Boolean(this.saveTimer);
+  }
+
+  scheduleSave() {
+    if (!this.storePath || !this.enabled) {
+      return;
+    }
+    this.saveQueued = true;
+    if (this.saveTimer || this.saveInFlightPromise) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      void this.flush();
+    }, this.saveDebounceMs);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    if (!this.storePath || !this.enabled) {
+      return { ok: false, error: "session store unavailable" };
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    while (this.saveInFlightPromise) {
+      await this.saveInFlightPromise;
+      if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+      }
+    }
+    this.saveQueued = false;
+
+    const now = Date.now();
+    const payload = {
+      version: SESSION_STORE_VERSION,
+      savedAt: now,
+      sessions: [...this.sessions.values()].filter((entry) => entry.expiresAt > now)
+    };
+    const tmpPath = `${this.storePath}.tmp`;
+    let persistError = "";
+    this.saveInFlightPromise = (async () => {
+      try {
+        await mkdir(dirname(this.storePath), { recursive: true });
+        await writeFile(tmpPath, `${JSON.stringify(payload)}\n`, "utf8");
+        await rename(tmpPath, this.storePath);
+      } catch (error) {
+        persistError = String(error?.message ?? error ?? "persist failed").trim();
+        this.log?.warn?.(
+          `[session] Failed to persist session store (${this.storePath}): ${error?.message ?? error}`
+        );
+        try {
+          await unlink(tmpPath);
+        } catch {
+          // ignore cleanup failures
+        }
+      }
+    })();
+
+    try {
+      await this.saveInFlightPromise;
+    } finally {
+      this.saveInFlightPromise = null;
+      if (this.saveQueued) {
+        this.scheduleSave();
+      }
+    }
+    return persistError ? { ok: false, error: persistError } : { ok: true };
+  }
+}
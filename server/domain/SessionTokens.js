@@ -0,0 +1,303 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { mkdir, rename, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, resolve as resolvePath } from "node:path";
+import { normalizeRolePlayerKey } from "./RoleStore.js";
+
+const SESSION_TOKEN_PREFIX = "st1";
+const SESSION_TOKEN_STORE_VERSION = 1;
+const MAX_SIGNING_SECRETS = 4;
+const MIN_SECRET_LENGTH = 16;
+const MAX_MIGRATED_KEYS = 50_000;
+const MIN_PLAYER_KEY_LENGTH = 8;
+// Keys the server hands out; they are never accepted without a token.
+const ISSUED_KEY_PREFIX = "sk_";
+
+export function getSessionSecretId(secret) {
+  return createHash("sha256").update(String(secret ?? ""), "utf8").digest("hex").slice(0, 8);
+}
+
+function signSessionPayload(secret, payload) {
+  return createHmac("sha256", secret).update(payload, "utf8").digest("base64url");
+}
+
+function normalizeSecretEntry(raw, now = Date.now()) {
+  const secret = String(raw?.secret ?? "").trim();
+  if (secret.length < MIN_SECRET_LENGTH) {
+    return null;
+  }
+  return {
+    id: getSessionSecretId(secret),
+    secret,
+    createdAt: Math.max(0, Math.trunc(Number(raw?.createdAt) || now))
+  };
+}
+
+// `st1:<secret id>:<playerKey>:<signature>`; player keys may contain ":" themselves.
+export function parseSessionToken(rawValue) {
+  const parts = String(rawValue ?? "").trim().split(":");
+  if (parts.length < 4 || parts[0] !== SESSION_TOKEN_PREFIX) {
+    return null;
+  }
+  const signature = parts.pop();
+  const playerKey = normalizeRolePlayerKey(parts.slice(2).join(":"));
+  if (playerKey.length < MIN_PLAYER_KEY_LENGTH || !signature) {
+    return null;
+  }
+  return { secretId: parts[1], playerKey, signature, payload: parts.join(":") };
+}
+
+// Server-issued, HMAC-signed session tokens that bind a socket to its playerKey. The first
+// secret signs; the others still verify, so rotating in a new secret does not log anyone out,
+// and tokens signed by an older secret are re-issued on their next connection.
+// Secrets come from SESSION_TOKEN_SECRETS, or are generated and kept in the store file.
+export class SessionTokens {
+  constructor({ secrets = [], storePath = "", legacyKeyMigration = true, saveDebounceMs = 500, log = console } = {}) {
+    this.log = log ?? console;
+    this.storePath = this.resolveStorePath(storePath);
+    this.legacyKeyMigration = Boolean(legacyKeyMigration);
+    this.saveDebounceMs = Math.max(50, Math.trunc(Number(saveDebounceMs) || 500));
+    this.envSecrets = (Array.isArray(secrets) ? secrets : [])
+      .map((secret) => normalizeSecretEntry({ secret }))
+      .filter(Boolean);
+    if (this.envSecrets.length < (Array.isArray(secrets) ? secrets.length : 0)) {
+      this.log?.warn?.(`[session-token] Ignored secrets shorter than ${MIN_SECRET_LENGTH} characters`);
+    }
+    this.secrets = [];
+    // Client-generated keys that were exchanged for a token; they no longer work on their own.
+    // Entries are never dropped: once the record is full, migration stops instead.
+    this.migratedKeys = new Set();
+    this.migrationFullLogged = false;
+    this.saveTimer = null;
+    this.saveQueued = false;
+    this.saveInFlightPromise = null;
+    this.load();
+    if (this.envSecrets.length > 0) {
+      this.secrets = this.envSecrets;
+    } else if (this.secrets.length === 0) {
+      this.secrets = [normalizeSecretEntry({ secret: randomBytes(32).toString("base64url") })];
+      this.scheduleSave();
+    }
+  }
+
+  get rotatable() {
+    return this.envSecrets.length === 0;
+  }
+
+  resolveStorePath(rawPath) {
+    const value = String(rawPath ?? "").trim();
+    if (!value) {
+      return "";
+    }
+    return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+  }
+
+  load() {
+    if (!this.storePath) {
+      return;
+    }
+    let parsed = null;
+    try {
+      const raw = String(readFileSync(this.storePath, "utf8") ?? "").trim();
+      if (!raw) {
+        return;
+      }
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(
+          `[session-token] Failed to read session token store (${this.storePath}): ${error?.message ?? error}`
+        );
+      }
+      return;
+    }
+
+    this.secrets = (Array.isArray(parsed?.secrets) ? parsed.secrets : [])
+      .map((entry) => normalizeSecretEntry(entry))
+      .filter(Boolean)
+      .slice(0, MAX_SIGNING_SECRETS);
+    for (const key of Array.isArray(parsed?.migratedKeys) ? parsed.migratedKeys : []) {
+      const playerKey = normalizeRolePlayerKey(key);
+      if (playerKey) {
+        this.migratedKeys.add(playerKey);
+      }
+    }
+  }
+
+  issue(rawPlayerKey) {
+    const playerKey = normalizeRolePlayerKey(rawPlayerKey);
+    const current = this.secrets[0];
+    const payload = `${SESSION_TOKEN_PREFIX}:${current.id}:${playerKey}`;
+    return `${payload}:${signSessionPayload(current.secret, payload)}`;
+  }
+
+  verify(rawToken) {
+    const parsed = parseSessionToken(rawToken);
+    if (!parsed) {
+      return { ok: false, error: "invalid session token" };
+    }
+    const entry = this.secrets.find((secret) => secret.id === parsed.secretId);
+    if (!entry) {
+      return { ok: false, error: "unknown signing secret" };
+    }
+    const expected = Buffer.from(signSessionPayload(entry.secret, parsed.payload), "utf8");
+    const actual = Buffer.from(parsed.signature, "utf8");
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      return { ok: false, error: "invalid session token" };
+    }
+    return { ok: true, playerKey: parsed.playerKey, stale: entry !== this.secrets[0] };
+  }
+
+  canMigrate(legacyKey) {
+    if (
+      !this.legacyKeyMigration ||
+      legacyKey.length < MIN_PLAYER_KEY_LENGTH ||
+      legacyKey.startsWith(ISSUED_KEY_PREFIX) ||
+      this.migratedKeys.has(legacyKey)
+    ) {
+      return false;
+    }
+    if (this.migratedKeys.size >= MAX_MIGRATED_KEYS) {
+      if (!this.migrationFullLogged) {
+        this.migrationFullLogged = true;
+        this.log?.warn?.(`[session-token] ${MAX_MIGRATED_KEYS} keys migrated; legacy keys now get new keys`);
+      }
+      return false;
+    }
+    return true;
+  }
+
+  // Resolves the handshake to a playerKey: a valid token keeps its key; otherwise a
+  // not-yet-migrated client-generated `playerKey` is adopted once; anything else gets a fresh
+  // server key. Nothing is recorded until the connection is accepted.
+  authenticate(auth = {}) {
+    const rawToken = String(auth?.sessionToken ?? "").trim();
+    const verified = rawToken ? this.verify(rawToken) : null;
+    if (verified?.ok) {
+      return {
+        playerKey: verified.playerKey,
+        rawToken: verified.stale ? "" : rawToken,
+        source: verified.stale ? "renewed" : "token"
+      };
+    }
+
+    const legacyKey = normalizeRolePlayerKey(auth?.playerKey ?? auth?.ownerKey ?? auth?.sessionKey ?? "");
+    if (this.canMigrate(legacyKey)) {
+      return { playerKey: legacyKey, rawToken: "", source: "migrated" };
+    }
+
+    return {
+      playerKey: `${ISSUED_KEY_PREFIX}${randomBytes(18).toString("base64url")}`,
+      rawToken: "",
+      source: "issued",
+      ...(rawToken ? { error: verified?.error ?? "invalid session token" } : {})
+    };
+  }
+
+  // Called once the socket passed the ban and duplicate checks: records a migration and
+  // returns the token the client should keep.
+  accept(session) {
+    if (session?.source === "migrated") {
+      this.migratedKeys.add(session.playerKey);
+      this.scheduleSave();
+    }
+    return session?.rawToken || this.issue(session.playerKey);
+  }
+
+  // Puts a new generated secret in front; older ones keep verifying until they fall off the list.
+  rotate(now = Date.now()) {
+    if (!this.rotatable) {
+      return { ok: false, error: "secrets are set by SESSION_TOKEN_SECRETS" };
+    }
+    const entry = normalizeSecretEntry({ secret: randomBytes(32).toString("base64url"), createdAt: now });
+    this.secrets = [entry, ...this.secrets].slice(0, MAX_SIGNING_SECRETS);
+    this.scheduleSave();
+    this.log?.log?.(`[session-token] Rotated signing secret to ${entry.id}`);
+    return { ok: true, ...this.summarize() };
+  }
+
+  summarize() {
+    return {
+      source: this.rotatable ? "store" : "env",
+      signingSecretId: this.secrets[0].id,
+      secretIds: this.secrets.map((entry) => entry.id),
+      legacyKeyMigration: this.legacyKeyMigration,
+      migratedKeys: this.migratedKeys.size,
+      maxMigratedKeys: MAX_MIGRATED_KEYS
+    };
+  }
+
+  get pendingSave() {
+    return this.saveQueued || Boolean(this.saveTimer);
+  }
+
+  scheduleSave() {
+    if (!this.storePath) {
+      return;
+    }
+    this.saveQueued = true;
+    if (this.saveTimer || this.saveInFlightPromise) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      void this.flush();
+    }, this.saveDebounceMs);
+    this.saveTimer.unref?.();
+  }
+
+  async flush() {
+    if (!this.storePath) {
+      return { ok: false, error: "session token store unavailable" };
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    while (this.saveInFlightPromise) {
+      await this.saveInFlightPromise;
+      if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+      }
+    }
+    this.saveQueued = false;
+
+    // Secrets from the environment stay out of the file.
+    const payload = {
+      version: SESSION_TOKEN_STORE_VERSION,
+      savedAt: Date.now(),
+      secrets: this.rotatable ? this.secrets : [],
+      migratedKeys: [...this.migratedKeys]
+    };
+    const tmpPath = `${this.storePath}.tmp`;
+    let persistError = "";
+    this.saveInFlightPromise = (async () => {
+      try {
+        await mkdir(dirname(this.storePath), { recursive: true });
+        await writeFile(tmpPath, `${JSON.stringify(payload)}\n`, { encoding: "utf8", mode: 0o600 });
+        await rename(tmpPath, this.storePath);
+      } catch (error) {
+        persistError = String(error?.message ?? error ?? "persist failed").trim();
+        this.log?.warn?.(
+          `[session-token] Failed to persist session token store (${this.storePath}): ${error?.message ?? error}`
+        );
+        try {
+          await unlink(tmpPath);
+        } catch {
+          // ignore cleanup failures
+        }
+      }
+    })();
+
+    try {
+      await this.saveInFlightPromise;
+    } finally {
+      this.saveInFlightPromise = null;
+      if (this.saveQueued) {
+        this.scheduleSave();
+      }
+    }
+    return persistError ? { ok: false, error: persistError } : { ok: true };
+  }
+}
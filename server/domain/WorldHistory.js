@@ -0,0 +1,526 @@
+import { existsSync, readFileSync, readdirSync, statSync } from "node:fs";
+import { appendFile, mkdir, readFile, rename, unlink, writeFile } from "node:fs/promises";
+import { isAbsolute, join, resolve as resolvePath } from "node:path";
+import { collectMediaReferences } from "./MediaStore.js";
+import { WORLD_STORE_COLLECTIONS } from "./worldStore.js";
+
+const SNAPSHOTS_DIR_NAME = "snapshots";
+const JOURNAL_DIR_NAME = "journal";
+const SURFACES_COLLECTION = "surfaces";
+const SURFACE_PAINT_CORE_PAYLOAD_VERSION = 1;
+const SNAPSHOT_FILE_PATTERN = /^(\d+)-(\d+)\.json$/;
+const JOURNAL_FILE_PATTERN = /^(\d+)\.jsonl$/;
+const MAX_REASON_CHARS = 80;
+// A journal that grows past this share of the byte budget is closed with an early snapshot,
+// so the budget can drop older data instead of one journal outgrowing it.
+const JOURNAL_BUDGET_SHARE = 0.25;
+const TIME_UNIT_MS = Object.freeze({ s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 });
+
+// Everything except chat is layout the host may want back; chat has its own history.
+export const WORLD_HISTORY_COLLECTIONS = Object.freeze(
+  Object.keys(WORLD_STORE_COLLECTIONS).filter((collection) => collection !== "chatHistory")
+);
+
+export function normalizeWorldHistoryCollection(rawValue) {
+  const value = String(rawValue ?? "").trim();
+  if (!value || value.toLowerCase() === "all") {
+    return "all";
+  }
+  return WORLD_HISTORY_COLLECTIONS.find((collection) => collection.toLowerCase() === value.toLowerCase()) ?? "";
+}
+
+// Accepts a history revision (`42`, `#42`), a relative age (`30m`, `2h`, `1d`) or an
+// absolute time (ISO string or epoch milliseconds).
+export function parseWorldHistoryTarget(rawValue, now = Date.now()) {
+  const value = String(rawValue ?? "").trim().toLowerCase();
+  if (!value) {
+    return null;
+  }
+  const revisionMatch = /^#?(\d{1,9})$/.exec(value);
+  if (revisionMatch) {
+    return { rev: Number(revisionMatch[1]) };
+  }
+  const ageMatch = /^(\d{1,6})([smhd])$/.exec(value);
+  if (ageMatch) {
+    return { at: now - Number(ageMatch[1]) * TIME_UNIT_MS[ageMatch[2]] };
+  }
+  const epochMs = /^\d{12,}$/.test(value) ? Number(value) : Date.parse(rawValue);
+  return Number.isFinite(epochMs) && epochMs > 0 ? { at: epochMs } : null;
+}
+
+function resolveStorePath(rawPath) {
+  const value = String(rawPath ?? "").trim();
+  if (!value) {
+    return "";
+  }
+  return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+}
+
+function pickFields(document, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (Object.prototype.hasOwnProperty.call(document ?? {}, field)) {
+      picked[field] = document[field];
+    }
+  }
+  return picked;
+}
+
+function getDocumentSurfaces(document) {
+  const core = document?.surfacePaintCore;
+  if (Array.isArray(core?.surfaces)) {
+    return core.surfaces;
+  }
+  if (Array.isArray(core)) {
+    return core;
+  }
+  return Array.isArray(document?.surfaces) ? document.surfaces : [];
+}
+
+function padRevision(rev) {
+  return String(rev).padStart(9, "0");
+}
+
+function parseJsonLines(text) {
+  const lines = String(text ?? "").split("\n");
+  const entries = [];
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // a torn last line from a crash mid-append; everything before it is intact
+    }
+  }
+  return entries;
+}
+
+function toCollectionList(dirty) {
+  if (!dirty || dirty.all) {
+    return WORLD_HISTORY_COLLECTIONS.slice();
+  }
+  const collections = WORLD_HISTORY_COLLECTIONS.filter((collection) =>
+    dirty.collections?.has?.(collection)
+  );
+  if (!collections.includes(SURFACES_COLLECTION) && dirty.surfaceIds?.size > 0) {
+    collections.push(SURFACES_COLLECTION);
+  }
+  return collections;
+}
+
+// Copies the given collections from a history document into `target` (a world store document).
+export function applyWorldHistoryCollections(target, source, collections = WORLD_HISTORY_COLLECTIONS) {
+  for (const collection of collections) {
+    const fields = WORLD_STORE_COLLECTIONS[collection] ?? [];
+    for (const field of fields) {
+      delete target[field];
+    }
+    Object.assign(target, pickFields(source, fields));
+  }
+  return target;
+}
+
+// Journal of world state revisions for the persistent room. Each successful world store flush
+// appends the changed collections to journal/<snapshotRev>.jsonl; every `snapshotIntervalMs`
+// a full snapshot is written to snapshots/<rev>-<at>.json and starts a new journal file.
+// State at any retained point is the latest snapshot before it plus the journal entries up to it.
+// Old snapshots and their journals are dropped past `maxSnapshots` or `maxBytes` on disk.
+export class WorldHistory {
+  constructor({
+    dirPath = "",
+    snapshotIntervalMs = 3_600_000,
+    maxSnapshots = 48,
+    maxBytes = 512_000_000,
+    log = console
+  } = {}) {
+    this.log = log ?? console;
+    this.location = resolveStorePath(dirPath);
+    this.snapshotIntervalMs = Math.max(60_000, Math.trunc(Number(snapshotIntervalMs) || 3_600_000));
+    this.maxSnapshots = Math.max(1, Math.trunc(Number(maxSnapshots) || 48));
+    this.maxBytes = Math.max(1_000_000, Math.trunc(Number(maxBytes) || 512_000_000));
+    this.snapshots = [];
+    this.entries = [];
+    // snapshotRev -> bytes of its journal file
+    this.journalBytes = new Map();
+    // snapshotRev -> mediaIds its journal refers to
+    this.journalMediaIds = new Map();
+    this.revision = 0;
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  get enabled() {
+    return Boolean(this.location);
+  }
+
+  get snapshotsDir() {
+    return join(this.location, SNAPSHOTS_DIR_NAME);
+  }
+
+  get journalDir() {
+    return join(this.location, JOURNAL_DIR_NAME);
+  }
+
+  getSnapshotPath(snapshot) {
+    return join(this.snapshotsDir, `${padRevision(snapshot.rev)}-${snapshot.at}.json`);
+  }
+
+  getJournalPath(snapshotRev) {
+    return join(this.journalDir, `${padRevision(snapshotRev)}.jsonl`);
+  }
+
+  get totalBytes() {
+    let total = 0;
+    for (const snapshot of this.snapshots) {
+      total += snapshot.bytes;
+    }
+    for (const bytes of this.journalBytes.values()) {
+      total += bytes;
+    }
+    return total;
+  }
+
+  readFileBytes(filePath) {
+    try {
+      return statSync(filePath).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  readMediaIds(filePath) {
+    try {
+      return collectMediaReferences(readFileSync(filePath, "utf8"));
+    } catch (error) {
+      this.log?.warn?.(`[history] Failed to read ${filePath}: ${error?.message ?? error}`);
+      return new Set();
+    }
+  }
+
+  listDir(dirPath) {
+    try {
+      return readdirSync(dirPath);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(`[history] Failed to list ${dirPath}: ${error?.message ?? error}`);
+      }
+      return [];
+    }
+  }
+
+  load() {
+    if (!this.location || !existsSync(this.location)) {
+      return;
+    }
+    for (const fileName of this.listDir(this.snapshotsDir)) {
+      const match = SNAPSHOT_FILE_PATTERN.exec(fileName);
+      if (match) {
+        const filePath = join(this.snapshotsDir, fileName);
+        this.snapshots.push({
+          rev: Number(match[1]),
+          at: Number(match[2]),
+          bytes: this.readFileBytes(filePath),
+          mediaIds: this.readMediaIds(filePath)
+        });
+      }
+    }
+    this.snapshots.sort((a, b) => a.rev - b.rev);
+
+    for (const fileName of this.listDir(this.journalDir)) {
+      const match = JOURNAL_FILE_PATTERN.exec(fileName);
+      if (!match) {
+        continue;
+      }
+      const snapshotRev = Number(match[1]);
+      this.journalBytes.set(snapshotRev, this.readFileBytes(join(this.journalDir, fileName)));
+      try {
+        const text = readFileSync(join(this.journalDir, fileName), "utf8");
+        this.journalMediaIds.set(snapshotRev, collectMediaReferences(text));
+        for (const entry of parseJsonLines(text)) {
+          const rev = Math.trunc(Number(entry?.rev) || 0);
+          if (rev > 0) {
+            this.entries.push({
+              rev,
+              at: Math.trunc(Number(entry.at) || 0),
+              reason: String(entry.reason ?? ""),
+              collections: Array.isArray(entry.collections) ? entry.collections : [],
+              snapshotRev
+            });
+          }
+        }
+      } catch (error) {
+        this.log?.warn?.(`[history] Failed to read ${fileName}: ${error?.message ?? error}`);
+      }
+    }
+    this.entries.sort((a, b) => a.rev - b.rev);
+
+    const lastSnapshot = this.snapshots[this.snapshots.length - 1];
+    const lastEntry = this.entries[this.entries.length - 1];
+    this.revision = Math.max(lastSnapshot?.rev ?? 0, lastEntry?.rev ?? 0);
+    if (this.revision > 0) {
+      this.log?.log?.(
+        `[history] Loaded ${this.snapshots.length} snapshots and ${this.entries.length} journal entries (rev ${this.revision})`
+      );
+    }
+  }
+
+  // Called after every successful world store flush. `document` holds at least the dirty
+  // collections; `buildFullDocument` is only called when a snapshot is due.
+  record(document, dirty, { reason = "edit", buildFullDocument = null, now = Date.now() } = {}) {
+    if (!this.enabled) {
+      return Promise.resolve(null);
+    }
+    const collections = toCollectionList(dirty);
+    if (collections.length === 0) {
+      return Promise.resolve(null);
+    }
+    const rev = this.revision + 1;
+    this.revision = rev;
+    const lastSnapshot = this.snapshots[this.snapshots.length - 1];
+    const snapshotDue =
+      !lastSnapshot ||
+      Boolean(dirty?.all) ||
+      now - lastSnapshot.at >= this.snapshotIntervalMs ||
+      (this.journalBytes.get(lastSnapshot.rev) ?? 0) >= this.maxBytes * JOURNAL_BUDGET_SHARE;
+    const normalizedReason = String(reason ?? "edit").slice(0, MAX_REASON_CHARS);
+
+    let payload = null;
+    if (snapshotDue) {
+      const fullDocument = buildFullDocument ? buildFullDocument() : document;
+      payload = {
+        rev,
+        at: now,
+        reason: normalizedReason,
+        document: applyWorldHistoryCollections({}, fullDocument, WORLD_HISTORY_COLLECTIONS)
+      };
+    } else {
+      const data = applyWorldHistoryCollections(
+        {},
+        document,
+        collections.filter((collection) => collection !== SURFACES_COLLECTION)
+      );
+      const surfaceIds =
+        collections.includes(SURFACES_COLLECTION) && !dirty?.collections?.has?.(SURFACES_COLLECTION)
+          ? [...(dirty?.surfaceIds ?? [])]
+          : null;
+      if (collections.includes(SURFACES_COLLECTION)) {
+        data.surfaces = surfaceIds
+          ? getDocumentSurfaces(document).filter((entry) => surfaceIds.includes(String(entry?.surfaceId ?? "")))
+          : getDocumentSurfaces(document);
+      }
+      payload = { rev, at: now, reason: normalizedReason, collections, surfaceIds, data };
+    }
+
+    const task = this.writeChain.then(() => this.persist(payload, snapshotDue, collections));
+    this.writeChain = task.catch(() => {});
+    return task;
+  }
+
+  async persist(payload, isSnapshot, collections) {
+    try {
+      if (isSnapshot) {
+        const text = `${JSON.stringify(payload)}\n`;
+        const snapshot = {
+          rev: payload.rev,
+          at: payload.at,
+          bytes: Buffer.byteLength(text, "utf8"),
+          mediaIds: collectMediaReferences(text)
+        };
+        const filePath = this.getSnapshotPath(snapshot);
+        await mkdir(this.snapshotsDir, { recursive: true });
+        await writeFile(`${filePath}.tmp`, text, "utf8");
+        await rename(`${filePath}.tmp`, filePath);
+        this.snapshots.push(snapshot);
+        await this.pruneSnapshots();
+      } else {
+        const snapshotRev = this.snapshots[this.snapshots.length - 1]?.rev ?? 0;
+        const line = `${JSON.stringify(payload)}\n`;
+        await mkdir(this.journalDir, { recursive: true });
+        await appendFile(this.getJournalPath(snapshotRev), line, "utf8");
+        this.journalBytes.set(
+          snapshotRev,
+          (this.journalBytes.get(snapshotRev) ?? 0) + Buffer.byteLength(line, "utf8")
+        );
+        if (!this.journalMediaIds.has(snapshotRev)) {
+          this.journalMediaIds.set(snapshotRev, new Set());
+        }
+        collectMediaReferences(line, this.journalMediaIds.get(snapshotRev));
+        this.entries.push({
+          rev: payload.rev,
+          at: payload.at,
+          reason: payload.reason,
+          collections,
+          snapshotRev
+        });
+        await this.pruneSnapshots();
+      }
+      return { ok: true, rev: payload.rev, snapshot: isSnapshot };
+    } catch (error) {
+      this.log?.warn?.(`[history] Failed to record rev ${payload.rev}: ${error?.message ?? error}`);
+      return { ok: false, error: "history write failed" };
+    }
+  }
+
+  // The newest snapshot is always kept, even when it alone exceeds the byte budget.
+  async pruneSnapshots() {
+    while (
+      this.snapshots.length > this.maxSnapshots ||
+      (this.snapshots.length > 1 && this.totalBytes > this.maxBytes)
+    ) {
+      const dropped = this.snapshots.shift();
+      await unlink(this.getSnapshotPath(dropped)).catch(() => {});
+      await unlink(this.getJournalPath(dropped.rev)).catch(() => {});
+      this.journalBytes.delete(dropped.rev);
+      this.journalMediaIds.delete(dropped.rev);
+      this.entries = this.entries.filter((entry) => entry.snapshotRev !== dropped.rev);
+    }
+  }
+
+  // mediaIds any retained revision refers to, so a rollback never restores a deleted blob.
+  collectMediaIds() {
+    const ids = new Set();
+    for (const snapshot of this.snapshots) {
+      for (const mediaId of snapshot.mediaIds ?? []) {
+        ids.add(mediaId);
+      }
+    }
+    for (const mediaIds of this.journalMediaIds.values()) {
+      for (const mediaId of mediaIds) {
+        ids.add(mediaId);
+      }
+    }
+    return ids;
+  }
+
+  // Newest first. Snapshots are listed as revisions too, with every collection.
+  list({ collection = "all", limit = 20 } = {}) {
+    const normalizedCollection = normalizeWorldHistoryCollection(collection) || "all";
+    const rows = [
+      ...this.snapshots.map((snapshot) => ({
+        rev: snapshot.rev,
+        at: snapshot.at,
+        snapshot: true,
+        collections: WORLD_HISTORY_COLLECTIONS.slice()
+      })),
+      ...this.entries.map((entry) => ({
+        rev: entry.rev,
+        at: entry.at,
+        snapshot: false,
+        reason: entry.reason,
+        collections: entry.collections
+      }))
+    ]
+      .filter((row) => normalizedCollection === "all" || row.snapshot || row.collections.includes(normalizedCollection))
+      .sort((a, b) => b.rev - a.rev);
+    const maxRows = Math.max(1, Math.min(200, Math.trunc(Number(limit) || 20)));
+    return {
+      oldestAt: this.snapshots[0]?.at ?? 0,
+      revision: this.revision,
+      revisions: rows.slice(0, maxRows)
+    };
+  }
+
+  async readSnapshotDocument(snapshot) {
+    const parsed = JSON.parse(String(await readFile(this.getSnapshotPath(snapshot), "utf8")));
+    return parsed?.document && typeof parsed.document === "object" ? parsed.document : {};
+  }
+
+  async readJournalEntries(snapshotRev) {
+    try {
+      return parseJsonLines(await readFile(this.getJournalPath(snapshotRev), "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Resolves once every queued history write has reached the disk.
+  flush() {
+    return this.writeChain;
+  }
+
+  // Rebuilds the tracked collections as they were at `target` ({ rev } or { at }).
+  async buildDocumentAt(target) {
+    if (!this.enabled) {
+      return { ok: false, error: "world history unavailable" };
+    }
+    await this.writeChain;
+    const withinTarget = (row) =>
+      Number.isFinite(target?.rev) ? row.rev <= target.rev : row.at <= Number(target?.at);
+    const base = [...this.snapshots].reverse().find(withinTarget);
+    if (!base) {
+      return { ok: false, error: "no history at that point" };
+    }
+
+    let document;
+    try {
+      document = await this.readSnapshotDocument(base);
+    } catch (error) {
+      this.log?.warn?.(`[history] Failed to read snapshot ${base.rev}: ${error?.message ?? error}`);
+      return { ok: false, error: "history read failed" };
+    }
+    const surfaces = new Map(
+      getDocumentSurfaces(document).map((entry) => [String(entry?.surfaceId ?? ""), entry])
+    );
+    let appliedRev = base.rev;
+    let appliedAt = base.at;
+
+    const journalRevs = this.snapshots.filter((snapshot) => snapshot.rev >= base.rev).map((snapshot) => snapshot.rev);
+    for (const snapshotRev of journalRevs) {
+      let entries;
+      try {
+        entries = await this.readJournalEntries(snapshotRev);
+      } catch (error) {
+        this.log?.warn?.(`[history] Failed to read journal ${snapshotRev}: ${error?.message ?? error}`);
+        return { ok: false, error: "history read failed" };
+      }
+      for (const entry of entries) {
+        if (entry.rev <= base.rev || !withinTarget(entry)) {
+          continue;
+        }
+        const collections = Array.isArray(entry.collections) ? entry.collections : [];
+        applyWorldHistoryCollections(
+          document,
+          entry.data ?? {},
+          collections.filter((collection) => collection !== SURFACES_COLLECTION)
+        );
+        if (collections.includes(SURFACES_COLLECTION)) {
+          const changed = Array.isArray(entry.data?.surfaces) ? entry.data.surfaces : [];
+          if (!Array.isArray(entry.surfaceIds)) {
+            surfaces.clear();
+          }
+          for (const surfaceId of entry.surfaceIds ?? []) {
+            surfaces.delete(String(surfaceId));
+          }
+          for (const surface of changed) {
+            surfaces.set(String(surface?.surfaceId ?? ""), surface);
+          }
+        }
+        appliedRev = Math.max(appliedRev, entry.rev);
+        appliedAt = Math.max(appliedAt, entry.at);
+      }
+    }
+
+    document.surfacePaintCore = {
+      payloadVersion: SURFACE_PAINT_CORE_PAYLOAD_VERSION,
+      surfaces: [...surfaces.values()]
+    };
+    return { ok: true, document, rev: appliedRev, at: appliedAt };
+  }
+
+  getStats() {
+    return {
+      available: this.enabled,
+      revision: this.revision,
+      snapshots: this.snapshots.length,
+      journalEntries: this.entries.length,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      oldestAt: this.snapshots[0]?.at ?? 0
+    };
+  }
+}
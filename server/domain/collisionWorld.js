@@ -0,0 +1,200 @@
+const PLATFORM_EDGE_PADDING = 0.28;
+const PLATFORM_SNAP_BELOW = 0.6;
+const PLATFORM_SNAP_ABOVE = 0.1;
+const ROPE_GRAB_RADIUS = 0.9;
+const ROPE_GRAB_SLACK = 0.5;
+const SOLID_STEP_TOLERANCE = 0.05;
+const COLLISION_EPSILON = 0.0001;
+const COLLISION_PASSES = 3;
+
+const PROMO_BLOCK_WIDTH = 2.8;
+const PROMO_BLOCK_HEIGHT = 2.2;
+const PROMO_BLOCK_DEPTH = 1.8;
+const PROMO_MIN_SCALE = 0.35;
+const PROMO_MAX_SCALE = 2.85;
+
+function finiteOr(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function clampPromoScale(value, fallback = 1) {
+  return Math.max(PROMO_MIN_SCALE, Math.min(PROMO_MAX_SCALE, finiteOr(value, fallback)));
+}
+
+function createBoxCollider(centerX, centerZ, width, depth, minY = -2, maxY = 220) {
+  const halfW = Math.max(0.2, finiteOr(width, 0)) * 0.5;
+  const halfD = Math.max(0.2, finiteOr(depth, 0)) * 0.5;
+  const cx = finiteOr(centerX, 0);
+  const cz = finiteOr(centerZ, 0);
+  const yMin = finiteOr(minY, -2);
+  const yMax = finiteOr(maxY, 220);
+  return {
+    minX: cx - halfW,
+    maxX: cx + halfW,
+    minZ: cz - halfD,
+    maxZ: cz + halfD,
+    minY: Math.min(yMin, yMax),
+    maxY: Math.max(yMin, yMax)
+  };
+}
+
+export function createStaticColliders(rawBoxes) {
+  if (!Array.isArray(rawBoxes)) {
+    return [];
+  }
+  const colliders = [];
+  for (const box of rawBoxes) {
+    if (!box || typeof box !== "object") {
+      continue;
+    }
+    colliders.push(createBoxCollider(box.x, box.z, box.width, box.depth, box.minY, box.maxY));
+  }
+  return colliders;
+}
+
+function createPromoFootprint(entry) {
+  const scale = clampPromoScale(entry?.scale, 1);
+  const scaleY = clampPromoScale(entry?.scaleY, scale);
+  const yaw = finiteOr(entry?.yaw, 0);
+  const width = PROMO_BLOCK_WIDTH * scale;
+  const depth = PROMO_BLOCK_DEPTH * scale;
+  const height = PROMO_BLOCK_HEIGHT * scaleY;
+  const cos = Math.abs(Math.cos(yaw));
+  const sin = Math.abs(Math.sin(yaw));
+  const spanX = cos * width + sin * depth;
+  const spanZ = sin * width + cos * depth;
+  const x = finiteOr(entry?.x, 0);
+  const y = finiteOr(entry?.y, 0);
+  const z = finiteOr(entry?.z, 0);
+  return {
+    solid: createBoxCollider(x, z, spanX, spanZ, y, y + height - SOLID_STEP_TOLERANCE),
+    platform: { x, y: y + height * 0.5, z, w: spanX, h: height, d: spanZ }
+  };
+}
+
+export function buildRoomCollisionWorld(room, staticColliders = []) {
+  const solids = Array.isArray(staticColliders) ? [...staticColliders] : [];
+  const platforms = [];
+  for (const platform of Array.isArray(room?.platforms) ? room.platforms : []) {
+    platforms.push(platform);
+  }
+  const promoObjects = room?.promoObjects instanceof Map ? room.promoObjects.values() : [];
+  for (const entry of promoObjects) {
+    const footprint = createPromoFootprint(entry);
+    solids.push(footprint.solid);
+    platforms.push(footprint.platform);
+  }
+  return {
+    solids,
+    platforms,
+    ropes: Array.isArray(room?.ropes) ? room.ropes : []
+  };
+}
+
+export function resolveSolidCollisions(world, state, { radius = 0.45, playerHeight = 1.72 } = {}) {
+  const solids = world?.solids;
+  if (!state || !Array.isArray(solids) || solids.length === 0) {
+    return false;
+  }
+
+  const collisionRadius = Math.max(0.12, finiteOr(radius, 0.45));
+  const radiusSq = collisionRadius * collisionRadius;
+  const feetY = state.y - playerHeight;
+  const headY = state.y + 0.18;
+  let moved = false;
+
+  for (let pass = 0; pass < COLLISION_PASSES; pass += 1) {
+    let adjusted = false;
+    for (const collider of solids) {
+      if (headY < collider.minY || feetY > collider.maxY) {
+        continue;
+      }
+
+      const nearestX = Math.min(collider.maxX, Math.max(collider.minX, state.x));
+      const nearestZ = Math.min(collider.maxZ, Math.max(collider.minZ, state.z));
+      const offsetX = state.x - nearestX;
+      const offsetZ = state.z - nearestZ;
+      const distSq = offsetX * offsetX + offsetZ * offsetZ;
+      if (distSq >= radiusSq - COLLISION_EPSILON) {
+        continue;
+      }
+
+      if (distSq > COLLISION_EPSILON) {
+        const dist = Math.sqrt(distSq);
+        const push = collisionRadius - dist + COLLISION_EPSILON;
+        state.x += (offsetX / dist) * push;
+        state.z += (offsetZ / dist) * push;
+      } else {
+        const pushLeft = Math.abs(state.x - collider.minX);
+        const pushRight = Math.abs(collider.maxX - state.x);
+        const pushBack = Math.abs(state.z - collider.minZ);
+        const pushFront = Math.abs(collider.maxZ - state.z);
+        const smallest = Math.min(pushLeft, pushRight, pushBack, pushFront);
+        if (smallest === pushLeft) {
+          state.x = collider.minX - collisionRadius - COLLISION_EPSILON;
+        } else if (smallest === pushRight) {
+          state.x = collider.maxX + collisionRadius + COLLISION_EPSILON;
+        } else if (smallest === pushBack) {
+          state.z = collider.minZ - collisionRadius - COLLISION_EPSILON;
+        } else {
+          state.z = collider.maxZ + collisionRadius + COLLISION_EPSILON;
+        }
+      }
+      adjusted = true;
+      moved = true;
+    }
+    if (!adjusted) {
+      break;
+    }
+  }
+  return moved;
+}
+
+export function findPlatformSupportTop(world, x, z, prevFeetY, feetY) {
+  const platforms = world?.platforms;
+  if (!Array.isArray(platforms) || platforms.length === 0) {
+    return null;
+  }
+
+  let supportTopY = null;
+  for (const platform of platforms) {
+    const halfW = Math.max(0.1, finiteOr(platform?.w, 0)) * 0.5 + PLATFORM_EDGE_PADDING;
+    const halfD = Math.max(0.1, finiteOr(platform?.d, 0)) * 0.5 + PLATFORM_EDGE_PADDING;
+    if (
+      Math.abs(x - finiteOr(platform?.x, 0)) >= halfW ||
+      Math.abs(z - finiteOr(platform?.z, 0)) >= halfD
+    ) {
+      continue;
+    }
+    const topY = finiteOr(platform?.y, 0) + Math.max(0.05, finiteOr(platform?.h, 0.3)) * 0.5;
+    const swept = prevFeetY >= topY && feetY <= topY;
+    const nearTop = feetY >= topY - PLATFORM_SNAP_BELOW && feetY <= topY + PLATFORM_SNAP_ABOVE;
+    if ((swept || nearTop) && (supportTopY === null || topY > supportTopY)) {
+      supportTopY = topY;
+    }
+  }
+  return supportTopY;
+}
+
+export function findClimbableRope(world, x, feetY, z) {
+  const ropes = world?.ropes;
+  if (!Array.isArray(ropes) || ropes.length === 0) {
+    return null;
+  }
+  for (const rope of ropes) {
+    const ropeY = finiteOr(rope?.y, 0);
+    const ropeHeight = finiteOr(rope?.height, 4);
+    if (
+      Math.abs(x - finiteOr(rope?.x, 0)) > ROPE_GRAB_RADIUS ||
+      Math.abs(z - finiteOr(rope?.z, 0)) > ROPE_GRAB_RADIUS
+    ) {
+      continue;
+    }
+    if (feetY < ropeY - ROPE_GRAB_SLACK || feetY > ropeY + ropeHeight + ROPE_GRAB_SLACK) {
+      continue;
+    }
+    return rope;
+  }
+  return null;
+}
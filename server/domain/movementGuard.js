@@ -0,0 +1,128 @@
+const AIRBORNE_SPEED_FACTOR = 1.35;
+
+function finiteOr(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function readPoint(raw) {
+  const x = Number(Array.isArray(raw) ? raw[0] : raw?.x);
+  const z = Number(Array.isArray(raw) ? raw[2] : raw?.z);
+  return Number.isFinite(x) && Number.isFinite(z) ? { x, z } : null;
+}
+
+// Places a client may legitimately appear at when it joins: the city and bridge spawns
+// and the portals it returns through.
+export function collectEntryPoints(world) {
+  const hubFlow = world?.hubFlow ?? {};
+  return [
+    hubFlow.city?.spawn,
+    hubFlow.bridge?.spawn,
+    hubFlow.bridge?.approachSpawn,
+    hubFlow.bridge?.cityEntry,
+    hubFlow.portal?.position,
+    hubFlow.portal?.aZonePosition,
+    hubFlow.portal?.hallPosition
+  ]
+    .map(readPoint)
+    .filter(Boolean);
+}
+
+function isNearEntryPoint(next, points, radius) {
+  return points.some((point) => Math.hypot(next.x - point.x, next.z - point.z) <= radius);
+}
+
+// Marks a server-side relocation (join, zone switch, portal return). Syncs inside the
+// grace window that disagree with the new state are rejected without counting as violations.
+export function resetMovementBaseline(player, now = Date.now(), graceMs = 0) {
+  if (!player) {
+    return;
+  }
+  player.moveGuard = {
+    acceptedAt: now,
+    graceUntil: now + Math.max(0, finiteOr(graceMs, 0))
+  };
+}
+
+export function markMovementAccepted(player, now = Date.now()) {
+  if (!player) {
+    return;
+  }
+  const graceUntil = finiteOr(player.moveGuard?.graceUntil, 0);
+  player.moveGuard = { acceptedAt: now, graceUntil };
+}
+
+// Compares a client-reported position against the authoritative state. Allowed displacement
+// grows with the time since the last accepted state, capped so idle time cannot bank distance.
+export function validateStateSync(
+  player,
+  next,
+  { now = Date.now(), isHost = false, rttMs = 0, sim, guard, entryPoints = [] } = {}
+) {
+  const current = player?.state ?? {};
+  const baseline = player?.moveGuard ?? { acceptedAt: finiteOr(player?.joinedAt, 0), graceUntil: 0 };
+  if (!player?.moveGuard && now - baseline.acceptedAt <= finiteOr(guard?.placementWindowMs, 15_000)) {
+    // First placement after joining: the client picks its entry spawn, but only near the
+    // server-assigned spawn or a known entry point. Anything else is validated as a move.
+    const spawn = readPoint(current);
+    const points = spawn ? [spawn, ...entryPoints] : entryPoints;
+    if (isNearEntryPoint(next, points, Math.max(0, finiteOr(guard?.placementRadius, 12)))) {
+      return { verdict: "accept", state: next, distance: 0, allowed: Infinity, grace: false };
+    }
+  }
+
+  const tickMs = 1000 / Math.max(1, finiteOr(sim?.tickRateHz, 30));
+  const minWindowMs = Math.max(finiteOr(guard?.minWindowMs, 150), finiteOr(rttMs, 0) + tickMs * 2);
+  const maxWindowMs = Math.max(minWindowMs, finiteOr(guard?.maxWindowMs, 1500));
+  const windowSec =
+    Math.min(maxWindowMs, Math.max(minWindowMs, now - finiteOr(baseline.acceptedAt, 0))) / 1000;
+
+  const tolerance = Math.max(1, finiteOr(guard?.speedTolerance, 1.25));
+  const slack = Math.max(0, finiteOr(guard?.slackMeters, 1.5));
+  const sprint = Math.max(1, finiteOr(sim?.playerSprint, 13.2));
+  const gravity = Math.abs(finiteOr(sim?.playerGravity, -24));
+  const jumpForce = Math.max(0, finiteOr(sim?.jumpForce, 11.5));
+  const climbSpeed = Math.max(0, finiteOr(sim?.climbSpeed, 5.5));
+
+  const allowedHorizontal = sprint * AIRBORNE_SPEED_FACTOR * tolerance * windowSec + slack;
+  // Hosts may fly; everyone else rises by at most a jump apex plus rope climbing.
+  const allowedRise = isHost
+    ? sprint * tolerance * windowSec + 0.5 * gravity * windowSec * windowSec + slack
+    : (jumpForce * jumpForce) / (2 * gravity) + climbSpeed * tolerance * windowSec + slack;
+
+  const currentX = finiteOr(current.x, 0);
+  const currentY = finiteOr(current.y, next.y);
+  const currentZ = finiteOr(current.z, 0);
+  const dx = next.x - currentX;
+  const dz = next.z - currentZ;
+  const distance = Math.hypot(dx, dz);
+  const rise = next.y - currentY;
+  const grace = now < finiteOr(baseline.graceUntil, 0);
+
+  if (distance <= allowedHorizontal && rise <= allowedRise) {
+    return { verdict: "accept", state: next, distance, allowed: allowedHorizontal, grace };
+  }
+
+  const rejectFactor = Math.max(1, finiteOr(guard?.rejectFactor, 3));
+  if (
+    grace ||
+    distance > allowedHorizontal * rejectFactor ||
+    rise > allowedRise * rejectFactor
+  ) {
+    return { verdict: "reject", state: null, distance, allowed: allowedHorizontal, grace };
+  }
+
+  const scale = distance > allowedHorizontal ? allowedHorizontal / distance : 1;
+  return {
+    verdict: "clamp",
+    state: {
+      ...next,
+      x: currentX + dx * scale,
+      y: Math.min(next.y, currentY + allowedRise),
+      z: currentZ + dz * scale
+    },
+    distance,
+    allowed: allowedHorizontal,
+    grace
+  };
+}
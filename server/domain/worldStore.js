@@ -0,0 +1,320 @@
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import { mkdir, rename, unlink, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, join, resolve as resolvePath } from "node:path";
+
+export const WORLD_STORE_BACKEND_FILE = "file";
+export const WORLD_STORE_BACKEND_DIR = "dir";
+
+const WORLD_STORE_DIR_VERSION = 1;
+const META_FIELDS = Object.freeze(["version", "savedAt", "defaultRoomCode", "layoutVersion"]);
+const SURFACES_COLLECTION = "surfaces";
+const SURFACES_DIR_NAME = "surfaces";
+const SURFACE_PAINT_CORE_PAYLOAD_VERSION = 1;
+
+// Document fields owned by each collection. The directory backend stores each collection in
+// its own file; painted surfaces are stored one file per surface.
+export const WORLD_STORE_COLLECTIONS = Object.freeze({
+  portals: Object.freeze(["portalTarget", "aZonePortalTarget"]),
+  chatHistory: Object.freeze(["chatHistory"]),
+  portalDisplays: Object.freeze(["portalDisplays"]),
+  mainPortalAd: Object.freeze(["mainPortalAd"]),
+  leftBillboard: Object.freeze(["leftBillboard"]),
+  rightBillboard: Object.freeze(["rightBillboard"]),
+  platforms: Object.freeze(["platforms", "platformRevision"]),
+  ropes: Object.freeze(["ropes", "ropeRevision"]),
+  promoObjects: Object.freeze(["promoObjects"]),
+  surfacePolicies: Object.freeze(["surfacePolicies"]),
+  // `objectPositions` is the legacy form of hostCustomBlocks, kept so migrated stores still load it.
+  hostCustomBlocks: Object.freeze(["hostCustomBlocks", "objectPositions", "objectRevision"]),
+  objectEditor: Object.freeze(["objectEditor"]),
+  [SURFACES_COLLECTION]: Object.freeze(["surfacePaintCore"])
+});
+
+export function normalizeWorldStoreBackend(rawValue, fallback = WORLD_STORE_BACKEND_FILE) {
+  const value = String(rawValue ?? "")
+    .trim()
+    .toLowerCase();
+  if (value === WORLD_STORE_BACKEND_FILE || value === WORLD_STORE_BACKEND_DIR) {
+    return value;
+  }
+  return fallback === WORLD_STORE_BACKEND_DIR ? WORLD_STORE_BACKEND_DIR : WORLD_STORE_BACKEND_FILE;
+}
+
+// Dirty tracking for incremental writes: `all` forces a full rewrite (startup migrations,
+// restores), otherwise only the listed collections and surfaces are written.
+export function createWorldStoreDirtySet({ all = false } = {}) {
+  return { all, collections: new Set(), surfaceIds: new Set() };
+}
+
+export function markWorldStoreDirty(dirty, collections = null, surfaceId = "") {
+  if (collections === null || collections === undefined) {
+    dirty.all = true;
+    return dirty;
+  }
+  if (surfaceId) {
+    // A single painted surface; the "surfaces" collection itself means rewrite every surface.
+    dirty.surfaceIds.add(String(surfaceId));
+    return dirty;
+  }
+  for (const collection of Array.isArray(collections) ? collections : [collections]) {
+    if (Object.prototype.hasOwnProperty.call(WORLD_STORE_COLLECTIONS, collection)) {
+      dirty.collections.add(collection);
+    }
+  }
+  return dirty;
+}
+
+export function mergeWorldStoreDirty(target, source) {
+  if (!source) {
+    return target;
+  }
+  target.all = target.all || Boolean(source.all);
+  for (const collection of source.collections ?? []) {
+    target.collections.add(collection);
+  }
+  for (const surfaceId of source.surfaceIds ?? []) {
+    target.surfaceIds.add(surfaceId);
+  }
+  return target;
+}
+
+function resolveStorePath(rawPath) {
+  const value = String(rawPath ?? "").trim();
+  if (!value) {
+    return "";
+  }
+  return isAbsolute(value) ? value : resolvePath(process.cwd(), value);
+}
+
+function readJsonFileSync(filePath) {
+  const raw = String(readFileSync(filePath, "utf8") ?? "").trim();
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function writeJsonFileAtomic(filePath, value, { pretty = false } = {}) {
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(tmpPath, `${JSON.stringify(value, null, pretty ? 2 : 0)}\n`, "utf8");
+    await rename(tmpPath, filePath);
+  } catch (error) {
+    try {
+      await unlink(tmpPath);
+    } catch {
+      // ignore cleanup failures
+    }
+    throw error;
+  }
+}
+
+function pickFields(document, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (Object.prototype.hasOwnProperty.call(document ?? {}, field)) {
+      picked[field] = document[field];
+    }
+  }
+  return picked;
+}
+
+function getDocumentSurfaces(document) {
+  const core = document?.surfacePaintCore;
+  if (Array.isArray(core?.surfaces)) {
+    return core.surfaces;
+  }
+  if (Array.isArray(core)) {
+    return core;
+  }
+  return Array.isArray(document?.surfaces) ? document.surfaces : [];
+}
+
+// Surface ids may contain ':' which is not a portable file name character.
+function surfaceFileName(surfaceId) {
+  return `${encodeURIComponent(String(surfaceId ?? ""))}.json`;
+}
+
+// Whole-document backend: the original surface-paint.json layout, rewritten on every flush.
+export class SingleFileWorldStore {
+  constructor({ filePath = "", log = console } = {}) {
+    this.kind = WORLD_STORE_BACKEND_FILE;
+    this.incremental = false;
+    this.log = log ?? console;
+    this.location = resolveStorePath(filePath);
+  }
+
+  load() {
+    if (!this.location) {
+      return null;
+    }
+    try {
+      return readJsonFileSync(this.location);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(
+          `[store] Failed to read world store (${this.location}): ${error?.message ?? error}`
+        );
+      }
+      return null;
+    }
+  }
+
+  async write(document) {
+    await writeJsonFileAtomic(this.location, document, { pretty: true });
+    return { ok: true, files: 1 };
+  }
+}
+
+// Directory-of-documents backend: meta.json, one <collection>.json per collection and
+// surfaces/<surfaceId>.json per painted surface. Only dirty files are rewritten.
+export class DirectoryWorldStore {
+  constructor({ dirPath = "", log = console } = {}) {
+    this.kind = WORLD_STORE_BACKEND_DIR;
+    this.incremental = true;
+    this.log = log ?? console;
+    this.location = resolveStorePath(dirPath);
+  }
+
+  get metaPath() {
+    return join(this.location, "meta.json");
+  }
+
+  get surfacesDir() {
+    return join(this.location, SURFACES_DIR_NAME);
+  }
+
+  getCollectionPath(collection) {
+    return join(this.location, `${collection}.json`);
+  }
+
+  getSurfacePath(surfaceId) {
+    return join(this.surfacesDir, surfaceFileName(surfaceId));
+  }
+
+  readSection(filePath) {
+    try {
+      return readJsonFileSync(filePath);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(`[store] Failed to read ${filePath}: ${error?.message ?? error}`);
+      }
+      return null;
+    }
+  }
+
+  listSurfaceFiles() {
+    try {
+      return readdirSync(this.surfacesDir).filter((name) => name.endsWith(".json"));
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        this.log?.warn?.(
+          `[store] Failed to list ${this.surfacesDir}: ${error?.message ?? error}`
+        );
+      }
+      return [];
+    }
+  }
+
+  load() {
+    if (!this.location || !existsSync(this.metaPath)) {
+      return null;
+    }
+    const meta = this.readSection(this.metaPath);
+    if (!meta || typeof meta !== "object") {
+      return null;
+    }
+
+    const document = pickFields(meta, META_FIELDS);
+    for (const [collection, fields] of Object.entries(WORLD_STORE_COLLECTIONS)) {
+      if (collection === SURFACES_COLLECTION) {
+        continue;
+      }
+      const section = this.readSection(this.getCollectionPath(collection));
+      if (section && typeof section === "object") {
+        Object.assign(document, pickFields(section, fields));
+      }
+    }
+
+    const surfaces = [];
+    for (const fileName of this.listSurfaceFiles()) {
+      const entry = this.readSection(join(this.surfacesDir, fileName));
+      if (entry && typeof entry === "object") {
+        surfaces.push(entry);
+      }
+    }
+    document.surfacePaintCore = {
+      payloadVersion: SURFACE_PAINT_CORE_PAYLOAD_VERSION,
+      surfaces
+    };
+    return document;
+  }
+
+  async writeSurfaces(document, dirty) {
+    const surfaces = new Map();
+    for (const entry of getDocumentSurfaces(document)) {
+      const surfaceId = String(entry?.surfaceId ?? "").trim();
+      if (surfaceId) {
+        surfaces.set(surfaceId, entry);
+      }
+    }
+
+    const rewriteAll = dirty.all || dirty.collections.has(SURFACES_COLLECTION);
+    const targetIds = rewriteAll ? [...surfaces.keys()] : [...dirty.surfaceIds];
+    let files = 0;
+    for (const surfaceId of targetIds) {
+      const entry = surfaces.get(surfaceId);
+      if (entry) {
+        await writeJsonFileAtomic(this.getSurfacePath(surfaceId), entry);
+        files += 1;
+      } else {
+        await unlink(this.getSurfacePath(surfaceId)).catch((error) => {
+          if (error?.code !== "ENOENT") {
+            throw error;
+          }
+        });
+      }
+    }
+
+    if (rewriteAll) {
+      // Full rewrites also drop files for surfaces that no longer exist.
+      const keep = new Set([...surfaces.keys()].map((surfaceId) => surfaceFileName(surfaceId)));
+      for (const fileName of this.listSurfaceFiles()) {
+        if (!keep.has(fileName)) {
+          await unlink(join(this.surfacesDir, fileName));
+        }
+      }
+    }
+    return files;
+  }
+
+  async write(document, dirty = createWorldStoreDirtySet({ all: true })) {
+    await mkdir(this.location, { recursive: true });
+    let files = 0;
+    for (const [collection, fields] of Object.entries(WORLD_STORE_COLLECTIONS)) {
+      if (collection === SURFACES_COLLECTION) {
+        continue;
+      }
+      if (!dirty.all && !dirty.collections.has(collection)) {
+        continue;
+      }
+      await writeJsonFileAtomic(this.getCollectionPath(collection), pickFields(document, fields));
+      files += 1;
+    }
+    files += await this.writeSurfaces(document, dirty);
+
+    // meta.json goes last so a store is only loadable once its collections exist.
+    await writeJsonFileAtomic(this.metaPath, {
+      ...pickFields(document, META_FIELDS),
+      storeVersion: WORLD_STORE_DIR_VERSION
+    });
+    return { ok: true, files: files + 1 };
+  }
+}
+
+export function createWorldStore({ backend = WORLD_STORE_BACKEND_FILE, filePath = "", dirPath = "", log = console } = {}) {
+  if (normalizeWorldStoreBackend(backend) === WORLD_STORE_BACKEND_DIR) {
+    const store = new DirectoryWorldStore({ dirPath, log });
+    return store.location ? store : null;
+  }
+  const store = new SingleFileWorldStore({ filePath, log });
+  return store.location ? store : null;
+}
@@ -0,0 +1,423 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { normalizeRoomCode } from "../domain/RoomService.js";
+import {
+  WORLD_HISTORY_COLLECTIONS,
+  normalizeWorldHistoryCollection
+} from "../domain/WorldHistory.js";
+
+const ADMIN_MAX_BODY_BYTES = 1_000_000;
+const ADMIN_ACTOR_NAME = "admin api";
+const WORLD_IMPORT_ROUTE = "PUT /admin/world";
+// Routes that act on one room, picked with `?room=CODE` or `room` in the body.
+const ROOM_SCOPED_ROUTES = new Set([
+  "GET /admin/roles",
+  "PUT /admin/roles",
+  "GET /admin/chat-filter",
+  "GET /admin/portals",
+  "PUT /admin/portals",
+  "GET /admin/world",
+  WORLD_IMPORT_ROUTE
+]);
+
+function writeAdminJson(res, statusCode, payload, headers = {}) {
+  res.writeHead(statusCode, {
+    ...headers,
+    "content-type": "application/json; charset=utf-8",
+    "cache-control": "no-store"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+export function digestToken(value) {
+  return createHash("sha256").update(String(value ?? ""), "utf8").digest();
+}
+
+export function readBearerToken(req) {
+  const header = String(req.headers?.authorization ?? "").trim();
+  const match = /^bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : "";
+}
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let received = 0;
+    let settled = false;
+    const finish = (result) => {
+      if (!settled) {
+        settled = true;
+        resolve(result);
+      }
+    };
+    req.on("data", (chunk) => {
+      if (settled) {
+        return;
+      }
+      received += chunk.length;
+      if (received > maxBytes) {
+        finish({ ok: false, status: 413, error: "body too large" });
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (received === 0) {
+        finish({ ok: true, body: {} });
+        return;
+      }
+      try {
+        const body = JSON.parse(Buffer.concat(chunks, received).toString("utf8"));
+        finish(
+          body && typeof body === "object" && !Array.isArray(body)
+            ? { ok: true, body }
+            : { ok: false, status: 400, error: "json object expected" }
+        );
+      } catch {
+        finish({ ok: false, status: 400, error: "invalid json" });
+      }
+    });
+    req.on("error", () => finish({ ok: false, status: 400, error: "request aborted" }));
+  });
+}
+
+function parseTimeParam(rawValue) {
+  const value = String(rawValue ?? "").trim();
+  if (!value) {
+    return 0;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : 0;
+}
+
+// The persistent room unless a code is given; null for an unknown code.
+function resolveAdminRoom(roomService, rawCode) {
+  if (!String(rawCode ?? "").trim()) {
+    return roomService.getDefaultRoom();
+  }
+  const code = normalizeRoomCode(rawCode);
+  if (code && code === roomService.defaultRoomCode) {
+    return roomService.getDefaultRoom();
+  }
+  return code ? roomService.getRoomByCode(code) ?? null : null;
+}
+
+function readRequestIp(req) {
+  const forwardedFor = String(req.headers?.["x-forwarded-for"] ?? "").split(",")[0].trim();
+  return forwardedFor || String(req.socket?.remoteAddress ?? "").replace(/^::ffff:/, "");
+}
+
+function parseCollectionList(rawValue) {
+  const names = Array.isArray(rawValue)
+    ? rawValue
+    : String(rawValue ?? "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+  if (names.length === 0) {
+    return WORLD_HISTORY_COLLECTIONS.slice();
+  }
+  const collections = [];
+  for (const name of names) {
+    const collection = normalizeWorldHistoryCollection(name);
+    if (!collection) {
+      return null;
+    }
+    if (collection === "all") {
+      return WORLD_HISTORY_COLLECTIONS.slice();
+    }
+    collections.push(collection);
+  }
+  return collections;
+}
+
+function serializePortals(roomService, room) {
+  return {
+    ok: true,
+    room: room.code,
+    portalTarget: String(room.portalTarget ?? "").trim(),
+    aZonePortalTarget: String(room.aZonePortalTarget ?? "").trim(),
+    schedule: roomService.serializePortalSchedule(room)
+  };
+}
+
+// Applies `{ portalTarget, aZonePortalTarget, schedule }` the same way the host socket events
+// do, including the broadcasts. `schedule` is `{ delaySeconds }` or `{ mode: "open" | "closed" }`.
+function updatePortals(io, roomService, room, body) {
+  const schedule = body.schedule;
+  const mode = String(schedule?.mode ?? "").trim().toLowerCase();
+  if (
+    schedule !== undefined &&
+    !(Number(schedule?.delaySeconds) > 0 || mode === "open" || mode === "closed" || mode === "idle")
+  ) {
+    return { ok: false, error: "invalid schedule" };
+  }
+  const changes = [];
+  if (body.portalTarget !== undefined) {
+    const result = roomService.setPortalTarget(room, body.portalTarget);
+    if (!result.ok) {
+      return result;
+    }
+    if (result.changed) {
+      roomService.emitPortalTargetUpdate(room);
+      changes.push("portalTarget");
+    }
+  }
+  if (body.aZonePortalTarget !== undefined) {
+    const result = roomService.setAZonePortalTarget(room, body.aZonePortalTarget);
+    if (!result.ok) {
+      return result;
+    }
+    if (result.changed) {
+      roomService.emitAZonePortalTargetUpdate(room);
+      changes.push("aZonePortalTarget");
+    }
+  }
+
+  if (schedule !== undefined) {
+    const now = Date.now();
+    let result = null;
+    if (Number(schedule.delaySeconds) > 0) {
+      result = roomService.setPortalScheduleDelay(room, schedule.delaySeconds);
+    } else if (mode === "open") {
+      result = roomService.forcePortalOpen(room);
+      if (result.ok) {
+        io?.to(room.code).emit("portal:force-open", {
+          roomCode: room.code,
+          hostId: null,
+          openedAt: now,
+          schedule: result.schedule
+        });
+      }
+    } else {
+      result = roomService.closePortal(room);
+      if (result.ok) {
+        io?.to(room.code).emit("portal:force-close", {
+          roomCode: room.code,
+          hostId: null,
+          closedAt: now,
+          schedule: result.schedule
+        });
+      }
+    }
+    if (!result.ok) {
+      return result;
+    }
+    roomService.emitPortalScheduleUpdate(room);
+    changes.push("schedule");
+  }
+  return { ...serializePortals(roomService, room), changed: changes };
+}
+
+// `/admin/*` JSON API for operators. Requests carry `Authorization: Bearer <ADMIN_API_TOKEN>`;
+// without a configured token every route answers 404.
+// The getters resolve lazily because the status server is created before the socket server.
+export function createAdminApi({
+  token = "",
+  worldImportMaxBytes = 16_000_000,
+  getIo,
+  getRoomService,
+  getControls,
+  auditLog = null,
+  chatFilter = null,
+  sessionTokens = null,
+  log = console
+}) {
+  const tokenDigest = token ? digestToken(token) : null;
+  // World imports are buffered whole, so only one is read at a time.
+  let worldImportInFlight = false;
+
+  const isAuthorized = (req) => {
+    const provided = readBearerToken(req);
+    return Boolean(provided) && timingSafeEqual(digestToken(provided), tokenDigest);
+  };
+
+  return async function handleAdminRequest(req, res, pathname, method, url) {
+    if (!tokenDigest) {
+      writeAdminJson(res, 404, { ok: false, error: "admin api disabled" });
+      req.resume();
+      return;
+    }
+    if (!isAuthorized(req)) {
+      writeAdminJson(res, 401, { ok: false, error: "unauthorized" }, { "www-authenticate": "Bearer" });
+      req.resume();
+      return;
+    }
+    const roomService = getRoomService?.();
+    const controls = getControls?.();
+    if (!roomService || !controls) {
+      writeAdminJson(res, 503, { ok: false, error: "server starting" });
+      req.resume();
+      return;
+    }
+
+    const route = `${method} ${pathname.replace(/\/+$/, "")}`;
+    let body = {};
+    if (method === "POST" || method === "PUT") {
+      const worldImport = route === WORLD_IMPORT_ROUTE;
+      if (worldImport && worldImportInFlight) {
+        writeAdminJson(res, 429, { ok: false, error: "world import in progress" });
+        req.resume();
+        return;
+      }
+      if (worldImport) {
+        worldImportInFlight = true;
+      }
+      const parsed = await readJsonBody(req, worldImport ? worldImportMaxBytes : ADMIN_MAX_BODY_BYTES);
+      if (worldImport) {
+        worldImportInFlight = false;
+      }
+      if (!parsed.ok) {
+        writeAdminJson(res, parsed.status, { ok: false, error: parsed.error });
+        return;
+      }
+      body = parsed.body;
+    }
+    const room = ROOM_SCOPED_ROUTES.has(route)
+      ? resolveAdminRoom(roomService, body.room ?? url.searchParams.get("room"))
+      : null;
+    if (ROOM_SCOPED_ROUTES.has(route) && !room) {
+      writeAdminJson(res, 404, { ok: false, error: "room not found" });
+      return;
+    }
+    const reply = (result) => writeAdminJson(res, result?.ok === false ? 400 : 200, result);
+    // Server-wide actions are recorded without a room.
+    const audit = (event, result, before = null) => {
+      if (result?.ok) {
+        auditLog?.record({
+          event,
+          actor: { name: ADMIN_ACTOR_NAME, ip: readRequestIp(req) },
+          room: room?.code ?? null,
+          before,
+          after: result,
+          request: body
+        });
+      }
+      return result;
+    };
+
+    switch (route) {
+      case "GET /admin/players":
+        reply({ ok: true, players: controls.listPlayers() });
+        return;
+      case "POST /admin/players/kick":
+        reply(audit("admin:kick", controls.kick(body)));
+        return;
+      case "POST /admin/players/ban":
+        reply(audit("admin:ban", controls.ban(body)));
+        return;
+      case "POST /admin/players/unban":
+        reply(audit("admin:unban", controls.unban(body)));
+        return;
+      case "GET /admin/bans":
+        reply({ ok: true, ...controls.listBans() });
+        return;
+      case "GET /admin/roles":
+        reply({ ok: true, room: room.code, grants: roomService.listRoleGrants(room) });
+        return;
+      case "PUT /admin/roles": {
+        const result = audit(
+          "admin:role",
+          roomService.setRoleGrant(room, {
+            playerKey: body.playerKey,
+            role: body.role,
+            name: body.name,
+            grantedBy: ADMIN_ACTOR_NAME
+          })
+        );
+        if (result.changed) {
+          roomService.emitRoomUpdate(room);
+        }
+        reply(result);
+        return;
+      }
+      case "GET /admin/chat-filter":
+        reply({
+          ok: true,
+          rules: chatFilter?.summarize() ?? null,
+          room: room.code,
+          flags: roomService.listChatFlags(room)
+        });
+        return;
+      case "POST /admin/chat-filter/reload":
+        reply(audit("admin:chat-filter:reload", chatFilter?.load() ?? { ok: false, error: "chat filter unavailable" }));
+        return;
+      case "GET /admin/session-tokens":
+        reply(
+          sessionTokens
+            ? { ok: true, ...sessionTokens.summarize() }
+            : { ok: false, error: "session tokens unavailable" }
+        );
+        return;
+      case "POST /admin/session-tokens/rotate":
+        reply(
+          audit(
+            "admin:session-tokens:rotate",
+            sessionTokens?.rotate() ?? { ok: false, error: "session tokens unavailable" }
+          )
+        );
+        return;
+      case "GET /admin/portals":
+        reply(serializePortals(roomService, room));
+        return;
+      case "PUT /admin/portals": {
+        const before = serializePortals(roomService, room);
+        const result = audit("admin:portals", updatePortals(getIo?.(), roomService, room, body), before);
+        if (result.ok && result.changed.length > 0) {
+          log?.log?.(`[admin] portals updated in ${room.code}: ${result.changed.join(", ")}`);
+        }
+        reply(result);
+        return;
+      }
+      case "GET /admin/world": {
+        const document = roomService.buildWorldStoreDocument(room);
+        writeAdminJson(res, 200, document, {
+          "content-disposition": `attachment; filename="world-${room.code}-${document.savedAt}.json"`
+        });
+        return;
+      }
+      case WORLD_IMPORT_ROUTE: {
+        const collections = parseCollectionList(body.collections ?? url.searchParams.get("collections"));
+        if (!collections) {
+          reply({ ok: false, error: "invalid collection" });
+          return;
+        }
+        const result = audit(
+          "admin:world:import",
+          roomService.importWorldDocument(body.document ?? body, collections, {
+            actorName: ADMIN_ACTOR_NAME,
+            room
+          })
+        );
+        if (result.ok) {
+          log?.log?.(`[admin] world imported into ${room.code}: ${result.collections.join(", ")}`);
+        }
+        reply(result);
+        return;
+      }
+      case "GET /admin/audit":
+        reply({
+          ok: true,
+          entries: await (auditLog?.query({
+            event: url.searchParams.get("event") ?? "",
+            actor: url.searchParams.get("actor") ?? "",
+            room: url.searchParams.get("room") ?? "",
+            since: parseTimeParam(url.searchParams.get("since")),
+            until: parseTimeParam(url.searchParams.get("until")),
+            limit: url.searchParams.get("limit") ?? 100
+          }) ?? [])
+        });
+        return;
+      case "POST /admin/persistence/flush":
+        try {
+          await roomService.flushSurfacePaintToDiskNow();
+          reply({ ok: true, persistence: roomService.getPersistenceStatus() });
+        } catch (error) {
+          writeAdminJson(res, 503, { ok: false, error: String(error?.message ?? error ?? "flush failed") });
+        }
+        return;
+      default:
+        writeAdminJson(res, 404, { ok: false, error: "unknown admin route" });
+    }
+  };
+}
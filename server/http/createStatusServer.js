@@ -1,7 +1,10 @@
+import { timingSafeEqual } from "node:crypto";
 import { createReadStream } from "node:fs";
 import { stat } from "node:fs/promises";
 import { createServer } from "node:http";
 import { extname, resolve as resolvePath } from "node:path";
+import { digestToken, readBearerToken } from "./adminApi.js";
+import { renderPrometheusMetrics } from "./prometheusMetrics.js";
 
 const MIME_TYPES = Object.freeze({
   ".html": "text/html; charset=utf-8",
@@ -28,6 +31,16 @@ const MIME_TYPES = Object.freeze({
   ".ttf": "font/ttf"
 });
 
+const MEDIA_PATH_PATTERN = /^\/media\/([a-f0-9]{64})$/;
+const MEDIA_CORS_HEADERS = Object.freeze({
+  "access-control-allow-origin": "*",
+  "access-control-allow-methods": "GET, HEAD, POST, OPTIONS",
+  "access-control-allow-headers": "content-type, range, x-media-upload-token",
+  "access-control-expose-headers": "content-length, content-range, accept-ranges, etag",
+  // Stored types come from the file's bytes; browsers must not guess another one.
+  "x-content-type-options": "nosniff"
+});
+const RANGE_PATTERN = /^bytes=(\d*)-(\d*)$/;
 const LEGACY_HALL_PORTAL_PATH = "/performance/index.html";
 const DEFAULT_EXTERNAL_HALL_PORTAL_URL =
   "https://performance-i3w5.onrender.com/performance/";
@@ -40,6 +53,15 @@ function writeJson(res, statusCode, payload) {
   res.end(JSON.stringify(payload));
 }
 
+function writeMediaJson(res, statusCode, payload) {
+  res.writeHead(statusCode, {
+    ...MEDIA_CORS_HEADERS,
+    "content-type": "application/json; charset=utf-8",
+    "cache-control": "no-store"
+  });
+  res.end(JSON.stringify(payload));
+}
+
 function requestPathname(req) {
   if (typeof req?.url !== "string") {
     return "/";
@@ -154,6 +176,123 @@ async function serveStaticFile(res, method, rootDir, pathname) {
   return true;
 }
 
+function readRequestBody(req, maxBytes) {
+  return new Promise((resolve) => {
+    const declaredLength = Number(req.headers?.["content-length"]);
+    if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+      resolve({ ok: false, status: 413, error: "media too large" });
+      req.resume();
+      return;
+    }
+    const chunks = [];
+    let received = 0;
+    let settled = false;
+    req.on("data", (chunk) => {
+      if (settled) {
+        return;
+      }
+      received += chunk.length;
+      if (received > maxBytes) {
+        settled = true;
+        resolve({ ok: false, status: 413, error: "media too large" });
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (!settled) {
+        settled = true;
+        resolve({ ok: true, buffer: Buffer.concat(chunks, received) });
+      }
+    });
+    req.on("error", () => {
+      if (!settled) {
+        settled = true;
+        resolve({ ok: false, status: 400, error: "upload aborted" });
+      }
+    });
+  });
+}
+
+// POST /media?kind=<image|video|audio> with a raw body and a token from `media:upload:grant`.
+async function handleMediaUpload(req, res, mediaStore, url) {
+  if (!mediaStore?.enabled) {
+    writeMediaJson(res, 503, { ok: false, error: "media store unavailable" });
+    return;
+  }
+  const grant = mediaStore.consumeUploadToken(req.headers?.["x-media-upload-token"]);
+  if (!grant) {
+    writeMediaJson(res, 403, { ok: false, error: "upload token invalid or expired" });
+    req.resume();
+    return;
+  }
+  const kind = String(url.searchParams.get("kind") ?? grant.kind).trim().toLowerCase();
+  if (kind !== grant.kind) {
+    writeMediaJson(res, 400, { ok: false, error: "media kind mismatch" });
+    req.resume();
+    return;
+  }
+  const body = await readRequestBody(req, mediaStore.getMaxBytes(kind));
+  if (!body.ok) {
+    writeMediaJson(res, body.status, { ok: false, error: body.error });
+    return;
+  }
+  const result = await mediaStore.put(body.buffer, req.headers?.["content-type"], {
+    kind,
+    uploader: grant.uploader
+  });
+  writeMediaJson(res, result.ok ? (result.created ? 201 : 200) : 400, result);
+}
+
+function serveMediaFile(req, res, method, entry) {
+  const etag = `"${entry.id}"`;
+  const headers = {
+    ...MEDIA_CORS_HEADERS,
+    "content-type": entry.mimeType,
+    "cache-control": "public, max-age=31536000, immutable",
+    "accept-ranges": "bytes",
+    etag
+  };
+  if (String(req.headers?.["if-none-match"] ?? "").includes(etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  // Single byte ranges are enough for video seeking.
+  let start = 0;
+  let end = entry.size - 1;
+  let statusCode = 200;
+  const range = RANGE_PATTERN.exec(String(req.headers?.range ?? "").trim());
+  if (range && (range[1] || range[2])) {
+    if (range[1]) {
+      start = Number(range[1]);
+      end = range[2] ? Math.min(Number(range[2]), entry.size - 1) : entry.size - 1;
+    } else {
+      start = Math.max(0, entry.size - Number(range[2]));
+    }
+    if (start > end || start >= entry.size) {
+      res.writeHead(416, { ...headers, "content-range": `bytes */${entry.size}` });
+      res.end();
+      return;
+    }
+    statusCode = 206;
+    headers["content-range"] = `bytes ${start}-${end}/${entry.size}`;
+  }
+  headers["content-length"] = String(end - start + 1);
+  res.writeHead(statusCode, headers);
+  if (method === "HEAD") {
+    res.end();
+    return;
+  }
+  const stream = createReadStream(entry.filePath, { start, end });
+  stream.on("error", () => {
+    res.destroy();
+  });
+  stream.pipe(res);
+}
+
 export function createStatusServer({
   serviceName,
   defaultRoomCode,
@@ -162,14 +301,28 @@ export function createStatusServer({
   getRoomStats,
   getMetrics,
   getPersistenceStatus,
-  staticClientDir = "dist"
+  getSocketMetrics,
+  metricsToken = "",
+  mediaStore = null,
+  adminApi = null,
+  staticClientDir = "dist",
+  log = console
 }) {
   const resolvedStaticDir = String(staticClientDir ?? "").trim()
     ? resolvePath(process.cwd(), String(staticClientDir))
     : "";
   const deploy = resolveDeployMeta();
+  const metricsTokenDigest = metricsToken ? digestToken(metricsToken) : null;
 
-  return createServer(async (req, res) => {
+  const isMetricsAuthorized = (req) => {
+    if (!metricsTokenDigest) {
+      return true;
+    }
+    const provided = readBearerToken(req);
+    return Boolean(provided) && timingSafeEqual(digestToken(provided), metricsTokenDigest);
+  };
+
+  const handleRequest = async (req, res) => {
     const parsedRequestUrl = requestUrl(req);
     const pathname = requestPathname(req);
     const method = requestMethod(req);
@@ -178,6 +331,35 @@ export function createStatusServer({
       return;
     }
 
+    if (pathname === "/media" || pathname.startsWith("/media/")) {
+      if (method === "OPTIONS") {
+        res.writeHead(204, MEDIA_CORS_HEADERS);
+        res.end();
+        return;
+      }
+      if (pathname === "/media" && method === "POST") {
+        await handleMediaUpload(req, res, mediaStore, parsedRequestUrl);
+        return;
+      }
+      const mediaMatch = MEDIA_PATH_PATTERN.exec(pathname);
+      const entry = mediaMatch && canServeFile ? mediaStore?.get?.(mediaMatch[1]) : null;
+      if (entry) {
+        serveMediaFile(req, res, method, entry);
+        return;
+      }
+      writeMediaJson(res, 404, { ok: false, error: "media not found" });
+      return;
+    }
+
+    if (pathname === "/admin" || pathname.startsWith("/admin/")) {
+      if (typeof adminApi === "function") {
+        await adminApi(req, res, pathname, method, parsedRequestUrl);
+        return;
+      }
+      writeJson(res, 404, { ok: false, error: "admin api disabled" });
+      return;
+    }
+
     if (pathname === "/health") {
       const stats = getRoomStats();
       const metrics = typeof getMetrics === "function" ? getMetrics() : null;
@@ -186,17 +368,44 @@ export function createStatusServer({
         ok: true,
         service: serviceName,
         rooms: Number(stats?.rooms) || 1,
+        maxRooms: Number(stats?.maxRooms) || 1,
         online: Number(getOnlineCount?.()) || 0,
+        totalPlayers: Number(stats?.totalPlayers) || 0,
+        zonePlayers: stats?.zonePlayers ?? {},
+        resumableSessions: Number(stats?.resumableSessions) || 0,
         globalPlayers: Number(stats?.globalPlayers) || 0,
         globalCapacity: Number(stats?.globalCapacity) || maxRoomPlayers,
         metrics,
         persistence,
+        media: mediaStore?.getStats?.() ?? null,
         deploy,
         now: Date.now()
       });
       return;
     }
 
+    if (pathname === "/metrics") {
+      if (!isMetricsAuthorized(req)) {
+        res.writeHead(401, { "content-type": "text/plain; charset=utf-8", "www-authenticate": "Bearer" });
+        res.end("Unauthorized");
+        return;
+      }
+      const body = renderPrometheusMetrics({
+        online: Number(getOnlineCount?.()) || 0,
+        roomStats: getRoomStats(),
+        metrics: typeof getMetrics === "function" ? getMetrics() : null,
+        persistence: typeof getPersistenceStatus === "function" ? getPersistenceStatus() : null,
+        media: mediaStore?.getStats?.() ?? null,
+        socketMetrics: typeof getSocketMetrics === "function" ? getSocketMetrics() : null
+      });
+      res.writeHead(200, {
+        "content-type": "text/plain; version=0.0.4; charset=utf-8",
+        "cache-control": "no-store"
+      });
+      res.end(body);
+      return;
+    }
+
     if (pathname === "/status") {
       const persistence = typeof getPersistenceStatus === "function" ? getPersistenceStatus() : null;
       writeJson(res, 200, {
@@ -272,5 +481,18 @@ export function createStatusServer({
 
     res.writeHead(404, { "content-type": "text/plain; charset=utf-8" });
     res.end("Not found");
+  };
+
+  return createServer(async (req, res) => {
+    try {
+      await handleRequest(req, res);
+    } catch (error) {
+      log?.warn?.(`[http] ${requestMethod(req)} ${requestPathname(req)} failed: ${error?.message ?? error}`);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      writeJson(res, 500, { ok: false, error: "internal server error" });
+    }
   });
 }
@@ -0,0 +1,175 @@
+const METRIC_PREFIX = "reclaim_";
+
+function escapeLabelValue(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels ?? {});
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (typeof value === "boolean") {
+    return value ? "1" : "0";
+  }
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    return "NaN";
+  }
+  if (!Number.isFinite(number)) {
+    return number > 0 ? "+Inf" : "-Inf";
+  }
+  return String(number);
+}
+
+// Collects samples per metric family so each family gets one HELP/TYPE header.
+class MetricWriter {
+  constructor() {
+    this.families = new Map();
+  }
+
+  add(name, type, help, value, labels = {}) {
+    if (value === null || value === undefined) {
+      return;
+    }
+    const fullName = `${METRIC_PREFIX}${name}`;
+    let family = this.families.get(fullName);
+    if (!family) {
+      family = { type, help, samples: [] };
+      this.families.set(fullName, family);
+    }
+    family.samples.push(`${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  gauge(name, help, value, labels) {
+    this.add(name, "gauge", help, value, labels);
+  }
+
+  counter(name, help, value, labels) {
+    this.add(name, "counter", help, value, labels);
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, family] of this.families) {
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      lines.push(...family.samples);
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+function writeRoomMetrics(writer, online, roomStats) {
+  writer.gauge("online_sockets", "Connected sockets.", online);
+  writer.gauge("rooms", "Open rooms.", roomStats?.rooms);
+  writer.gauge("rooms_max", "Room limit.", roomStats?.maxRooms);
+  writer.gauge("players", "Players in rooms.", roomStats?.totalPlayers);
+  for (const [zone, count] of Object.entries(roomStats?.zonePlayers ?? {})) {
+    writer.gauge("zone_players", "Players per zone across rooms.", count, { zone });
+  }
+  for (const [room, count] of Object.entries(roomStats?.roomPlayers ?? {})) {
+    writer.gauge("room_players", "Players per room.", count, { room });
+  }
+  writer.gauge("resumable_sessions", "Dropped players inside the resume grace period.", roomStats?.resumableSessions);
+}
+
+function writeRuntimeMetrics(writer, metrics) {
+  if (!metrics) {
+    return;
+  }
+  writer.gauge("tick_rate_hz", "Configured simulation tick rate.", metrics.tickRateHz);
+  writer.gauge("tick_drift_p95_ms", "p95 tick scheduling drift.", metrics.tickDriftP95Ms);
+  for (const [phase, value] of Object.entries(metrics.tickBreakdownP95Ms ?? {})) {
+    writer.gauge("tick_duration_p95_ms", "p95 tick duration by phase.", value, { phase });
+  }
+  for (const [phase, value] of Object.entries(metrics.tickBreakdownPeakMs ?? {})) {
+    writer.gauge("tick_duration_peak_ms", "Peak tick duration by phase.", value, { phase });
+  }
+  writer.gauge("interest_cells_visited_p95", "p95 grid cells visited per AOI query.", metrics.interestCellsVisitedP95);
+  writer.gauge("interest_candidates_p95", "p95 AOI candidates per query.", metrics.interestCandidatesP95);
+  writer.gauge("snapshot_bytes_p95", "p95 snapshot payload size.", metrics.sendSizeP95Bytes, { encoding: "all" });
+  for (const [encoding, value] of Object.entries(metrics.sendSizeP95BytesByEncoding ?? {})) {
+    writer.gauge("snapshot_bytes_p95", "p95 snapshot payload size.", value, { encoding });
+  }
+  writer.gauge(
+    "binary_snapshot_size_ratio",
+    "Binary snapshot bytes divided by JSON bytes for the same snapshots.",
+    metrics.binarySnapshotSizeRatio
+  );
+  writer.counter("snapshots_sent_total", "Snapshots sent.", metrics.snapshotCount);
+  writer.counter("inputs_total", "Input commands by outcome.", metrics.inputAccepted, { result: "accepted" });
+  writer.counter("inputs_total", "Input commands by outcome.", metrics.inputDropped, { result: "dropped" });
+  writer.gauge("input_drop_rate", "Dropped input commands over all input commands.", metrics.inputDropRate);
+  writer.counter("state_sync_total", "player:state:sync moves cut back or refused.", metrics.stateSyncClamped, {
+    result: "clamped"
+  });
+  writer.counter("state_sync_total", "player:state:sync moves cut back or refused.", metrics.stateSyncRejected, {
+    result: "rejected"
+  });
+  writer.gauge("rtt_avg_ms", "Average client round-trip time.", metrics.avgRttMs);
+  writer.gauge("cpu_percent", "Process CPU use.", metrics.cpuAvgPct, { stat: "avg" });
+  writer.gauge("cpu_percent", "Process CPU use.", metrics.cpuP95Pct, { stat: "p95" });
+  writer.gauge("cpu_percent", "Process CPU use.", metrics.cpuPeakPct, { stat: "peak" });
+}
+
+function writePersistenceMetrics(writer, persistence, media) {
+  if (persistence) {
+    writer.gauge("persistence_available", "World store is writable.", Boolean(persistence.available));
+    writer.gauge("persistence_queued", "A world store write is waiting.", Boolean(persistence.queued));
+    writer.gauge("persistence_in_flight", "A world store write is running.", Boolean(persistence.inFlight));
+    writer.gauge("persistence_error", "The last world store write failed.", Boolean(persistence.lastPersistError));
+    writer.gauge(
+      "persistence_last_success_timestamp_seconds",
+      "Time of the last successful world store write.",
+      persistence.lastPersistAt ? persistence.lastPersistAt / 1000 : 0
+    );
+    const history = persistence.history;
+    if (history?.available) {
+      writer.gauge("world_history_revision", "Latest world history revision.", history.revision);
+      writer.gauge("world_history_snapshots", "Kept world history snapshots.", history.snapshots);
+    }
+  }
+  if (media?.available) {
+    writer.gauge("media_files", "Files in the media store.", media.files);
+    writer.gauge("media_bytes", "Bytes in the media store.", media.bytes);
+    writer.gauge("media_pending_uploads", "Unfinished chunked uploads.", media.pendingUploads);
+  }
+}
+
+function writeSocketMetrics(writer, socketMetrics) {
+  if (!socketMetrics) {
+    return;
+  }
+  for (const [event, count] of Object.entries(socketMetrics.events ?? {})) {
+    writer.counter("socket_events_total", "Socket events received by event name.", count, { event });
+  }
+  for (const [reason, count] of Object.entries(socketMetrics.rejections ?? {})) {
+    writer.counter("rate_limit_rejections_total", "Requests refused by rate limits and abuse guards.", count, {
+      reason
+    });
+  }
+  for (const [kind, count] of Object.entries(socketMetrics.activeBans ?? {})) {
+    writer.gauge("active_bans", "Bans currently in effect.", count, { kind });
+  }
+}
+
+export function renderPrometheusMetrics({ online, roomStats, metrics, persistence, media, socketMetrics }) {
+  const writer = new MetricWriter();
+  writeRoomMetrics(writer, online, roomStats);
+  writeRuntimeMetrics(writer, metrics);
+  writePersistenceMetrics(writer, persistence, media);
+  writeSocketMetrics(writer, socketMetrics);
+  const mem = process.memoryUsage();
+  writer.gauge("process_resident_memory_bytes", "Resident set size.", mem.rss);
+  writer.gauge("process_heap_used_bytes", "V8 heap in use.", mem.heapUsed);
+  writer.gauge("process_uptime_seconds", "Process uptime.", Math.round(process.uptime()));
+  return writer.render();
+}
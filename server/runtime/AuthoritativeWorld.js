@@ -1,5 +1,22 @@
+import {
+  buildRoomCollisionWorld,
+  findClimbableRope,
+  findPlatformSupportTop,
+  resolveSolidCollisions
+} from "../domain/collisionWorld.js";
+import {
+  markMovementAccepted,
+  resetMovementBaseline,
+  validateStateSync
+} from "../domain/movementGuard.js";
 import { quantizeState, sanitizePlayerState } from "../domain/playerState.js";
 import { availableParallelism } from "node:os";
+import { SpatialGrid } from "./SpatialGrid.js";
+import {
+  SNAPSHOT_ENCODING_BINARY,
+  createPeerIndexTable,
+  encodeSnapshotBinary
+} from "../../src/game/net/snapshotCodec.js";
 
 function clamp(value, min, max, fallback = min) {
   const number = Number(value);
@@ -25,6 +42,9 @@ function normalizeMove(inputX, inputZ) {
   return { x: x / length, z: z / length };
 }
 
+// Comparing a binary snapshot with its JSON size costs a stringify, so one is sampled per interval.
+const BINARY_SIZE_SAMPLE_INTERVAL_MS = 1000;
+
 function bytesOf(payload) {
   return Buffer.byteLength(JSON.stringify(payload), "utf8");
 }
@@ -80,6 +100,10 @@ function hasSnapshotStateChanged(prev, next, thresholds) {
   return false;
 }
 
+function getPlayerZone(player) {
+  return String(player?.zone ?? "").trim() || "lobby";
+}
+
 function trackSample(target, value, limit = 300) {
   target.push(value);
   if (target.length > limit) {
@@ -88,11 +112,22 @@ function trackSample(target, value, limit = 300) {
 }
 
 export class AuthoritativeWorld {
-  constructor({ io, roomService, config, log = console }) {
+  constructor({ io, roomService, config, staticColliders = [], entryPoints = [], log = console }) {
     this.io = io;
     this.roomService = roomService;
     this.config = config;
     this.log = log;
+    this.staticColliders = Array.isArray(staticColliders) ? staticColliders : [];
+    this.entryPoints = Array.isArray(entryPoints) ? entryPoints : [];
+    this.collisionWorldCache = new WeakMap();
+    this.roomGrids = new WeakMap();
+    this.gridStamp = 0;
+    this.tickTiming = {
+      interestMs: 0,
+      emitMs: 0,
+      cellsVisited: 0,
+      candidates: 0
+    };
     this.tickIntervalMs = Math.round(1000 / Number(config?.sim?.tickRateHz || 20));
     this.timer = null;
     this.snapshotSeq = 0;
@@ -100,10 +135,24 @@ export class AuthoritativeWorld {
     this.metrics = {
       tickDriftMs: [],
       snapshotBytes: [],
+      snapshotBytesJson: [],
+      snapshotBytesBinary: [],
+      binarySnapshotBytesSent: 0,
+      binarySnapshotJsonBytes: 0,
+      binarySizeSampledAt: 0,
       cpuPct: [],
       inputsAccepted: 0,
       inputsDropped: 0,
+      stateSyncClamped: 0,
+      stateSyncRejected: 0,
       snapshotsSent: 0,
+      tickTotalMs: [],
+      tickSimulateMs: [],
+      tickInterestMs: [],
+      tickSnapshotMs: [],
+      tickEmitMs: [],
+      interestCellsVisited: [],
+      interestCandidates: [],
       lastMetricsAt: Date.now()
     };
     this.cpuCoreCount = Math.max(1, Number(availableParallelism?.() || 1));
@@ -216,6 +265,7 @@ export class AuthoritativeWorld {
     const pitch = clamp(payload?.pitch, -1.55, 1.55, Number(result.player?.state?.pitch) || 0);
     const sprint = Boolean(payload?.sprint);
     const jump = Boolean(payload?.jump);
+    const climb = Boolean(payload?.climb);
 
     const { player } = result;
     player.lastInputSeq = Math.max(Number(player.lastInputSeq) || 0, sequence);
@@ -225,6 +275,7 @@ export class AuthoritativeWorld {
       moveZ,
       sprint,
       jump,
+      climb,
       yaw,
       pitch,
       updatedAt: now
@@ -235,13 +286,25 @@ export class AuthoritativeWorld {
     this.metrics.inputsAccepted += 1;
   }
 
+  handlePlayerRelocated(socket) {
+    const result = this.getPlayerForSocket(socket);
+    if (!result) {
+      return;
+    }
+    resetMovementBaseline(
+      result.player,
+      Date.now(),
+      Number(this.config?.movementGuard?.relocateGraceMs ?? 2000)
+    );
+  }
+
   handleClientStateSync(socket, payload = {}) {
     const result = this.getPlayerForSocket(socket);
     if (!result) {
       return { ok: false, error: "room not found" };
     }
 
-    const { player } = result;
+    const { room, player } = result;
     if (!player?.state) {
       player.state = sanitizePlayerState();
     }
@@ -254,19 +317,46 @@ export class AuthoritativeWorld {
     const currentY = Number(player.state.y) || playerHeight;
     const currentZ = Number(player.state.z) || 0;
 
-    const nextX = clamp(payload?.x, -worldLimit, worldLimit, currentX);
-    const nextY = clamp(payload?.y, playerHeight, 32, currentY);
-    const nextZ = clamp(payload?.z, -worldLimit, worldLimit, currentZ);
+    const requested = {
+      x: clamp(payload?.x, -worldLimit, worldLimit, currentX),
+      y: clamp(payload?.y, playerHeight, 32, currentY),
+      z: clamp(payload?.z, -worldLimit, worldLimit, currentZ)
+    };
     const nextYaw = normalizeAngle(payload?.yaw, Number(player.state.yaw) || 0);
     const nextPitch = clamp(payload?.pitch, -1.55, 1.55, Number(player.state.pitch) || 0);
 
-    const dx = nextX - currentX;
-    const dz = nextZ - currentZ;
-    const worldDiagonal = Math.sqrt((worldLimit * 2) ** 2 + (worldLimit * 2) ** 2);
-    const maxSyncDistance = Math.max(40, worldDiagonal + 12);
-    if (dx * dx + dz * dz > maxSyncDistance * maxSyncDistance) {
-      return { ok: false, error: "state sync too far" };
+    const check = validateStateSync(player, requested, {
+      now,
+      isHost: this.roomService.can(room, socket.id, "build"),
+      rttMs: Number(socket.data.clientRttMs) || 0,
+      sim: this.config?.sim,
+      guard: this.config?.movementGuard,
+      entryPoints: this.entryPoints
+    });
+    // Mismatches right after a server relocation are stale in-flight syncs, not cheating.
+    const violation =
+      check.verdict !== "accept" && !check.grace
+        ? {
+            verdict: check.verdict,
+            distance: Number(check.distance.toFixed(2)),
+            allowed: Number(check.allowed.toFixed(2))
+          }
+        : null;
+    if (check.verdict === "reject") {
+      this.metrics.stateSyncRejected += 1;
+      return {
+        ok: false,
+        error: "state sync rejected",
+        violation,
+        state: toSnapshotState(player.state)
+      };
     }
+    if (check.verdict === "clamp") {
+      this.metrics.stateSyncClamped += 1;
+    }
+    const nextX = check.state.x;
+    const nextY = check.state.y;
+    const nextZ = check.state.z;
 
     const sequence = Math.max(0, Math.trunc(Number(player?.lastInputSeq) || 0));
     player.input = {
@@ -291,16 +381,70 @@ export class AuthoritativeWorld {
       updatedAt: now
     });
 
+    markMovementAccepted(player, now);
+
     socket.data.lastAckInputSeq = sequence;
     socket.emit("ack:input", { seq: sequence, t: now });
 
     return {
       ok: true,
+      clamped: check.verdict === "clamp",
+      violation,
       state: toSnapshotState(player.state)
     };
   }
 
-  simulatePlayer(player, dt, now) {
+  getCollisionWorld(room) {
+    const cached = this.collisionWorldCache.get(room);
+    if (
+      cached &&
+      cached.platforms === room.platforms &&
+      cached.ropes === room.ropes &&
+      cached.promoRevision === room.promoRevision
+    ) {
+      return cached.world;
+    }
+    const world = buildRoomCollisionWorld(room, this.staticColliders);
+    this.collisionWorldCache.set(room, {
+      platforms: room.platforms,
+      ropes: room.ropes,
+      promoRevision: room.promoRevision,
+      world
+    });
+    return world;
+  }
+
+  simulateClimbing(player, state, world, moveZ, dt) {
+    const playerHeight = Number(this.config?.sim?.playerHeight || 1.72);
+    const rope = findClimbableRope(world, state.x, state.y - playerHeight, state.z);
+    if (!rope) {
+      player.climbing = false;
+      return false;
+    }
+
+    const climbSpeed = Number(this.config?.sim?.climbSpeed || 5.5);
+    const ropeBottom = (Number(rope.y) || 0) + playerHeight;
+    const ropeTop = ropeBottom + (Number(rope.height) || 4);
+    state.x = Number(rope.x) || 0;
+    state.z = Number(rope.z) || 0;
+    state.y += moveZ * climbSpeed * dt;
+    player.climbing = true;
+    player.velocityY = 0;
+    player.onGround = false;
+    if (state.y <= ropeBottom) {
+      state.y = ropeBottom;
+      if (moveZ < 0) {
+        player.climbing = false;
+        player.onGround = true;
+      }
+    } else if (state.y >= ropeTop) {
+      state.y = ropeTop;
+      player.climbing = false;
+    }
+    return true;
+  }
+
+  simulatePlayer(player, dt, now, world = null) {
     if (!player?.state) {
       player.state = sanitizePlayerState();
     }
@@ -341,6 +485,12 @@ export class AuthoritativeWorld {
         ? Number(this.config?.sim?.playerSprint || 13.2)
         : Number(this.config?.sim?.playerSpeed || 8.8);
 
+    if (!staleInput && input.climb && this.simulateClimbing(player, state, world, inputMoveZ, dt)) {
+      this.commitSimulatedState(player, state, yaw, pitch, now);
+      return;
+    }
+    player.climbing = false;
+
     if (normalized.x !== 0 || normalized.z !== 0) {
       const sinYaw = Math.sin(yaw);
       const cosYaw = Math.cos(yaw);
@@ -358,14 +508,28 @@ export class AuthoritativeWorld {
     let velocityY = Number(player.velocityY) || 0;
     let onGround = Boolean(player.onGround);
 
+    resolveSolidCollisions(world, state, {
+      radius: Number(this.config?.sim?.playerRadius || 0.45),
+      playerHeight
+    });
+
     if (!staleInput && input.jump && onGround) {
       velocityY = jumpForce;
       onGround = false;
     }
 
+    const prevFeetY = state.y - playerHeight;
     velocityY += gravity * dt;
     state.y += velocityY * dt;
-    if (state.y <= playerHeight) {
+    const platformTopY =
+      velocityY <= 0.1
+        ? findPlatformSupportTop(world, state.x, state.z, prevFeetY, state.y - playerHeight)
+        : null;
+    if (platformTopY !== null) {
+      state.y = platformTopY + playerHeight;
+      velocityY = 0;
+      onGround = true;
+    } else if (state.y <= playerHeight) {
       state.y = playerHeight;
       velocityY = 0;
       onGround = true;
@@ -373,14 +537,17 @@ export class AuthoritativeWorld {
       onGround = false;
     }
 
-    state.yaw = yaw;
-    state.pitch = pitch;
-
     player.velocityY = velocityY;
     player.onGround = onGround;
+    this.commitSimulatedState(player, state, yaw, pitch, now);
+  }
+
+  commitSimulatedState(player, state, yaw, pitch, now) {
+    state.yaw = yaw;
+    state.pitch = pitch;
     player.lastProcessedInputSeq = Math.max(
       Number(player.lastProcessedInputSeq) || 0,
-      Math.trunc(Number(input.seq) || 0)
+      Math.trunc(Number(player.input?.seq) || 0)
     );
     player.input.jump = false;
     player.state = quantizeState({
@@ -389,31 +556,41 @@ export class AuthoritativeWorld {
     });
   }
 
+  // One grid per zone so peers in other zones never enter the AOI query.
+  getRoomGrid(room, zone) {
+    let zoneGrids = this.roomGrids.get(room);
+    if (!zoneGrids) {
+      zoneGrids = new Map();
+      this.roomGrids.set(room, zoneGrids);
+    }
+    let grid = zoneGrids.get(zone);
+    if (!grid) {
+      grid = new SpatialGrid({ cellSize: Number(this.config?.snapshot?.gridCellSize || 24) });
+      zoneGrids.set(zone, grid);
+    }
+    return grid;
+  }
+
   collectVisiblePeers(room, selfPlayer) {
     const aoiRadius = Number(this.config?.snapshot?.aoiRadius || 64);
     const maxPeers = Math.max(1, Math.trunc(Number(this.config?.snapshot?.maxPeersPerClient || 24)));
-    const aoiSq = aoiRadius * aoiRadius;
 
     const selfState = selfPlayer?.state;
     if (!selfState) {
       return [];
     }
 
-    const ranked = [];
-    for (const peer of room.players.values()) {
-      if (!peer?.state || peer.id === selfPlayer.id) {
-        continue;
-      }
-      const dx = (Number(peer.state.x) || 0) - (Number(selfState.x) || 0);
-      const dz = (Number(peer.state.z) || 0) - (Number(selfState.z) || 0);
-      const distSq = dx * dx + dz * dz;
-      if (distSq <= aoiSq) {
-        ranked.push({ peer, distSq });
-      }
-    }
-
-    ranked.sort((a, b) => a.distSq - b.distSq);
-    return ranked.slice(0, maxPeers).map((entry) => entry.peer);
+    const startedAt = performance.now();
+    const peers = this.getRoomGrid(room, getPlayerZone(selfPlayer)).queryNearest(
+      Number(selfState.x) || 0,
+      Number(selfState.z) || 0,
+      aoiRadius,
+      maxPeers,
+      selfPlayer.id,
+      this.tickTiming
+    );
+    this.tickTiming.interestMs += performance.now() - startedAt;
+    return peers;
   }
 
   buildSnapshotForSocket(room, socket, now) {
@@ -479,7 +656,8 @@ export class AuthoritativeWorld {
     const selfState = toSnapshotState(selfPlayer.state);
     const selfPayload = {
       s: selfState,
-      seq: Number(selfPlayer.lastProcessedInputSeq) || 0
+      seq: Number(selfPlayer.lastProcessedInputSeq) || 0,
+      vy: Math.round((Number(selfPlayer.velocityY) || 0) * 100) / 100
     };
 
     const selfPrev = cache.entities.get(selfPlayer.id) ?? null;
@@ -509,6 +687,7 @@ export class AuthoritativeWorld {
   }
 
   emitSnapshots(now) {
+    let binarySizeSampleDue = now - this.metrics.binarySizeSampledAt >= BINARY_SIZE_SAMPLE_INTERVAL_MS;
     for (const room of this.roomService.rooms.values()) {
       this.roomService.pruneRoomPlayers(room);
       for (const socketId of room.players.keys()) {
@@ -522,9 +701,30 @@ export class AuthoritativeWorld {
           continue;
         }
 
-        socket.emit("snapshot:world", payload);
+        let packet = payload;
+        let sentBytes = 0;
+        if (socket.data.snapshotEncoding === SNAPSHOT_ENCODING_BINARY) {
+          const cache = socket.data.snapshotCache;
+          cache.peerIndices ??= createPeerIndexTable();
+          packet = encodeSnapshotBinary(payload, cache.peerIndices);
+          sentBytes = packet.byteLength;
+          trackSample(this.metrics.snapshotBytesBinary, sentBytes, 300);
+          if (binarySizeSampleDue) {
+            binarySizeSampleDue = false;
+            this.metrics.binarySizeSampledAt = now;
+            this.metrics.binarySnapshotBytesSent += sentBytes;
+            this.metrics.binarySnapshotJsonBytes += bytesOf(payload);
+          }
+        } else {
+          sentBytes = bytesOf(payload);
+          trackSample(this.metrics.snapshotBytesJson, sentBytes, 300);
+        }
+
+        const emitStartedAt = performance.now();
+        socket.emit("snapshot:world", packet);
+        this.tickTiming.emitMs += performance.now() - emitStartedAt;
         this.metrics.snapshotsSent += 1;
-        trackSample(this.metrics.snapshotBytes, bytesOf(payload), 300);
+        trackSample(this.metrics.snapshotBytes, sentBytes, 300);
       }
     }
   }
@@ -536,14 +736,46 @@ export class AuthoritativeWorld {
     trackSample(this.metrics.tickDriftMs, drift, 360);
 
     const dt = this.tickIntervalMs / 1000;
+    const tickStartedAt = performance.now();
+    const stamp = ++this.gridStamp;
     for (const room of this.roomService.rooms.values()) {
       this.roomService.pruneRoomPlayers(room);
+      const world = this.getCollisionWorld(room);
       for (const player of room.players.values()) {
-        this.simulatePlayer(player, dt, now);
+        this.simulatePlayer(player, dt, now, world);
+        this.getRoomGrid(room, getPlayerZone(player)).upsert(
+          player.id,
+          player.state.x,
+          player.state.z,
+          player,
+          stamp
+        );
+      }
+      for (const grid of this.roomGrids.get(room)?.values() ?? []) {
+        grid.sweep(stamp);
       }
     }
+    const simulatedAt = performance.now();
 
+    const timing = this.tickTiming;
+    timing.interestMs = 0;
+    timing.emitMs = 0;
+    timing.cellsVisited = 0;
+    timing.candidates = 0;
     this.emitSnapshots(now);
+    const finishedAt = performance.now();
+
+    trackSample(this.metrics.tickTotalMs, finishedAt - tickStartedAt, 360);
+    trackSample(this.metrics.tickSimulateMs, simulatedAt - tickStartedAt, 360);
+    trackSample(this.metrics.tickInterestMs, timing.interestMs, 360);
+    trackSample(
+      this.metrics.tickSnapshotMs,
+      Math.max(0, finishedAt - simulatedAt - timing.interestMs - timing.emitMs),
+      360
+    );
+    trackSample(this.metrics.tickEmitMs, timing.emitMs, 360);
+    trackSample(this.metrics.interestCellsVisited, timing.cellsVisited, 360);
+    trackSample(this.metrics.interestCandidates, timing.candidates, 360);
 
     if (now - this.lastCpuAt >= 1000) {
       const cpuNow = process.cpuUsage();
@@ -583,15 +815,41 @@ export class AuthoritativeWorld {
       tickRateHz: Number(this.config?.sim?.tickRateHz || 20),
       tickDriftP95Ms: Number(percentile95(this.metrics.tickDriftMs).toFixed(2)),
       sendSizeP95Bytes: Math.round(percentile95(this.metrics.snapshotBytes)),
+      sendSizeP95BytesByEncoding: {
+        json: Math.round(percentile95(this.metrics.snapshotBytesJson)),
+        binary: Math.round(percentile95(this.metrics.snapshotBytesBinary))
+      },
+      binarySnapshotSizeRatio:
+        this.metrics.binarySnapshotJsonBytes > 0
+          ? Number(
+              (this.metrics.binarySnapshotBytesSent / this.metrics.binarySnapshotJsonBytes).toFixed(4)
+            )
+          : null,
       cpuAvgPct: Number(cpuAvgPct.toFixed(2)),
       cpuP95Pct: Number(percentile95(this.metrics.cpuPct).toFixed(2)),
       cpuPeakPct: Number(maxValue(this.metrics.cpuPct).toFixed(2)),
+      tickBreakdownP95Ms: {
+        total: Number(percentile95(this.metrics.tickTotalMs).toFixed(3)),
+        simulate: Number(percentile95(this.metrics.tickSimulateMs).toFixed(3)),
+        interest: Number(percentile95(this.metrics.tickInterestMs).toFixed(3)),
+        snapshot: Number(percentile95(this.metrics.tickSnapshotMs).toFixed(3)),
+        emit: Number(percentile95(this.metrics.tickEmitMs).toFixed(3))
+      },
+      tickBreakdownPeakMs: {
+        total: Number(maxValue(this.metrics.tickTotalMs).toFixed(3)),
+        interest: Number(maxValue(this.metrics.tickInterestMs).toFixed(3))
+      },
+      interestGridCellSize: Number(this.config?.snapshot?.gridCellSize || 24),
+      interestCellsVisitedP95: Math.round(percentile95(this.metrics.interestCellsVisited)),
+      interestCandidatesP95: Math.round(percentile95(this.metrics.interestCandidates)),
       memRssMb: Number((mem.rss / 1_048_576).toFixed(2)),
       memHeapUsedMb: Number((mem.heapUsed / 1_048_576).toFixed(2)),
       snapshotCount: this.metrics.snapshotsSent,
       inputAccepted: this.metrics.inputsAccepted,
       inputDropped: this.metrics.inputsDropped,
       inputDropRate: Number(inputDropRate.toFixed(4)),
+      stateSyncClamped: this.metrics.stateSyncClamped,
+      stateSyncRejected: this.metrics.stateSyncRejected,
       avgRttMs:
         playersWithRtt.length > 0
           ? Number(
@@ -0,0 +1,197 @@
+function toCellCoord(value, cellSize) {
+  return Math.floor((Number(value) || 0) / cellSize);
+}
+
+function toCellKey(cellX, cellZ) {
+  return `${cellX}|${cellZ}`;
+}
+
+export class SpatialGrid {
+  constructor({ cellSize = 24 } = {}) {
+    this.cellSize = Math.max(1, Number(cellSize) || 24);
+    this.cells = new Map();
+    this.entries = new Map();
+    this.minCellX = 0;
+    this.maxCellX = -1;
+    this.minCellZ = 0;
+    this.maxCellZ = -1;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  expandBounds(cellX, cellZ) {
+    if (this.maxCellX < this.minCellX) {
+      this.minCellX = cellX;
+      this.maxCellX = cellX;
+      this.minCellZ = cellZ;
+      this.maxCellZ = cellZ;
+      return;
+    }
+    this.minCellX = Math.min(this.minCellX, cellX);
+    this.maxCellX = Math.max(this.maxCellX, cellX);
+    this.minCellZ = Math.min(this.minCellZ, cellZ);
+    this.maxCellZ = Math.max(this.maxCellZ, cellZ);
+  }
+
+  recomputeBounds() {
+    this.minCellX = 0;
+    this.maxCellX = -1;
+    this.minCellZ = 0;
+    this.maxCellZ = -1;
+    for (const entry of this.entries.values()) {
+      this.expandBounds(entry.cellX, entry.cellZ);
+    }
+  }
+
+  removeFromCell(entry) {
+    const bucket = this.cells.get(entry.cellKey);
+    if (!bucket) {
+      return;
+    }
+    bucket.delete(entry.id);
+    if (bucket.size === 0) {
+      this.cells.delete(entry.cellKey);
+    }
+  }
+
+  upsert(id, x, z, value, stamp = 0) {
+    const cellX = toCellCoord(x, this.cellSize);
+    const cellZ = toCellCoord(z, this.cellSize);
+    let entry = this.entries.get(id);
+    if (!entry) {
+      entry = { id, x: 0, z: 0, cellX, cellZ, cellKey: "", value, stamp };
+      this.entries.set(id, entry);
+    } else if (entry.cellX !== cellX || entry.cellZ !== cellZ) {
+      this.removeFromCell(entry);
+      entry.cellKey = "";
+    }
+
+    entry.x = Number(x) || 0;
+    entry.z = Number(z) || 0;
+    entry.value = value;
+    entry.stamp = stamp;
+    if (!entry.cellKey) {
+      entry.cellX = cellX;
+      entry.cellZ = cellZ;
+      entry.cellKey = toCellKey(cellX, cellZ);
+      let bucket = this.cells.get(entry.cellKey);
+      if (!bucket) {
+        bucket = new Map();
+        this.cells.set(entry.cellKey, bucket);
+      }
+      bucket.set(id, entry);
+      this.expandBounds(cellX, cellZ);
+    }
+    return entry;
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return false;
+    }
+    this.removeFromCell(entry);
+    this.entries.delete(id);
+    return true;
+  }
+
+  // Drops entries that were not refreshed with the given stamp (players who left the room).
+  sweep(stamp) {
+    let removed = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.stamp !== stamp) {
+        this.removeFromCell(entry);
+        this.entries.delete(entry.id);
+        removed += 1;
+      }
+    }
+    if (removed > 0) {
+      this.recomputeBounds();
+    }
+    return removed;
+  }
+
+  // Nearest-first ring walk: stops once `limit` hits are closer than any unvisited cell.
+  queryNearest(x, z, radius, limit, excludeId = null, stats = null) {
+    const results = [];
+    if (this.entries.size === 0 || limit <= 0) {
+      return results;
+    }
+
+    const px = Number(x) || 0;
+    const pz = Number(z) || 0;
+    const radiusSq = radius * radius;
+    const originX = toCellCoord(px, this.cellSize);
+    const originZ = toCellCoord(pz, this.cellSize);
+    const maxRing = Math.min(
+      Math.ceil(radius / this.cellSize),
+      Math.max(
+        Math.abs(this.minCellX - originX),
+        Math.abs(this.maxCellX - originX),
+        Math.abs(this.minCellZ - originZ),
+        Math.abs(this.maxCellZ - originZ)
+      )
+    );
+
+    const candidates = [];
+    let cellsVisited = 0;
+    for (let ring = 0; ring <= maxRing; ring += 1) {
+      const fromX = Math.max(this.minCellX, originX - ring);
+      const toX = Math.min(this.maxCellX, originX + ring);
+      const fromZ = Math.max(this.minCellZ, originZ - ring);
+      const toZ = Math.min(this.maxCellZ, originZ + ring);
+      for (let cellX = fromX; cellX <= toX; cellX += 1) {
+        const onEdgeColumn = Math.abs(cellX - originX) === ring;
+        for (let cellZ = fromZ; cellZ <= toZ; cellZ += 1) {
+          if (!onEdgeColumn && Math.abs(cellZ - originZ) !== ring) {
+            continue;
+          }
+          const bucket = this.cells.get(toCellKey(cellX, cellZ));
+          cellsVisited += 1;
+          if (!bucket) {
+            continue;
+          }
+          for (const entry of bucket.values()) {
+            if (entry.id === excludeId) {
+              continue;
+            }
+            const dx = entry.x - px;
+            const dz = entry.z - pz;
+            const distSq = dx * dx + dz * dz;
+            if (distSq <= radiusSq) {
+              candidates.push({ value: entry.value, distSq });
+            }
+          }
+        }
+      }
+
+      if (candidates.length >= limit) {
+        const settled = ring * this.cellSize;
+        const settledSq = settled * settled;
+        let settledCount = 0;
+        for (const candidate of candidates) {
+          if (candidate.distSq <= settledSq) {
+            settledCount += 1;
+          }
+        }
+        if (settledCount >= limit) {
+          break;
+        }
+      }
+    }
+
+    if (stats) {
+      stats.cellsVisited += cellsVisited;
+      stats.candidates += candidates.length;
+    }
+
+    candidates.sort((a, b) => a.distSq - b.distSq);
+    const count = Math.min(limit, candidates.length);
+    for (let index = 0; index < count; index += 1) {
+      results.push(candidates[index].value);
+    }
+    return results;
+  }
+}
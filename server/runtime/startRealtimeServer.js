@@ -2,16 +2,37 @@ import { Server } from "socket.io";
 import { mkdirSync, unlinkSync, writeFileSync } from "node:fs";
 import { dirname } from "node:path";
 import { loadRuntimeConfig } from "../config/runtimeConfig.js";
+import { getContentPack } from "../../src/game/content/registry.js";
+import { AuditLog } from "../domain/AuditLog.js";
+import { ChatFilter } from "../domain/ChatFilter.js";
+import { createStaticColliders } from "../domain/collisionWorld.js";
+import { collectEntryPoints } from "../domain/movementGuard.js";
+import { MediaStore } from "../domain/MediaStore.js";
+import { RoleStore } from "../domain/RoleStore.js";
+import { ModerationStore } from "../domain/ModerationStore.js";
+import { ProfileStore } from "../domain/ProfileStore.js";
+import { SessionTokens } from "../domain/SessionTokens.js";
 import { RoomService } from "../domain/RoomService.js";
+import { SessionStore } from "../domain/SessionStore.js";
+import { WorldHistory } from "../domain/WorldHistory.js";
+import { createWorldStore } from "../domain/worldStore.js";
+import { createAdminApi } from "../http/adminApi.js";
 import { createStatusServer } from "../http/createStatusServer.js";
 import { registerSocketHandlers } from "../socket/registerSocketHandlers.js";
 import { createPlayerCounter } from "../utils/playerCounter.js";
 import { probeExistingServer } from "../utils/probeExistingServer.js";
 import { AuthoritativeWorld } from "./AuthoritativeWorld.js";
 
-function buildFallbackRoomStats(maxRoomPlayers) {
+const MEDIA_GARBAGE_INTERVAL_MS = 10 * 60_000;
+
+function buildFallbackRoomStats(maxRoomPlayers, maxRooms = 1) {
   return {
     rooms: 1,
+    maxRooms,
+    totalPlayers: 0,
+    zonePlayers: { lobby: 0, fps: 0, ox: 0 },
+    roomPlayers: {},
+    resumableSessions: 0,
     globalPlayers: 0,
     globalCapacity: maxRoomPlayers
   };
@@ -20,7 +41,7 @@ function buildFallbackRoomStats(maxRoomPlayers) {
 function buildFallbackPersistenceStatus(config) {
   const available = config?.persistentStateAvailable !== false;
   const reason = String(config?.persistentStateReason ?? "").trim();
-  const storePath = String(config?.surfacePaintStorePath ?? "").trim() || null;
+  const storePath = String(resolveWorldStorePath(config) ?? "").trim() || null;
   const grayBlockCoreMemory = {
     schemaVersion: 1,
     authoredType: "gray_block",
@@ -51,6 +72,7 @@ function buildFallbackPersistenceStatus(config) {
   };
   return {
     storePath,
+    storeBackend: config?.worldStoreBackend ?? null,
     available,
     queued: false,
     inFlight: false,
@@ -63,6 +85,10 @@ function buildFallbackPersistenceStatus(config) {
   };
 }
 
+function resolveWorldStorePath(config) {
+  return config?.worldStoreBackend === "dir" ? config.worldStoreDir : config?.surfacePaintStorePath;
+}
+
 function validatePersistentStateStorePath(storePath) {
   const normalizedPath = String(storePath ?? "").trim();
   if (!normalizedPath) {
@@ -95,13 +121,17 @@ export function startRealtimeServer(options = {}) {
   const env = options.env ?? process.env;
   const log = options.log ?? console;
   const config = loadRuntimeConfig(env);
-  const persistenceCheck = validatePersistentStateStorePath(config.surfacePaintStorePath);
+  const persistenceCheck = validatePersistentStateStorePath(resolveWorldStorePath(config));
   config.persistentStateAvailable = persistenceCheck.ok;
   config.persistentStateReason = persistenceCheck.ok
     ? ""
     : String(persistenceCheck.reason ?? "persistent storage unavailable");
   if (!persistenceCheck.ok) {
     config.surfacePaintStorePath = "";
+    config.worldStoreDir = "";
+    config.mediaStoreDir = "";
+    config.worldHistoryDir = "";
+    config.auditLogPath = "";
     config.surfacePaintMode = "off";
     config.promoMode = "off";
   }
@@ -116,6 +146,33 @@ export function startRealtimeServer(options = {}) {
   const playerCounter = createPlayerCounter();
   let roomService = null;
   let worldRuntime = null;
+  let socketControls = null;
+  const mediaStore = new MediaStore({
+    storeDir: config.mediaStoreDir,
+    maxBytes: config.mediaStoreMaxBytes,
+    uploadBudgetBytes: config.mediaUploadBudgetBytes,
+    getReferencedIds: () => roomService?.collectMediaIds() ?? null,
+    log
+  });
+  const auditLog = new AuditLog({
+    filePath: config.auditLogPath,
+    maxFileBytes: config.auditLogMaxBytes,
+    maxFiles: config.auditLogMaxFiles,
+    log
+  });
+  // Read-only, so it stays on even when persistent storage is unavailable.
+  const chatFilter = new ChatFilter({
+    rulesPath: config.chatFilterPath,
+    reloadIntervalMs: config.chatFilterReloadMs,
+    log
+  });
+  chatFilter.watch();
+  const sessionTokens = new SessionTokens({
+    secrets: config.sessionTokenSecrets,
+    storePath: persistenceCheck.ok ? config.sessionTokenStorePath : "",
+    legacyKeyMigration: config.sessionLegacyKeyMigration,
+    log
+  });
 
   const httpServer = createStatusServer({
     serviceName: config.serviceName,
@@ -123,10 +180,25 @@ export function startRealtimeServer(options = {}) {
     maxRoomPlayers: config.maxRoomPlayers,
     staticClientDir: config.staticClientDir,
     getOnlineCount: () => playerCounter.get(),
-    getRoomStats: () => roomService?.getHealthSnapshot() ?? buildFallbackRoomStats(config.maxRoomPlayers),
+    getRoomStats: () => roomService?.getHealthSnapshot() ?? buildFallbackRoomStats(config.maxRoomPlayers, config.maxRooms),
     getMetrics: () => worldRuntime?.getMetrics() ?? null,
     getPersistenceStatus: () =>
-      roomService?.getPersistenceStatus?.() ?? buildFallbackPersistenceStatus(config)
+      roomService?.getPersistenceStatus?.() ?? buildFallbackPersistenceStatus(config),
+    getSocketMetrics: () => socketControls?.getMetrics() ?? null,
+    metricsToken: config.metricsToken,
+    mediaStore,
+    adminApi: createAdminApi({
+      token: config.adminApiToken,
+      worldImportMaxBytes: config.adminWorldImportMaxBytes,
+      getIo: () => io,
+      getRoomService: () => roomService,
+      getControls: () => socketControls,
+      auditLog,
+      chatFilter,
+      sessionTokens,
+      log
+    }),
+    log
   });
 
   const io = new Server(httpServer, {
@@ -159,15 +231,57 @@ export function startRealtimeServer(options = {}) {
     log.log("[link-gate] disabled");
   }
 
+  const sessionStore = new SessionStore({
+    storePath: persistenceCheck.ok ? config.sessionStorePath : "",
+    graceMs: config.sessionResumeGraceMs,
+    log
+  });
+  const roleStore = new RoleStore({
+    storePath: persistenceCheck.ok ? config.roleStorePath : "",
+    log
+  });
+  const moderationStore = new ModerationStore({
+    storePath: persistenceCheck.ok ? config.moderationStorePath : "",
+    log
+  });
+  const profileStore = new ProfileStore({
+    storePath: persistenceCheck.ok ? config.profileStorePath : "",
+    log
+  });
+
+  const worldStore = persistenceCheck.ok
+    ? createWorldStore({
+        backend: config.worldStoreBackend,
+        filePath: config.surfacePaintStorePath,
+        dirPath: config.worldStoreDir,
+        log
+      })
+    : null;
+  const worldHistory = new WorldHistory({
+    dirPath: config.worldHistoryDir,
+    snapshotIntervalMs: config.worldHistorySnapshotIntervalMs,
+    maxSnapshots: config.worldHistoryMaxSnapshots,
+    maxBytes: config.worldHistoryMaxBytes,
+    log
+  });
+
   roomService = new RoomService({
     io,
     defaultRoomCode: config.defaultRoomCode,
     maxRoomPlayers: config.maxRoomPlayers,
+    maxRooms: config.maxRooms,
     defaultPortalTargetUrl: config.defaultPortalTargetUrl,
     defaultAZonePortalTargetUrl: config.defaultAZonePortalTargetUrl,
     surfacePaintStorePath: config.surfacePaintStorePath,
+    worldStore,
+    worldHistory,
     mapLayoutVersion: config.mapLayoutVersion,
     surfacePaintSaveDebounceMs: config.surfacePaintSaveDebounceMs,
+    sessionStore,
+    roleStore,
+    moderationStore,
+    profileStore,
+    hostSuccessionPolicy: config.hostSuccessionPolicy,
     log
   });
 
@@ -178,21 +292,35 @@ export function startRealtimeServer(options = {}) {
         roomService.emitPortalScheduleUpdate(room);
       }
     }
+    sessionStore.prune();
+    roomService.pruneEmptyRooms();
   }, 1000);
+  if (mediaStore.enabled) {
+    setInterval(() => {
+      mediaStore.collectGarbage();
+    }, MEDIA_GARBAGE_INTERVAL_MS).unref?.();
+  }
 
+  const contentPack = getContentPack(config.contentPackId);
   worldRuntime = new AuthoritativeWorld({
     io,
     roomService,
     config,
+    staticColliders: createStaticColliders(contentPack?.world?.staticColliders),
+    entryPoints: collectEntryPoints(contentPack?.world),
     log
   });
   worldRuntime.start();
 
-  registerSocketHandlers({
+  socketControls = registerSocketHandlers({
     io,
     roomService,
     playerCounter,
     worldRuntime,
+    mediaStore,
+    auditLog,
+    chatFilter,
+    sessionTokens,
     config,
     log
   });
@@ -226,8 +354,27 @@ export function startRealtimeServer(options = {}) {
     const surfacePaintCoreMemoryStatus = persistenceStatus?.surfacePaintCoreMemory ?? null;
     log.log(`Chat server running on http://localhost:${config.port}`);
     log.log(`Persistent room: ${config.defaultRoomCode} (capacity ${config.maxRoomPlayers})`);
-    log.log(`[paint] store path: ${config.surfacePaintStorePath || "(disabled)"}`);
+    log.log(`Custom rooms: up to ${config.maxRooms}`);
+    log.log(
+      `[paint] store path: ${resolveWorldStorePath(config) || "(disabled)"} (backend=${config.worldStoreBackend})`
+    );
     log.log(`[paint] map layout version: ${config.mapLayoutVersion}`);
+    log.log(
+      `[media] store dir: ${mediaStore.storeDir || "(disabled)"} (max ${mediaStore.maxBytes} bytes, ${mediaStore.uploadBudgetBytes} bytes per uploader per hour)`
+    );
+    log.log(`[audit] log: ${auditLog.filePath || "(memory only)"}`);
+    log.log(`[chat-filter] rules: ${chatFilter.rulesPath || "(built-in defaults)"}`);
+    const sessionSummary = sessionTokens.summarize();
+    log.log(
+      `[session-token] signing secret ${sessionSummary.signingSecretId} (${sessionSummary.source}, legacy key migration ${sessionSummary.legacyKeyMigration ? "on" : "off"})`
+    );
+    if (sessionTokens.rotatable && !sessionTokens.storePath) {
+      log.warn("[session-token] signing secret is not persisted; set SESSION_TOKEN_SECRETS to keep sessions across restarts");
+    }
+    log.log(`[admin] api ${config.adminApiToken ? "enabled at /admin" : "disabled (ADMIN_API_TOKEN unset)"}`);
+    log.log(
+      `[history] dir: ${worldHistory.location || "(disabled)"} (snapshot every ${config.worldHistorySnapshotIntervalMs}ms, keep ${config.worldHistoryMaxSnapshots}, max ${config.worldHistoryMaxBytes} bytes)`
+    );
     if (!config.persistentStateAvailable) {
       log.warn(`[paint] persistent state unavailable: ${config.persistentStateReason}`);
     }
@@ -272,18 +419,40 @@ export function startRealtimeServer(options = {}) {
     );
   });
 
-  // Flush pending surface paint to disk before process exits
+  // Flush pending surface paint and resumable sessions to disk before process exits
   const flushAndExit = (code = 0) => {
+    const resumable = roomService?.rememberAllSessions?.() ?? 0;
+    if (resumable > 0) {
+      log.log(`[session] saved ${resumable} resumable sessions for restart`);
+    }
     const pending = roomService?.surfacePaintSaveQueued || roomService?.surfacePaintSaveTimer;
-    if (!pending) {
-      process.exit(code);
-      return;
+    const flushes = [];
+    if (pending) {
+      if (roomService?.surfacePaintSaveTimer) {
+        clearTimeout(roomService.surfacePaintSaveTimer);
+        roomService.surfacePaintSaveTimer = null;
+      }
+      flushes.push(roomService.flushSurfacePaintToDisk());
+    }
+    if (sessionStore.pendingSave) {
+      flushes.push(sessionStore.flush());
+    }
+    if (roleStore.pendingSave) {
+      flushes.push(roleStore.flush());
+    }
+    if (moderationStore.pendingSave) {
+      flushes.push(moderationStore.flush());
+    }
+    if (profileStore.pendingSave) {
+      flushes.push(profileStore.flush());
     }
-    if (roomService?.surfacePaintSaveTimer) {
-      clearTimeout(roomService.surfacePaintSaveTimer);
-      roomService.surfacePaintSaveTimer = null;
+    if (sessionTokens.pendingSave) {
+      flushes.push(sessionTokens.flush());
     }
-    roomService.flushSurfacePaintToDisk().then(() => process.exit(code)).catch(() => process.exit(code));
+    // World store flushes append to the history journal, so its chain is awaited after them.
+    Promise.allSettled(flushes)
+      .then(() => Promise.allSettled([worldHistory.flush(), auditLog.flush()]))
+      .then(() => process.exit(code));
   };
 
   process.once("SIGINT", () => flushAndExit(0));
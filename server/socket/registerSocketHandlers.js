@@ -1,5 +1,16 @@
+import { normalizeMediaKind } from "../domain/MediaStore.js";
+import { parseModerationDuration } from "../domain/ModerationStore.js";
+import {
+  WORLD_HISTORY_COLLECTIONS,
+  normalizeWorldHistoryCollection,
+  parseWorldHistoryTarget
+} from "../domain/WorldHistory.js";
 import { sanitizeName } from "../domain/playerState.js";
 import { ack } from "../utils/ack.js";
+import { normalizeSnapshotEncoding } from "../../src/game/net/snapshotCodec.js";
+import { ROOM_ROLES, normalizeRoomRole } from "../../src/game/net/roomRoles.js";
+import { CHAT_PROXIMITY_RADIUS, normalizeChatChannel } from "../../src/game/net/chatChannels.js";
+import { extractChatMentions } from "../../src/game/net/chatMentions.js";
 
 function randomDefaultName() {
   return `PLAYER_${Math.floor(Math.random() * 9000 + 1000)}`;
@@ -54,6 +65,35 @@ function getPersistentStateBlockReason(config, featureLabel = "editing") {
   return `${featureLabel} disabled: ${reason}`;
 }
 
+// Host media arrives as a `mediaId` from a /media upload or, from older clients, as an inline
+// data URL that is moved into the media store when one is configured. Anything the store
+// rejects is passed through so RoomService applies its usual inline validation.
+async function resolveMediaPayload(mediaStore, payload, { fields, kind, mimeTypes = null, uploader = null }) {
+  const mediaId = String(payload?.mediaId ?? "").trim();
+  if (mediaId) {
+    if (!mediaStore?.enabled) {
+      return { ok: false, error: "media store unavailable" };
+    }
+    const resolved = mediaStore.resolve(mediaId, { kind, mimeTypes });
+    return resolved.ok ? { ok: true, present: true, value: resolved.url } : resolved;
+  }
+  const field = fields.find((name) => Object.prototype.hasOwnProperty.call(payload ?? {}, name));
+  if (!field) {
+    return { ok: true, present: false, value: "" };
+  }
+  const value = String(payload[field] ?? "").trim();
+  if (mediaStore?.enabled && /^data:/i.test(value)) {
+    const stored = await mediaStore.putDataUrl(value, { kind, uploader });
+    if (stored.ok && (!mimeTypes || mimeTypes.includes(stored.mimeType))) {
+      return { ok: true, present: true, value: stored.url };
+    }
+    if (stored.limited) {
+      return stored;
+    }
+  }
+  return { ok: true, present: true, value };
+}
+
 function sanitizeChatHistoryRequestPayload(payload = {}) {
   const modeRaw = String(payload?.mode ?? "").trim().toLowerCase();
   const mode = modeRaw === "before-today" ? "before-today" : "all";
@@ -64,31 +104,49 @@ function sanitizeChatHistoryRequestPayload(payload = {}) {
     nowMs + maxFutureAllowanceMs,
     Math.max(0, beforeCreatedAtMsRaw)
   );
+  const since = Math.max(0, Math.trunc(Number(payload?.since) || 0));
+  let until = Math.max(0, Math.trunc(Number(payload?.until) || 0));
+  if (mode === "before-today" && beforeCreatedAtMs > 0) {
+    until = until > 0 ? Math.min(until, beforeCreatedAtMs) : beforeCreatedAtMs;
+  }
+  const limit = Math.trunc(Number(payload?.limit) || CHAT_HISTORY_PAGE_SIZE);
   return {
     mode,
     beforeCreatedAtMs,
-    replace: Boolean(payload?.replace)
+    replace: Boolean(payload?.replace),
+    // messageId cursor: the page ends just before this message.
+    before: sanitizeChatMessageId(payload?.before ?? ""),
+    since,
+    until,
+    query: String(payload?.query ?? "").trim().slice(0, 64),
+    author: String(payload?.author ?? "").trim().slice(0, 24),
+    limit: Math.max(1, Math.min(CHAT_HISTORY_MAX_PAGE_SIZE, limit))
   };
 }
 
-function findDuplicateSessionSocketId(io, room, ownerKey, exceptSocketId = "") {
+function findDuplicateSessionSocketId(io, rooms, ownerKey, exceptSocketId = "") {
   const normalizedKey = sanitizeOwnerKey(ownerKey);
-  if (!normalizedKey || !room?.players || typeof room.players.keys !== "function") {
+  if (!normalizedKey || !rooms || typeof rooms[Symbol.iterator] !== "function") {
     return "";
   }
   const skipId = String(exceptSocketId ?? "").trim();
-  for (const socketId of room.players.keys()) {
-    const candidateId = String(socketId ?? "").trim();
-    if (!candidateId || candidateId === skipId) {
+  for (const room of rooms) {
+    if (!room?.players || typeof room.players.keys !== "function") {
       continue;
     }
-    const candidateSocket = io?.sockets?.sockets?.get(candidateId);
-    if (!candidateSocket) {
-      continue;
-    }
-    const candidateKey = sanitizeOwnerKey(candidateSocket?.data?.playerKey ?? "");
-    if (candidateKey && candidateKey === normalizedKey) {
-      return candidateId;
+    for (const socketId of room.players.keys()) {
+      const candidateId = String(socketId ?? "").trim();
+      if (!candidateId || candidateId === skipId) {
+        continue;
+      }
+      const candidateSocket = io?.sockets?.sockets?.get(candidateId);
+      if (!candidateSocket) {
+        continue;
+      }
+      const candidateKey = sanitizeOwnerKey(candidateSocket?.data?.playerKey ?? "");
+      if (candidateKey && candidateKey === normalizedKey) {
+        return candidateId;
+      }
     }
   }
   return "";
@@ -101,6 +159,14 @@ const PAINT_SOCKET_MIN_INTERVAL_MS = 120;
 const PAINT_ROOM_WINDOW_MS = 3_000;
 const PAINT_ROOM_MAX_WRITES = 120;
 const SESSION_REQUIRED_MIN_KEY_LENGTH = 8;
+const ROOM_PASSWORD_WINDOW_MS = 60_000;
+const ROOM_PASSWORD_MAX_ATTEMPTS_PER_WINDOW = 8;
+// Failures past the free ones double the wait before the next attempt, up to the cap.
+const ROOM_PASSWORD_FREE_FAILURES = 2;
+const ROOM_PASSWORD_BACKOFF_BASE_MS = 5_000;
+const ROOM_PASSWORD_BACKOFF_MAX_MS = 10 * 60_000;
+const MAX_ROOM_PASSWORD_IP_STATES = 5_000;
+const MOVEMENT_STATE_SWEEP_INTERVAL_MS = 60_000;
 const DEFAULT_ANTI_ABUSE = Object.freeze({
   maxConnectionsPerIp: 3,
   connectionWindowMs: 60_000,
@@ -110,13 +176,120 @@ const DEFAULT_ANTI_ABUSE = Object.freeze({
   connectionBanMs: 15 * 60 * 1000,
   promoWindowMs: 15_000,
   promoMaxOpsPerSocketWindow: 14,
-  promoMaxOpsPerIpWindow: 40
+  promoMaxOpsPerIpWindow: 40,
+  movementViolationWindowMs: 60_000,
+  movementViolationsBeforeBan: 8,
+  movementBanMs: 15 * 60 * 1000
 });
 const CHAT_SOCKET_WINDOW_MS = 10_000;
 const CHAT_SOCKET_MAX_MESSAGES_PER_WINDOW = 8;
 const CHAT_SOCKET_MIN_INTERVAL_MS = 700;
 const CHAT_SOCKET_MAX_SAME_TEXT_STREAK = 2;
 const CHAT_BLOCK_NOTICE_COOLDOWN_MS = 1_800;
+const CHAT_HISTORY_PAGE_SIZE = 100;
+const CHAT_HISTORY_MAX_PAGE_SIZE = 200;
+const ADMIN_BAN_DEFAULT_MS = 24 * 60 * 60 * 1000;
+const ADMIN_BAN_MAX_MS = 365 * 24 * 60 * 60 * 1000;
+const MODERATION_MUTE_DEFAULT_MS = 10 * 60 * 1000;
+const MODERATION_TIMEOUT_DEFAULT_MS = 10 * 60 * 1000;
+const MODERATION_TIMEOUT_MAX_MS = 24 * 60 * 60 * 1000;
+const MODERATION_MIN_MS = 10_000;
+// Request fields that are secrets and never reach the audit log.
+const AUDIT_REDACTED_FIELDS = new Set(["key", "hostKey", "password", "token"]);
+// Only a lost connection keeps the seat for a resume; leaving or being dropped does not.
+const RESUMABLE_DISCONNECT_REASONS = new Set(["transport close", "transport error", "ping timeout"]);
+const countOf = (list) => (Array.isArray(list) ? list.length : 0);
+
+function countRoleGrants(room) {
+  const counts = Object.fromEntries(ROOM_ROLES.filter((role) => role !== "guest").map((role) => [role, 0]));
+  for (const grant of room?.roleGrants?.values?.() ?? []) {
+    counts[grant.role] = (counts[grant.role] ?? 0) + 1;
+  }
+  return counts;
+}
+
+// Online player by `targetId` (socket id) or case-insensitive `name`.
+function findRoomPlayerTarget(room, payload) {
+  const targetId = String(payload?.targetId ?? "").trim();
+  const targetName = String(payload?.name ?? "").trim().toLowerCase();
+  const matches = [...room.players.values()].filter((player) =>
+    targetId ? player.id === targetId : Boolean(targetName) && player.name.toLowerCase() === targetName
+  );
+  if (matches.length > 1) {
+    return { ok: false, error: "ambiguous player name" };
+  }
+  return matches[0] ? { ok: true, player: matches[0] } : { ok: false, error: "player not found" };
+}
+
+const serializeHostSeats = (roomService, room) => ({
+  hostId: room.hostId ?? null,
+  coHostIds: [...room.coHostIds]
+});
+
+function countRoomModeration(roomService, room) {
+  const entries = roomService.moderationStore?.list({ roomCodes: [room.code] }) ?? [];
+  return {
+    players: room.players.size,
+    bans: entries.filter((entry) => entry.kind === "ban").length,
+    mutes: entries.filter((entry) => entry.kind === "mute").length
+  };
+}
+
+// Audited socket events and the room state each one changes, summarized before and after.
+const AUDITED_SOCKET_EVENTS = Object.freeze({
+  "room:host:claim": serializeHostSeats,
+  "room:host:transfer": serializeHostSeats,
+  "room:cohost:set": serializeHostSeats,
+  "moderation:kick": countRoomModeration,
+  "moderation:mute": countRoomModeration,
+  "moderation:timeout": countRoomModeration,
+  "moderation:ban": countRoomModeration,
+  "moderation:unban": countRoomModeration,
+  "moderation:flags:resolve": (roomService, room) => ({ pending: room.chatFlags.length }),
+  "room:role:set": (roomService, room) => countRoleGrants(room),
+  "security:test:set": (roomService, room) => roomService.serializeSecurityTest(room),
+  "paint:surface:policy:set": (roomService, room) => roomService.serializeSurfacePolicies(room),
+  "portal:target:set": (roomService, room) => room.portalTarget ?? null,
+  "portal:a-zone-target:set": (roomService, room) => room.aZonePortalTarget ?? null,
+  "portal:display:set": (roomService, room) => roomService.serializePortalDisplays(room),
+  "portal:display:reset": (roomService, room) => roomService.serializePortalDisplays(room),
+  "portal:ad:set": (roomService, room) => roomService.serializeMainPortalAd(room),
+  "portal:ad:reset": (roomService, room) => roomService.serializeMainPortalAd(room),
+  "portal:schedule:set": (roomService, room) => roomService.serializePortalSchedule(room),
+  "portal:force-open": (roomService, room) => roomService.serializePortalSchedule(room),
+  "portal:close": (roomService, room) => roomService.serializePortalSchedule(room),
+  "billboard:right:play": (roomService, room) => roomService.serializeRightBillboard(room),
+  "billboard:right:reset": (roomService, room) => roomService.serializeRightBillboard(room),
+  "billboard:video:set": (roomService, room) => ({
+    left: roomService.serializeLeftBillboard(room),
+    right: roomService.serializeRightBillboard(room)
+  }),
+  "billboard:left:set": (roomService, room) => roomService.serializeLeftBillboard(room),
+  "billboard:left:reset": (roomService, room) => roomService.serializeLeftBillboard(room),
+  "music:host:set": (roomService, room) => roomService.serializeSharedMusic(room),
+  "music:host:stop": (roomService, room) => roomService.serializeSharedMusic(room),
+  "platform:state:set": (roomService, room) => ({ platforms: countOf(room.platforms) }),
+  "rope:state:set": (roomService, room) => ({ ropes: countOf(room.ropes) }),
+  "object:state:set": (roomService, room) => ({
+    objects: countOf(roomService.serializeObjectPositions(room))
+  }),
+  "editor:settings:set": (roomService, room) => roomService.serializeObjectEditor(room),
+  "promo:remove": (roomService, room) => ({ promoObjects: countOf(roomService.serializePromoObjects(room)) }),
+  "world:history:rollback": (roomService) => ({ revision: roomService.worldHistory?.revision ?? null })
+});
+
+function redactAuditRequest(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return null;
+  }
+  const request = {};
+  for (const [field, value] of Object.entries(payload)) {
+    if (!AUDIT_REDACTED_FIELDS.has(field)) {
+      request[field] = value;
+    }
+  }
+  return request;
+}
 
 function normalizeClientIp(rawValue) {
   const text = String(rawValue ?? "").trim();
@@ -149,6 +322,11 @@ function getSocketAuthOwnerKey(socket) {
   return sanitizeOwnerKey(auth?.playerKey ?? auth?.ownerKey ?? auth?.sessionKey ?? "");
 }
 
+// Enough of the key to match log lines without writing the resume credential to the log.
+function maskOwnerKey(ownerKey) {
+  return ownerKey ? `${ownerKey.slice(0, 6)}...` : "-";
+}
+
 function pruneRecent(now, recent = [], windowMs = 60_000) {
   const lowerBound = now - Math.max(1_000, Math.trunc(Number(windowMs) || 60_000));
   let start = 0;
@@ -162,39 +340,44 @@ function pruneRecent(now, recent = [], windowMs = 60_000) {
   }
 }
 
-function registerConnectionViolation(state, now, antiAbuse = DEFAULT_ANTI_ABUSE) {
+function registerViolation(state, now, { windowMs, violationsBeforeBan, banMs }) {
   if (!Array.isArray(state.violations)) {
     state.violations = [];
   }
-  const violationWindowMs = Math.max(
-    5_000,
-    Math.trunc(
-      Number(antiAbuse?.connectionViolationWindowMs) ||
-        DEFAULT_ANTI_ABUSE.connectionViolationWindowMs
-    )
-  );
-  const connectionViolationsBeforeBan = Math.max(
-    1,
-    Math.trunc(
-      Number(antiAbuse?.connectionViolationsBeforeBan) ||
-        DEFAULT_ANTI_ABUSE.connectionViolationsBeforeBan
-    )
-  );
-  const connectionBanMs = Math.max(
-    5_000,
-    Math.trunc(Number(antiAbuse?.connectionBanMs) || DEFAULT_ANTI_ABUSE.connectionBanMs)
-  );
-  pruneRecent(now, state.violations, violationWindowMs);
+  pruneRecent(now, state.violations, Math.max(5_000, Math.trunc(Number(windowMs) || 0)));
   state.violations.push(now);
-  if (state.violations.length >= connectionViolationsBeforeBan) {
+  if (state.violations.length >= Math.max(1, Math.trunc(Number(violationsBeforeBan) || 1))) {
     state.blockedUntil = Math.max(
       Math.trunc(Number(state.blockedUntil) || 0),
-      now + connectionBanMs
+      now + Math.max(5_000, Math.trunc(Number(banMs) || 0))
     );
   }
   return Math.trunc(Number(state.blockedUntil) || 0);
 }
 
+function registerConnectionViolation(state, now, antiAbuse = DEFAULT_ANTI_ABUSE) {
+  return registerViolation(state, now, {
+    windowMs:
+      Number(antiAbuse?.connectionViolationWindowMs) ||
+      DEFAULT_ANTI_ABUSE.connectionViolationWindowMs,
+    violationsBeforeBan:
+      Number(antiAbuse?.connectionViolationsBeforeBan) ||
+      DEFAULT_ANTI_ABUSE.connectionViolationsBeforeBan,
+    banMs: Number(antiAbuse?.connectionBanMs) || DEFAULT_ANTI_ABUSE.connectionBanMs
+  });
+}
+
+function registerMovementViolation(state, now, antiAbuse = DEFAULT_ANTI_ABUSE) {
+  return registerViolation(state, now, {
+    windowMs:
+      Number(antiAbuse?.movementViolationWindowMs) || DEFAULT_ANTI_ABUSE.movementViolationWindowMs,
+    violationsBeforeBan:
+      Number(antiAbuse?.movementViolationsBeforeBan) ||
+      DEFAULT_ANTI_ABUSE.movementViolationsBeforeBan,
+    banMs: Number(antiAbuse?.movementBanMs) || DEFAULT_ANTI_ABUSE.movementBanMs
+  });
+}
+
 function reserveConnectionSlotByIp({
   map,
   clientIp,
@@ -309,6 +492,56 @@ function releaseConnectionSlotByIp(map, clientIp, socketId, antiAbuse = DEFAULT_
   map.set(ipKey, state);
 }
 
+// Each room password check costs a scrypt, so checks are budgeted per socket and per address.
+// Returns the states to pass to `recordRoomPasswordResult`.
+function consumeRoomPasswordAttempt({ socketState, ipStateMap, clientIp = "", now = Date.now() }) {
+  const ipKey = normalizeClientIp(clientIp);
+  if (!ipStateMap.has(ipKey) && ipStateMap.size >= MAX_ROOM_PASSWORD_IP_STATES) {
+    for (const [key, state] of ipStateMap) {
+      if (now - state.windowStart > ROOM_PASSWORD_WINDOW_MS && state.blockedUntil <= now) {
+        ipStateMap.delete(key);
+      }
+    }
+  }
+  const ipState = ipStateMap.get(ipKey) ?? { windowStart: now, count: 0, failures: 0, blockedUntil: 0 };
+  ipStateMap.set(ipKey, ipState);
+  const states = [socketState, ipState];
+  const blockedUntil = Math.max(...states.map((state) => state.blockedUntil));
+  if (blockedUntil > now) {
+    return { ok: false, error: "too many password attempts", retryAfterMs: blockedUntil - now };
+  }
+  for (const state of states) {
+    if (now - state.windowStart > ROOM_PASSWORD_WINDOW_MS) {
+      state.windowStart = now;
+      state.count = 0;
+    }
+    state.count += 1;
+    if (state.count > ROOM_PASSWORD_MAX_ATTEMPTS_PER_WINDOW) {
+      return {
+        ok: false,
+        error: "too many password attempts",
+        retryAfterMs: state.windowStart + ROOM_PASSWORD_WINDOW_MS - now
+      };
+    }
+  }
+  return { ok: true, states };
+}
+
+function recordRoomPasswordResult(states, accepted, now = Date.now()) {
+  for (const state of states) {
+    if (accepted) {
+      state.failures = 0;
+      continue;
+    }
+    state.failures += 1;
+    const extraFailures = state.failures - ROOM_PASSWORD_FREE_FAILURES;
+    if (extraFailures > 0) {
+      state.blockedUntil =
+        now + Math.min(ROOM_PASSWORD_BACKOFF_MAX_MS, ROOM_PASSWORD_BACKOFF_BASE_MS * 2 ** (extraFailures - 1));
+    }
+  }
+}
+
 function consumePromoOperationBudget({
   socketState,
   ipStateMap,
@@ -469,12 +702,20 @@ export function registerSocketHandlers({
   roomService,
   playerCounter,
   worldRuntime,
+  mediaStore = null,
+  auditLog = null,
+  chatFilter = null,
+  sessionTokens = null,
   config = {},
   log = console
 }) {
+  const moderation = roomService.moderationStore;
   const roomPaintRateState = new Map();
   const connectionStateByIp = new Map();
   const promoOpRateStateByIp = new Map();
+  const roomPasswordStateByIp = new Map();
+  // Keyed by playerKey so reconnecting (or hopping IPs) does not reset the count.
+  const movementStateByPlayerKey = new Map();
   const antiAbuse = {
     maxConnectionsPerIp: Math.max(
       1,
@@ -529,19 +770,277 @@ export function registerSocketHandlers({
       Math.trunc(
         Number(config?.antiAbuse?.promoMaxOpsPerIpWindow) || DEFAULT_ANTI_ABUSE.promoMaxOpsPerIpWindow
       )
+    ),
+    movementViolationWindowMs: Math.max(
+      5_000,
+      Math.trunc(
+        Number(config?.antiAbuse?.movementViolationWindowMs) ||
+          DEFAULT_ANTI_ABUSE.movementViolationWindowMs
+      )
+    ),
+    movementViolationsBeforeBan: Math.max(
+      1,
+      Math.trunc(
+        Number(config?.antiAbuse?.movementViolationsBeforeBan) ||
+          DEFAULT_ANTI_ABUSE.movementViolationsBeforeBan
+      )
+    ),
+    movementBanMs: Math.max(
+      5_000,
+      Math.trunc(Number(config?.antiAbuse?.movementBanMs) || DEFAULT_ANTI_ABUSE.movementBanMs)
     )
   };
 
+  const getMovementBlockedUntil = (playerKey, now = Date.now()) => {
+    const state = movementStateByPlayerKey.get(playerKey);
+    if (!state) {
+      return 0;
+    }
+    pruneRecent(now, state.violations, antiAbuse.movementViolationWindowMs);
+    const blockedUntil = Math.trunc(Number(state.blockedUntil) || 0);
+    if (blockedUntil <= now && state.violations.length <= 0) {
+      movementStateByPlayerKey.delete(playerKey);
+      return 0;
+    }
+    return blockedUntil > now ? blockedUntil : 0;
+  };
+
+  // Keys that never come back would otherwise keep their records for the life of the process.
+  setInterval(() => {
+    const now = Date.now();
+    for (const playerKey of [...movementStateByPlayerKey.keys()]) {
+      getMovementBlockedUntil(playerKey, now);
+    }
+  }, MOVEMENT_STATE_SWEEP_INTERVAL_MS).unref?.();
+
+  // Counters for /metrics: received events per handled event name, guard refusals per reason.
+  const socketEventCounts = new Map();
+  const rejectionCounts = new Map();
+
+  const countRejection = (result) => {
+    if (result && !result.ok) {
+      const reason = String(result.error ?? "rejected");
+      rejectionCounts.set(reason, (rejectionCounts.get(reason) ?? 0) + 1);
+    }
+    return result;
+  };
+
+  // Admin API bans and bans from the persistent room keep the player off the server.
+  const findServerBan = (playerKey, ip) =>
+    moderation.find({ kind: "ban", roomCodes: ["", roomService.defaultRoomCode], playerKey, ip });
+
+  // Kicked and banned players lose their resumable session and any host seat it holds.
+  const dropSocket = (target, reason) => {
+    target.data.dropped = true;
+    roomService.forgetSession(target.data?.sessionKey);
+    target.emit("session:blocked", { reason });
+    setTimeout(() => {
+      try {
+        target.disconnect(true);
+      } catch {
+        // ignore disconnect errors
+      }
+    }, 60);
+  };
+
+  const findAdminTargets = ({ socketId = "", playerKey = "", ip = "" } = {}) => {
+    const targets = [];
+    for (const candidate of io.sockets.sockets.values()) {
+      if (
+        (socketId && candidate.id === socketId) ||
+        (playerKey && sanitizeOwnerKey(candidate.data?.playerKey ?? "") === playerKey) ||
+        (ip && candidate.data?.clientIp === ip)
+      ) {
+        targets.push(candidate);
+      }
+    }
+    return targets;
+  };
+
+  const resolveAdminTarget = (payload = {}) => {
+    const socketId = String(payload?.socketId ?? "").trim();
+    let playerKey = sanitizeOwnerKey(payload?.playerKey ?? "");
+    let ip = String(payload?.ip ?? "").trim() ? normalizeClientIp(payload.ip) : "";
+    if (socketId) {
+      const target = io.sockets.sockets.get(socketId);
+      if (!target) {
+        return { ok: false, error: "player not found" };
+      }
+      playerKey = playerKey || sanitizeOwnerKey(target.data?.playerKey ?? "");
+      ip = ip || (payload?.banIp ? String(target.data?.clientIp ?? "") : "");
+    }
+    if (!socketId && !playerKey && !ip) {
+      return { ok: false, error: "socketId, playerKey or ip required" };
+    }
+    return { ok: true, socketId, playerKey, ip };
+  };
+
+  const socketControls = {
+    listPlayers() {
+      const players = [];
+      for (const candidate of io.sockets.sockets.values()) {
+        const room = roomService.getRoomBySocket(candidate);
+        players.push({
+          socketId: candidate.id,
+          name: String(candidate.data?.playerName ?? ""),
+          playerKey: sanitizeOwnerKey(candidate.data?.playerKey ?? "") || null,
+          ip: candidate.data?.clientIp ?? null,
+          room: room?.code ?? null,
+          zone: room ? roomService.getPlayerZone(room, candidate.id) || null : null,
+          host: Boolean(room && room.hostId === candidate.id),
+          connectedAt: Math.trunc(Number(candidate.data?.connectedAt) || 0) || null
+        });
+      }
+      return players;
+    },
+
+    kick(payload = {}) {
+      const target = resolveAdminTarget(payload);
+      if (!target.ok) {
+        return target;
+      }
+      const sockets = findAdminTargets({ socketId: target.socketId, playerKey: target.playerKey });
+      if (sockets.length === 0) {
+        return { ok: false, error: "player not found" };
+      }
+      for (const candidate of sockets) {
+        log?.warn?.(`[admin] kick socket=${candidate.id} ip=${candidate.data?.clientIp ?? ""}`);
+        dropSocket(candidate, "kicked");
+      }
+      return { ok: true, disconnected: sockets.map((candidate) => candidate.id) };
+    },
+
+    // Bans the playerKey (and with `banIp`, the address) and disconnects matching sockets.
+    ban(payload = {}) {
+      const target = resolveAdminTarget(payload);
+      if (!target.ok) {
+        return target;
+      }
+      const now = Date.now();
+      const durationMs = Math.max(
+        60_000,
+        Math.min(ADMIN_BAN_MAX_MS, Math.trunc(Number(payload?.durationMs) || ADMIN_BAN_DEFAULT_MS))
+      );
+      const until = now + durationMs;
+      const reason = String(payload?.reason ?? "").trim().slice(0, 200);
+      moderation.add({
+        kind: "ban",
+        roomCode: "",
+        playerKey: target.playerKey,
+        ip: target.ip,
+        name: target.socketId ? io.sockets.sockets.get(target.socketId)?.data?.playerName : "",
+        reason,
+        createdBy: "admin api",
+        until
+      });
+      roomService.forgetSession(target.playerKey);
+      const sockets = findAdminTargets(target);
+      for (const candidate of sockets) {
+        dropSocket(candidate, "session banned");
+      }
+      log?.warn?.(
+        `[admin] ban key=${maskOwnerKey(target.playerKey)} ip=${target.ip || "-"} ` +
+          `until=${new Date(until).toISOString()}${reason ? ` reason=${reason}` : ""}`
+      );
+      return {
+        ok: true,
+        playerKey: target.playerKey || null,
+        ip: target.ip || null,
+        until,
+        disconnected: sockets.map((candidate) => candidate.id)
+      };
+    },
+
+    // Lifts admin, room, mute, movement and connection bans for the given playerKey and/or ip.
+    unban(payload = {}) {
+      const playerKey = sanitizeOwnerKey(payload?.playerKey ?? "");
+      const ip = String(payload?.ip ?? "").trim() ? normalizeClientIp(payload.ip) : "";
+      if (!playerKey && !ip) {
+        return { ok: false, error: "playerKey or ip required" };
+      }
+      let lifted = moderation.remove({ playerKey, ip }).length;
+      if (playerKey) {
+        lifted += movementStateByPlayerKey.delete(playerKey) ? 1 : 0;
+      }
+      const ipState = ip ? connectionStateByIp.get(ip) : null;
+      if (ipState) {
+        lifted += Math.trunc(Number(ipState.blockedUntil) || 0) > Date.now() ? 1 : 0;
+        ipState.blockedUntil = 0;
+        ipState.violations = [];
+      }
+      log?.warn?.(`[admin] unban key=${maskOwnerKey(playerKey)} ip=${ip || "-"}`);
+      return { ok: true, lifted };
+    },
+
+    // Active bans plus addresses and keys with recent anti-abuse violations.
+    listBans(now = Date.now()) {
+      const ipBans = [];
+      for (const [ip, state] of connectionStateByIp) {
+        const blockedUntil = Math.trunc(Number(state?.blockedUntil) || 0);
+        const violations = Array.isArray(state?.violations) ? state.violations.length : 0;
+        if (blockedUntil > now || violations > 0) {
+          ipBans.push({
+            ip,
+            blockedUntil: blockedUntil > now ? blockedUntil : null,
+            violations,
+            activeConnections: state.active?.size ?? 0
+          });
+        }
+      }
+      const movementBans = [];
+      for (const [playerKey, state] of movementStateByPlayerKey) {
+        const blockedUntil = Math.trunc(Number(state?.blockedUntil) || 0);
+        const violations = Array.isArray(state?.violations) ? state.violations.length : 0;
+        if (blockedUntil > now || violations > 0) {
+          movementBans.push({ playerKey, blockedUntil: blockedUntil > now ? blockedUntil : null, violations });
+        }
+      }
+      const adminBans = [];
+      const roomBans = [];
+      const mutes = [];
+      for (const entry of moderation.list({}, now)) {
+        const item = {
+          playerKey: entry.playerKey || null,
+          ip: entry.ip || null,
+          name: entry.name,
+          room: entry.roomCode || null,
+          until: entry.until,
+          reason: entry.reason || null,
+          bannedBy: entry.createdBy || null,
+          bannedAt: entry.createdAt
+        };
+        (entry.kind === "mute" ? mutes : entry.roomCode ? roomBans : adminBans).push(item);
+      }
+      return { ipBans, movementBans, adminBans, roomBans, mutes };
+    },
+
+    getMetrics(now = Date.now()) {
+      const bans = this.listBans(now);
+      const countActive = (entries, field) => entries.filter((entry) => entry[field]).length;
+      return {
+        events: Object.fromEntries(socketEventCounts),
+        rejections: Object.fromEntries(rejectionCounts),
+        activeBans: {
+          ip: countActive(bans.ipBans, "blockedUntil"),
+          movement: countActive(bans.movementBans, "blockedUntil"),
+          admin: bans.adminBans.length,
+          room: bans.roomBans.length,
+          mute: bans.mutes.length
+        }
+      };
+    }
+  };
+
   io.on("connection", (socket) => {
     const connectedAt = Date.now();
     const clientIp = getSocketClientIp(socket);
-    const connectionSlotResult = reserveConnectionSlotByIp({
+    const connectionSlotResult = countRejection(reserveConnectionSlotByIp({
       map: connectionStateByIp,
       clientIp,
       socketId: socket.id,
       now: connectedAt,
       antiAbuse
-    });
+    }));
     if (!connectionSlotResult.ok) {
       const reason = String(connectionSlotResult.error ?? "connection blocked").trim();
       log?.warn?.(
@@ -566,6 +1065,12 @@ export function registerSocketHandlers({
       windowStart: 0,
       count: 0
     };
+    const socketRoomPasswordState = {
+      windowStart: 0,
+      count: 0,
+      failures: 0,
+      blockedUntil: 0
+    };
     const socketChatRateState = {
       windowStart: 0,
       count: 0,
@@ -688,24 +1193,34 @@ export function registerSocketHandlers({
         return;
       }
       const request = sanitizeChatHistoryRequestPayload(requestPayload);
-      let messages = roomService.serializeChatHistory(room);
-      if (request.mode === "before-today" && request.beforeCreatedAtMs > 0) {
-        messages = messages.filter((entry) => {
-          const createdAt = Math.trunc(Number(entry?.createdAt) || 0);
-          if (createdAt <= 0) {
-            return true;
-          }
-          return createdAt < request.beforeCreatedAtMs;
-        });
-      }
+      const result = roomService.queryChatHistory(room, {
+        zone: roomService.getPlayerZone(room, socket.id) || "lobby",
+        audienceId: roomService.getChatAudienceId(socket.id),
+        before: request.before,
+        since: request.since,
+        until: request.until,
+        limit: request.limit
+      });
       socket.emit("chat:history", {
-        messages,
+        messages: result.ok ? result.messages : [],
         mode: request.mode,
         beforeCreatedAtMs: request.beforeCreatedAtMs,
-        replace: request.replace
+        replace: request.replace,
+        before: request.before || null,
+        hasMore: Boolean(result.hasMore),
+        nextCursor: result.nextCursor || null,
+        ...(result.ok ? {} : { error: result.error })
       });
     };
 
+    const emitProfileState = () => {
+      const room = roomService.getRoomBySocket(socket);
+      const result = room ? roomService.getPlayerProfile(room, socket.id) : null;
+      if (result?.ok) {
+        socket.emit("profile:self", { profile: result.profile });
+      }
+    };
+
     const emitPortalOpenCatchup = () => {
       const room = roomService.getRoomBySocket(socket);
       if (!room) {
@@ -724,28 +1239,81 @@ export function registerSocketHandlers({
       });
     };
 
-    const joinDefaultAndAck = (nameOverride, ackFn) => {
-      const result = roomService.joinDefaultRoom(socket, nameOverride);
+    const emitJoinedRoomState = () => {
+      emitRuntimePolicyState();
+      emitSurfacePaintState();
+      emitSharedMusicState();
+      emitLeftBillboardState();
+      emitPortalDisplayState();
+      emitMainPortalAdState();
+      emitPortalOpenCatchup();
+      emitPlatformState();
+      emitRopeState();
+      emitPromoState();
+      emitObjectState();
+      emitChatHistoryState();
+      emitProfileState();
+    };
+
+    const ackRoomJoinResult = (result, ackFn) => {
       if (result?.ok) {
-        emitRuntimePolicyState();
-        emitSurfacePaintState();
-        emitSharedMusicState();
-        emitLeftBillboardState();
-        emitPortalDisplayState();
-        emitMainPortalAdState();
-        emitPortalOpenCatchup();
-        emitPromoState();
-        emitObjectState();
-        emitChatHistoryState();
+        emitJoinedRoomState();
       }
       ack(ackFn, result);
       return result;
     };
 
+    const joinDefaultAndAck = (nameOverride, ackFn) =>
+      ackRoomJoinResult(roomService.joinDefaultRoom(socket, nameOverride), ackFn);
+
+    const handleMovementViolation = (violation = {}) => {
+      const playerKey = sanitizeOwnerKey(socket.data.playerKey ?? "");
+      if (!playerKey) {
+        return;
+      }
+      const now = Date.now();
+      const state = movementStateByPlayerKey.get(playerKey) ?? { violations: [], blockedUntil: 0 };
+      const blockedUntil = registerMovementViolation(state, now, antiAbuse);
+      movementStateByPlayerKey.set(playerKey, state);
+      log?.warn?.(
+        `[guard] movement violation ip=${clientIp} socket=${socket.id} ` +
+          `count=${state.violations.length} verdict=${violation?.verdict ?? "reject"} ` +
+          `distance=${Number(violation?.distance) || 0} allowed=${Number(violation?.allowed) || 0}`
+      );
+      if (blockedUntil <= now) {
+        return;
+      }
+
+      // Each key ban also counts against the address, so key-cycling ends in an IP ban.
+      const ipState = connectionStateByIp.get(normalizeClientIp(clientIp));
+      if (ipState) {
+        registerConnectionViolation(ipState, now, antiAbuse);
+      }
+      log?.warn?.(
+        `[guard] movement ban ip=${clientIp} socket=${socket.id} until=${new Date(blockedUntil).toISOString()}`
+      );
+      socket.emit("session:blocked", { reason: "session temporarily banned" });
+      setTimeout(() => {
+        try {
+          socket.disconnect(true);
+        } catch {
+          // ignore disconnect errors
+        }
+      }, 60);
+    };
+
     socket.data.playerName = randomDefaultName();
     socket.data.roomCode = null;
-    socket.data.playerKey = getSocketAuthOwnerKey(socket);
+    // Without a token store the handshake key is trusted as before.
+    const session = sessionTokens?.authenticate(socket.handshake?.auth) ?? {
+      playerKey: getSocketAuthOwnerKey(socket),
+      source: "legacy"
+    };
+    socket.data.playerKey = session.playerKey;
     socket.data.clientIp = clientIp;
+    socket.data.connectedAt = connectedAt;
+    // Clients opt into binary snapshots in the handshake; anything else keeps JSON.
+    socket.data.snapshotEncoding = normalizeSnapshotEncoding(socket.handshake?.auth?.snapshotEncoding);
 
     const initialPlayerKey = sanitizeOwnerKey(socket.data.playerKey ?? "");
     if (!initialPlayerKey || initialPlayerKey.length < SESSION_REQUIRED_MIN_KEY_LENGTH) {
@@ -762,9 +1330,37 @@ export function registerSocketHandlers({
       return;
     }
 
+    if (findServerBan(initialPlayerKey, clientIp)) {
+      log?.warn?.(`[guard] ban-listed session denied ip=${clientIp} socket=${socket.id}`);
+      socket.emit("session:blocked", { reason: "session banned" });
+      releaseConnectionSlotByIp(connectionStateByIp, clientIp, socket.id, antiAbuse);
+      setTimeout(() => {
+        try {
+          socket.disconnect(true);
+        } catch {
+          // ignore disconnect errors
+        }
+      }, 60);
+      return;
+    }
+
+    if (getMovementBlockedUntil(initialPlayerKey, connectedAt) > 0) {
+      log?.warn?.(`[guard] banned session denied ip=${clientIp} socket=${socket.id}`);
+      socket.emit("session:blocked", { reason: "session temporarily banned" });
+      releaseConnectionSlotByIp(connectionStateByIp, clientIp, socket.id, antiAbuse);
+      setTimeout(() => {
+        try {
+          socket.disconnect(true);
+        } catch {
+          // ignore disconnect errors
+        }
+      }, 60);
+      return;
+    }
+
     const duplicateSocketId = findDuplicateSessionSocketId(
       io,
-      roomService.getDefaultRoom(),
+      roomService.rooms.values(),
       initialPlayerKey,
       socket.id
     );
@@ -787,34 +1383,114 @@ export function registerSocketHandlers({
       return;
     }
 
+    const sessionToken = sessionTokens?.accept(session) ?? "";
+    if (session.error) {
+      log?.warn?.(`[session-token] ${session.error} ip=${clientIp} socket=${socket.id}; issued a new key`);
+    } else if (session.source === "migrated") {
+      log?.log?.(`[session-token] migrated legacy key=${maskOwnerKey(initialPlayerKey)} socket=${socket.id}`);
+    }
+    if (sessionToken) {
+      socket.emit("session:token", {
+        token: sessionToken,
+        playerKey: initialPlayerKey,
+        source: session.source
+      });
+    }
+
     const online = playerCounter.increment();
     worldRuntime?.onPlayerConnected(socket);
+    socket.data.sessionKey = initialPlayerKey;
 
     log.log(`[+] player connected (${online}) ${socket.id}`);
 
-    roomService.joinDefaultRoom(socket);
-    emitRuntimePolicyState();
-    emitSurfacePaintState();
-    emitSharedMusicState();
-    emitLeftBillboardState();
-    emitPortalDisplayState();
-    emitMainPortalAdState();
-    emitPortalOpenCatchup();
-    emitPlatformState();
-    emitRopeState();
-    emitPromoState();
-    emitObjectState();
-    emitChatHistoryState();
+    // Audited events are recorded once their handler acks a change. Clients that send no ack
+    // get one injected so skipping the callback does not skip the log.
+    socket.use((packet, next) => {
+      const describe = AUDITED_SOCKET_EVENTS[packet[0]];
+      if (!describe || !auditLog) {
+        next();
+        return;
+      }
+      const room = roomService.getRoomBySocket(socket);
+      const before = room ? describe(roomService, room) : null;
+      const originalAck = typeof packet[2] === "function" ? packet[2] : null;
+      const request = redactAuditRequest(packet[1]);
+      packet.length = 3;
+      packet[2] = (response, ...rest) => {
+        if (response?.ok && response.changed !== false) {
+          const currentRoom = roomService.getRoomBySocket(socket) ?? room;
+          auditLog.record({
+            event: packet[0],
+            actor: {
+              playerKey: socket.data.playerKey,
+              name: socket.data.playerName,
+              ip: socket.data.clientIp,
+              socketId: socket.id
+            },
+            room: currentRoom?.code ?? null,
+            before,
+            after: currentRoom ? describe(roomService, currentRoom) : null,
+            request
+          });
+        }
+        originalAck?.(response, ...rest);
+      };
+      next();
+    });
+
+    // Unhandled names share one bucket so clients cannot grow the label set.
+    socket.onAny((event) => {
+      const name = socket.listeners(event).length > 0 ? String(event) : "(unhandled)";
+      socketEventCounts.set(name, (socketEventCounts.get(name) ?? 0) + 1);
+    });
+
+    socket.emit("net:snapshot-encoding", { encoding: socket.data.snapshotEncoding });
+    const resumed = roomService.resumeSession(socket);
+    if (resumed?.ok) {
+      // Stale client syncs from before the drop must not override the restored position.
+      worldRuntime?.handlePlayerRelocated(socket);
+      socket.emit("session:resumed", {
+        roomCode: resumed.room?.code ?? "",
+        zone: resumed.zone,
+        name: resumed.name,
+        host: resumed.host,
+        state: resumed.state,
+        expiredRoomCode: resumed.expiredRoomCode
+      });
+      log.log(
+        `[session] resumed ${socket.id} room=${resumed.room?.code ?? "?"} zone=${resumed.zone} host=${resumed.host}`
+      );
+    } else {
+      roomService.joinDefaultRoom(socket);
+    }
+    emitJoinedRoomState();
     roomService.emitRoomList(socket);
 
+    // Switches the socket to another key; with session tokens enabled the key must come as a signed `token`.
     socket.on("player:key:set", (payload = {}, ackFn) => {
-      const nextKey = sanitizeOwnerKey(payload?.key ?? payload?.ownerKey ?? "");
+      let nextKey = sanitizeOwnerKey(payload?.key ?? payload?.ownerKey ?? "");
+      if (sessionTokens) {
+        const verified = sessionTokens.verify(payload?.token);
+        if (!verified.ok) {
+          ack(ackFn, verified);
+          return;
+        }
+        nextKey = verified.playerKey;
+      }
       if (!nextKey || nextKey.length < 8) {
         ack(ackFn, { ok: false, error: "invalid owner key" });
         return;
       }
-      const room = roomService.getRoomBySocket(socket);
-      const duplicateSocketId = findDuplicateSessionSocketId(io, room, nextKey, socket.id);
+      if (getMovementBlockedUntil(nextKey) > 0) {
+        ack(ackFn, { ok: false, error: "session temporarily banned" });
+        return;
+      }
+      const duplicateSocketId = findDuplicateSessionSocketId(
+        io,
+        roomService.rooms.values(),
+        nextKey,
+        socket.id
+      );
       if (duplicateSocketId) {
         ack(ackFn, { ok: false, error: "duplicate session" });
         socket.emit("session:duplicate", {
@@ -831,20 +1507,44 @@ export function registerSocketHandlers({
         return;
       }
       socket.data.playerKey = nextKey;
+      // The nickname moves to the new key's profile when it is free there.
+      const room = roomService.getRoomBySocket(socket);
+      if (room) {
+        roomService.joinRoom(socket, room.code, { nameOverride: socket.data.playerName });
+        emitProfileState();
+      }
       ack(ackFn, { ok: true, key: nextKey });
     });
 
+    // Profile card of a player in the same room, by `targetId` (socket id) or `name`.
+    socket.on("profile:get", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      const found = findRoomPlayerTarget(room, payload);
+      if (!found.ok) {
+        ack(ackFn, found);
+        return;
+      }
+      ack(ackFn, roomService.getPlayerProfile(room, found.player.id));
+    });
+
     socket.on("chat:send", (payload = {}) => {
-      const { name, text } = payload;
-      const safeName = sanitizeName(name ?? socket.data.playerName);
+      const { text } = payload;
+      // The nickname comes from the profile; renames go through room:quick-join.
+      const safeName = sanitizeName(socket.data.playerName);
       const safeText = String(text ?? "").trim().slice(0, 200);
       if (!safeText) {
         return;
       }
-      const chatBudget = consumeChatSendBudget({
-        socketState: socketChatRateState,
-        text: safeText
-      });
+      const chatBudget = countRejection(
+        consumeChatSendBudget({
+          socketState: socketChatRateState,
+          text: safeText
+        })
+      );
       if (!chatBudget.ok) {
         const nowMs = Date.now();
         const lastNoticeAt = Math.max(
@@ -874,10 +1574,61 @@ export function registerSocketHandlers({
         return;
       }
 
+      const mute = roomService.getModerationEntry(room, socket, "mute");
+      if (mute) {
+        socket.emit("chat:blocked", { reason: "muted", until: mute.until });
+        return;
+      }
+
+      const filtered = countRejection(chatFilter?.apply(safeText) ?? { ok: true, text: safeText });
+      if (!filtered.ok) {
+        socket.emit("chat:blocked", { reason: filtered.error, reasons: filtered.reasons });
+        return;
+      }
+
+      // `recipients` stays null for zone and announce lines, which go to everyone who can see them.
+      const channel = normalizeChatChannel(payload?.channel);
+      let recipients = null;
+      let toName = "";
+      if (channel === "announce" && !roomService.can(room, socket.id, "moderate")) {
+        socket.emit("chat:blocked", { reason: "announce not allowed" });
+        return;
+      }
+      if (channel === "whisper") {
+        const found = findRoomPlayerTarget(room, { name: payload?.to });
+        if (!found.ok || found.player.id === socket.id) {
+          socket.emit("chat:blocked", { reason: found.ok ? "cannot whisper yourself" : `whisper ${found.error}` });
+          return;
+        }
+        recipients = [socket.id, found.player.id];
+        toName = found.player.name;
+      } else if (channel === "proximity") {
+        recipients = roomService.getNearbySocketIds(room, socket.id, CHAT_PROXIMITY_RADIUS);
+      }
+
+      // Mentions name players anywhere in the room, except that whisper and proximity lines can
+      // only mention players they reach. Ambiguous names mention nobody.
+      const mentioned = [];
+      for (const mentionName of extractChatMentions(filtered.text)) {
+        const found = findRoomPlayerTarget(room, { name: mentionName });
+        if (
+          found.ok &&
+          found.player.id !== socket.id &&
+          (!recipients || recipients.includes(found.player.id)) &&
+          !mentioned.includes(found.player)
+        ) {
+          mentioned.push(found.player);
+        }
+      }
+      const zone = roomService.getPlayerZone(room, socket.id) || "lobby";
+      const replyEntry = roomService.findChatEntry(room, sanitizeChatMessageId(payload?.replyTo ?? ""));
+      const replyTo =
+        replyEntry && roomService.canSeeChatEntry(replyEntry, zone, roomService.getChatAudienceId(socket.id))
+          ? { messageId: replyEntry.messageId, name: replyEntry.name, text: replyEntry.text.slice(0, 80) }
+          : null;
+
       const createdAt = Date.now();
 
-      socket.data.playerName = safeName;
-      player.name = safeName;
       const stateRaw = player?.state && typeof player.state === "object" ? player.state : null;
       const sx = Number(stateRaw?.x);
       const sy = Number(stateRaw?.y);
@@ -897,12 +1648,40 @@ export function registerSocketHandlers({
         messageId,
         id: socket.id,
         name: safeName,
-        text: safeText,
+        text: filtered.text,
         state,
+        zone,
+        channel,
+        ...(toName ? { toName } : {}),
+        ...(mentioned.length > 0 ? { mentions: mentioned.map((target) => target.name) } : {}),
+        ...(replyTo ? { replyTo } : {}),
         createdAt
       };
-      roomService.appendChatHistory(room, messagePayload);
-      io.to(room.code).emit("chat:message", messagePayload);
+      roomService.appendChatHistory(room, {
+        ...messagePayload,
+        audience: recipients?.map((recipientId) => roomService.getChatAudienceId(recipientId))
+      });
+      if (recipients) {
+        io.to(recipients).emit("chat:message", messagePayload);
+      } else if (channel === "announce") {
+        io.to(room.code).emit("chat:message", messagePayload);
+      } else {
+        roomService.emitToZone(room, messagePayload.zone, "chat:message", messagePayload);
+      }
+      // Sent after `chat:message`, so clients that already show the line only need to notify.
+      for (const target of mentioned) {
+        io.to(target.id).emit("chat:mention", { ...messagePayload, roomCode: room.code });
+      }
+      // Flagged lines are delivered as usual and queued for the room's moderators.
+      if (filtered.flagged) {
+        const flag = roomService.addChatFlag(room, {
+          message: messagePayload,
+          originalText: safeText,
+          reasons: filtered.reasons,
+          matches: filtered.matches
+        });
+        roomService.emitToCapability(room, "moderate", "moderation:flag", flag);
+      }
       roomService.emitRoomUpdate(room);
     });
 
@@ -910,6 +1689,33 @@ export function registerSocketHandlers({
       emitChatHistoryState(payload);
     });
 
+    // Text (`query`), author and date-range search; pages go older with the `before` cursor.
+    socket.on("chat:history:search", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      const request = sanitizeChatHistoryRequestPayload(payload);
+      if (!request.query && !request.author && !request.since && !request.until) {
+        ack(ackFn, { ok: false, error: "empty search" });
+        return;
+      }
+      ack(
+        ackFn,
+        roomService.queryChatHistory(room, {
+          zone: roomService.getPlayerZone(room, socket.id) || "lobby",
+          audienceId: roomService.getChatAudienceId(socket.id),
+          before: request.before,
+          since: request.since,
+          until: request.until,
+          query: request.query,
+          author: request.author,
+          limit: request.limit
+        })
+      );
+    });
+
     socket.on("input:cmd", (payload = {}) => {
       worldRuntime?.handleInputCommand(socket, payload);
     });
@@ -920,7 +1726,11 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "runtime unavailable" });
         return;
       }
-      ack(ackFn, result);
+      const { violation, ...response } = result;
+      ack(ackFn, response);
+      if (violation) {
+        handleMovementViolation(violation);
+      }
     });
 
     socket.on("net:ping", (payload = {}) => {
@@ -939,15 +1749,68 @@ export function registerSocketHandlers({
     });
 
     socket.on("room:quick-join", (payload = {}, ackFn) => {
-      joinDefaultAndAck(payload.name, ackFn);
+      const room = roomService.getRoomBySocket(socket);
+      if (room) {
+        ackRoomJoinResult(
+          roomService.joinRoom(socket, room.code, { nameOverride: payload?.name ?? null }),
+          ackFn
+        );
+        return;
+      }
+      joinDefaultAndAck(payload?.name ?? null, ackFn);
     });
 
-    socket.on("room:create", (payload = {}, ackFn) => {
-      joinDefaultAndAck(payload.name, ackFn);
+    const consumeSocketRoomPasswordAttempt = () =>
+      countRejection(
+        consumeRoomPasswordAttempt({
+          socketState: socketRoomPasswordState,
+          ipStateMap: roomPasswordStateByIp,
+          clientIp: socket.data.clientIp ?? clientIp
+        })
+      );
+
+    socket.on("room:create", async (payload = {}, ackFn) => {
+      if (String(payload?.password ?? "")) {
+        const attempt = consumeSocketRoomPasswordAttempt();
+        if (!attempt.ok) {
+          ack(ackFn, attempt);
+          return;
+        }
+      }
+      const result = await roomService.createRoom(socket, {
+        code: payload?.code,
+        name: payload?.roomName ?? payload?.title,
+        password: payload?.password,
+        capacity: payload?.capacity,
+        playerName: payload?.name ?? null
+      });
+      if (result?.ok) {
+        log.log(`[room] created ${result.room?.code} by ${socket.id}`);
+      }
+      ackRoomJoinResult(result, ackFn);
     });
 
-    socket.on("room:join", (payload = {}, ackFn) => {
-      joinDefaultAndAck(payload.name, ackFn);
+    socket.on("room:join", async (payload = {}, ackFn) => {
+      const code = String(payload?.code ?? "").trim();
+      if (!code) {
+        joinDefaultAndAck(payload?.name ?? null, ackFn);
+        return;
+      }
+      if (!roomService.roomNeedsPassword(socket, code)) {
+        ackRoomJoinResult(roomService.joinRoom(socket, code, { nameOverride: payload?.name ?? null }), ackFn);
+        return;
+      }
+      const attempt = consumeSocketRoomPasswordAttempt();
+      if (!attempt.ok) {
+        ack(ackFn, attempt);
+        return;
+      }
+      const result = await roomService.joinRoomWithPassword(socket, code, {
+        password: payload?.password,
+        nameOverride: payload?.name ?? null
+      });
+      recordRoomPasswordResult(attempt.states, result.error !== "invalid room password");
+      ackRoomJoinResult(result, ackFn);
     });
 
     socket.on("room:leave", (ackFn) => {
@@ -972,7 +1835,11 @@ export function registerSocketHandlers({
         return;
       }
 
+      worldRuntime?.handlePlayerRelocated(socket);
       roomService.emitRoomUpdate(room);
+      if (result.changed) {
+        emitChatHistoryState({ replace: true });
+      }
       ack(ackFn, {
         ok: true,
         changed: Boolean(result.changed),
@@ -991,7 +1858,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "player not in room" });
         return;
       }
-      const isHost = roomService.isHost(room, socket.id);
+      const canPaint = roomService.can(room, socket.id, "paint");
       const persistenceError = getPersistentStateBlockReason(config, "surface paint");
       if (persistenceError) {
         ack(ackFn, { ok: false, error: persistenceError });
@@ -1000,19 +1867,21 @@ export function registerSocketHandlers({
       const paintModeError = getFeatureModeBlockReason(
         config?.surfacePaintMode,
         "surface paint",
-        isHost
+        canPaint
       );
       if (paintModeError) {
         ack(ackFn, { ok: false, error: paintModeError });
         return;
       }
-      const paintGuard = consumeSurfacePaintBudget({
-        socketState: socketPaintRateState,
-        roomStateMap: roomPaintRateState,
-        roomCode: room.code,
-        surfaceId: payload?.surfaceId ?? "",
-        isHost
-      });
+      const paintGuard = countRejection(
+        consumeSurfacePaintBudget({
+          socketState: socketPaintRateState,
+          roomStateMap: roomPaintRateState,
+          roomCode: room.code,
+          surfaceId: payload?.surfaceId ?? "",
+          isHost: canPaint
+        })
+      );
       if (!paintGuard.ok) {
         ack(ackFn, paintGuard);
         return;
@@ -1023,7 +1892,7 @@ export function registerSocketHandlers({
         payload?.surfaceId,
         payload?.imageDataUrl ?? payload?.dataUrl ?? "",
         socket.data.playerKey ?? "",
-        isHost
+        canPaint
       );
       if (!result.ok) {
         ack(ackFn, result);
@@ -1061,8 +1930,8 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "player not in room" });
         return;
       }
-      const isHost = roomService.isHost(room, socket.id);
-      if (!isHost) {
+      const canPaint = roomService.can(room, socket.id, "paint");
+      if (!canPaint) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1075,7 +1944,7 @@ export function registerSocketHandlers({
       const paintModeError = getFeatureModeBlockReason(
         config?.surfacePaintMode,
         "surface paint",
-        isHost
+        canPaint
       );
       if (paintModeError) {
         ack(ackFn, { ok: false, error: paintModeError });
@@ -1121,9 +1990,13 @@ export function registerSocketHandlers({
         return;
       }
 
-      const requiredKey = String(config?.hostClaimKey ?? "").trim();
+      // Custom rooms hand host to their members; the claim key guards only the persistent room.
+      // Granted owners take the seat without it, and a correct key makes the claimer one.
+      const requiredKey = room.persistent ? String(config?.hostClaimKey ?? "").trim() : "";
       const providedKey = String(payload?.key ?? "").trim();
-      if (requiredKey && providedKey !== requiredKey) {
+      const keyAccepted = Boolean(requiredKey) && providedKey === requiredKey;
+      const grantedOwner = roomService.getRoleGrant(room, socket.id)?.role === "owner";
+      if (requiredKey && !keyAccepted && !grantedOwner) {
         ack(ackFn, { ok: false, error: "invalid host key" });
         return;
       }
@@ -1133,16 +2006,337 @@ export function registerSocketHandlers({
         ack(ackFn, claimResult);
         return;
       }
+      const grantResult =
+        keyAccepted && !grantedOwner
+          ? roomService.setRoleGrant(room, {
+              playerKey: socket.data.playerKey,
+              role: "owner",
+              name: socket.data.playerName,
+              grantedBy: "host key"
+            })
+          : null;
+      const changed = Boolean(claimResult.changed || grantResult?.changed);
+
+      if (changed) {
+        roomService.emitRoomUpdate(room);
+        roomService.emitRoomList();
+      }
+
+      ack(ackFn, {
+        ok: true,
+        changed,
+        room: roomService.serializeRoom(room, roomService.getPlayerZone(room, socket.id))
+      });
+    });
+
+    socket.on("room:role:list", (_payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      if (!roomService.can(room, socket.id, "roles")) {
+        ack(ackFn, { ok: false, error: "owner only" });
+        return;
+      }
+      ack(ackFn, {
+        ok: true,
+        grants: roomService.listRoleGrants(room).map((grant) => ({
+          grantId: grant.grantId,
+          name: grant.name,
+          role: grant.role,
+          keyHint: maskOwnerKey(grant.playerKey),
+          grantedBy: grant.grantedBy,
+          grantedAt: grant.grantedAt,
+          onlineId: grant.onlineId
+        }))
+      });
+    });
+
+    // Targets an online player by `targetId` (socket id) or `name`, or an existing grant by
+    // `grantId` from `room:role:list`. `role: "guest"` revokes.
+    socket.on("room:role:set", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      if (!roomService.can(room, socket.id, "roles")) {
+        ack(ackFn, { ok: false, error: "owner only" });
+        return;
+      }
+      const role = normalizeRoomRole(payload?.role);
+      if (!role) {
+        ack(ackFn, { ok: false, error: "invalid role" });
+        return;
+      }
+
+      let target = null;
+      const grant = roomService.findRoleGrantByGrantId(room, payload?.grantId);
+      if (grant) {
+        target = { playerKey: grant.playerKey, name: grant.name };
+      } else {
+        const found = findRoomPlayerTarget(room, payload);
+        if (found.error === "ambiguous player name") {
+          ack(ackFn, found);
+          return;
+        }
+        const targetSocket = found.ok ? io.sockets.sockets.get(found.player.id) : null;
+        if (targetSocket) {
+          target = { playerKey: targetSocket.data.playerKey, name: found.player.name };
+        }
+      }
+      if (!target) {
+        ack(ackFn, { ok: false, error: "player not found" });
+        return;
+      }
+      if (sanitizeOwnerKey(target.playerKey) === sanitizeOwnerKey(socket.data.playerKey)) {
+        ack(ackFn, { ok: false, error: "cannot change own role" });
+        return;
+      }
+
+      const result = roomService.setRoleGrant(room, {
+        ...target,
+        role,
+        grantedBy: socket.data.playerName
+      });
+      if (!result.ok) {
+        ack(ackFn, result);
+        return;
+      }
+      if (result.changed) {
+        roomService.emitRoomUpdate(room);
+      }
+      ack(ackFn, { ok: true, changed: result.changed, name: target.name, role: result.role });
+    });
 
-      if (claimResult.changed) {
+    // The seat holder hands the host seat to `targetId` or `name` and becomes a regular player.
+    socket.on("room:host:transfer", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      const found = findRoomPlayerTarget(room, payload);
+      if (!found.ok) {
+        ack(ackFn, found);
+        return;
+      }
+      const result = roomService.transferHost(room, socket.id, found.player.id);
+      if (!result.ok) {
+        ack(ackFn, result);
+        return;
+      }
+      if (result.changed) {
+        io.to(room.code).emit("room:host:changed", {
+          roomCode: room.code,
+          hostId: result.hostId,
+          hostName: found.player.name,
+          previousHostId: socket.id,
+          reason: "transfer"
+        });
         roomService.emitRoomUpdate(room);
         roomService.emitRoomList();
       }
+      ack(ackFn, { ok: true, changed: result.changed, hostId: result.hostId, name: found.player.name });
+    });
+
+    // `{ targetId | name, enabled }`: co-hosts use the host controls alongside the seat holder.
+    socket.on("room:cohost:set", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      const found = findRoomPlayerTarget(room, payload);
+      if (!found.ok) {
+        ack(ackFn, found);
+        return;
+      }
+      const result = roomService.setCoHost(room, socket.id, found.player.id, payload?.enabled !== false);
+      if (!result.ok) {
+        ack(ackFn, result);
+        return;
+      }
+      if (result.changed) {
+        roomService.emitRoomUpdate(room);
+      }
+      ack(ackFn, {
+        ok: true,
+        changed: result.changed,
+        name: found.player.name,
+        enabled: room.coHostIds.has(found.player.id),
+        coHostIds: result.coHostIds
+      });
+    });
+
+    // The actor needs "moderate" and must outrank the target (moderators cannot act on owners).
+    const resolveModerationTarget = (room, payload) => {
+      if (!roomService.can(room, socket.id, "moderate")) {
+        return { ok: false, error: "moderator only" };
+      }
+      const found = findRoomPlayerTarget(room, payload);
+      if (!found.ok) {
+        return found;
+      }
+      if (found.player.id === socket.id) {
+        return { ok: false, error: "cannot moderate yourself" };
+      }
+      if (roomService.getPlayerRank(room, found.player.id) <= roomService.getPlayerRank(room, socket.id)) {
+        return { ok: false, error: "target role too high" };
+      }
+      const target = io.sockets.sockets.get(found.player.id);
+      return target ? { ok: true, player: found.player, target } : { ok: false, error: "player not found" };
+    };
+
+    // Kick, timeout and ban remove the target: out of the persistent room means off the server,
+    // out of a custom room means back to the persistent room (the client rejoins on the notice).
+    // Mutes, timeouts and bans are stored against both the playerKey and the address.
+    const moderatePlayer = (action, payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      const resolved = resolveModerationTarget(room, payload);
+      if (!resolved.ok) {
+        ack(ackFn, resolved);
+        return;
+      }
+      const { player, target } = resolved;
+      const reason = String(payload?.reason ?? "").trim().slice(0, 200);
+      const grantedModerator = roomService.hasGrantedModeration(room, socket.id);
+      if (room.persistent && (action === "timeout" || action === "ban") && !grantedModerator) {
+        ack(ackFn, { ok: false, error: "moderator role required" });
+        return;
+      }
+
+      let entry = null;
+      if (action !== "kick") {
+        const [defaultMs, maxMs] =
+          action === "mute"
+            ? [MODERATION_MUTE_DEFAULT_MS, ADMIN_BAN_MAX_MS]
+            : action === "timeout"
+              ? [MODERATION_TIMEOUT_DEFAULT_MS, MODERATION_TIMEOUT_MAX_MS]
+              : [ADMIN_BAN_MAX_MS, ADMIN_BAN_MAX_MS];
+        const requestedMs = parseModerationDuration(payload?.duration);
+        if (String(payload?.duration ?? "").trim() && !requestedMs) {
+          ack(ackFn, { ok: false, error: "invalid duration" });
+          return;
+        }
+        entry = moderation.add({
+          kind: action === "mute" ? "mute" : "ban",
+          roomCode: room.code,
+          playerKey: target.data.playerKey,
+          ip: grantedModerator ? target.data.clientIp : "",
+          name: player.name,
+          reason,
+          createdBy: socket.data.playerName,
+          until: Date.now() + Math.max(MODERATION_MIN_MS, Math.min(maxMs, requestedMs || defaultMs))
+        });
+      }
+
+      const removed = action !== "mute";
+      target.emit("moderation:notice", {
+        action,
+        roomCode: room.code,
+        removed,
+        persistent: Boolean(room.persistent),
+        by: socket.data.playerName,
+        reason: reason || null,
+        until: entry?.until ?? null
+      });
+      if (removed) {
+        if (room.persistent) {
+          dropSocket(target, action === "kick" ? "kicked" : "session banned");
+        } else {
+          roomService.leaveCurrentRoom(target);
+        }
+      }
+      log?.warn?.(
+        `[moderation] ${action} room=${room.code} target=${target.id} key=${maskOwnerKey(target.data.playerKey)} ` +
+          `by=${socket.id}${entry ? ` until=${new Date(entry.until).toISOString()}` : ""}`
+      );
+      ack(ackFn, { ok: true, action, name: player.name, until: entry?.until ?? null });
+    };
+
+    socket.on("moderation:kick", (payload, ackFn) => moderatePlayer("kick", payload, ackFn));
+    socket.on("moderation:mute", (payload, ackFn) => moderatePlayer("mute", payload, ackFn));
+    socket.on("moderation:timeout", (payload, ackFn) => moderatePlayer("timeout", payload, ackFn));
+    socket.on("moderation:ban", (payload, ackFn) => moderatePlayer("ban", payload, ackFn));
+
+    // Lifts this room's bans, timeouts and mutes of an online player or of a stored `name`.
+    socket.on("moderation:unban", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      if (!roomService.can(room, socket.id, "moderate")) {
+        ack(ackFn, { ok: false, error: "moderator only" });
+        return;
+      }
+      // Without a granted role only mutes can be lifted in the persistent room; its bans are server-wide.
+      const kind = room.persistent && !roomService.hasGrantedModeration(room, socket.id) ? "mute" : "";
+      const found = findRoomPlayerTarget(room, payload);
+      const online = found.ok ? io.sockets.sockets.get(found.player.id) : null;
+      const name = String(payload?.name ?? "").trim().toLowerCase();
+      const targets = online
+        ? [{ playerKey: sanitizeOwnerKey(online.data.playerKey ?? ""), ip: online.data.clientIp }]
+        : moderation
+            .list({ kind, roomCodes: [room.code] })
+            .filter((entry) => Boolean(name) && entry.name.toLowerCase() === name);
+      const lifted = [];
+      for (const target of targets) {
+        lifted.push(...moderation.remove({ kind, roomCodes: [room.code], playerKey: target.playerKey, ip: target.ip }));
+      }
+      if (lifted.length === 0) {
+        ack(ackFn, { ok: false, error: "no active ban or mute" });
+        return;
+      }
+      online?.emit("moderation:notice", {
+        action: "unban",
+        roomCode: room.code,
+        removed: false,
+        persistent: Boolean(room.persistent),
+        by: socket.data.playerName,
+        reason: null,
+        until: null
+      });
+      log?.warn?.(`[moderation] unban room=${room.code} lifted=${lifted.length} by=${socket.id}`);
+      ack(ackFn, { ok: true, lifted: lifted.length, name: online ? found.player.name : lifted[0].name });
+    });
+
+    socket.on("moderation:flags:list", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      if (!roomService.can(room, socket.id, "moderate")) {
+        ack(ackFn, { ok: false, error: "moderator only" });
+        return;
+      }
+      ack(ackFn, { ok: true, flags: roomService.listChatFlags(room) });
+    });
 
+    // `ids` resolves those flags; without it the whole queue is cleared.
+    socket.on("moderation:flags:resolve", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      if (!roomService.can(room, socket.id, "moderate")) {
+        ack(ackFn, { ok: false, error: "moderator only" });
+        return;
+      }
+      const resolved = roomService.resolveChatFlags(room, payload?.ids);
       ack(ackFn, {
         ok: true,
-        changed: Boolean(claimResult.changed),
-        room: roomService.serializeRoom(room)
+        changed: resolved.length > 0,
+        resolved: resolved.length,
+        pending: room.chatFlags.length
       });
     });
 
@@ -1152,7 +2346,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "moderate")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1184,7 +2378,7 @@ export function registerSocketHandlers({
         return;
       }
 
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "portal")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1216,7 +2410,7 @@ export function registerSocketHandlers({
         return;
       }
 
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "portal")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1241,13 +2435,13 @@ export function registerSocketHandlers({
       });
     });
 
-    socket.on("portal:display:set", (payload = {}, ackFn) => {
+    socket.on("portal:display:set", async (payload = {}, ackFn) => {
       const room = roomService.getRoomBySocket(socket);
       if (!room) {
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1264,11 +2458,17 @@ export function registerSocketHandlers({
       ) {
         nextPayload.title = payload?.title ?? payload?.name ?? "";
       }
-      if (
-        Object.prototype.hasOwnProperty.call(payload, "imageDataUrl") ||
-        Object.prototype.hasOwnProperty.call(payload, "dataUrl")
-      ) {
-        nextPayload.imageDataUrl = payload?.imageDataUrl ?? payload?.dataUrl ?? "";
+      const media = await resolveMediaPayload(mediaStore, payload, {
+        fields: ["imageDataUrl", "dataUrl"],
+        kind: "image",
+        uploader: getMediaUploader()
+      });
+      if (!media.ok) {
+        ack(ackFn, media);
+        return;
+      }
+      if (media.present) {
+        nextPayload.imageDataUrl = media.value;
       }
       if (Object.prototype.hasOwnProperty.call(payload, "mode")) {
         nextPayload.mode = payload?.mode ?? "";
@@ -1307,7 +2507,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1334,13 +2534,13 @@ export function registerSocketHandlers({
       });
     });
 
-    socket.on("portal:ad:set", (payload = {}, ackFn) => {
+    socket.on("portal:ad:set", async (payload = {}, ackFn) => {
       const room = roomService.getRoomBySocket(socket);
       if (!room) {
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1350,10 +2550,16 @@ export function registerSocketHandlers({
         return;
       }
 
-      const result = roomService.setMainPortalAdImage(
-        room,
-        payload?.imageDataUrl ?? payload?.dataUrl ?? payload?.url ?? ""
-      );
+      const media = await resolveMediaPayload(mediaStore, payload, {
+        fields: ["imageDataUrl", "dataUrl", "url"],
+        kind: "image",
+        uploader: getMediaUploader()
+      });
+      if (!media.ok) {
+        ack(ackFn, media);
+        return;
+      }
+      const result = roomService.setMainPortalAdImage(room, media.value);
       if (!result.ok) {
         ack(ackFn, result);
         return;
@@ -1374,7 +2580,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1406,7 +2612,7 @@ export function registerSocketHandlers({
         return;
       }
 
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "portal")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1442,7 +2648,7 @@ export function registerSocketHandlers({
         return;
       }
 
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "portal")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1472,7 +2678,7 @@ export function registerSocketHandlers({
         return;
       }
 
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "portal")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1501,7 +2707,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1537,7 +2743,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1564,13 +2770,13 @@ export function registerSocketHandlers({
       });
     });
 
-    socket.on("billboard:video:set", (payload = {}, ackFn) => {
+    socket.on("billboard:video:set", async (payload = {}, ackFn) => {
       const room = roomService.getRoomBySocket(socket);
       if (!room) {
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1580,11 +2786,16 @@ export function registerSocketHandlers({
         return;
       }
 
-      const result = roomService.setBillboardVideoData(
-        room,
-        payload?.videoDataUrl ?? payload?.dataUrl ?? "",
-        payload?.target ?? ""
-      );
+      const media = await resolveMediaPayload(mediaStore, payload, {
+        fields: ["videoDataUrl", "dataUrl"],
+        kind: "video",
+        uploader: getMediaUploader()
+      });
+      if (!media.ok) {
+        ack(ackFn, media);
+        return;
+      }
+      const result = roomService.setBillboardVideoData(room, media.value, payload?.target ?? "");
       if (!result.ok) {
         ack(ackFn, result);
         return;
@@ -1604,13 +2815,13 @@ export function registerSocketHandlers({
       });
     });
 
-    socket.on("billboard:left:set", (payload = {}, ackFn) => {
+    socket.on("billboard:left:set", async (payload = {}, ackFn) => {
       const room = roomService.getRoomBySocket(socket);
       if (!room) {
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1620,10 +2831,16 @@ export function registerSocketHandlers({
         return;
       }
 
-      const result = roomService.setLeftBillboardImage(
-        room,
-        payload?.imageDataUrl ?? payload?.dataUrl ?? payload?.url ?? ""
-      );
+      const media = await resolveMediaPayload(mediaStore, payload, {
+        fields: ["imageDataUrl", "dataUrl", "url"],
+        kind: "image",
+        uploader: getMediaUploader()
+      });
+      if (!media.ok) {
+        ack(ackFn, media);
+        return;
+      }
+      const result = roomService.setLeftBillboardImage(room, media.value);
       if (!result.ok) {
         ack(ackFn, result);
         return;
@@ -1646,7 +2863,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "display")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1673,20 +2890,227 @@ export function registerSocketHandlers({
       });
     });
 
-    socket.on("music:host:set", (payload = {}, ackFn) => {
+    const getWorldHistoryHostRoom = () => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        return { ok: false, error: "room not found" };
+      }
+      if (!room.persistent) {
+        return { ok: false, error: "history is only kept for the persistent room" };
+      }
+      if (!roomService.can(room, socket.id, "world")) {
+        return { ok: false, error: "host only" };
+      }
+      return { ok: true, room };
+    };
+
+    // Host panel view of recent actions in the host's room; keys and addresses stay server-side.
+    socket.on("audit:recent", (payload = {}, ackFn) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        ack(ackFn, { ok: false, error: "room not found" });
+        return;
+      }
+      if (!roomService.can(room, socket.id, "moderate")) {
+        ack(ackFn, { ok: false, error: "host only" });
+        return;
+      }
+      const limit = Math.max(1, Math.min(100, Math.trunc(Number(payload?.limit) || 30)));
+      const entries = (auditLog?.getRecent(500) ?? [])
+        .filter((entry) => entry.room === room.code)
+        .slice(0, limit)
+        .map((entry) => ({
+          at: entry.at,
+          event: entry.event,
+          name: entry.actor?.name ?? null,
+          before: entry.before,
+          after: entry.after
+        }));
+      ack(ackFn, { ok: true, entries });
+    });
+
+    socket.on("world:history:list", (payload = {}, ackFn) => {
+      const access = getWorldHistoryHostRoom();
+      if (!access.ok) {
+        ack(ackFn, access);
+        return;
+      }
+      const collection = normalizeWorldHistoryCollection(payload?.collection);
+      if (!collection) {
+        ack(ackFn, { ok: false, error: "invalid collection" });
+        return;
+      }
+      ack(ackFn, roomService.listWorldHistory({ collection, limit: payload?.limit }));
+    });
+
+    socket.on("world:history:rollback", async (payload = {}, ackFn) => {
+      const access = getWorldHistoryHostRoom();
+      if (!access.ok) {
+        ack(ackFn, access);
+        return;
+      }
+      const persistenceError = getPersistentStateBlockReason(config, "world history");
+      if (persistenceError) {
+        ack(ackFn, { ok: false, error: persistenceError });
+        return;
+      }
+      const collection = normalizeWorldHistoryCollection(payload?.collection);
+      if (!collection) {
+        ack(ackFn, { ok: false, error: "invalid collection" });
+        return;
+      }
+      const target = parseWorldHistoryTarget(payload?.target ?? payload?.rev ?? payload?.at);
+      if (!target) {
+        ack(ackFn, { ok: false, error: "invalid rollback target" });
+        return;
+      }
+      const player = access.room.players.get(socket.id);
+      const result = await roomService.rollbackWorldHistory(
+        target,
+        collection === "all" ? WORLD_HISTORY_COLLECTIONS : [collection],
+        { actorName: sanitizeName(player?.name ?? socket.data.playerName) }
+      );
+      if (result.ok) {
+        log?.log?.(
+          `[history] ${socket.id} rolled back ${collection} to #${result.rev} (${new Date(result.at).toISOString()})`
+        );
+      }
+      ack(ackFn, result);
+    });
+
+    // Hosts upload any media kind; players only promo images, under the same mode and budget
+    // as promo edits.
+    const checkMediaUploadAccess = (rawKind) => {
+      const room = roomService.getRoomBySocket(socket);
+      if (!room) {
+        return { ok: false, error: "room not found" };
+      }
+      const kind = normalizeMediaKind(rawKind);
+      if (!kind) {
+        return { ok: false, error: "invalid media kind" };
+      }
+      if (!mediaStore?.enabled) {
+        return { ok: false, error: "media store unavailable" };
+      }
+      if (roomService.can(room, socket.id, kind === "audio" ? "music" : "display")) {
+        return { ok: true, kind };
+      }
+      const blockReason =
+        kind === "image" ? getFeatureModeBlockReason(config?.promoMode, "promo", false) : "host only";
+      if (blockReason) {
+        return { ok: false, error: blockReason };
+      }
+      const promoGuard = countRejection(
+        consumePromoOperationBudget({
+          socketState: socketPromoRateState,
+          ipStateMap: promoOpRateStateByIp,
+          clientIp: socket.data.clientIp ?? clientIp,
+          antiAbuse
+        })
+      );
+      return promoGuard.ok ? { ok: true, kind } : promoGuard;
+    };
+    // Chunked uploads belong to the playerKey so they resume on the reconnected socket.
+    const getMediaUploadOwner = () => sanitizeOwnerKey(socket.data.playerKey ?? "") || socket.id;
+    const getMediaUploader = () => ({ ownerKey: getMediaUploadOwner(), ip: socket.data.clientIp ?? clientIp });
+
+    socket.on("media:upload:grant", (payload = {}, ackFn) => {
+      const access = checkMediaUploadAccess(payload?.kind);
+      if (!access.ok) {
+        ack(ackFn, access);
+        return;
+      }
+      // Every role shares the byte budget; a grant is only handed out while some of it is left.
+      const budget = mediaStore.checkUploadBudget(getMediaUploader(), 1);
+      if (!budget.ok) {
+        ack(ackFn, budget);
+        return;
+      }
+      const grant = mediaStore.issueUploadToken({
+        kind: access.kind,
+        socketId: socket.id,
+        uploader: getMediaUploader()
+      });
+      ack(ackFn, grant.ok ? { ...grant, uploadPath: "/media" } : grant);
+    });
+
+    socket.on("media:upload:begin", (payload = {}, ackFn) => {
+      const access = checkMediaUploadAccess(payload?.kind);
+      if (!access.ok) {
+        ack(ackFn, access);
+        return;
+      }
+      ack(
+        ackFn,
+        mediaStore.beginUpload({
+          kind: access.kind,
+          mimeType: payload?.mimeType,
+          size: payload?.size,
+          sha256: payload?.sha256,
+          ownerKey: getMediaUploadOwner(),
+          ip: socket.data.clientIp ?? clientIp
+        })
+      );
+    });
+
+    socket.on("media:upload:chunk", async (payload = {}, ackFn) => {
+      if (!mediaStore?.enabled) {
+        ack(ackFn, { ok: false, error: "media store unavailable" });
+        return;
+      }
+      const result = await mediaStore.appendUploadChunk(payload?.uploadId, {
+        ownerKey: getMediaUploadOwner(),
+        offset: payload?.offset,
+        data: payload?.data
+      });
+      ack(ackFn, result);
+    });
+
+    socket.on("media:upload:finish", async (payload = {}, ackFn) => {
+      if (!mediaStore?.enabled) {
+        ack(ackFn, { ok: false, error: "media store unavailable" });
+        return;
+      }
+      const result = await mediaStore.finishUpload(payload?.uploadId, {
+        ownerKey: getMediaUploadOwner()
+      });
+      if (!result.ok && result.error === "checksum mismatch") {
+        log?.warn?.(`[media] checksum mismatch on upload from ${socket.id}`);
+      }
+      ack(ackFn, result);
+    });
+
+    socket.on("media:upload:abort", async (payload = {}, ackFn) => {
+      if (!mediaStore?.enabled) {
+        ack(ackFn, { ok: false, error: "media store unavailable" });
+        return;
+      }
+      ack(ackFn, await mediaStore.abortUpload(payload?.uploadId, { ownerKey: getMediaUploadOwner() }));
+    });
+
+    socket.on("music:host:set", async (payload = {}, ackFn) => {
       const room = roomService.getRoomBySocket(socket);
       if (!room) {
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "music")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
 
+      const media = await resolveMediaPayload(mediaStore, payload, {
+        fields: ["dataUrl", "audioDataUrl"],
+        kind: "audio",
+        uploader: getMediaUploader()
+      });
+      if (!media.ok) {
+        ack(ackFn, media);
+        return;
+      }
       const result = roomService.setSharedMusic(
         room,
-        payload?.dataUrl ?? payload?.audioDataUrl ?? "",
+        media.value,
         payload?.name ?? payload?.title ?? ""
       );
       if (!result.ok) {
@@ -1711,7 +3135,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "music")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1739,7 +3163,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "build")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1770,7 +3194,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "build")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1805,7 +3229,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "build")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1843,24 +3267,26 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "player not in room" });
         return;
       }
-      const isHost = roomService.isHost(room, socket.id);
+      const canModerate = roomService.can(room, socket.id, "moderate");
       const persistenceError = getPersistentStateBlockReason(config, "promo");
       if (persistenceError) {
         ack(ackFn, { ok: false, error: persistenceError });
         return;
       }
-      const promoModeError = getFeatureModeBlockReason(config?.promoMode, "promo", isHost);
+      const promoModeError = getFeatureModeBlockReason(config?.promoMode, "promo", canModerate);
       if (promoModeError) {
         ack(ackFn, { ok: false, error: promoModeError });
         return;
       }
-      const promoGuard = consumePromoOperationBudget({
-        socketState: socketPromoRateState,
-        ipStateMap: promoOpRateStateByIp,
-        clientIp: socket.data.clientIp ?? clientIp,
-        isHost,
-        antiAbuse
-      });
+      const promoGuard = countRejection(
+        consumePromoOperationBudget({
+          socketState: socketPromoRateState,
+          ipStateMap: promoOpRateStateByIp,
+          clientIp: socket.data.clientIp ?? clientIp,
+          isHost: canModerate,
+          antiAbuse
+        })
+      );
       if (!promoGuard.ok) {
         ack(ackFn, promoGuard);
         return;
@@ -1870,9 +3296,24 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "owner key required" });
         return;
       }
+      const media = await resolveMediaPayload(mediaStore, payload, {
+        fields: ["mediaDataUrl"],
+        kind: "image",
+        mimeTypes: ["image/webp"],
+        uploader: getMediaUploader()
+      });
+      if (!media.ok) {
+        ack(ackFn, media);
+        return;
+      }
       const player = room.players.get(socket.id);
       const actorName = sanitizeName(player?.name ?? socket.data.playerName);
-      const result = roomService.upsertPromoObject(room, ownerKey, actorName, payload);
+      const result = roomService.upsertPromoObject(
+        room,
+        ownerKey,
+        actorName,
+        media.present ? { ...payload, mediaDataUrl: media.value } : payload
+      );
       if (!result.ok) {
         ack(ackFn, result);
         return;
@@ -1899,24 +3340,26 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "player not in room" });
         return;
       }
-      const isHost = roomService.isHost(room, socket.id);
+      const canModerate = roomService.can(room, socket.id, "moderate");
       const persistenceError = getPersistentStateBlockReason(config, "promo");
       if (persistenceError) {
         ack(ackFn, { ok: false, error: persistenceError });
         return;
       }
-      const promoModeError = getFeatureModeBlockReason(config?.promoMode, "promo", isHost);
+      const promoModeError = getFeatureModeBlockReason(config?.promoMode, "promo", canModerate);
       if (promoModeError) {
         ack(ackFn, { ok: false, error: promoModeError });
         return;
       }
-      const promoGuard = consumePromoOperationBudget({
-        socketState: socketPromoRateState,
-        ipStateMap: promoOpRateStateByIp,
-        clientIp: socket.data.clientIp ?? clientIp,
-        isHost,
-        antiAbuse
-      });
+      const promoGuard = countRejection(
+        consumePromoOperationBudget({
+          socketState: socketPromoRateState,
+          ipStateMap: promoOpRateStateByIp,
+          clientIp: socket.data.clientIp ?? clientIp,
+          isHost: canModerate,
+          antiAbuse
+        })
+      );
       if (!promoGuard.ok) {
         ack(ackFn, promoGuard);
         return;
@@ -1926,7 +3369,12 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "owner key required" });
         return;
       }
-      const result = roomService.removePromoObject(room, ownerKey, payload?.targetOwnerKey ?? "");
+      const result = roomService.removePromoObject(
+        room,
+        ownerKey,
+        payload?.targetOwnerKey ?? "",
+        canModerate
+      );
       if (!result.ok) {
         ack(ackFn, result);
         return;
@@ -1950,7 +3398,7 @@ export function registerSocketHandlers({
         ack(ackFn, { ok: false, error: "room not found" });
         return;
       }
-      if (!roomService.isHost(room, socket.id)) {
+      if (!roomService.can(room, socket.id, "world")) {
         ack(ackFn, { ok: false, error: "host only" });
         return;
       }
@@ -1976,13 +3424,16 @@ export function registerSocketHandlers({
       });
     });
 
-    socket.on("disconnecting", () => {
+    socket.on("disconnecting", (reason) => {
       releaseConnectionSlotByIp(
         connectionStateByIp,
         socket.data.clientIp ?? clientIp,
         socket.id,
         antiAbuse
       );
+      if (!socket.data.dropped && RESUMABLE_DISCONNECT_REASONS.has(reason)) {
+        roomService.rememberSession(socket);
+      }
       roomService.leaveCurrentRoom(socket);
     });
 
@@ -1993,9 +3444,13 @@ export function registerSocketHandlers({
         socket.id,
         antiAbuse
       );
+      // Drops expired movement records for this key.
+      getMovementBlockedUntil(sanitizeOwnerKey(socket.data.playerKey ?? ""));
       const remaining = playerCounter.decrement();
       worldRuntime?.onPlayerDisconnected(socket);
       log.log(`[-] player disconnected (${remaining}) ${socket.id}`);
     });
   });
+
+  return socketControls;
 }
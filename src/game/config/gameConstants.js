@@ -9,6 +9,9 @@ export const GAME_CONSTANTS = {
   REMOTE_SYNC_INTERVAL: 1 / 12,
   REMOTE_LERP_SPEED: 12,
   REMOTE_STALE_TIMEOUT_MS: 15000,
+  REMOTE_INTERPOLATION_DELAY_MS: 110,
+  REMOTE_MAX_EXTRAPOLATION_MS: 160,
+  REMOTE_SNAPSHOT_BUFFER_SIZE: 24,
   DYNAMIC_RESOLUTION: {
     mobileMinRatio: 0.65,
     desktopMinRatio: 0.7
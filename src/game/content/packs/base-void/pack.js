@@ -88,6 +88,47 @@ export const BASE_VOID_PACK = {
       undersideEmissiveIntensity: 0.06,
       undersideOffsetY: -0.12
     },
+    // Solid boxes shared by the client and the authoritative server:
+    // { x, z, width, depth, minY, maxY } in world units. Boxes with an `id` are the footprints of
+    // the city buildings and skyline towers of that name; the client places the building there.
+    staticColliders: [
+      { id: "city_tower_0", x: -72.32, z: 121, width: 4.8, depth: 4.8, minY: -2, maxY: 10.74 },
+      { id: "city_tower_1", x: 72.32, z: 122.4, width: 4.8, depth: 4.8, minY: -2, maxY: 12.14 },
+      { id: "city_tower_2", x: -70.08, z: 112.6, width: 4.8, depth: 4.8, minY: -2, maxY: 13.54 },
+      { id: "city_tower_3", x: 70.64, z: 114, width: 4.8, depth: 4.8, minY: -2, maxY: 13.14 },
+      { id: "city_tower_4", x: 67.42, z: 105.62, width: 4.8, depth: 4.8, minY: -2, maxY: 15.94 },
+      { id: "city_tower_5", x: -74, z: 129.4, width: 4.8, depth: 4.8, minY: -2, maxY: 11.14 },
+      { id: "city_tower_6", x: 74, z: 130.1, width: 4.8, depth: 4.8, minY: -2, maxY: 11.44 },
+      { id: "city_tower_9", x: -75, z: 104.21, width: 4.8, depth: 4.8, minY: -2, maxY: 14.14 },
+      { id: "city_tower_10", x: 74.93, z: 102.1, width: 4.8, depth: 4.8, minY: -2, maxY: 14.54 },
+      { id: "city_tower_11", x: -72.91, z: 136.87, width: 4.8, depth: 4.8, minY: -2, maxY: 11.54 },
+      { id: "city_tower_12", x: 75, z: 138.46, width: 4.8, depth: 4.8, minY: -2, maxY: 11.94 },
+      { id: "city_mega_tower_0", x: -85.97, z: 104.74, width: 10.42, depth: 10.25, minY: -2, maxY: 47.14 },
+      { id: "city_mega_tower_1", x: 91.18, z: 107.21, width: 12.65, depth: 12.44, minY: -2, maxY: 56.27 },
+      { id: "city_mega_tower_2", x: -78, z: 86, width: 10.42, depth: 10.25, minY: -2, maxY: 70.18 },
+      { id: "city_mega_tower_3", x: 78, z: 86, width: 12.65, depth: 12.44, minY: -2, maxY: 55.87 },
+      { id: "city_mega_tower_5", x: -86.31, z: 136.31, width: 12.65, depth: 12.44, minY: -2, maxY: 56.67 },
+      { id: "city_mega_tower_6", x: 86.32, z: 133.24, width: 10.42, depth: 10.25, minY: -2, maxY: 47.14 },
+      { id: "city_mega_tower_7", x: -93.87, z: 87.26, width: 12.65, depth: 12.44, minY: -2, maxY: 54.02 },
+      { id: "city_mega_tower_8", x: 94.11, z: 91.36, width: 10.42, depth: 10.25, minY: -2, maxY: 63.99 },
+      { id: "city_mega_tower_11", x: -83.7, z: 155, width: 12.65, depth: 12.44, minY: -2, maxY: 58.92 },
+      { id: "city_mega_tower_12", x: 83.7, z: 157.7, width: 10.42, depth: 10.25, minY: -2, maxY: 49.37 },
+      { id: "city_kiosk_1", x: 67.35, z: 140.83, width: 2.4, depth: 2.4, minY: -2, maxY: 6.24 },
+      { id: "city_kiosk_3", x: -61.85, z: 143.73, width: 2.9, depth: 2.9, minY: -2, maxY: 6.24 },
+      { id: "city_kiosk_9", x: -63.75, z: 115.82, width: 2.9, depth: 2.9, minY: -2, maxY: 6.24 },
+      { id: "city_kiosk_10", x: 61.85, z: 112.27, width: 2.4, depth: 2.4, minY: -2, maxY: 6.74 },
+      { id: "city_block_1", x: 69.84, z: 152, width: 3.3, depth: 3.5, minY: -2, maxY: 9.44 },
+      { id: "city_block_3", x: -71.38, z: 151.53, width: 3.3, depth: 4.2, minY: -2, maxY: 11.24 },
+      { id: "city_block_8", x: 59.87, z: 106.39, width: 3.9, depth: 3.5, minY: -2, maxY: 8.54 },
+      { id: "city_outer_block_2", x: 62.05, z: 156.76, width: 5.5, depth: 4.8, minY: -2, maxY: 12.74 },
+      { id: "city_outer_block_7", x: -63.16, z: 101.91, width: 4.5, depth: 4.8, minY: -2, maxY: 12.74 },
+      { id: "future_city_tower_0", x: -180, z: 126, width: 15.62, depth: 14.88, minY: -2, maxY: 70.1 },
+      { id: "future_city_tower_1", x: -108, z: 166, width: 17.51, depth: 16.68, minY: -2, maxY: 78.47 },
+      { id: "future_city_tower_2", x: -36, z: 126, width: 19.4, depth: 18.48, minY: -2, maxY: 86.84 },
+      { id: "future_city_tower_3", x: 36, z: 176, width: 15.62, depth: 14.88, minY: -2, maxY: 95.21 },
+      { id: "future_city_tower_4", x: 108, z: 136, width: 17.51, depth: 16.68, minY: -2, maxY: 70.1 },
+      { id: "future_city_tower_5", x: 180, z: 176, width: 19.4, depth: 18.48, minY: -2, maxY: 78.47 }
+    ],
     boundary: {
       enabled: false,
       halfExtent: GAME_CONSTANTS.WORLD_LIMIT,
@@ -275,6 +316,8 @@ export const BASE_VOID_PACK = {
   network: {
     syncInterval: GAME_CONSTANTS.REMOTE_SYNC_INTERVAL,
     remoteLerpSpeed: GAME_CONSTANTS.REMOTE_LERP_SPEED,
-    staleTimeoutMs: GAME_CONSTANTS.REMOTE_STALE_TIMEOUT_MS
+    staleTimeoutMs: GAME_CONSTANTS.REMOTE_STALE_TIMEOUT_MS,
+    interpolationDelayMs: GAME_CONSTANTS.REMOTE_INTERPOLATION_DELAY_MS,
+    maxExtrapolationMs: GAME_CONSTANTS.REMOTE_MAX_EXTRAPOLATION_MS
   }
 };
@@ -5,6 +5,7 @@ export const TEMPLATE_PACK = {
   world: {
     // Example overrides:
     // skyColor: 0x8fd0ff
+    // staticColliders: [{ x: 0, z: 24, width: 6, depth: 4, minY: 0, maxY: 8 }]
   },
   hands: {
     // Example overrides:
@@ -13,5 +14,6 @@ export const TEMPLATE_PACK = {
   network: {
     // Example overrides:
     // syncInterval: 1 / 15
+    // interpolationDelayMs: 140
   }
 };
@@ -0,0 +1,17 @@
+// Chat channels. Shared by the server fan-out and the client chat log.
+export const CHAT_CHANNELS = Object.freeze([
+  "zone", // everyone in the sender's zone (default)
+  "proximity", // players in the sender's zone within CHAT_PROXIMITY_RADIUS
+  "whisper", // one named player
+  "announce" // the whole room, every zone; needs the "moderate" capability
+]);
+
+// Horizontal distance in world units.
+export const CHAT_PROXIMITY_RADIUS = 24;
+
+export function normalizeChatChannel(rawValue, fallback = "zone") {
+  const channel = String(rawValue ?? "")
+    .trim()
+    .toLowerCase();
+  return CHAT_CHANNELS.includes(channel) ? channel : fallback;
+}
@@ -0,0 +1,54 @@
+// `@nickname` mentions. Shared by the server (resolving players) and the client (highlighting).
+export const MAX_CHAT_MENTIONS = 5;
+
+const MENTION_PATTERN = /@([^\s@]{1,24})/gu;
+
+// Trailing punctuation is dropped so "@BOB," and "@BOB!" still name BOB.
+export function normalizeChatMentionToken(rawValue) {
+  return String(rawValue ?? "")
+    .replace(/^@/, "")
+    .replace(/[^\p{L}\p{N}_-]+$/u, "")
+    .slice(0, 16);
+}
+
+// Candidate names in order of appearance, case-insensitively unique.
+export function extractChatMentions(text) {
+  const names = [];
+  const seen = new Set();
+  for (const match of String(text ?? "").matchAll(MENTION_PATTERN)) {
+    const name = normalizeChatMentionToken(match[1]);
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    names.push(name);
+    if (names.length >= MAX_CHAT_MENTIONS) {
+      break;
+    }
+  }
+  return names;
+}
+
+// Splits text into plain strings and `{ mention }` parts for the names in `mentions`.
+export function splitChatMentions(text, mentions = []) {
+  const wanted = new Set(mentions.map((name) => String(name ?? "").toLowerCase()));
+  const parts = [];
+  let last = 0;
+  const source = String(text ?? "");
+  for (const match of source.matchAll(MENTION_PATTERN)) {
+    const name = normalizeChatMentionToken(match[1]);
+    if (!wanted.has(name.toLowerCase())) {
+      continue;
+    }
+    if (match.index > last) {
+      parts.push(source.slice(last, match.index));
+    }
+    parts.push({ mention: name, text: `@${name}` });
+    last = match.index + 1 + name.length;
+  }
+  if (last < source.length) {
+    parts.push(source.slice(last));
+  }
+  return parts;
+}
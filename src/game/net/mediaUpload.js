@@ -0,0 +1,239 @@
+const MEDIA_URL_PATTERN = /(?:^|\/)media\/([a-f0-9]{64})$/;
+const DATA_URL_PATTERN = /^data:([a-z0-9.+-]+\/[a-z0-9.+-]+);base64,/i;
+const GRANT_TIMEOUT_MS = 8000;
+const CHUNK_ACK_TIMEOUT_MS = 15_000;
+const RECONNECT_WAIT_MS = 60_000;
+const MAX_CHUNK_RETRIES = 8;
+const DEFAULT_CHUNK_BYTES = 256 * 1024;
+// Failures that clear up by retrying: lost acks, reconnects, a server restart that dropped the
+// partial upload, or a room rejoin that has not finished yet.
+const RETRYABLE_UPLOAD_ERRORS = new Set([
+  "ack timeout",
+  "upload not found",
+  "offset mismatch",
+  "upload busy",
+  "media write failed",
+  "room not found"
+]);
+
+export function getMediaId(rawValue) {
+  const match = MEDIA_URL_PATTERN.exec(String(rawValue ?? "").trim());
+  return match ? match[1] : "";
+}
+
+export function isMediaUrl(rawValue) {
+  return getMediaId(rawValue).length > 0;
+}
+
+// Rooms store `/media/<id>`; the socket server may live on another origin than the page.
+export function resolveMediaUrl(rawValue, endpoint) {
+  const mediaId = getMediaId(rawValue);
+  if (!mediaId) {
+    return "";
+  }
+  try {
+    const base = endpoint || globalThis.location?.href;
+    return new URL(`/media/${mediaId}`, base).toString();
+  } catch {
+    return `/media/${mediaId}`;
+  }
+}
+
+export function dataUrlToBlob(rawDataUrl) {
+  const value = String(rawDataUrl ?? "").trim();
+  const match = DATA_URL_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  try {
+    const binary = atob(value.slice(match[0].length));
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index += 1) {
+      bytes[index] = binary.charCodeAt(index);
+    }
+    return new Blob([bytes], { type: match[1].toLowerCase() });
+  } catch {
+    return null;
+  }
+}
+
+function emitWithTimeout(socket, event, payload, timeoutMs) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const timer = setTimeout(() => {
+      settled = true;
+      resolve({ ok: false, error: "ack timeout" });
+    }, timeoutMs);
+    socket.emit(event, payload, (response = {}) => {
+      if (settled) {
+        return;
+      }
+      clearTimeout(timer);
+      resolve(response && typeof response === "object" ? response : { ok: false });
+    });
+  });
+}
+
+function waitForConnection(socket, timeoutMs) {
+  if (socket.connected) {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const onConnect = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      socket.off("connect", onConnect);
+      resolve(false);
+    }, timeoutMs);
+    socket.once("connect", onConnect);
+  });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function sha256Hex(blob) {
+  if (!globalThis.crypto?.subtle || !blob) {
+    return "";
+  }
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function requestUploadGrant(socket, kind) {
+  return emitWithTimeout(socket, "media:upload:grant", { kind }, GRANT_TIMEOUT_MS);
+}
+
+// Asks the socket server for a single-use upload token, then POSTs the blob to /media.
+export async function uploadMediaBlob({ socket, endpoint, kind, blob }) {
+  if (!socket || !endpoint || !blob) {
+    return { ok: false, error: "media upload unavailable" };
+  }
+  const grant = await requestUploadGrant(socket, kind);
+  if (!grant?.ok || !grant.token) {
+    return { ok: false, error: String(grant?.error ?? "").trim() || "upload not allowed" };
+  }
+  if (blob.size > (Number(grant.maxBytes) || 0)) {
+    return { ok: false, error: "media too large" };
+  }
+  try {
+    const uploadUrl = new URL(grant.uploadPath || "/media", endpoint);
+    uploadUrl.searchParams.set("kind", grant.kind || kind);
+    const response = await fetch(uploadUrl.toString(), {
+      method: "POST",
+      headers: {
+        "content-type": blob.type || "application/octet-stream",
+        "x-media-upload-token": grant.token
+      },
+      body: blob
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body?.ok || !body.mediaId) {
+      return { ok: false, error: String(body?.error ?? "").trim() || `upload failed (${response.status})` };
+    }
+    return { ok: true, mediaId: body.mediaId, url: body.url };
+  } catch (error) {
+    return { ok: false, error: String(error?.message ?? error ?? "upload failed") };
+  }
+}
+
+// Sends the blob in small acknowledged chunks over the socket. After a disconnect it waits for
+// the socket to reconnect and continues from the byte offset the server reports; the server
+// checks the SHA-256 of the reassembled file before storing it.
+// onProgress(fraction, { waiting }) reports progress and when the upload waits for a reconnect.
+export async function uploadMediaChunked({ socket, kind, blob, onProgress = null }) {
+  if (!socket || !blob || !(blob.size > 0)) {
+    return { ok: false, error: "media upload unavailable" };
+  }
+  const sha256 = await sha256Hex(blob).catch(() => "");
+  if (!sha256) {
+    return { ok: false, error: "checksum unavailable" };
+  }
+  const descriptor = { kind, mimeType: blob.type, size: blob.size, sha256 };
+  const report = (received, waiting = false) => {
+    onProgress?.(Math.min(1, received / blob.size), { waiting });
+  };
+
+  let session = null;
+  let failures = 0;
+  let lastError = "";
+  while (failures <= MAX_CHUNK_RETRIES) {
+    if (failures > 0) {
+      await delay(Math.min(5000, 400 * failures));
+    }
+    if (!socket.connected) {
+      report(session?.received ?? 0, true);
+      if (!(await waitForConnection(socket, RECONNECT_WAIT_MS))) {
+        return { ok: false, error: "disconnected" };
+      }
+    }
+
+    if (!session) {
+      const begun = await emitWithTimeout(socket, "media:upload:begin", descriptor, CHUNK_ACK_TIMEOUT_MS);
+      if (!begun?.ok) {
+        lastError = String(begun?.error ?? "").trim() || "upload failed";
+        if (!RETRYABLE_UPLOAD_ERRORS.has(lastError)) {
+          return { ok: false, error: lastError };
+        }
+        failures += 1;
+        continue;
+      }
+      if (begun.complete) {
+        report(blob.size);
+        return { ok: true, mediaId: begun.mediaId, url: begun.url };
+      }
+      session = {
+        uploadId: begun.uploadId,
+        received: Math.max(0, Math.trunc(Number(begun.received) || 0)),
+        chunkBytes: Math.max(1, Math.trunc(Number(begun.chunkBytes) || DEFAULT_CHUNK_BYTES))
+      };
+      report(session.received);
+    }
+
+    const result =
+      session.received >= blob.size
+        ? await emitWithTimeout(
+            socket,
+            "media:upload:finish",
+            { uploadId: session.uploadId },
+            CHUNK_ACK_TIMEOUT_MS
+          )
+        : await emitWithTimeout(
+            socket,
+            "media:upload:chunk",
+            {
+              uploadId: session.uploadId,
+              offset: session.received,
+              data: await blob
+                .slice(session.received, Math.min(blob.size, session.received + session.chunkBytes))
+                .arrayBuffer()
+            },
+            CHUNK_ACK_TIMEOUT_MS
+          );
+    if (result?.ok && result.mediaId) {
+      report(blob.size);
+      return { ok: true, mediaId: result.mediaId, url: result.url };
+    }
+    if (result?.ok) {
+      session.received = Math.max(0, Math.trunc(Number(result.received) || 0));
+      failures = 0;
+      report(session.received);
+      continue;
+    }
+
+    lastError = String(result?.error ?? "").trim() || "upload failed";
+    if (!RETRYABLE_UPLOAD_ERRORS.has(lastError)) {
+      return { ok: false, error: lastError };
+    }
+    if (lastError === "upload not found") {
+      session = null;
+    } else if (Number.isFinite(Number(result?.received))) {
+      session.received = Math.max(0, Math.trunc(Number(result.received)));
+    }
+    failures += 1;
+  }
+  return { ok: false, error: lastError || "upload failed" };
+}
@@ -0,0 +1,42 @@
+// Room roles and what each may do. Shared by the server checks and the client host panel.
+export const ROOM_ROLES = Object.freeze(["owner", "moderator", "curator", "builder", "guest"]);
+
+export const ROOM_CAPABILITIES = Object.freeze([
+  "portal", // portal targets, schedule, force open/close
+  "display", // portal displays, portal ad, billboards
+  "music", // room music
+  "build", // platforms, ropes, objects, gray canvas objects
+  "paint", // host-controlled surfaces, surface policies, paint without limits
+  "moderate", // promo cleanup and limits, security test, audit view
+  "world", // editor limits, world history rollback
+  "roles" // grant and revoke roles
+]);
+
+const ROLE_CAPABILITIES = Object.freeze({
+  owner: ROOM_CAPABILITIES,
+  moderator: Object.freeze(["portal", "moderate"]),
+  curator: Object.freeze(["portal", "display", "music"]),
+  builder: Object.freeze(["build", "paint"]),
+  guest: Object.freeze([])
+});
+
+export function normalizeRoomRole(rawValue, fallback = "") {
+  const role = String(rawValue ?? "")
+    .trim()
+    .toLowerCase();
+  return ROOM_ROLES.includes(role) ? role : fallback;
+}
+
+// Lower rank = more authority.
+export function getRoomRoleRank(role) {
+  const index = ROOM_ROLES.indexOf(normalizeRoomRole(role, "guest"));
+  return index < 0 ? ROOM_ROLES.length : index;
+}
+
+export function getRoomRoleCapabilities(role) {
+  return ROLE_CAPABILITIES[normalizeRoomRole(role, "guest")];
+}
+
+export function roomRoleHasCapability(role, capability) {
+  return getRoomRoleCapabilities(role).includes(capability);
+}
@@ -0,0 +1,281 @@
+export const SNAPSHOT_ENCODING_JSON = "json";
+export const SNAPSHOT_ENCODING_BINARY = "binary-v1";
+
+const SNAPSHOT_BINARY_VERSION = 1;
+const MAX_PEER_INDEX = 0xffff;
+const MAX_LABEL_BYTES = 0xff;
+
+// Quantization: 1cm positions (server clamps x/z to +-256 and y to 0..128), ~0.006 deg yaw.
+const POSITION_SCALE = 100;
+const YAW_SCALE = 32767 / Math.PI;
+const PITCH_SCALE = 10000;
+const STATE_BYTES = 10;
+
+const HEADER_FLAG_SELF_STATE = 1;
+const HEADER_FLAG_SELF_VELOCITY = 2;
+const VELOCITY_SCALE = 100;
+const PEER_FLAG_STATE = 1;
+const PEER_FLAG_NAME = 2;
+const PEER_FLAG_INTRO = 4;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function toInt16(value, scale) {
+  const scaled = Math.round((Number(value) || 0) * scale);
+  return Math.max(-32768, Math.min(32767, scaled));
+}
+
+function encodeLabel(value) {
+  const bytes = textEncoder.encode(String(value ?? ""));
+  return bytes.length > MAX_LABEL_BYTES ? bytes.subarray(0, MAX_LABEL_BYTES) : bytes;
+}
+
+function writeState(view, offset, state) {
+  view.setInt16(offset, toInt16(state?.[0], POSITION_SCALE), true);
+  view.setInt16(offset + 2, toInt16(state?.[1], POSITION_SCALE), true);
+  view.setInt16(offset + 4, toInt16(state?.[2], POSITION_SCALE), true);
+  view.setInt16(offset + 6, toInt16(state?.[3], YAW_SCALE), true);
+  view.setInt16(offset + 8, toInt16(state?.[4], PITCH_SCALE), true);
+  return offset + STATE_BYTES;
+}
+
+function readState(view, offset) {
+  return [
+    view.getInt16(offset, true) / POSITION_SCALE,
+    view.getInt16(offset + 2, true) / POSITION_SCALE,
+    view.getInt16(offset + 4, true) / POSITION_SCALE,
+    view.getInt16(offset + 6, true) / YAW_SCALE,
+    view.getInt16(offset + 8, true) / PITCH_SCALE
+  ];
+}
+
+function writeLabel(bytes, view, offset, label) {
+  view.setUint8(offset, label.length);
+  bytes.set(label, offset + 1);
+  return offset + 1 + label.length;
+}
+
+function readLabel(bytes, view, offset) {
+  const length = view.getUint8(offset);
+  const start = offset + 1;
+  return {
+    value: textDecoder.decode(bytes.subarray(start, start + length)),
+    next: start + length
+  };
+}
+
+export function normalizeSnapshotEncoding(rawValue) {
+  const value = String(rawValue ?? "")
+    .trim()
+    .toLowerCase();
+  return value === SNAPSHOT_ENCODING_BINARY ? SNAPSHOT_ENCODING_BINARY : SNAPSHOT_ENCODING_JSON;
+}
+
+// Per-connection id <-> short index table kept by the sender. Freed indices are reused;
+// the first packet that uses an index always carries the full id.
+export function createPeerIndexTable() {
+  return { indices: new Map(), free: [], next: 0 };
+}
+
+function acquirePeerIndex(table, id) {
+  const existing = table.indices.get(id);
+  if (existing !== undefined) {
+    return { index: existing, intro: false };
+  }
+  let index;
+  if (table.free.length > 0) {
+    index = table.free.pop();
+  } else {
+    if (table.next > MAX_PEER_INDEX) {
+      return null;
+    }
+    index = table.next;
+    table.next += 1;
+  }
+  table.indices.set(id, index);
+  return { index, intro: true };
+}
+
+function releasePeerIndex(table, id) {
+  const index = table.indices.get(id);
+  if (index === undefined) {
+    return null;
+  }
+  table.indices.delete(id);
+  table.free.push(index);
+  return index;
+}
+
+// Encodes the JSON snapshot shape ({t, seq, self: {s, seq, vy}, players: [{id, s, n}], gone}).
+export function encodeSnapshotBinary(snapshot, table) {
+  const peers = [];
+  let size = 1 + 1 + 8 + 4 + 4 + 2 + 2;
+  let headerFlags = 0;
+  if (Array.isArray(snapshot?.self?.s)) {
+    headerFlags |= HEADER_FLAG_SELF_STATE;
+    size += STATE_BYTES;
+  }
+  if (Number.isFinite(snapshot?.self?.vy)) {
+    headerFlags |= HEADER_FLAG_SELF_VELOCITY;
+    size += 2;
+  }
+
+  for (const player of Array.isArray(snapshot?.players) ? snapshot.players : []) {
+    const slot = acquirePeerIndex(table, String(player?.id ?? ""));
+    if (!slot) {
+      continue;
+    }
+    const hasState = Array.isArray(player?.s);
+    const name = typeof player?.n === "string" ? encodeLabel(player.n) : null;
+    const id = slot.intro ? encodeLabel(player.id) : null;
+    let flags = 0;
+    size += 2 + 1;
+    if (hasState) {
+      flags |= PEER_FLAG_STATE;
+      size += STATE_BYTES;
+    }
+    if (name) {
+      flags |= PEER_FLAG_NAME;
+      size += 1 + name.length;
+    }
+    if (id) {
+      flags |= PEER_FLAG_INTRO;
+      size += 1 + id.length;
+    }
+    peers.push({ index: slot.index, flags, state: player.s, name, id });
+  }
+
+  const goneIndices = [];
+  for (const goneId of Array.isArray(snapshot?.gone) ? snapshot.gone : []) {
+    const index = releasePeerIndex(table, String(goneId ?? ""));
+    if (index !== null) {
+      goneIndices.push(index);
+    }
+  }
+  size += goneIndices.length * 2;
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  view.setUint8(offset, SNAPSHOT_BINARY_VERSION);
+  view.setUint8(offset + 1, headerFlags);
+  view.setFloat64(offset + 2, Number(snapshot?.t) || 0, true);
+  view.setUint32(offset + 10, Math.max(0, Math.trunc(Number(snapshot?.seq) || 0)) >>> 0, true);
+  view.setUint32(offset + 14, Math.max(0, Math.trunc(Number(snapshot?.self?.seq) || 0)) >>> 0, true);
+  offset += 18;
+  if (Array.isArray(snapshot?.self?.s)) {
+    offset = writeState(view, offset, snapshot.self.s);
+  }
+  if (headerFlags & HEADER_FLAG_SELF_VELOCITY) {
+    view.setInt16(offset, toInt16(snapshot.self.vy, VELOCITY_SCALE), true);
+    offset += 2;
+  }
+
+  view.setUint16(offset, peers.length, true);
+  offset += 2;
+  for (const peer of peers) {
+    view.setUint16(offset, peer.index, true);
+    view.setUint8(offset + 2, peer.flags);
+    offset += 3;
+    if (peer.id) {
+      offset = writeLabel(bytes, view, offset, peer.id);
+    }
+    if (peer.name) {
+      offset = writeLabel(bytes, view, offset, peer.name);
+    }
+    if (peer.flags & PEER_FLAG_STATE) {
+      offset = writeState(view, offset, peer.state);
+    }
+  }
+
+  view.setUint16(offset, goneIndices.length, true);
+  offset += 2;
+  for (const index of goneIndices) {
+    view.setUint16(offset, index, true);
+    offset += 2;
+  }
+  return bytes;
+}
+
+// Receiver side of createPeerIndexTable: short index -> peer id.
+export function createPeerIdTable() {
+  return new Map();
+}
+
+export function decodeSnapshotBinary(data, peerIds) {
+  const bytes =
+    data instanceof ArrayBuffer
+      ? new Uint8Array(data)
+      : ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : null;
+  if (!bytes || bytes.length < 22) {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint8(0) !== SNAPSHOT_BINARY_VERSION) {
+    return null;
+  }
+
+  try {
+    const headerFlags = view.getUint8(1);
+    const snapshot = {
+      t: view.getFloat64(2, true),
+      seq: view.getUint32(10, true),
+      self: { s: null, seq: view.getUint32(14, true) },
+      players: [],
+      gone: []
+    };
+    let offset = 18;
+    if (headerFlags & HEADER_FLAG_SELF_STATE) {
+      snapshot.self.s = readState(view, offset);
+      offset += STATE_BYTES;
+    }
+    if (headerFlags & HEADER_FLAG_SELF_VELOCITY) {
+      snapshot.self.vy = view.getInt16(offset, true) / VELOCITY_SCALE;
+      offset += 2;
+    }
+
+    const peerCount = view.getUint16(offset, true);
+    offset += 2;
+    for (let count = 0; count < peerCount; count += 1) {
+      const index = view.getUint16(offset, true);
+      const flags = view.getUint8(offset + 2);
+      offset += 3;
+      if (flags & PEER_FLAG_INTRO) {
+        const label = readLabel(bytes, view, offset);
+        peerIds.set(index, label.value);
+        offset = label.next;
+      }
+      const item = { id: peerIds.get(index) ?? "" };
+      if (flags & PEER_FLAG_NAME) {
+        const label = readLabel(bytes, view, offset);
+        item.n = label.value;
+        offset = label.next;
+      }
+      if (flags & PEER_FLAG_STATE) {
+        item.s = readState(view, offset);
+        offset += STATE_BYTES;
+      }
+      if (item.id) {
+        snapshot.players.push(item);
+      }
+    }
+
+    const goneCount = view.getUint16(offset, true);
+    offset += 2;
+    for (let count = 0; count < goneCount; count += 1) {
+      const index = view.getUint16(offset, true);
+      offset += 2;
+      const id = peerIds.get(index);
+      peerIds.delete(index);
+      if (id) {
+        snapshot.gone.push(id);
+      }
+    }
+    return snapshot;
+  } catch {
+    return null;
+  }
+}
@@ -24,6 +24,22 @@ import { isLikelyTouchDevice } from "../utils/device.js";
 import { lerpAngle } from "../utils/math.js";
 import { disposeMeshTree } from "../utils/threeUtils.js";
 import { RUNTIME_TUNING } from "./config/runtimeTuning.js";
+import {
+  createPeerIdTable,
+  decodeSnapshotBinary,
+  normalizeSnapshotEncoding
+} from "../net/snapshotCodec.js";
+import {
+  dataUrlToBlob,
+  getMediaId,
+  isMediaUrl,
+  resolveMediaUrl,
+  uploadMediaBlob,
+  uploadMediaChunked
+} from "../net/mediaUpload.js";
+import { ROOM_CAPABILITIES, normalizeRoomRole, roomRoleHasCapability } from "../net/roomRoles.js";
+import { normalizeChatChannel } from "../net/chatChannels.js";
+import { extractChatMentions, splitChatMentions } from "../net/chatMentions.js";
 
 function parseVec3(raw, fallback) {
   const base = Array.isArray(fallback) ? fallback : [0, 0, 0];
@@ -94,6 +110,8 @@ const MAX_PORTAL_DISPLAY_TITLE_CHARS = 40;
 const MAX_PORTAL_DISPLAY_LINE_CHARS = 72;
 const MAX_BILLBOARD_VIDEO_DATA_URL_CHARS = 30_000_000;
 const MAX_BILLBOARD_VIDEO_BYTES = 20 * 1024 * 1024;
+// Inline media fallbacks must stay under the server's default 5 MB socket payload cap.
+const MAX_INLINE_MEDIA_CHARS = 4_500_000;
 const DEFAULT_PORTAL_TARGET_URL = "https://singularity-ox.onrender.com/?v=0.2";
 const A_ZONE_FIXED_PORTAL_TARGET_URL = "https://reclaim-fps.onrender.com/";
 const HALL_FIXED_PORTAL_TARGET_URL =
@@ -146,6 +164,23 @@ const PLAZA_BILLBOARD_MOVABLE_IDS = Object.freeze({
   left: "plaza_billboard_left"
 });
 const A_ZONE_PORTAL_ENABLED = true;
+const ROOM_ROLE_LABELS = Object.freeze({
+  owner: "소유자",
+  moderator: "운영자",
+  curator: "큐레이터",
+  builder: "빌더",
+  guest: "게스트"
+});
+const CHAT_CHANNEL_TAGS = Object.freeze({
+  proximity: "근처",
+  whisper: "귓속말",
+  announce: "공지"
+});
+const CHAT_FILTER_REASON_LABELS = Object.freeze({
+  word: "금칙어",
+  link: "링크",
+  caps: "대문자"
+});
 const HALL_VENUE_MOVABLE_ID = "hall_venue";
 const HALL_VENUE_COLLIDERS_ENABLED = false;
 const OBJECT_POSITION_PERSISTED_FIXED_ID_SET = new Set([
@@ -168,6 +203,7 @@ const HOST_CUSTOM_BLOCK_MIN_SIZE = 0.5;
 const HOST_CUSTOM_BLOCK_MAX_SIZE = 8;
 const HOST_CUSTOM_BLOCK_DEFAULT_SIZE = 2.5;
 const PROMO_OWNER_KEY_STORAGE_KEY = "promoOwnerKey_v1";
+const SESSION_TOKEN_STORAGE_KEY = "emptines_session_token";
 const PORTAL_RETURN_STATE_STORAGE_KEY = "emptines_portal_return_state_v1";
 const PORTAL_RETURN_STATE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
 const PROMO_MIN_SCALE = 0.35;
@@ -220,6 +256,15 @@ export class GameRuntime {
       Number(this.networkContent.remoteLerpSpeed) || GAME_CONSTANTS.REMOTE_LERP_SPEED;
     this.remoteStaleTimeoutMs =
       Number(this.networkContent.staleTimeoutMs) || GAME_CONSTANTS.REMOTE_STALE_TIMEOUT_MS;
+    this.remoteInterpolationDelayMs = Math.max(
+      0,
+      Number(this.networkContent.interpolationDelayMs ?? GAME_CONSTANTS.REMOTE_INTERPOLATION_DELAY_MS) ||
+        0
+    );
+    this.remoteMaxExtrapolationMs = Math.max(
+      0,
+      Number(this.networkContent.maxExtrapolationMs ?? GAME_CONSTANTS.REMOTE_MAX_EXTRAPOLATION_MS) || 0
+    );
 
     const initialDevicePixelRatio = window.devicePixelRatio || 1;
     const initialPixelRatio = Math.min(initialDevicePixelRatio, 1.5);
@@ -351,6 +396,7 @@ export class GameRuntime {
     this.ossModelTemplateCache = new Map();
     this.ossModelLoadPromiseCache = new Map();
     this.staticWorldColliders = [];
+    this.contentPackColliderIndexById = new Map();
     this.movableObjects = [];
     this.objEditorActive = false;
     this.objEditorSelected = null;
@@ -428,7 +474,9 @@ export class GameRuntime {
     this.ropeEditorHeight = this.ropeEditorBaseHeight;
     this.ropeEditorPreviewMesh = null;
     this.promoOwnerKeyStorageKey = PROMO_OWNER_KEY_STORAGE_KEY;
-    this.promoOwnerKey = this.getOrCreatePromoOwnerKey();
+    this.promoOwnerKey = this.getStoredPromoOwnerKey();
+    this.sessionTokenStorageKey = SESSION_TOKEN_STORAGE_KEY;
+    this.sessionToken = this.getStoredSessionToken();
     this.promoObjects = new Map();
     this.promoObjectVisuals = new Map();
     this.promoCollisionBoxes = [];
@@ -672,7 +720,12 @@ export class GameRuntime {
     this.fullscreenRestorePending = false;
     this.autoHostClaimLastAttemptMs = 0;
     this.roomHostId = null;
+    this.roomCoHostIds = new Set();
     this.isRoomHost = false;
+    this.roomRole = "guest";
+    this.currentRoomCode = "";
+    this.roomList = [];
+    this.roomRequestInFlight = false;
     this.portalTargetSetInFlight = false;
     this.aZonePortalTargetSetInFlight = false;
     this.hostPortalTargetCandidate = this.resolveRequestedPortalTargetCandidate();
@@ -690,7 +743,9 @@ export class GameRuntime {
     this.remoteUpdateTurningPeerThreshold = this.mobileEnabled ? 6 : 10;
     this.localInputSeq = 0;
     this.lastAckInputSeq = 0;
-    this.pendingInputQueue = [];
+    this.inputFrameRing = new Array(
+      Math.max(32, Math.trunc(Number(RUNTIME_TUNING.PREDICTION_INPUT_RING_SIZE) || 128))
+    ).fill(null);
     this.pendingJumpInput = false;
     this.lastSentInput = null;
     this.inputHeartbeatSeconds = 0.22;
@@ -698,6 +753,9 @@ export class GameRuntime {
     this.netPingTimer = null;
     this.netPingNonce = 0;
     this.netPingPending = new Map();
+    this.serverClockOffsetMs = 0;
+    this.serverClockSynced = false;
+    this.serverClockSamples = [];
     this.clientRttMs = 0;
     this.clientRttSmoothedMs = 0;
     this.movementSubstepMaxMobile = 1 / 72;
@@ -713,6 +771,8 @@ export class GameRuntime {
     this.remoteFarDistanceSq =
       Math.pow(Number(RUNTIME_TUNING.REMOTE_FAR_DISTANCE) || 70, 2);
     this.remoteHardCap = Math.max(16, Number(RUNTIME_TUNING.REMOTE_HARD_CAP) || 180);
+    this.requestedSnapshotEncoding = normalizeSnapshotEncoding(RUNTIME_TUNING.SNAPSHOT_ENCODING);
+    this.snapshotPeerIds = createPeerIdTable();
     this.baseRemoteLabelDistanceSq = this.remoteLabelDistanceSq;
     this.baseRemoteMeshDistanceSq = this.remoteMeshDistanceSq;
     this.baseRemoteFarDistanceSq = this.remoteFarDistanceSq;
@@ -742,6 +802,13 @@ export class GameRuntime {
     this.chatControlsEl = document.getElementById("chat-controls");
     this.chatToggleBtnEl = document.getElementById("chat-toggle");
     this.chatExpandBtnEl = document.getElementById("chat-expand");
+    this.chatSearchToggleBtnEl = document.getElementById("chat-search-toggle");
+    this.chatSearchEl = document.getElementById("chat-search");
+    this.chatSearchInputEl = document.getElementById("chat-search-input");
+    this.chatSearchResultsEl = document.getElementById("chat-search-results");
+    this.chatReplyEl = document.getElementById("chat-reply");
+    this.chatReplyTextEl = document.getElementById("chat-reply-text");
+    this.chatReplyCancelBtnEl = document.getElementById("chat-reply-cancel");
     this.hostChatToggleBtnEl = document.getElementById("host-chat-toggle");
     this.hostControlsToggleBtnEl = document.getElementById("host-controls-toggle");
     this.chatInputEl = document.getElementById("chat-input");
@@ -772,6 +839,12 @@ export class GameRuntime {
     this.playerRosterEl = document.getElementById("player-roster");
     this.playerRosterCountEl = document.getElementById("player-roster-count");
     this.playerRosterListEl = document.getElementById("player-roster-list");
+    this.profileCardEl = document.getElementById("profile-card");
+    this.profileCardNameEl = document.getElementById("profile-card-name");
+    this.profileCardBodyEl = document.getElementById("profile-card-body");
+    this.profileCardCloseBtnEl = document.getElementById("profile-card-close");
+    // Own profile from the server (`profile:self`); the nickname there is reserved for our playerKey.
+    this.localProfile = null;
     this.hostControlsEl = document.getElementById("host-controls");
     this.hostOpenPortalBtnEl = document.getElementById("host-open-portal");
     this.hostScheduleControlsEl = document.getElementById("host-schedule-controls");
@@ -822,6 +895,7 @@ export class GameRuntime {
     this.hostMusicSetInFlight = false;
     this.playerRosterVisible = false;
     this.roomPlayerSnapshot = [];
+    this.roomPlayerTotal = 0;
     this.hostControlsOpen = true;
     this.portalForceOpenInFlight = false;
     this.portalCloseInFlight = false;
@@ -860,6 +934,21 @@ export class GameRuntime {
     this.lastChatHistoryRequestAt = 0;
     this.chatHistoryLoaded = false;
     this.chatHistoryExpanded = false;
+    // Older pages load when the log is scrolled to the top; the cursor is the oldest loaded messageId.
+    this.chatHistoryCursor = "";
+    this.chatHistoryHasMore = false;
+    this.chatHistoryPageLoading = false;
+    this.chatSearchOpen = false;
+    this.chatSearchRequest = null;
+    this.chatSearchCursor = "";
+    this.chatSearchHasMore = false;
+    this.chatSearchLoading = false;
+    this.chatSearchSeq = 0;
+    // Clicking a log line picks it as the reply target for the next send.
+    this.chatReplyTarget = null;
+    // Remote messages that arrived while the panel was collapsed.
+    this.chatUnreadCount = 0;
+    this.chatUnreadMention = false;
     this.toolUiEl = document.getElementById("tool-ui");
     this.chatUiEl = document.getElementById("chat-ui");
     this.hubFlowUiEl = document.getElementById("hub-flow-ui");
@@ -964,6 +1053,9 @@ export class GameRuntime {
     this.hostGrayObjectDepthInputEl = document.getElementById("host-gray-object-depth");
     this.hostGrayObjectAddBtnEl = document.getElementById("host-gray-object-add");
     this.hostGrayObjectDeleteBtnEl = document.getElementById("host-gray-object-delete");
+    this.hostAuditSectionEl = document.getElementById("host-audit-section");
+    this.hostAuditListEl = document.getElementById("host-audit-list");
+    this.hostAuditRefreshBtnEl = document.getElementById("host-audit-refresh");
     this.objEditorBarEl = document.getElementById("obj-editor-bar");
     this.objEditorInfoEl = document.getElementById("obj-editor-info");
 
@@ -1841,6 +1933,7 @@ export class GameRuntime {
     this.paintableSurfaceMeshes.length = 0;
     this.paintableSurfaceMap.clear();
     this.surfacePaintTarget = null;
+    this.registerContentPackColliders();
     if (!this.hubFlowEnabled) {
       return;
     }
@@ -2130,6 +2223,23 @@ export class GameRuntime {
         maxY
       );
     };
+    // Buildings the content pack lists in staticColliders stand on that box, which the server
+    // collides against too; the rest keep their procedural spot and register their own box.
+    const claimCityBuildingCollider = (id, localX, localZ, width, depth, minY = -2, maxY = 180) => {
+      const packCollider = this.getContentPackCollider(id);
+      if (packCollider) {
+        return {
+          index: packCollider.index,
+          x: packCollider.x - cityGroupWorldX,
+          z: packCollider.z - cityGroupWorldZ
+        };
+      }
+      return {
+        index: registerCityBuildingCollider(localX, localZ, width, depth, minY, maxY),
+        x: localX,
+        z: localZ
+      };
+    };
     const occupiedCityRects = [];
     const reserveCityRect = (localX, localZ, width, depth, padding = 1.1) => {
       const halfW = Math.max(0.2, (Number(width) || 0) * 0.5 + Math.max(0, Number(padding) || 0));
@@ -2304,20 +2414,20 @@ export class GameRuntime {
       if (!placed) {
         continue;
       }
-      const placedTowerZ = toRearCityZ(placed.z);
-      tower.position.set(placed.x, liftRearCityY(h * 0.5), placedTowerZ);
-      tower.castShadow = false;
-      tower.receiveShadow = true;
-      cityGroup.add(tower);
-      const towerColliderIndex = registerCityBuildingCollider(
+      const towerCollider = claimCityBuildingCollider(
+        `city_tower_${ti}`,
         placed.x,
-        placedTowerZ,
+        toRearCityZ(placed.z),
         4.8,
         4.8,
         -2,
         liftRearCityY(h + 4)
       );
-      this.registerMovableObject(tower, `city_tower_${ti}`, towerColliderIndex);
+      tower.position.set(towerCollider.x, liftRearCityY(h * 0.5), towerCollider.z);
+      tower.castShadow = false;
+      tower.receiveShadow = true;
+      cityGroup.add(tower);
+      this.registerMovableObject(tower, `city_tower_${ti}`, towerCollider.index);
     }
 
     const skylineMaterialPresets = [
@@ -2542,8 +2652,17 @@ export class GameRuntime {
       if (!placed) {
         continue;
       }
-      const placedMegaX = placed.x;
-      const placedMegaZ = toRearCityZ(placed.z);
+      const megaCollider = claimCityBuildingCollider(
+        `city_mega_tower_${i}`,
+        placed.x,
+        toRearCityZ(placed.z),
+        footprint * 1.24,
+        footprint * 1.22,
+        -2,
+        liftRearCityY(totalTowerHeight + 6)
+      );
+      const placedMegaX = megaCollider.x;
+      const placedMegaZ = megaCollider.z;
 
       const skylinePreset = skylineMaterialPresets[i % skylineMaterialPresets.length];
       const wallMaterial = skylineMats[i % skylineMats.length].clone();
@@ -2594,14 +2713,6 @@ export class GameRuntime {
       podiumCornice.castShadow = false;
       podiumCornice.receiveShadow = true;
       megaTowerGroup.add(podiumCornice);
-      const megaColliderIndex = registerCityBuildingCollider(
-        placedMegaX,
-        placedMegaZ,
-        footprint * 1.24,
-        footprint * 1.22,
-        -2,
-        liftRearCityY(totalTowerHeight + 6)
-      );
 
       const megaTower = new THREE.Mesh(
         new THREE.BoxGeometry(footprint, shaftHeight, footprint * 0.97),
@@ -2692,7 +2803,7 @@ export class GameRuntime {
         cityTerraceRise
       );
       cityGroup.add(megaTowerGroup);
-      this.registerMovableObject(megaTowerGroup, `city_mega_tower_${i}`, megaColliderIndex);
+      this.registerMovableObject(megaTowerGroup, `city_mega_tower_${i}`, megaCollider.index);
     }
 
     const plazaPaintMat = new THREE.MeshStandardMaterial({
@@ -2702,7 +2813,8 @@ export class GameRuntime {
       emissive: 0x1c252f,
       emissiveIntensity: 0.1
     });
-    const plazaPaintableCount = this.mobileEnabled ? 7 : 14;
+    // Kiosks and blocks collide, so every device builds the same set the content pack lists.
+    const plazaPaintableCount = 14;
     const plazaPaintableRadius = 17.8;
     for (let index = 0; index < plazaPaintableCount; index += 1) {
       const angle = (index / plazaPaintableCount) * Math.PI * 2 + Math.PI * 0.125;
@@ -2743,20 +2855,20 @@ export class GameRuntime {
       if (!placed) {
         continue;
       }
-      const placedKioskZ = toRearCityZ(placed.z);
-      kiosk.position.set(placed.x, liftRearCityY(height * 0.5), placedKioskZ);
-      kiosk.castShadow = false;
-      kiosk.receiveShadow = true;
-      cityGroup.add(kiosk);
-      const kioskColliderIndex = registerCityBuildingCollider(
+      const kioskCollider = claimCityBuildingCollider(
+        `city_kiosk_${index}`,
         placed.x,
-        placedKioskZ,
+        toRearCityZ(placed.z),
         footprint + 0.5,
         footprint + 0.5,
         -2,
         liftRearCityY(height + 3)
       );
-      this.registerMovableObject(kiosk, `city_kiosk_${index}`, kioskColliderIndex);
+      kiosk.position.set(kioskCollider.x, liftRearCityY(height * 0.5), kioskCollider.z);
+      kiosk.castShadow = false;
+      kiosk.receiveShadow = true;
+      cityGroup.add(kiosk);
+      this.registerMovableObject(kiosk, `city_kiosk_${index}`, kioskCollider.index);
     }
 
     const districtPaintMat = new THREE.MeshStandardMaterial({
@@ -2766,7 +2878,7 @@ export class GameRuntime {
       emissive: 0x1d2731,
       emissiveIntensity: 0.1
     });
-    const districtPaintableCount = this.mobileEnabled ? 6 : 12;
+    const districtPaintableCount = 12;
     const districtPaintableRadius = 29.5;
     for (let index = 0; index < districtPaintableCount; index += 1) {
       const angle = (index / districtPaintableCount) * Math.PI * 2 + Math.PI * 0.18;
@@ -2808,20 +2920,20 @@ export class GameRuntime {
       if (!placed) {
         continue;
       }
-      const placedDistrictZ = toRearCityZ(placed.z);
-      block.position.set(placed.x, liftRearCityY(height * 0.5), placedDistrictZ);
-      block.castShadow = false;
-      block.receiveShadow = true;
-      cityGroup.add(block);
-      const blockColliderIndex = registerCityBuildingCollider(
+      const blockCollider = claimCityBuildingCollider(
+        `city_block_${index}`,
         placed.x,
-        placedDistrictZ,
+        toRearCityZ(placed.z),
         footprint + 0.6,
         depth + 0.6,
         -2,
         liftRearCityY(height + 4)
       );
-      this.registerMovableObject(block, `city_block_${index}`, blockColliderIndex);
+      block.position.set(blockCollider.x, liftRearCityY(height * 0.5), blockCollider.z);
+      block.castShadow = false;
+      block.receiveShadow = true;
+      cityGroup.add(block);
+      this.registerMovableObject(block, `city_block_${index}`, blockCollider.index);
     }
 
     const outerDistrictPaintMat = new THREE.MeshStandardMaterial({
@@ -2831,7 +2943,7 @@ export class GameRuntime {
       emissive: 0x1a232d,
       emissiveIntensity: 0.1
     });
-    const outerDistrictCount = this.mobileEnabled ? 5 : 10;
+    const outerDistrictCount = 10;
     const outerDistrictRadius = 41;
     for (let index = 0; index < outerDistrictCount; index += 1) {
       const angle = (index / outerDistrictCount) * Math.PI * 2 + Math.PI * 0.07;
@@ -2873,20 +2985,20 @@ export class GameRuntime {
       if (!placed) {
         continue;
       }
-      const placedOuterDistrictZ = toRearCityZ(placed.z);
-      block.position.set(placed.x, liftRearCityY(height * 0.5), placedOuterDistrictZ);
-      block.castShadow = false;
-      block.receiveShadow = true;
-      cityGroup.add(block);
-      const outerBlockColliderIndex = registerCityBuildingCollider(
+      const outerBlockCollider = claimCityBuildingCollider(
+        `city_outer_block_${index}`,
         placed.x,
-        placedOuterDistrictZ,
+        toRearCityZ(placed.z),
         width + 0.7,
         depth + 0.7,
         -2,
         liftRearCityY(height + 4)
       );
-      this.registerMovableObject(block, `city_outer_block_${index}`, outerBlockColliderIndex);
+      block.position.set(outerBlockCollider.x, liftRearCityY(height * 0.5), outerBlockCollider.z);
+      block.castShadow = false;
+      block.receiveShadow = true;
+      cityGroup.add(block);
+      this.registerMovableObject(block, `city_outer_block_${index}`, outerBlockCollider.index);
     }
 
     const bridgeDistrictPaintMat = new THREE.MeshStandardMaterial({
@@ -2932,23 +3044,27 @@ export class GameRuntime {
         bridgeDistrictPaintMat,
         `city_bridge_block_${bridgeDistrictIndex}`
       );
-      const bridgeBlockZ = toRearCityZ(localZ);
-      bridgeBlock.position.set(localX, liftRearCityY(height * 0.5), bridgeBlockZ);
-      bridgeBlock.castShadow = false;
-      bridgeBlock.receiveShadow = true;
-      cityGroup.add(bridgeBlock);
-      const bridgeBlockColliderIndex = registerCityBuildingCollider(
+      const bridgeBlockCollider = claimCityBuildingCollider(
+        `city_bridge_block_${bridgeDistrictIndex}`,
         localX,
-        bridgeBlockZ,
+        toRearCityZ(localZ),
         width + 0.7,
         depth + 0.7,
         -2,
         liftRearCityY(height + 4)
       );
+      bridgeBlock.position.set(
+        bridgeBlockCollider.x,
+        liftRearCityY(height * 0.5),
+        bridgeBlockCollider.z
+      );
+      bridgeBlock.castShadow = false;
+      bridgeBlock.receiveShadow = true;
+      cityGroup.add(bridgeBlock);
       this.registerMovableObject(
         bridgeBlock,
         `city_bridge_block_${bridgeDistrictIndex}`,
-        bridgeBlockColliderIndex
+        bridgeBlockCollider.index
       );
       bridgeDistrictIndex += 1;
     }
@@ -4386,8 +4502,82 @@ export class GameRuntime {
     return RIGHT_BILLBOARD_VIDEO_ID_LOOKUP[text] ?? "";
   }
 
+  resolveMediaSourceUrl(rawValue) {
+    return resolveMediaUrl(rawValue, this.socketEndpoint);
+  }
+
+  // Uploads a pending data URL to the server media store so the socket event only carries its
+  // id. Only a server without a media store gets the inline data URL, and only when it fits
+  // under the socket payload cap; otherwise the result carries an `error` instead.
+  async buildMediaPayload(rawValue, kind, field, { progressLabel = "" } = {}) {
+    const value = String(rawValue ?? "").trim();
+    const mediaId = getMediaId(value);
+    if (mediaId) {
+      return { mediaId };
+    }
+    if (!value.startsWith("data:")) {
+      return { [field]: value };
+    }
+    const blob = dataUrlToBlob(value);
+    if (!blob || !this.socket || !this.networkConnected) {
+      return this.buildInlineMediaPayload(value, field);
+    }
+    const onProgress = progressLabel
+      ? (fraction, { waiting = false } = {}) =>
+          this.setHostMediaUploadProgress(progressLabel, fraction, { waiting })
+      : null;
+    let upload = await uploadMediaChunked({ socket: this.socket, kind, blob, onProgress });
+    if (!upload.ok && upload.error === "checksum unavailable") {
+      // crypto.subtle only exists in secure contexts; the HTTP upload hashes on the server.
+      upload = await uploadMediaBlob({ socket: this.socket, endpoint: this.socketEndpoint, kind, blob });
+    }
+    if (progressLabel) {
+      this.setHostMediaUploadProgress(progressLabel, null);
+    }
+    if (!upload.ok) {
+      if (upload.error !== "media store unavailable") {
+        return { error: upload.error };
+      }
+      console.warn("[media] media store unavailable, sending inline");
+      return this.buildInlineMediaPayload(value, field);
+    }
+    return { mediaId: upload.mediaId };
+  }
+
+  buildInlineMediaPayload(value, field) {
+    if (value.length > MAX_INLINE_MEDIA_CHARS) {
+      return { error: "media too large to send inline" };
+    }
+    return { [field]: value };
+  }
+
+  setHostMediaUploadProgress(label, fraction, { waiting = false } = {}) {
+    if (!this.hostMediaUploadStatusEl) {
+      this.hostMediaUploadStatusEl = document.getElementById("host-media-upload-status");
+      this.hostMediaUploadProgressEl = document.getElementById("host-media-upload-progress");
+      this.hostMediaUploadLabelEl = document.getElementById("host-media-upload-label");
+    }
+    const active = fraction !== null && fraction !== undefined;
+    this.hostMediaUploadStatusEl?.classList.toggle("hidden", !active);
+    if (!active) {
+      return;
+    }
+    const percent = Math.round(THREE.MathUtils.clamp(Number(fraction) || 0, 0, 1) * 100);
+    if (this.hostMediaUploadProgressEl) {
+      this.hostMediaUploadProgressEl.value = percent;
+    }
+    if (this.hostMediaUploadLabelEl) {
+      this.hostMediaUploadLabelEl.textContent = waiting
+        ? `${label} ${percent}% · 재연결 대기 중`
+        : `${label} ${percent}%`;
+    }
+  }
+
   normalizeBillboardVideoDataUrl(rawDataUrl) {
     const value = String(rawDataUrl ?? "").trim();
+    if (isMediaUrl(value)) {
+      return this.resolveMediaSourceUrl(value);
+    }
     if (!value || value.length > MAX_BILLBOARD_VIDEO_DATA_URL_CHARS) {
       return "";
     }
@@ -4481,6 +4671,9 @@ export class GameRuntime {
 
   normalizePortalDisplayImageDataUrl(rawImageDataUrl) {
     const value = String(rawImageDataUrl ?? "").trim();
+    if (isMediaUrl(value)) {
+      return this.resolveMediaSourceUrl(value);
+    }
     if (!value || value.length > MAX_MAIN_PORTAL_AD_IMAGE_CHARS) {
       return "";
     }
@@ -4688,11 +4881,14 @@ export class GameRuntime {
   }
 
   normalizeMainPortalAdState(rawState = {}) {
-    const imageDataUrl = String(rawState?.imageDataUrl ?? rawState?.dataUrl ?? "").trim();
+    const rawImageDataUrl = String(rawState?.imageDataUrl ?? rawState?.dataUrl ?? "").trim();
+    const mediaUrl = this.resolveMediaSourceUrl(rawImageDataUrl);
+    const imageDataUrl = mediaUrl || rawImageDataUrl;
     const hasValidImage =
-      imageDataUrl.length > 0 &&
-      imageDataUrl.length <= MAX_MAIN_PORTAL_AD_IMAGE_CHARS &&
-      imageDataUrl.startsWith("data:image/");
+      Boolean(mediaUrl) ||
+      (imageDataUrl.length > 0 &&
+        imageDataUrl.length <= MAX_MAIN_PORTAL_AD_IMAGE_CHARS &&
+        imageDataUrl.startsWith("data:image/"));
     const modeRaw = String(rawState?.mode ?? "ad").trim().toLowerCase();
     const mode = modeRaw === "image" && hasValidImage ? "image" : "ad";
     return {
@@ -4811,12 +5007,15 @@ export class GameRuntime {
   }
 
   normalizeLeftBillboardState(rawState = {}) {
-    const imageDataUrl = String(rawState?.imageDataUrl ?? rawState?.dataUrl ?? "").trim();
+    const rawImageDataUrl = String(rawState?.imageDataUrl ?? rawState?.dataUrl ?? "").trim();
+    const mediaUrl = this.resolveMediaSourceUrl(rawImageDataUrl);
+    const imageDataUrl = mediaUrl || rawImageDataUrl;
     const videoDataUrl = this.normalizeBillboardVideoDataUrl(rawState?.videoDataUrl ?? "");
     const hasValidImage =
-      imageDataUrl.length > 0 &&
-      imageDataUrl.length <= MAX_LEFT_BILLBOARD_IMAGE_CHARS &&
-      imageDataUrl.startsWith("data:image/");
+      Boolean(mediaUrl) ||
+      (imageDataUrl.length > 0 &&
+        imageDataUrl.length <= MAX_LEFT_BILLBOARD_IMAGE_CHARS &&
+        imageDataUrl.startsWith("data:image/"));
     const modeRaw = String(rawState?.mode ?? "ad").trim().toLowerCase();
     let mode = "ad";
     if (modeRaw === "image" && hasValidImage) {
@@ -5277,7 +5476,7 @@ export class GameRuntime {
     reader.readAsDataURL(file);
   }
 
-  requestPortalDisplaySet(rawPortalKey, payload = {}, { announceErrors = true } = {}) {
+  async requestPortalDisplaySet(rawPortalKey, payload = {}, { announceErrors = true } = {}) {
     const portalKey = this.normalizePortalDisplayKey(rawPortalKey);
     if (!portalKey) {
       return;
@@ -5308,7 +5507,7 @@ export class GameRuntime {
       }
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       if (announceErrors) {
         this.appendChatLine("", `${label} 표시 변경은 방장만 가능합니다.`, "system");
       }
@@ -5320,7 +5519,19 @@ export class GameRuntime {
 
     this.portalDisplaySetInFlight[portalKey] = true;
     this.syncHostControls();
-    this.socket.emit(
+    const socket = this.socket;
+    const imagePayload = hasImageDataUrl
+      ? await this.buildMediaPayload(next.imageDataUrl, "image", "imageDataUrl")
+      : {};
+    if (imagePayload.error) {
+      this.portalDisplaySetInFlight[portalKey] = false;
+      this.syncHostControls();
+      if (announceErrors) {
+        this.appendChatLine("", `${label} 저장 실패: ${imagePayload.error}`, "system");
+      }
+      return;
+    }
+    socket.emit(
       "portal:display:set",
       {
         portalKey,
@@ -5328,7 +5539,7 @@ export class GameRuntime {
         title: next.title,
         line2: next.line2,
         line3: next.line3,
-        ...(hasImageDataUrl ? { imageDataUrl: next.imageDataUrl } : {})
+        ...imagePayload
       },
       (response = {}) => {
         this.portalDisplaySetInFlight[portalKey] = false;
@@ -5365,7 +5576,7 @@ export class GameRuntime {
       }
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       if (announceErrors) {
         this.appendChatLine("", `${label} 표시 초기화는 방장만 가능합니다.`, "system");
       }
@@ -5425,7 +5636,7 @@ export class GameRuntime {
     reader.readAsDataURL(file);
   }
 
-  requestMainPortalAdSet(rawImageDataUrl, { announceErrors = true } = {}) {
+  async requestMainPortalAdSet(rawImageDataUrl, { announceErrors = true } = {}) {
     const next = this.normalizeMainPortalAdState({
       mode: "image",
       imageDataUrl: rawImageDataUrl,
@@ -5447,7 +5658,7 @@ export class GameRuntime {
       }
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       if (announceErrors) {
         this.appendChatLine("", "메인 포탈 광고판 제어는 방장만 가능합니다.", "system");
       }
@@ -5459,7 +5670,17 @@ export class GameRuntime {
 
     this.mainPortalAdSetInFlight = true;
     this.syncHostControls();
-    this.socket.emit("portal:ad:set", { imageDataUrl: next.imageDataUrl }, (response = {}) => {
+    const socket = this.socket;
+    const imagePayload = await this.buildMediaPayload(next.imageDataUrl, "image", "imageDataUrl");
+    if (imagePayload.error) {
+      this.mainPortalAdSetInFlight = false;
+      this.syncHostControls();
+      if (announceErrors) {
+        this.appendChatLine("", `메인 포탈 광고판 적용 실패: ${imagePayload.error}`, "system");
+      }
+      return;
+    }
+    socket.emit("portal:ad:set", imagePayload, (response = {}) => {
       this.mainPortalAdSetInFlight = false;
       this.syncHostControls();
       if (!response?.ok) {
@@ -5490,7 +5711,7 @@ export class GameRuntime {
       }
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       if (announceErrors) {
         this.appendChatLine("", "메인 포탈 광고판 제어는 방장만 가능합니다.", "system");
       }
@@ -5516,7 +5737,7 @@ export class GameRuntime {
     });
   }
 
-  requestLeftBillboardImageSet(rawImageDataUrl) {
+  async requestLeftBillboardImageSet(rawImageDataUrl) {
     const next = this.normalizeLeftBillboardState({
       mode: "image",
       imageDataUrl: rawImageDataUrl,
@@ -5537,7 +5758,7 @@ export class GameRuntime {
       return;
     }
 
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       this.appendChatLine("", "좌측 전광판 제어는 방장만 가능합니다.", "system");
       return;
     }
@@ -5548,7 +5769,15 @@ export class GameRuntime {
     this.leftBillboardSetInFlight = true;
     this.syncHostControls();
 
-    this.socket.emit("billboard:left:set", { imageDataUrl: next.imageDataUrl }, (response = {}) => {
+    const socket = this.socket;
+    const imagePayload = await this.buildMediaPayload(next.imageDataUrl, "image", "imageDataUrl");
+    if (imagePayload.error) {
+      this.leftBillboardSetInFlight = false;
+      this.syncHostControls();
+      this.appendChatLine("", `좌측 전광판 이미지 적용 실패: ${imagePayload.error}`, "system");
+      return;
+    }
+    socket.emit("billboard:left:set", imagePayload, (response = {}) => {
       this.leftBillboardSetInFlight = false;
       this.syncHostControls();
       if (!response?.ok) {
@@ -5579,7 +5808,7 @@ export class GameRuntime {
       return;
     }
 
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       if (announceErrors) {
         this.appendChatLine("", "좌측 전광판 제어는 방장만 가능합니다.", "system");
       }
@@ -5656,7 +5885,7 @@ export class GameRuntime {
       return;
     }
 
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       this.appendChatLine("", "우측 전광판 제어는 방장만 가능합니다.", "system");
       return;
     }
@@ -5671,7 +5900,7 @@ export class GameRuntime {
     });
   }
 
-  requestBillboardVideoDataSet(rawVideoDataUrl, rawTarget) {
+  async requestBillboardVideoDataSet(rawVideoDataUrl, rawTarget) {
     const target = this.normalizeBillboardVideoTarget(rawTarget);
     if (!target) {
       this.appendChatLine("", "전광판 대상(왼쪽/오른쪽/양쪽)을 선택하세요.", "system");
@@ -5715,7 +5944,7 @@ export class GameRuntime {
       return;
     }
 
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       this.appendChatLine("", "전광판 제어는 방장만 가능합니다.", "system");
       return;
     }
@@ -5725,9 +5954,19 @@ export class GameRuntime {
 
     this.billboardVideoSetInFlight = true;
     this.syncHostControls();
-    this.socket.emit(
+    const socket = this.socket;
+    const videoPayload = await this.buildMediaPayload(videoDataUrl, "video", "videoDataUrl", {
+      progressLabel: "MP4 업로드"
+    });
+    if (videoPayload.error) {
+      this.billboardVideoSetInFlight = false;
+      this.syncHostControls();
+      this.appendChatLine("", `실시간 MP4 적용 실패: ${videoPayload.error}`, "system");
+      return;
+    }
+    socket.emit(
       "billboard:video:set",
-      { videoDataUrl, target },
+      { ...videoPayload, target },
       (response = {}) => {
         this.billboardVideoSetInFlight = false;
         this.syncHostControls();
@@ -5813,7 +6052,7 @@ export class GameRuntime {
       return;
     }
 
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("display")) {
       if (announceErrors) {
         this.appendChatLine("", "우측 전광판 제어는 방장만 가능합니다.", "system");
       }
@@ -5870,8 +6109,12 @@ export class GameRuntime {
     const modeRaw = String(rawState?.mode ?? "idle").trim().toLowerCase();
     const mode = modeRaw === "playing" ? "playing" : "idle";
     const dataUrlRaw = String(rawState?.dataUrl ?? "").trim();
-    const dataUrl =
-      mode === "playing" && /^data:audio\/[a-z0-9.+-]+;base64,/i.test(dataUrlRaw) ? dataUrlRaw : "";
+    let dataUrl = "";
+    if (mode === "playing" && isMediaUrl(dataUrlRaw)) {
+      dataUrl = this.resolveMediaSourceUrl(dataUrlRaw);
+    } else if (mode === "playing" && /^data:audio\/[a-z0-9.+-]+;base64,/i.test(dataUrlRaw)) {
+      dataUrl = dataUrlRaw;
+    }
     const name = String(rawState?.name ?? "").trim().slice(0, 120);
     const startAtMs = Math.max(0, Math.trunc(Number(rawState?.startAtMs) || 0));
     const updatedAt = Math.max(0, Math.trunc(Number(rawState?.updatedAt) || Date.now()));
@@ -6037,7 +6280,7 @@ export class GameRuntime {
       this.appendChatLine("", "서버 연결 후 다시 시도하세요.", "system");
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("music")) {
       this.appendChatLine("", "음악 제어는 방장만 가능합니다.", "system");
       return;
     }
@@ -6078,11 +6321,21 @@ export class GameRuntime {
       return;
     }
 
-    this.socket.emit(
+    const socket = this.socket;
+    const audioPayload = await this.buildMediaPayload(dataUrl, "audio", "dataUrl", {
+      progressLabel: "음악 업로드"
+    });
+    if (audioPayload.error) {
+      this.hostMusicSetInFlight = false;
+      this.syncHostControls();
+      this.appendChatLine("", `음악 업로드 실패: ${audioPayload.error}`, "system");
+      return;
+    }
+    socket.emit(
       "music:host:set",
       {
         name: String(file.name ?? "").trim().slice(0, 120),
-        dataUrl
+        ...audioPayload
       },
       (response = {}) => {
         this.hostMusicSetInFlight = false;
@@ -6103,7 +6356,7 @@ export class GameRuntime {
       this.appendChatLine("", "서버 연결 후 다시 시도하세요.", "system");
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("music")) {
       this.appendChatLine("", "음악 제어는 방장만 가능합니다.", "system");
       return;
     }
@@ -6586,19 +6839,28 @@ export class GameRuntime {
         .addScaledVector(right, columnOffset * (this.mobileEnabled ? 54 : 72))
         .addScaledVector(forward, rowSign * (this.mobileEnabled ? 14 : 20) + laneDepth);
 
-      const footprint = (this.mobileEnabled ? 9.8 : 12.4) + (index % 3) * (this.mobileEnabled ? 1.1 : 1.5);
-      const shaftHeight = (this.mobileEnabled ? 34 : 46) + (index % 4) * (this.mobileEnabled ? 4.2 : 6.2);
+      let footprint = (this.mobileEnabled ? 9.8 : 12.4) + (index % 3) * (this.mobileEnabled ? 1.1 : 1.5);
+      let shaftHeight = (this.mobileEnabled ? 34 : 46) + (index % 4) * (this.mobileEnabled ? 4.2 : 6.2);
+      // A tower the content pack lists takes its spot and size from that collider box.
+      const packCollider = this.getContentPackCollider(`future_city_tower_${index}`);
+      if (packCollider) {
+        anchor.set(packCollider.x, anchor.y, packCollider.z);
+        footprint = packCollider.width / 1.26;
+        shaftHeight = (packCollider.maxY - 8) / 1.35;
+      }
       const podiumHeight = Math.max(4.8, shaftHeight * 0.2);
       const crownHeight = Math.max(4.2, shaftHeight * 0.15);
       const totalHeight = podiumHeight + shaftHeight + crownHeight;
-      this.registerStaticWorldBoxCollider(
-        anchor.x,
-        anchor.z,
-        footprint * 1.26,
-        footprint * 1.2,
-        -2,
-        totalHeight + 8
-      );
+      if (!packCollider) {
+        this.registerStaticWorldBoxCollider(
+          anchor.x,
+          anchor.z,
+          footprint * 1.26,
+          footprint * 1.2,
+          -2,
+          totalHeight + 8
+        );
+      }
       const ossModelFile =
         FUTURE_CITY_OSS_MODEL_FILES[index % FUTURE_CITY_OSS_MODEL_FILES.length] || "store.glb";
       this.placeFutureCityOssBuilding(
@@ -7920,7 +8182,7 @@ export class GameRuntime {
     if (!this.surfacePainterOpen) {
       return;
     }
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("paint")) {
       this.appendChatLine("", "PNG/JPG 불러오기는 호스트만 가능합니다.", "system");
       return;
     }
@@ -7943,7 +8205,7 @@ export class GameRuntime {
     if (!file) {
       return;
     }
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("paint")) {
       this.appendChatLine("", "PNG/JPG 불러오기는 호스트만 가능합니다.", "system");
       return;
     }
@@ -8506,7 +8768,7 @@ export class GameRuntime {
     if (!this.isHostControlledSurfaceId(normalizedId)) {
       return "";
     }
-    if (this.hasHostPrivilege()) {
+    if (this.hasRoomCapability("paint")) {
       return "";
     }
     return this.getHostControlledSurfaceAllowOthersDraw(normalizedId)
@@ -8680,7 +8942,7 @@ export class GameRuntime {
       this.appendChatLine("", "서버 연결 후 다시 시도하세요.", "system");
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("paint")) {
       this.appendChatLine("", "이 표면 권한 변경은 방장만 가능합니다.", "system");
       return;
     }
@@ -8721,7 +8983,7 @@ export class GameRuntime {
     if (!this.isHostControlledSurfaceId(targetSurfaceId)) {
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("paint")) {
       this.appendChatLine("", "이 표면 권한 변경은 방장만 가능합니다.", "system");
       return;
     }
@@ -8760,7 +9022,7 @@ export class GameRuntime {
     if (surfacePaintMode === "off") {
       return "캔버스 저장이 현재 비활성화되어 있습니다.";
     }
-    if (surfacePaintMode === "host" && !this.hasHostPrivilege()) {
+    if (surfacePaintMode === "host" && !this.hasRoomCapability("paint")) {
       return "캔버스 저장은 방장만 가능합니다.";
     }
     const policyBlockedReason = this.getSurfacePaintPolicyBlockedReason(this.surfacePainterTargetId);
@@ -8803,7 +9065,7 @@ export class GameRuntime {
       this.surfacePainterSaveBtnEl.removeAttribute("title");
     }
     if (this.surfacePainterImportBtnEl) {
-      const canImportVisible = this.hasHostPrivilege();
+      const canImportVisible = this.hasRoomCapability("paint");
       const canImport = this.surfacePainterOpen && canImportVisible;
       this.surfacePainterImportBtnEl.classList.toggle("hidden", !canImportVisible);
       this.surfacePainterImportBtnEl.disabled = !canImport;
@@ -8840,7 +9102,7 @@ export class GameRuntime {
     if (this.surfacePainterPromoShareToggleBtnEl) {
       const currentSurfaceId = String(this.surfacePainterTargetId ?? "").trim().toLowerCase();
       if (this.isHostControlledSurfaceId(currentSurfaceId)) {
-        const showShareToggle = this.surfacePainterOpen && this.isRoomHost;
+        const showShareToggle = this.surfacePainterOpen && this.hasRoomCapability("paint");
         const allowOthersDraw = this.getHostControlledSurfaceAllowOthersDraw(currentSurfaceId);
         const lockEnabled = this.isPromoEditLockEnabled(allowOthersDraw);
         this.surfacePainterPromoShareToggleBtnEl.classList.toggle("hidden", !showShareToggle);
@@ -11394,18 +11656,26 @@ export class GameRuntime {
     return hostname === "localhost" || hostname === "127.0.0.1";
   }
 
-  hasHostPrivilege() {
+  // The host seat and offline host mode grant everything; otherwise the room role decides.
+  hasRoomCapability(capability) {
     const localHostMode = this.canUseOfflineHostMode();
     const roomHostMatch = Boolean(
       this.localPlayerId &&
       this.roomHostId &&
       String(this.localPlayerId) === String(this.roomHostId)
     );
-    return this.isRoomHost || roomHostMatch || localHostMode;
+    if (this.isRoomHost || roomHostMatch || localHostMode) {
+      return true;
+    }
+    return roomRoleHasCapability(this.roomRole, capability);
+  }
+
+  hasHostPrivilege() {
+    return ROOM_CAPABILITIES.some((capability) => this.hasRoomCapability(capability));
   }
 
   canUseObjectEditor() {
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("build")) {
       return false;
     }
     return this.canMovePlayer();
@@ -13014,6 +13284,21 @@ export class GameRuntime {
     return true;
   }
 
+  handleSessionResumed(payload = {}) {
+    // The server restored zone, position and host seat from before the drop; the entry link no longer applies.
+    this.entryZoneSwitchRequested = true;
+    this.localRoomZone = this.normalizeRoomZone(payload?.zone, "lobby");
+    if (payload?.state && this.flowStage === "city_live") {
+      this.applyPortalZoneSwitchState(payload.state);
+    }
+    const expiredRoomCode = String(payload?.expiredRoomCode ?? "").trim();
+    if (expiredRoomCode) {
+      this.appendChatLine("", `이전 방(${expiredRoomCode})이 닫혀 기본 방으로 접속했습니다.`, "system");
+      return;
+    }
+    this.appendChatLine("", "이전 접속 상태를 이어서 복구했습니다.", "system");
+  }
+
   requestInitialZoneSwitch() {
     if (this.entryZoneSwitchRequested) {
       return;
@@ -13244,6 +13529,9 @@ export class GameRuntime {
       if (!response?.ok) {
         return;
       }
+      if (response.nameError === "nickname taken") {
+        this.appendChatLine("", `닉네임 ${nextName}은(는) 다른 플레이어가 사용 중입니다.`, "system");
+      }
       if (this.autoHostClaimEnabled && !this.isRoomHost) {
         window.setTimeout(() => {
           this.requestHostClaim({ skipThrottle: true });
@@ -13280,6 +13568,13 @@ export class GameRuntime {
     this.socket.emit("player:state:sync", payload, (response = {}) => {
       this.authoritativeStateSyncInFlight = false;
       if (!response?.ok) {
+        // Rejected moves come back with the server position; snap to it instead of retrying.
+        const rejectedState = this.parsePackedSnapshotState(response?.state);
+        if (rejectedState) {
+          this.pendingAuthoritativeStateSync = false;
+          this.authoritativeSyncGraceUntil = 0;
+          this.applyAuthoritativeSelfState(rejectedState, 0);
+        }
         return;
       }
       this.pendingAuthoritativeStateSync = false;
@@ -13298,8 +13593,9 @@ export class GameRuntime {
     this.playerRosterEl?.classList.toggle("hidden", !nextVisible);
   }
 
-  updateRoomPlayerSnapshot(players) {
+  updateRoomPlayerSnapshot(players, roomPlayerTotal = 0) {
     const source = Array.isArray(players) ? players : [];
+    this.roomPlayerTotal = Math.max(0, Math.trunc(Number(roomPlayerTotal) || 0));
     this.roomPlayerSnapshot = source
       .map((player) => ({
         id: String(player?.id ?? "").trim(),
@@ -13320,8 +13616,11 @@ export class GameRuntime {
     const roomPlayers = Array.isArray(this.roomPlayerSnapshot) ? this.roomPlayerSnapshot : [];
     const fallbackCount = Math.max(0, this.remotePlayers.size + (this.networkConnected ? 1 : 0));
     const totalPlayers = roomPlayers.length > 0 ? roomPlayers.length : fallbackCount;
+    const zoneLabel = this.getRoomZoneLabel(this.localRoomZone);
+    const roomTotalSuffix =
+      this.roomPlayerTotal > totalPlayers ? ` / 전체 ${this.roomPlayerTotal}명` : "";
 
-    this.playerRosterCountEl.textContent = `${totalPlayers}명`;
+    this.playerRosterCountEl.textContent = `${zoneLabel} ${totalPlayers}명${roomTotalSuffix}`;
     this.playerRosterListEl.textContent = "";
 
     const sortedPlayers = [...roomPlayers].sort((a, b) => {
@@ -13352,6 +13651,7 @@ export class GameRuntime {
       const item = document.createElement("li");
       const isSelf = player.id === localId;
       const isHost = player.id === hostId;
+      const isCoHost = this.roomCoHostIds.has(player.id);
 
       if (isSelf) {
         item.classList.add("self");
@@ -13366,16 +13666,20 @@ export class GameRuntime {
       }
       if (isHost) {
         tags.push("방장");
+      } else if (isCoHost) {
+        tags.push("공동 방장");
       }
       const suffix = tags.length > 0 ? ` (${tags.join(" / ")})` : "";
       item.textContent = `${player.name}${suffix}`;
+      item.dataset.playerId = player.id;
+      item.title = "프로필 보기";
       this.playerRosterListEl.appendChild(item);
     }
   }
 
   syncHostControls() {
     const hasHostPrivilege = this.hasHostPrivilege();
-    if (!hasHostPrivilege && this.hostCustomBlockPlacementPreviewActive) {
+    if (!this.hasRoomCapability("build") && this.hostCustomBlockPlacementPreviewActive) {
       this.clearHostCustomBlockPlacementPreview({ syncUi: false });
     }
     const visible = hasHostPrivilege;
@@ -13424,12 +13728,21 @@ export class GameRuntime {
       this.securityTestSetInFlight ||
       this.editorSettingsSetInFlight;
 
-    const canControlPortal = hasHostPrivilege;
+    const canControlPortal = this.hasRoomCapability("portal");
+    const canEditDisplays = this.hasRoomCapability("display");
+    const canControlMusic = this.hasRoomCapability("music");
+    const canModerate = this.hasRoomCapability("moderate");
+    const canEditWorld = this.hasRoomCapability("world");
     const schedule = this.getPortalScheduleComputed();
     const portalOpenNow = schedule.mode === "open" || schedule.mode === "open_manual";
     const canSchedulePortal = canControlPortal && !portalOpenNow;
 
     this.hostControlsEl.classList.toggle("hidden", !visible || !this.hostControlsOpen);
+    // Sections list the capabilities that use them; a section shows if any is granted.
+    for (const sectionEl of this.hostControlsEl.querySelectorAll(".host-section[data-capability]")) {
+      const capabilities = String(sectionEl.dataset.capability ?? "").split(/\s+/);
+      sectionEl.classList.toggle("hidden", !capabilities.some((capability) => this.hasRoomCapability(capability)));
+    }
     if (this.hostOpenPortalBtnEl) {
       this.hostOpenPortalBtnEl.classList.remove("hidden");
       const nextLabel = portalOpenNow ? "포탈 1 닫기" : "포탈 1 열기";
@@ -13439,7 +13752,7 @@ export class GameRuntime {
       this.hostOpenPortalBtnEl.title = portalOpenNow
         ? "포탈 1 즉시 닫기"
         : "포탈 1 즉시 개방";
-      this.hostOpenPortalBtnEl.disabled = controlsBusy;
+      this.hostOpenPortalBtnEl.disabled = controlsBusy || !canControlPortal;
     }
     const quickDelayRow = this.hostDelayButtons?.[0]?.closest?.(".host-delay-row");
     quickDelayRow?.classList.remove("hidden");
@@ -13460,7 +13773,7 @@ export class GameRuntime {
       this.hostApplyDelayBtnEl.disabled = controlsBusy || !canSchedulePortal;
     }
     if (this.hostPortalTargetInputEl) {
-      this.hostPortalTargetInputEl.disabled = controlsBusy;
+      this.hostPortalTargetInputEl.disabled = controlsBusy || !canControlPortal;
       if (document.activeElement !== this.hostPortalTargetInputEl) {
         const nextValue = String(this.hostPortalTargetCandidate || this.portalTargetUrl || "").trim();
         if (this.hostPortalTargetInputEl.value !== nextValue) {
@@ -13469,7 +13782,7 @@ export class GameRuntime {
       }
     }
     if (this.hostPortalTargetApplyBtnEl) {
-      this.hostPortalTargetApplyBtnEl.disabled = controlsBusy;
+      this.hostPortalTargetApplyBtnEl.disabled = controlsBusy || !canControlPortal;
     }
     if (this.hostAZonePortalTargetInputEl) {
       const aZoneTargetRow = this.hostAZonePortalTargetInputEl.closest?.(".host-row");
@@ -13477,7 +13790,7 @@ export class GameRuntime {
       const aZoneTargetCustomRow = this.hostAZonePortalTargetInputEl.closest?.(".host-custom-row");
       aZoneTargetCustomRow?.classList.toggle("hidden", !A_ZONE_PORTAL_ENABLED);
       aZoneTargetCustomRow?.previousElementSibling?.classList.toggle("hidden", !A_ZONE_PORTAL_ENABLED);
-      this.hostAZonePortalTargetInputEl.disabled = controlsBusy;
+      this.hostAZonePortalTargetInputEl.disabled = controlsBusy || !canControlPortal;
       if (document.activeElement !== this.hostAZonePortalTargetInputEl) {
         const nextValue = String(
           this.hostAZonePortalTargetCandidate || this.aZonePortalTargetUrl || ""
@@ -13491,12 +13804,12 @@ export class GameRuntime {
       if (!this.hostAZonePortalTargetInputEl) {
         this.hostAZonePortalTargetApplyBtnEl.classList.toggle("hidden", !A_ZONE_PORTAL_ENABLED);
       }
-      this.hostAZonePortalTargetApplyBtnEl.disabled = controlsBusy;
+      this.hostAZonePortalTargetApplyBtnEl.disabled = controlsBusy || !canControlPortal;
     }
     const portal1DisplayState = this.getPortalDisplayState("portal1");
     const portal2DisplayState = this.getPortalDisplayState("portal2");
     if (this.hostPortal1NameInputEl) {
-      this.hostPortal1NameInputEl.disabled = controlsBusy;
+      this.hostPortal1NameInputEl.disabled = controlsBusy || !canEditDisplays;
       if (document.activeElement !== this.hostPortal1NameInputEl) {
         const nextValue = String(portal1DisplayState.title ?? "").trim();
         if (this.hostPortal1NameInputEl.value !== nextValue) {
@@ -13505,13 +13818,13 @@ export class GameRuntime {
       }
     }
     if (this.hostPortal1ModeSelectEl) {
-      this.hostPortal1ModeSelectEl.disabled = controlsBusy;
+      this.hostPortal1ModeSelectEl.disabled = controlsBusy || !canEditDisplays;
       if (this.hostPortal1ModeSelectEl.value !== portal1DisplayState.mode) {
         this.hostPortal1ModeSelectEl.value = portal1DisplayState.mode;
       }
     }
     if (this.hostPortal1Line2InputEl) {
-      this.hostPortal1Line2InputEl.disabled = controlsBusy;
+      this.hostPortal1Line2InputEl.disabled = controlsBusy || !canEditDisplays;
       if (document.activeElement !== this.hostPortal1Line2InputEl) {
         const nextValue = String(portal1DisplayState.line2 ?? "").trim();
         if (this.hostPortal1Line2InputEl.value !== nextValue) {
@@ -13520,7 +13833,7 @@ export class GameRuntime {
       }
     }
     if (this.hostPortal1Line3InputEl) {
-      this.hostPortal1Line3InputEl.disabled = controlsBusy;
+      this.hostPortal1Line3InputEl.disabled = controlsBusy || !canEditDisplays;
       if (document.activeElement !== this.hostPortal1Line3InputEl) {
         const nextValue = String(portal1DisplayState.line3 ?? "").trim();
         if (this.hostPortal1Line3InputEl.value !== nextValue) {
@@ -13529,17 +13842,17 @@ export class GameRuntime {
       }
     }
     if (this.hostPortal1ImageFileInputEl) {
-      this.hostPortal1ImageFileInputEl.disabled = controlsBusy;
+      this.hostPortal1ImageFileInputEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostPortal1ApplyBtnEl) {
-      this.hostPortal1ApplyBtnEl.disabled = controlsBusy;
+      this.hostPortal1ApplyBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostPortal1ResetBtnEl) {
-      this.hostPortal1ResetBtnEl.disabled = controlsBusy;
+      this.hostPortal1ResetBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostPortal2NameInputEl) {
       this.hostPortal2NameInputEl.closest?.(".host-row")?.classList.toggle("hidden", !A_ZONE_PORTAL_ENABLED);
-      this.hostPortal2NameInputEl.disabled = controlsBusy;
+      this.hostPortal2NameInputEl.disabled = controlsBusy || !canEditDisplays;
       if (document.activeElement !== this.hostPortal2NameInputEl) {
         const nextValue = String(portal2DisplayState.title ?? "").trim();
         if (this.hostPortal2NameInputEl.value !== nextValue) {
@@ -13549,34 +13862,34 @@ export class GameRuntime {
     }
     if (this.hostPortal2ImageFileInputEl) {
       this.hostPortal2ImageFileInputEl.closest?.(".host-row")?.classList.toggle("hidden", !A_ZONE_PORTAL_ENABLED);
-      this.hostPortal2ImageFileInputEl.disabled = controlsBusy;
+      this.hostPortal2ImageFileInputEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostPortal2ApplyBtnEl) {
       this.hostPortal2ApplyBtnEl.closest?.(".host-actions")?.classList.toggle("hidden", !A_ZONE_PORTAL_ENABLED);
-      this.hostPortal2ApplyBtnEl.disabled = controlsBusy;
+      this.hostPortal2ApplyBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostPortal2ResetBtnEl) {
       this.hostPortal2ResetBtnEl.closest?.(".host-actions")?.classList.toggle("hidden", !A_ZONE_PORTAL_ENABLED);
-      this.hostPortal2ResetBtnEl.disabled = controlsBusy;
+      this.hostPortal2ResetBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostMainPortalAdFileInputEl) {
-      this.hostMainPortalAdFileInputEl.disabled = controlsBusy;
+      this.hostMainPortalAdFileInputEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostMainPortalAdApplyBtnEl) {
-      this.hostMainPortalAdApplyBtnEl.disabled = controlsBusy;
+      this.hostMainPortalAdApplyBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostMainPortalAdResetBtnEl) {
-      this.hostMainPortalAdResetBtnEl.disabled = controlsBusy;
+      this.hostMainPortalAdResetBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     const hallDisplayState = this.getPortalDisplayState("hall");
     if (this.hostHallPortalModeSelectEl) {
-      this.hostHallPortalModeSelectEl.disabled = controlsBusy;
+      this.hostHallPortalModeSelectEl.disabled = controlsBusy || !canEditDisplays;
       if (this.hostHallPortalModeSelectEl.value !== hallDisplayState.mode) {
         this.hostHallPortalModeSelectEl.value = hallDisplayState.mode;
       }
     }
     if (this.hostHallPortalTitleInputEl) {
-      this.hostHallPortalTitleInputEl.disabled = controlsBusy;
+      this.hostHallPortalTitleInputEl.disabled = controlsBusy || !canEditDisplays;
       if (document.activeElement !== this.hostHallPortalTitleInputEl) {
         const nextValue = String(hallDisplayState.title ?? "").trim();
         if (this.hostHallPortalTitleInputEl.value !== nextValue) {
@@ -13585,7 +13898,7 @@ export class GameRuntime {
       }
     }
     if (this.hostHallPortalLine2InputEl) {
-      this.hostHallPortalLine2InputEl.disabled = controlsBusy;
+      this.hostHallPortalLine2InputEl.disabled = controlsBusy || !canEditDisplays;
       if (document.activeElement !== this.hostHallPortalLine2InputEl) {
         const nextValue = String(hallDisplayState.line2 ?? "").trim();
         if (this.hostHallPortalLine2InputEl.value !== nextValue) {
@@ -13594,7 +13907,7 @@ export class GameRuntime {
       }
     }
     if (this.hostHallPortalLine3InputEl) {
-      this.hostHallPortalLine3InputEl.disabled = controlsBusy;
+      this.hostHallPortalLine3InputEl.disabled = controlsBusy || !canEditDisplays;
       if (document.activeElement !== this.hostHallPortalLine3InputEl) {
         const nextValue = String(hallDisplayState.line3 ?? "").trim();
         if (this.hostHallPortalLine3InputEl.value !== nextValue) {
@@ -13603,31 +13916,31 @@ export class GameRuntime {
       }
     }
     if (this.hostHallPortalApplyBtnEl) {
-      this.hostHallPortalApplyBtnEl.disabled = controlsBusy;
+      this.hostHallPortalApplyBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostHallPortalResetBtnEl) {
-      this.hostHallPortalResetBtnEl.disabled = controlsBusy;
+      this.hostHallPortalResetBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostRightVideoSelectEl) {
-      this.hostRightVideoSelectEl.disabled = controlsBusy;
+      this.hostRightVideoSelectEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostPlayRightVideoBtnEl) {
-      this.hostPlayRightVideoBtnEl.disabled = controlsBusy;
+      this.hostPlayRightVideoBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostResetRightVideoBtnEl) {
-      this.hostResetRightVideoBtnEl.disabled = controlsBusy;
+      this.hostResetRightVideoBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostBillboardVideoFileInputEl) {
-      this.hostBillboardVideoFileInputEl.disabled = controlsBusy;
+      this.hostBillboardVideoFileInputEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostBillboardVideoPlayLeftBtnEl) {
-      this.hostBillboardVideoPlayLeftBtnEl.disabled = controlsBusy;
+      this.hostBillboardVideoPlayLeftBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostBillboardVideoPlayRightBtnEl) {
-      this.hostBillboardVideoPlayRightBtnEl.disabled = controlsBusy;
+      this.hostBillboardVideoPlayRightBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostBillboardVideoPlayBothBtnEl) {
-      this.hostBillboardVideoPlayBothBtnEl.disabled = controlsBusy;
+      this.hostBillboardVideoPlayBothBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostSecurityTestToggleBtnEl) {
       const enabled = Boolean(this.securityTestState?.enabled);
@@ -13636,37 +13949,37 @@ export class GameRuntime {
         this.hostSecurityTestToggleBtnEl.textContent = nextLabel;
       }
       this.hostSecurityTestToggleBtnEl.setAttribute("aria-pressed", enabled ? "true" : "false");
-      this.hostSecurityTestToggleBtnEl.disabled = controlsBusy;
+      this.hostSecurityTestToggleBtnEl.disabled = controlsBusy || !canModerate;
     }
     if (this.hostLeftImageFileInputEl) {
-      this.hostLeftImageFileInputEl.disabled = controlsBusy;
+      this.hostLeftImageFileInputEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostResetLeftImageBtnEl) {
-      this.hostResetLeftImageBtnEl.disabled = controlsBusy;
+      this.hostResetLeftImageBtnEl.disabled = controlsBusy || !canEditDisplays;
     }
     if (this.hostMusicFileInputEl) {
-      this.hostMusicFileInputEl.disabled = controlsBusy;
+      this.hostMusicFileInputEl.disabled = controlsBusy || !canControlMusic;
     }
     if (this.hostMusicPlayBtnEl) {
-      this.hostMusicPlayBtnEl.disabled = controlsBusy;
+      this.hostMusicPlayBtnEl.disabled = controlsBusy || !canControlMusic;
     }
     if (this.hostMusicStopBtnEl) {
-      this.hostMusicStopBtnEl.disabled = controlsBusy;
+      this.hostMusicStopBtnEl.disabled = controlsBusy || !canControlMusic;
     }
     if (this.editorPlatformLimitInputEl) {
-      this.editorPlatformLimitInputEl.disabled = controlsBusy;
+      this.editorPlatformLimitInputEl.disabled = controlsBusy || !canEditWorld;
     }
     if (this.editorRopeLimitInputEl) {
-      this.editorRopeLimitInputEl.disabled = controlsBusy;
+      this.editorRopeLimitInputEl.disabled = controlsBusy || !canEditWorld;
     }
     if (this.editorPlatformScaleInputEl) {
-      this.editorPlatformScaleInputEl.disabled = controlsBusy;
+      this.editorPlatformScaleInputEl.disabled = controlsBusy || !canEditWorld;
     }
     if (this.editorRopeScaleInputEl) {
-      this.editorRopeScaleInputEl.disabled = controlsBusy;
+      this.editorRopeScaleInputEl.disabled = controlsBusy || !canEditWorld;
     }
     if (this.editorSettingsApplyBtnEl) {
-      this.editorSettingsApplyBtnEl.disabled = controlsBusy;
+      this.editorSettingsApplyBtnEl.disabled = controlsBusy || !canEditWorld;
     }
     if (this.platformEditorSaveBtnEl) {
       this.platformEditorSaveBtnEl.disabled = controlsBusy;
@@ -13707,7 +14020,7 @@ export class GameRuntime {
     }
     this.syncObjectEditorSettingsUi();
     for (const button of this.hostRightVideoQuickButtons ?? []) {
-      button.disabled = controlsBusy;
+      button.disabled = controlsBusy || !canEditDisplays;
     }
     this.syncRightBillboardHostUi();
   }
@@ -13865,7 +14178,7 @@ export class GameRuntime {
   }
 
   requestObjectEditorSettingsUpdate(rawSettings = {}, { announceErrors = true } = {}) {
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("world")) {
       return false;
     }
 
@@ -13910,27 +14223,44 @@ export class GameRuntime {
     return true;
   }
 
-  getOrCreatePromoOwnerKey() {
-    const normalize = (rawValue) => String(rawValue ?? "").trim().replace(/[^a-zA-Z0-9:_-]/g, "");
+  // The server issues the player key with the session token; a key saved by an older client
+  // is only sent so the server can migrate it once.
+  getStoredPromoOwnerKey() {
     let key = "";
     try {
-      key = normalize(localStorage.getItem(this.promoOwnerKeyStorageKey));
+      key = String(localStorage.getItem(this.promoOwnerKeyStorageKey) ?? "")
+        .trim()
+        .replace(/[^a-zA-Z0-9:_-]/g, "");
     } catch {
       key = "";
     }
-    if (!key || key.length < 8) {
-      const randomPart = Math.random().toString(36).slice(2, 14);
-      key = normalize(`pk_${Date.now().toString(36)}_${randomPart}`).slice(0, 96);
-      if (key.length < 8) {
-        key = `pk_${Date.now().toString(36)}_${randomPart}x`;
-      }
-      try {
-        localStorage.setItem(this.promoOwnerKeyStorageKey, key);
-      } catch {
-        // ignore
-      }
+    return key.length >= 8 ? key : "";
+  }
+
+  getStoredSessionToken() {
+    try {
+      return String(localStorage.getItem(this.sessionTokenStorageKey) ?? "").trim().slice(0, 512);
+    } catch {
+      return "";
+    }
+  }
+
+  handleSessionToken(payload = {}) {
+    const token = String(payload?.token ?? "").trim();
+    const playerKey = String(payload?.playerKey ?? "").trim();
+    if (!token || !playerKey) {
+      return;
     }
-    return key;
+    this.sessionToken = token;
+    this.promoOwnerKey = playerKey;
+    try {
+      localStorage.setItem(this.sessionTokenStorageKey, token);
+      localStorage.setItem(this.promoOwnerKeyStorageKey, playerKey);
+    } catch {
+      // ignore
+    }
+    this.requestPromoState();
+    this.syncPromoPanelUi();
   }
 
   normalizePromoLinkUrl(rawValue) {
@@ -13984,8 +14314,10 @@ export class GameRuntime {
     if (!ownerKey || ownerKey.length < 8) {
       return null;
     }
-    const mediaDataUrl = String(rawValue.mediaDataUrl ?? "").trim();
-    const hasMediaData = /^data:image\/webp;base64,/i.test(mediaDataUrl);
+    const rawMediaDataUrl = String(rawValue.mediaDataUrl ?? "").trim();
+    const mediaDataUrl = this.resolveMediaSourceUrl(rawMediaDataUrl) || rawMediaDataUrl;
+    const hasMediaData =
+      isMediaUrl(mediaDataUrl) || /^data:image\/webp;base64,/i.test(mediaDataUrl);
     const mediaKind = hasMediaData ? "image" : "none";
     const scale = THREE.MathUtils.clamp(Number(rawValue.scale) || 1, PROMO_MIN_SCALE, PROMO_MAX_SCALE);
     const scaleY = THREE.MathUtils.clamp(
@@ -14147,7 +14479,7 @@ export class GameRuntime {
     if (promoMode === "off") {
       return "프로젝트 홍보 저장이 현재 비활성화되어 있습니다.";
     }
-    if (promoMode === "host" && !this.hasHostPrivilege()) {
+    if (promoMode === "host" && !this.hasRoomCapability("moderate")) {
       return "프로젝트 홍보 저장은 방장만 가능합니다.";
     }
     return "";
@@ -14689,7 +15021,13 @@ export class GameRuntime {
         ? ""
         : own?.mediaDataUrl ?? "";
     const previewKind = previewDataUrl
-      ? (/^data:image\//i.test(previewDataUrl) ? "image" : /^data:video\//i.test(previewDataUrl) ? "video" : "")
+      ? /^data:image\//i.test(previewDataUrl)
+        ? "image"
+        : /^data:video\//i.test(previewDataUrl)
+          ? "video"
+          : isMediaUrl(previewDataUrl)
+            ? own?.mediaKind ?? "image"
+            : ""
       : "";
     if (this.promoMediaPreviewEl) {
       this.promoMediaPreviewEl.classList.toggle("hidden", !previewKind);
@@ -15272,7 +15610,7 @@ export class GameRuntime {
     this.socket.emit("promo:state:request");
   }
 
-  requestPromoUpsert({
+  async requestPromoUpsert({
     placeInFront = false,
     placeAtCenter = false,
     preserveExistingStyle = false,
@@ -15445,7 +15783,15 @@ export class GameRuntime {
 
     this.promoSetInFlight = true;
     this.syncPromoPanelUi();
-    this.socket.emit(
+    const socket = this.socket;
+    const mediaPayload = await this.buildMediaPayload(mediaDataUrl, "image", "mediaDataUrl");
+    if (mediaPayload.error) {
+      this.promoSetInFlight = false;
+      this.appendChatLine("", this.getPromoActionErrorMessage(mediaPayload.error, "저장"), "system");
+      this.syncPromoPanelUi();
+      return;
+    }
+    socket.emit(
       "promo:upsert",
       {
         x: transform.x,
@@ -15456,7 +15802,7 @@ export class GameRuntime {
         scale,
         scaleY,
         linkUrl,
-        mediaDataUrl,
+        ...mediaPayload,
         allowOthersDraw,
         forceFlush: true
       },
@@ -15815,8 +16161,38 @@ export class GameRuntime {
   }
 
   rebuildPromoCollisionBoxes() {
-    // v1.1 hardening: promo objects stay visual-only to prevent griefing via collision traps.
-    this.promoCollisionBoxes = [];
+    // Mirrors server/domain/collisionWorld.js so reconciliation agrees on promo footprints.
+    // Placement rules already keep promo blocks off spawn, bridge and portal lanes.
+    const boxes = [];
+    for (const entry of this.promoObjects.values()) {
+      const scale = THREE.MathUtils.clamp(Number(entry?.scale) || 1, PROMO_MIN_SCALE, PROMO_MAX_SCALE);
+      const scaleY = THREE.MathUtils.clamp(
+        Number(entry?.scaleY) || scale,
+        PROMO_MIN_SCALE,
+        PROMO_MAX_SCALE
+      );
+      const yaw = Number(entry?.yaw) || 0;
+      const width = PROMO_BLOCK_WIDTH * scale;
+      const depth = PROMO_BLOCK_DEPTH * scale;
+      const height = PROMO_BLOCK_HEIGHT * scaleY;
+      const cos = Math.abs(Math.cos(yaw));
+      const sin = Math.abs(Math.sin(yaw));
+      const spanX = cos * width + sin * depth;
+      const spanZ = sin * width + cos * depth;
+      const x = Number(entry?.x) || 0;
+      const y = Number(entry?.y) || 0;
+      const z = Number(entry?.z) || 0;
+      boxes.push({
+        minX: x - spanX * 0.5,
+        maxX: x + spanX * 0.5,
+        minZ: z - spanZ * 0.5,
+        maxZ: z + spanZ * 0.5,
+        minY: y,
+        maxY: y + height - 0.05,
+        platform: { x, y: y + height * 0.5, z, w: spanX, h: height, d: spanZ }
+      });
+    }
+    this.promoCollisionBoxes = boxes;
   }
 
   openNearestPromoLink() {
@@ -16033,7 +16409,7 @@ export class GameRuntime {
       this.appendChatLine("", `${delayLabel}후 시작 예약 완료`, "system");
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("portal")) {
       this.appendChatLine("", "시작 시간 설정은 방장만 가능합니다.", "system");
       return;
     }
@@ -16128,7 +16504,7 @@ export class GameRuntime {
       this.appendChatLine("", "서버 연결 후 다시 시도하세요.", "system");
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("portal")) {
       this.appendChatLine("", "포탈 즉시 개방은 방장만 가능합니다.", "system");
       return;
     }
@@ -16165,7 +16541,7 @@ export class GameRuntime {
       this.appendChatLine("", "서버 연결 후 다시 시도하세요.", "system");
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("portal")) {
       this.appendChatLine("", "포탈 1 닫기는 방장만 가능합니다.", "system");
       return;
     }
@@ -16237,7 +16613,7 @@ export class GameRuntime {
       return;
     }
 
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("moderate")) {
       this.appendChatLine("", "보안 테스트 토글은 방장만 가능합니다.", "system");
       return;
     }
@@ -16329,7 +16705,7 @@ export class GameRuntime {
       }
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("portal")) {
       if (announceErrors) {
         this.appendChatLine("", "포탈 1 링크 변경은 방장만 가능합니다.", "system");
       }
@@ -16387,7 +16763,7 @@ export class GameRuntime {
       }
       return;
     }
-    if (!this.isRoomHost) {
+    if (!this.hasRoomCapability("portal")) {
       if (announceErrors) {
         this.appendChatLine("", "포탈 2 링크 변경은 방장만 가능합니다.", "system");
       }
@@ -16524,57 +16900,597 @@ export class GameRuntime {
       return true;
     }
 
-    this.appendChatLine("", "지원 명령어: /host, /portal <url>", "system");
-    return true;
-  }
+    if (command === "/rooms") {
+      this.printRoomList();
+      return true;
+    }
 
-  setupSky(sunDirection) {
-    if (this.skyDome) {
-      this.scene.remove(this.skyDome);
-      disposeMeshTree(this.skyDome);
-      this.skyDome = null;
+    if (command === "/room") {
+      const [actionRaw, codeRaw = "", ...passwordParts] = argText.split(/\s+/);
+      const action = String(actionRaw ?? "").toLowerCase();
+      const password = passwordParts.join(" ");
+      if (action === "create") {
+        this.requestRoomChange("room:create", { code: codeRaw, password });
+        return true;
+      }
+      if (action === "join" && codeRaw) {
+        this.requestRoomChange("room:join", { code: codeRaw, password });
+        return true;
+      }
+      if (action === "leave") {
+        this.requestRoomChange("room:leave", null);
+        return true;
+      }
+      this.appendChatLine(
+        "",
+        "사용법: /room create [코드] [비밀번호], /room join <코드> [비밀번호], /room leave",
+        "system"
+      );
+      return true;
     }
 
-    const skyConfig = this.worldContent.sky;
-    if (skyConfig?.textureUrl) {
-      this.setupSkyTexture(skyConfig, sunDirection);
-      return;
+    if (command === "/history") {
+      this.requestWorldHistoryList(argText || "all");
+      return true;
     }
 
-    this.clearSkyTexture();
-    const sky = new Sky();
-    sky.scale.setScalar(skyConfig.scale);
-    const uniforms = sky.material.uniforms;
-    uniforms.turbidity.value = skyConfig.turbidity;
-    uniforms.rayleigh.value = skyConfig.rayleigh;
-    uniforms.mieCoefficient.value = skyConfig.mieCoefficient;
-    uniforms.mieDirectionalG.value = skyConfig.mieDirectionalG;
+    if (command === "/rollback") {
+      const [collectionRaw = "", ...targetParts] = argText.split(/\s+/);
+      const target = targetParts.join(" ").trim();
+      if (!collectionRaw || !target) {
+        this.appendChatLine(
+          "",
+          "사용법: /rollback <컬렉션|all> <#리비전|30m|2026-03-01T12:00>",
+          "system"
+        );
+        return true;
+      }
+      this.requestWorldHistoryRollback(collectionRaw, target);
+      return true;
+    }
 
-    this.skySun.copy(sunDirection).multiplyScalar(skyConfig.scale);
-    uniforms.sunPosition.value.copy(this.skySun);
+    if (command === "/w" || command === "/near" || command === "/announce") {
+      const [targetRaw = "", ...messageParts] = argText.split(/\s+/);
+      const whisper = command === "/w";
+      const message = whisper ? messageParts.join(" ").trim() : argText;
+      if (!message || (whisper && !targetRaw)) {
+        this.appendChatLine(
+          "",
+          whisper ? "사용법: /w <닉네임> <메시지>" : `사용법: ${command} <메시지>`,
+          "system"
+        );
+        return true;
+      }
+      this.sendChatText(message, {
+        channel: whisper ? "whisper" : command === "/near" ? "proximity" : "announce",
+        to: whisper ? targetRaw : ""
+      });
+      return true;
+    }
 
-    this.skyDome = sky;
-    this.scene.add(this.skyDome);
-  }
+    if (command === "/transfer") {
+      if (!argText) {
+        this.appendChatLine("", "사용법: /transfer <닉네임>", "system");
+        return true;
+      }
+      this.requestHostTransfer(argText);
+      return true;
+    }
 
-  setupSkyTexture(skyConfig, sunDirection) {
-    this.skyTextureRequestId += 1;
-    const requestId = this.skyTextureRequestId;
-    this.clearSkyTexture();
+    if (command === "/cohost") {
+      const [firstRaw = "", ...nameParts] = argText.split(/\s+/);
+      const remove = firstRaw.toLowerCase() === "remove";
+      const name = remove ? nameParts.join(" ").trim() : argText;
+      if (!name) {
+        this.appendChatLine("", "사용법: /cohost <닉네임>, /cohost remove <닉네임>", "system");
+        return true;
+      }
+      this.requestCoHostSet(name, !remove);
+      return true;
+    }
 
-    const url = String(skyConfig?.textureUrl ?? "").trim();
-    if (!url) {
-      this.setupSky(sunDirection);
-      return;
+    if (
+      command === "/kick" ||
+      command === "/mute" ||
+      command === "/timeout" ||
+      command === "/ban" ||
+      command === "/unban"
+    ) {
+      const [nameRaw = "", ...restParts] = argText.split(/\s+/);
+      if (!nameRaw) {
+        this.appendChatLine(
+          "",
+          command === "/kick" || command === "/unban"
+            ? `사용법: ${command} <닉네임>${command === "/kick" ? " [사유]" : ""}`
+            : `사용법: ${command} <닉네임> [기간: 30s|10m|2h|7d] [사유]`,
+          "system"
+        );
+        return true;
+      }
+      // An optional duration comes right after the name; the rest is the reason.
+      const hasDuration = command !== "/kick" && /^\d+[smhd]?$/i.test(restParts[0] ?? "");
+      this.requestModerationAction(command.slice(1), {
+        name: nameRaw,
+        duration: hasDuration ? restParts[0] : "",
+        reason: (hasDuration ? restParts.slice(1) : restParts).join(" ")
+      });
+      return true;
     }
 
-    const loader = new RGBELoader();
-    loader.load(
-      url,
-      (hdrTexture) => {
-        if (requestId !== this.skyTextureRequestId) {
-          hdrTexture.dispose?.();
-          return;
+    if (command === "/search") {
+      this.setChatSearchOpen(true);
+      if (this.chatSearchInputEl) {
+        this.chatSearchInputEl.value = argText;
+      }
+      if (argText) {
+        this.runChatSearch(argText);
+      }
+      return true;
+    }
+
+    if (command === "/profile") {
+      this.requestPlayerProfile(argText ? { name: argText.replace(/^@/, "") } : { targetId: this.localPlayerId });
+      return true;
+    }
+
+    if (command === "/flags") {
+      const [mode = "", id = ""] = argText.split(/\s+/);
+      if (mode && mode.toLowerCase() !== "clear") {
+        this.appendChatLine("", "사용법: /flags 또는 /flags clear [ID]", "system");
+        return true;
+      }
+      if (mode) {
+        this.requestChatFlagResolve(id ? [id.replace(/^#/, "")] : []);
+      } else {
+        this.requestChatFlagList();
+      }
+      return true;
+    }
+
+    if (command === "/roles") {
+      this.requestRoomRoleList();
+      return true;
+    }
+
+    if (command === "/role") {
+      const [targetRaw = "", roleRaw = ""] = argText.split(/\s+/);
+      const role = normalizeRoomRole(roleRaw);
+      if (!targetRaw || !role) {
+        this.appendChatLine(
+          "",
+          "사용법: /role <닉네임|#ID> <owner|moderator|curator|builder|guest>",
+          "system"
+        );
+        return true;
+      }
+      this.requestRoomRoleSet(targetRaw, role);
+      return true;
+    }
+
+    this.appendChatLine(
+      "",
+      "지원 명령어: /w <닉네임> <메시지>, /near <메시지>, /announce <메시지>, /search [검색어] [@닉네임] [from:날짜] [to:날짜], /host, /portal <url>, /rooms, /room, /history [컬렉션], /rollback <컬렉션|all> <시점>, /transfer <닉네임>, /cohost [remove] <닉네임>, /kick, /mute, /timeout, /ban, /unban <닉네임>, /flags [clear], /roles, /role <닉네임|#ID> <역할>, /profile [닉네임]",
+      "system"
+    );
+    return true;
+  }
+
+  requestHostTransfer(name) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/transfer)", "system");
+      return;
+    }
+    this.socket.emit("room:host:transfer", { name }, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `방장 위임 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      if (!response.changed) {
+        this.appendChatLine("", "이미 방장입니다.", "system");
+      }
+    });
+  }
+
+  requestCoHostSet(name, enabled) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/cohost)", "system");
+      return;
+    }
+    this.socket.emit("room:cohost:set", { name, enabled }, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `공동 방장 변경 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      const state = response.enabled ? "공동 방장으로 지정" : "공동 방장에서 해제";
+      this.appendChatLine(
+        "",
+        response.changed ? `${response.name}: ${state}했습니다.` : `${response.name}: 변경 사항이 없습니다.`,
+        "system"
+      );
+    });
+  }
+
+  requestModerationAction(action, payload) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", `서버 연결 후 다시 시도하세요. (/${action})`, "system");
+      return;
+    }
+    this.socket.emit(`moderation:${action}`, payload, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `/${action} 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      const untilText = response.until ? ` (${new Date(response.until).toLocaleString()}까지)` : "";
+      const labels = {
+        kick: "내보냈습니다",
+        mute: "채팅을 제한했습니다",
+        timeout: "일시 차단했습니다",
+        ban: "차단했습니다",
+        unban: `제재 ${response.lifted ?? 0}건을 해제했습니다`
+      };
+      this.appendChatLine("", `${response.name}: ${labels[action] ?? action}${untilText}`, "system");
+    });
+  }
+
+  handleModerationNotice(payload = {}) {
+    const by = this.formatPlayerName(payload?.by ?? "방장");
+    const untilText = payload?.until ? `${new Date(payload.until).toLocaleString()}까지 ` : "";
+    const reasonText = payload?.reason ? ` 사유: ${String(payload.reason).slice(0, 200)}` : "";
+    const messages = {
+      kick: `${by}님이 방에서 내보냈습니다.`,
+      mute: `${by}님이 ${untilText}채팅을 제한했습니다.`,
+      timeout: `${by}님이 ${untilText}입장을 제한했습니다.`,
+      ban: `${by}님이 ${untilText}입장을 차단했습니다.`,
+      unban: `${by}님이 제재를 해제했습니다.`
+    };
+    const message = messages[payload?.action];
+    if (!message) {
+      return;
+    }
+    this.appendChatLine("", `${message}${reasonText}`, "system");
+    // Out of a custom room: the server already removed us, so go back to the persistent room.
+    if (payload?.removed && !payload?.persistent) {
+      this.requestRoomChange("room:leave", null);
+    }
+  }
+
+  formatChatFlagLine(flag = {}) {
+    const reasons = (Array.isArray(flag?.reasons) ? flag.reasons : [])
+      .map((reason) => CHAT_FILTER_REASON_LABELS[reason] ?? reason)
+      .join(", ");
+    const matches = Array.isArray(flag?.matches) && flag.matches.length ? ` [${flag.matches.join(", ")}]` : "";
+    const name = this.formatPlayerName(flag?.name);
+    return `#${flag?.id} ${name}: ${flag?.originalText || flag?.text} (${reasons || "검토"}${matches})`;
+  }
+
+  requestPlayerProfile(target) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/profile)", "system");
+      return;
+    }
+    this.socket.emit("profile:get", target, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `프로필 조회 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      this.showPlayerProfileCard(response.profile);
+    });
+  }
+
+  showPlayerProfileCard(profile) {
+    this.resolveUiElements();
+    if (!this.profileCardEl || !this.profileCardBodyEl) {
+      return;
+    }
+    const formatDate = (value) => (Number(value) > 0 ? new Date(Number(value)).toLocaleDateString() : "-");
+    const history = Array.isArray(profile?.nicknameHistory) ? profile.nicknameHistory : [];
+    const rows = [
+      ["역할", ROOM_ROLE_LABELS[profile?.role] ?? profile?.role ?? "-"],
+      ["위치", this.getRoomZoneLabel(profile?.zone ?? "")],
+      ["처음 방문", formatDate(profile?.firstSeenAt)],
+      ["최근 방문", formatDate(profile?.lastSeenAt)],
+      ["방문 횟수", profile?.visits ? `${profile.visits}회` : "-"],
+      ["이전 닉네임", history.map((entry) => this.formatPlayerName(entry?.nickname)).join(", ") || "없음"]
+    ];
+    if (this.profileCardNameEl) {
+      this.profileCardNameEl.textContent = this.formatPlayerName(profile?.nickname);
+    }
+    this.profileCardBodyEl.textContent = "";
+    for (const [label, value] of rows) {
+      const termEl = document.createElement("dt");
+      termEl.textContent = label;
+      const valueEl = document.createElement("dd");
+      valueEl.textContent = value;
+      this.profileCardBodyEl.append(termEl, valueEl);
+    }
+    this.profileCardEl.classList.remove("hidden");
+    if (document.pointerLockElement === this.renderer.domElement) {
+      document.exitPointerLock?.();
+    }
+  }
+
+  hidePlayerProfileCard() {
+    this.profileCardEl?.classList.add("hidden");
+  }
+
+  requestChatFlagList() {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/flags)", "system");
+      return;
+    }
+    this.socket.emit("moderation:flags:list", {}, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `검토 목록 조회 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      const flags = Array.isArray(response.flags) ? response.flags : [];
+      if (!flags.length) {
+        this.appendChatLine("", "검토할 메시지가 없습니다.", "system");
+        return;
+      }
+      for (const flag of flags) {
+        this.appendChatLine("", this.formatChatFlagLine(flag), "system");
+      }
+    });
+  }
+
+  requestChatFlagResolve(ids) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/flags)", "system");
+      return;
+    }
+    this.socket.emit("moderation:flags:resolve", { ids }, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `검토 처리 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      this.appendChatLine(
+        "",
+        `검토 ${response.resolved ?? 0}건을 처리했습니다. (남은 ${response.pending ?? 0}건)`,
+        "system"
+      );
+    });
+  }
+
+  requestRoomRoleList() {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/roles)", "system");
+      return;
+    }
+    this.socket.emit("room:role:list", {}, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `역할 조회 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      const grants = Array.isArray(response.grants) ? response.grants : [];
+      if (!grants.length) {
+        this.appendChatLine("", "부여된 역할이 없습니다.", "system");
+        return;
+      }
+      for (const grant of grants) {
+        const role = ROOM_ROLE_LABELS[grant?.role] ?? grant?.role;
+        const online = grant?.onlineId ? " · 접속 중" : "";
+        this.appendChatLine("", `#${grant?.grantId} ${grant?.name} - ${role} (${grant?.keyHint})${online}`, "system");
+      }
+    });
+  }
+
+  requestRoomRoleSet(target, role) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/role)", "system");
+      return;
+    }
+    const payload = target.startsWith("#") ? { grantId: target.slice(1), role } : { name: target, role };
+    this.socket.emit("room:role:set", payload, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `역할 변경 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      const label = ROOM_ROLE_LABELS[response.role] ?? response.role;
+      this.appendChatLine(
+        "",
+        response.changed ? `${response.name}: ${label} 역할로 변경했습니다.` : `${response.name}은(는) 이미 ${label}입니다.`,
+        "system"
+      );
+    });
+  }
+
+  requestWorldHistoryList(collection) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/history)", "system");
+      return;
+    }
+    this.socket.emit("world:history:list", { collection, limit: 15 }, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `기록 조회 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      const revisions = Array.isArray(response.revisions) ? response.revisions : [];
+      if (!revisions.length) {
+        this.appendChatLine("", "저장된 기록이 없습니다.", "system");
+        return;
+      }
+      for (const entry of revisions) {
+        const time = new Date(Number(entry?.at) || 0).toLocaleString();
+        const label = entry?.snapshot
+          ? "스냅샷"
+          : (Array.isArray(entry?.collections) ? entry.collections : []).join(", ");
+        const reason = String(entry?.reason ?? "").trim();
+        this.appendChatLine(
+          "",
+          `#${entry?.rev} ${time} ${label}${reason ? ` (${reason})` : ""}`,
+          "system"
+        );
+      }
+    });
+  }
+
+  requestWorldHistoryRollback(collection, target) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/rollback)", "system");
+      return;
+    }
+    this.socket.emit("world:history:rollback", { collection, target }, (response = {}) => {
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `되돌리기 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      const time = new Date(Number(response.at) || 0).toLocaleString();
+      this.appendChatLine("", `#${response.rev} (${time}) 시점으로 되돌렸습니다.`, "system");
+    });
+  }
+
+  formatHostAuditChange(before, after) {
+    const shorten = (value) => {
+      const text = typeof value === "string" ? value : JSON.stringify(value ?? null);
+      return text.length > 40 ? `${text.slice(0, 40)}...` : text;
+    };
+    if (!before || !after || typeof before !== "object" || typeof after !== "object") {
+      return before === after ? "" : `${shorten(before)} → ${shorten(after)}`;
+    }
+    const changes = [];
+    for (const key of Object.keys({ ...before, ...after })) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changes.push(`${key}: ${shorten(before[key])} → ${shorten(after[key])}`);
+      }
+    }
+    return changes.slice(0, 2).join(", ");
+  }
+
+  requestHostAuditLog() {
+    const listEl = this.hostAuditListEl;
+    if (!listEl || !this.socket || !this.networkConnected || !this.hasRoomCapability("moderate")) {
+      return;
+    }
+    this.socket.emit("audit:recent", { limit: 30 }, (response = {}) => {
+      listEl.replaceChildren();
+      const entries = response?.ok && Array.isArray(response.entries) ? response.entries : [];
+      if (!response?.ok || !entries.length) {
+        const emptyEl = document.createElement("li");
+        emptyEl.textContent = response?.ok ? "기록 없음" : "기록을 불러오지 못했습니다.";
+        listEl.appendChild(emptyEl);
+        return;
+      }
+      for (const entry of entries) {
+        const itemEl = document.createElement("li");
+        const timeEl = document.createElement("span");
+        timeEl.className = "host-audit-time";
+        timeEl.textContent = new Date(Number(entry?.at) || 0).toLocaleTimeString();
+        const change = this.formatHostAuditChange(entry?.before, entry?.after);
+        itemEl.append(
+          timeEl,
+          `${String(entry?.name ?? "").trim() || "알 수 없음"} · ${entry?.event ?? ""}${change ? ` (${change})` : ""}`
+        );
+        listEl.appendChild(itemEl);
+      }
+    });
+  }
+
+  printRoomList() {
+    if (!this.roomList.length) {
+      this.appendChatLine("", "표시할 방이 없습니다.", "system");
+    }
+    for (const entry of this.roomList) {
+      const code = String(entry?.code ?? "").trim();
+      if (!code) {
+        continue;
+      }
+      const name = String(entry?.name ?? "").trim() || code;
+      const count = Math.max(0, Math.trunc(Number(entry?.count) || 0));
+      const capacity = Math.max(0, Math.trunc(Number(entry?.capacity) || 0));
+      const lockTag = entry?.locked ? " [잠금]" : "";
+      const currentTag = code === this.currentRoomCode ? " *" : "";
+      this.appendChatLine("", `${code} ${name} ${count}/${capacity}${lockTag}${currentTag}`, "system");
+    }
+    this.socket?.emit?.("room:list");
+  }
+
+  requestRoomChange(eventName, payload) {
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("", "서버 연결 후 다시 시도하세요. (/room)", "system");
+      return;
+    }
+    if (this.roomRequestInFlight) {
+      return;
+    }
+    this.roomRequestInFlight = true;
+
+    const handleResponse = (response = {}) => {
+      this.roomRequestInFlight = false;
+      if (!response?.ok) {
+        const reason = String(response?.error ?? "").trim();
+        this.appendChatLine("", `방 이동 실패: ${reason || "알 수 없는 오류"}`, "system");
+        return;
+      }
+      if (response?.room) {
+        this.handleRoomUpdate(response.room);
+      }
+    };
+
+    if (payload) {
+      this.socket.emit(eventName, { ...payload, name: this.localPlayerName }, handleResponse);
+    } else {
+      this.socket.emit(eventName, handleResponse);
+    }
+  }
+
+  setupSky(sunDirection) {
+    if (this.skyDome) {
+      this.scene.remove(this.skyDome);
+      disposeMeshTree(this.skyDome);
+      this.skyDome = null;
+    }
+
+    const skyConfig = this.worldContent.sky;
+    if (skyConfig?.textureUrl) {
+      this.setupSkyTexture(skyConfig, sunDirection);
+      return;
+    }
+
+    this.clearSkyTexture();
+    const sky = new Sky();
+    sky.scale.setScalar(skyConfig.scale);
+    const uniforms = sky.material.uniforms;
+    uniforms.turbidity.value = skyConfig.turbidity;
+    uniforms.rayleigh.value = skyConfig.rayleigh;
+    uniforms.mieCoefficient.value = skyConfig.mieCoefficient;
+    uniforms.mieDirectionalG.value = skyConfig.mieDirectionalG;
+
+    this.skySun.copy(sunDirection).multiplyScalar(skyConfig.scale);
+    uniforms.sunPosition.value.copy(this.skySun);
+
+    this.skyDome = sky;
+    this.scene.add(this.skyDome);
+  }
+
+  setupSkyTexture(skyConfig, sunDirection) {
+    this.skyTextureRequestId += 1;
+    const requestId = this.skyTextureRequestId;
+    this.clearSkyTexture();
+
+    const url = String(skyConfig?.textureUrl ?? "").trim();
+    if (!url) {
+      this.setupSky(sunDirection);
+      return;
+    }
+
+    const loader = new RGBELoader();
+    loader.load(
+      url,
+      (hdrTexture) => {
+        if (requestId !== this.skyTextureRequestId) {
+          hdrTexture.dispose?.();
+          return;
         }
         const pmrem = new THREE.PMREMGenerator(this.renderer);
         const envRT = pmrem.fromEquirectangular(hdrTexture);
@@ -18642,13 +19558,18 @@ export class GameRuntime {
         return;
       }
 
+      if (event.code === "Escape" && this.profileCardEl && !this.profileCardEl.classList.contains("hidden")) {
+        this.hidePlayerProfileCard();
+        return;
+      }
+
       if (event.code === "Tab") {
         event.preventDefault();
         this.setPlayerRosterVisible(true);
         return;
       }
 
-      if (event.code === "KeyG" && this.hasHostPrivilege()) {
+      if (event.code === "KeyG" && this.hasRoomCapability("build")) {
         // Always allow turning fly mode off, even when gameplay controls are
         // temporarily blocked by flow/UI state. Turning it on keeps the
         // original gameplay-control gate.
@@ -19105,7 +20026,54 @@ export class GameRuntime {
         this.setChatHistoryExpanded(!this.chatHistoryExpanded, { requestHistory: true });
       });
     }
-    if (this.chatSendBtnEl) {
+    if (this.chatSearchToggleBtnEl) {
+      this.chatSearchToggleBtnEl.addEventListener("click", () => {
+        if (!this.canUseChatControls() || !this.chatOpen) {
+          return;
+        }
+        this.setChatSearchOpen(!this.chatSearchOpen);
+      });
+    }
+    if (this.chatSearchInputEl) {
+      this.chatSearchInputEl.addEventListener("keydown", (event) => {
+        if (event.code === "Enter" || event.code === "NumpadEnter") {
+          event.preventDefault();
+          this.runChatSearch(this.chatSearchInputEl.value);
+        }
+      });
+    }
+    if (this.chatSearchResultsEl) {
+      this.chatSearchResultsEl.addEventListener(
+        "scroll",
+        () => {
+          const el = this.chatSearchResultsEl;
+          if (el.scrollHeight - el.scrollTop - el.clientHeight < 48) {
+            this.runChatSearch("", { more: true });
+          }
+        },
+        { passive: true }
+      );
+    }
+    if (this.playerRosterListEl) {
+      this.playerRosterListEl.addEventListener("click", (event) => {
+        const item = event.target instanceof Element ? event.target.closest("[data-player-id]") : null;
+        if (item) {
+          this.requestPlayerProfile({ targetId: item.dataset.playerId });
+        }
+      });
+    }
+    if (this.profileCardCloseBtnEl) {
+      this.profileCardCloseBtnEl.addEventListener("click", () => {
+        this.hidePlayerProfileCard();
+      });
+    }
+    if (this.chatReplyCancelBtnEl) {
+      this.chatReplyCancelBtnEl.addEventListener("click", () => {
+        this.setChatReplyTarget(null);
+        this.chatInputEl?.focus();
+      });
+    }
+    if (this.chatSendBtnEl) {
       this.chatSendBtnEl.addEventListener("pointerdown", (event) => {
         // Keep focus on chat input so desktop send-click does not collapse chat before send.
         event.preventDefault();
@@ -19121,6 +20089,27 @@ export class GameRuntime {
         }
         this.focusChatInput();
       });
+      this.chatLogEl.addEventListener("click", (event) => {
+        const line = event.target instanceof Element ? event.target.closest("[data-message-id]") : null;
+        if (!line || !this.chatOpen || !this.canUseChatControls()) {
+          return;
+        }
+        this.setChatReplyTarget({
+          messageId: line.dataset.messageId,
+          name: line.dataset.name,
+          text: line.dataset.text
+        });
+        this.chatInputEl?.focus();
+      });
+      this.chatLogEl.addEventListener(
+        "scroll",
+        () => {
+          if (this.chatOpen && this.chatLogEl.scrollTop < 48) {
+            this.requestOlderChatHistory();
+          }
+        },
+        { passive: true }
+      );
     }
 
     if (this.hostChatToggleBtnEl) {
@@ -19935,7 +20924,7 @@ export class GameRuntime {
     });
 
     this.platformEditorSaveBtnEl?.addEventListener("click", () => {
-      if (this.socket && this.networkConnected && !this.hasHostPrivilege()) {
+      if (this.socket && this.networkConnected && !this.hasRoomCapability("build")) {
         this.appendChatLine("", "점프맵 저장은 방장만 가능합니다.", "system");
         this.requestPlatformState();
         this.requestRopeState();
@@ -19986,6 +20975,14 @@ export class GameRuntime {
     this.hostGrayObjectDeleteBtnEl?.addEventListener("click", () => {
       this.requestDeleteHostCustomPaintBlockFromHostPanel();
     });
+    this.hostAuditSectionEl?.addEventListener("toggle", () => {
+      if (this.hostAuditSectionEl.open) {
+        this.requestHostAuditLog();
+      }
+    });
+    this.hostAuditRefreshBtnEl?.addEventListener("click", () => {
+      this.requestHostAuditLog();
+    });
     const handleHostGraySizeEnter = (event) => {
       if (event.code !== "Enter") {
         return;
@@ -20172,6 +21169,27 @@ export class GameRuntime {
     if (!this.chatExpandBtnEl) {
       this.chatExpandBtnEl = document.getElementById("chat-expand");
     }
+    if (!this.chatSearchToggleBtnEl) {
+      this.chatSearchToggleBtnEl = document.getElementById("chat-search-toggle");
+    }
+    if (!this.chatSearchEl) {
+      this.chatSearchEl = document.getElementById("chat-search");
+    }
+    if (!this.chatSearchInputEl) {
+      this.chatSearchInputEl = document.getElementById("chat-search-input");
+    }
+    if (!this.chatSearchResultsEl) {
+      this.chatSearchResultsEl = document.getElementById("chat-search-results");
+    }
+    if (!this.chatReplyEl) {
+      this.chatReplyEl = document.getElementById("chat-reply");
+    }
+    if (!this.chatReplyTextEl) {
+      this.chatReplyTextEl = document.getElementById("chat-reply-text");
+    }
+    if (!this.chatReplyCancelBtnEl) {
+      this.chatReplyCancelBtnEl = document.getElementById("chat-reply-cancel");
+    }
     if (!this.hostChatToggleBtnEl) {
       this.hostChatToggleBtnEl = document.getElementById("host-chat-toggle");
     }
@@ -20395,6 +21413,18 @@ export class GameRuntime {
     if (!this.playerRosterListEl) {
       this.playerRosterListEl = document.getElementById("player-roster-list");
     }
+    if (!this.profileCardEl) {
+      this.profileCardEl = document.getElementById("profile-card");
+    }
+    if (!this.profileCardNameEl) {
+      this.profileCardNameEl = document.getElementById("profile-card-name");
+    }
+    if (!this.profileCardBodyEl) {
+      this.profileCardBodyEl = document.getElementById("profile-card-body");
+    }
+    if (!this.profileCardCloseBtnEl) {
+      this.profileCardCloseBtnEl = document.getElementById("profile-card-close");
+    }
     if (!this.editorModeObjBtnEl) {
       this.editorModeObjBtnEl = document.getElementById("editor-mode-obj");
     }
@@ -20557,6 +21587,15 @@ export class GameRuntime {
     if (!this.hostGrayObjectDeleteBtnEl) {
       this.hostGrayObjectDeleteBtnEl = document.getElementById("host-gray-object-delete");
     }
+    if (!this.hostAuditSectionEl) {
+      this.hostAuditSectionEl = document.getElementById("host-audit-section");
+    }
+    if (!this.hostAuditListEl) {
+      this.hostAuditListEl = document.getElementById("host-audit-list");
+    }
+    if (!this.hostAuditRefreshBtnEl) {
+      this.hostAuditRefreshBtnEl = document.getElementById("host-audit-refresh");
+    }
     this.chalkColorButtons = Array.from(document.querySelectorAll(".chalk-color[data-color]"));
     this.toolButtons = Array.from(document.querySelectorAll(".tool-slot[data-tool]"));
   }
@@ -20682,6 +21721,7 @@ export class GameRuntime {
       return;
     }
     const visible = this.chatOpen;
+    this.chatSearchToggleBtnEl?.classList.toggle("hidden", !visible);
     const label = this.chatHistoryExpanded ? "접기" : "펼치기";
     this.chatExpandBtnEl.classList.toggle("hidden", !visible);
     this.chatExpandBtnEl.setAttribute("aria-pressed", this.chatHistoryExpanded ? "true" : "false");
@@ -20711,6 +21751,11 @@ export class GameRuntime {
     this.chatOpen = Boolean(open);
     if (!this.chatOpen) {
       this.chatHistoryExpanded = false;
+      this.setChatSearchOpen(false);
+      this.setChatReplyTarget(null);
+    } else {
+      this.chatUnreadCount = 0;
+      this.chatUnreadMention = false;
     }
     if (this.chatUiEl) {
       const collapsed = !this.chatOpen;
@@ -20750,6 +21795,7 @@ export class GameRuntime {
       }
     }
     this.syncChatHistoryExpandedUi();
+    this.syncChatUnreadBadge();
     if (this.chatOpen) {
       this.chalkDrawingActive = false;
       this.chalkLastStamp = null;
@@ -20978,7 +22024,9 @@ export class GameRuntime {
       this.networkConnected = false;
       this.localPlayerId = null;
       this.roomHostId = null;
+      this.roomCoHostIds.clear();
       this.isRoomHost = false;
+      this.roomRole = "guest";
       this.platformSaveInFlight = false;
       this.platformSavePending = false;
       this.platformSavePendingForceFlush = false;
@@ -21031,20 +22079,27 @@ export class GameRuntime {
       reconnection: true,
       reconnectionDelay: 900,
       reconnectionDelayMax: 5000,
-      auth: {
-        linkGateVersion: this.socketLinkGateVersion,
-        linkGateMode: this.socketLinkGateMode || "player",
-        playerKey: this.promoOwnerKey
-      }
+      // Read on every (re)connect so the latest session token is sent.
+      auth: (callback) =>
+        callback({
+          linkGateVersion: this.socketLinkGateVersion,
+          linkGateMode: this.socketLinkGateMode || "player",
+          sessionToken: this.sessionToken,
+          playerKey: this.promoOwnerKey,
+          snapshotEncoding: this.requestedSnapshotEncoding
+        })
     });
 
     this.socket = socket;
 
     socket.on("connect", () => {
       this.networkConnected = true;
+      this.snapshotPeerIds.clear();
       this.localPlayerId = socket.id;
       this.roomHostId = null;
+      this.roomCoHostIds.clear();
       this.isRoomHost = false;
+      this.roomRole = "guest";
       this.autoHostClaimLastAttemptMs = 0;
       this.hostPortalTargetSynced = false;
       this.hostAZonePortalTargetSynced = false;
@@ -21087,13 +22142,16 @@ export class GameRuntime {
       this.lastSentInput = null;
       this.localInputSeq = 0;
       this.lastAckInputSeq = 0;
-      this.pendingInputQueue.length = 0;
+      this.inputFrameRing.fill(null);
       this.netPingPending.clear();
+      this.resetServerClock();
       this.clientRttMs = 0;
       this.clientRttSmoothedMs = 0;
       this.clearChatLogs({ clearSeenIds: true });
       this.resetLocalChatSendLimiter();
       this.lastChatHistoryRequestAt = 0;
+      this.currentRoomCode = "";
+      this.roomRequestInFlight = false;
       this.pendingAuthoritativeStateSync = true;
       this.authoritativeSyncGraceUntil = performance.now() + 2200;
       this.updateRoomPlayerSnapshot([]);
@@ -21120,15 +22178,7 @@ export class GameRuntime {
         }
       });
       this.requestSurfacePaintSnapshot();
-      this.socket.emit("player:key:set", { key: this.promoOwnerKey }, (response = {}) => {
-        if (response?.ok) {
-          this.requestPromoState();
-          return;
-        }
-        if (String(response?.error ?? "").trim().toLowerCase() === "duplicate session") {
-          this.appendChatLine("", "중복 접속이 감지되어 현재 창 연결이 제한됩니다.", "system");
-        }
-      });
+      this.requestPromoState();
       this.requestPlatformState();
       this.requestRopeState();
       this.requestObjectState();
@@ -21156,10 +22206,24 @@ export class GameRuntime {
         message = "같은 네트워크에서 동시에 접속할 수 있는 수를 초과했습니다.";
       } else if (reason === "ip connect rate limited") {
         message = "짧은 시간에 너무 많은 재접속이 감지되었습니다.";
+      } else if (reason === "session temporarily banned") {
+        message = "비정상적인 이동이 반복되어 잠시 접속이 차단되었습니다.";
+      } else if (reason === "kicked") {
+        message = "관리자에 의해 연결이 종료되었습니다.";
+      } else if (reason === "session banned") {
+        message = "관리자에 의해 접속이 차단되었습니다.";
       }
       this.appendChatLine("", message, "system");
     });
 
+    socket.on("session:token", (payload = {}) => {
+      this.handleSessionToken(payload);
+    });
+
+    socket.on("session:resumed", (payload = {}) => {
+      this.handleSessionResumed(payload);
+    });
+
     socket.on("runtime:policy", (payload = {}) => {
       this.applyRuntimePolicyState(payload ?? {});
     });
@@ -21168,7 +22232,9 @@ export class GameRuntime {
       this.networkConnected = false;
       this.localPlayerId = null;
       this.roomHostId = null;
+      this.roomCoHostIds.clear();
       this.isRoomHost = false;
+      this.roomRole = "guest";
       this.autoHostClaimLastAttemptMs = 0;
       this.hostPortalTargetSynced = false;
       this.hostAZonePortalTargetSynced = false;
@@ -21211,8 +22277,9 @@ export class GameRuntime {
       this.remoteUpdateClock = 0;
       this.lastSentInput = null;
       this.pendingJumpInput = false;
-      this.pendingInputQueue.length = 0;
+      this.inputFrameRing.fill(null);
       this.netPingPending.clear();
+      this.resetServerClock();
       this.clientRttMs = 0;
       this.clientRttSmoothedMs = 0;
       this.resetLocalChatSendLimiter();
@@ -21258,7 +22325,9 @@ export class GameRuntime {
       this.networkConnected = false;
       this.localPlayerId = null;
       this.roomHostId = null;
+      this.roomCoHostIds.clear();
       this.isRoomHost = false;
+      this.roomRole = "guest";
       this.portalScheduleSetInFlight = false;
       this.portalForceOpenInFlight = false;
       this.portalCloseInFlight = false;
@@ -21292,7 +22361,7 @@ export class GameRuntime {
       this.remoteUpdateClock = 0;
       this.lastSentInput = null;
       this.pendingJumpInput = false;
-      this.pendingInputQueue.length = 0;
+      this.inputFrameRing.fill(null);
       this.clientRttMs = 0;
       this.clientRttSmoothedMs = 0;
       this.authoritativeSyncGraceUntil = 0;
@@ -21328,6 +22397,44 @@ export class GameRuntime {
       this.handleRoomUpdate(room);
     });
 
+    socket.on("moderation:notice", (payload = {}) => {
+      this.handleModerationNotice(payload);
+    });
+
+    socket.on("profile:self", (payload = {}) => {
+      const profile = payload?.profile ?? null;
+      if (!profile) {
+        return;
+      }
+      this.localProfile = profile;
+      // A provisional profile only has the server's default name; keep the one picked locally.
+      if (this.isHostEntryLink || profile.provisional) {
+        return;
+      }
+      // The server may have kept the previous nickname or suffixed a taken one.
+      this.localPlayerName = this.formatPlayerName(profile.nickname);
+      try { localStorage.setItem("emptines_nickname", this.localPlayerName); } catch (_) {}
+    });
+
+    socket.on("moderation:flag", (flag = {}) => {
+      this.appendChatLine("", `[검토] ${this.formatChatFlagLine(flag)}`, "system");
+    });
+
+    socket.on("room:host:changed", (payload = {}) => {
+      const hostName = this.formatPlayerName(payload?.hostName ?? "PLAYER");
+      const isSelf = Boolean(payload?.hostId && payload.hostId === this.localPlayerId);
+      const reason = payload?.reason === "transfer" ? "위임" : "자동 승계";
+      this.appendChatLine(
+        "",
+        isSelf ? `방장 권한을 넘겨받았습니다. (${reason})` : `방장이 ${hostName}(으)로 바뀌었습니다. (${reason})`,
+        "system"
+      );
+    });
+
+    socket.on("room:list", (rooms) => {
+      this.roomList = Array.isArray(rooms) ? rooms : [];
+    });
+
     socket.on("portal:target:update", (payload = {}) => {
       const changed = this.applyPortalTargetUpdate(payload?.targetUrl ?? payload?.url ?? "");
       if (changed) {
@@ -21412,6 +22519,7 @@ export class GameRuntime {
       }
       this.netPingPending.delete(id);
       const rttMs = Math.max(0, performance.now() - sentAt);
+      this.recordServerClockSample(payload?.t, sentAt, rttMs);
       this.clientRttMs = rttMs;
       this.clientRttSmoothedMs =
         this.clientRttSmoothedMs > 0
@@ -21426,6 +22534,10 @@ export class GameRuntime {
       this.handleChatMessage(payload);
     });
 
+    socket.on("chat:mention", (payload) => {
+      this.handleChatMention(payload);
+    });
+
     socket.on("chat:history", (payload = {}) => {
       this.handleChatHistory(payload);
     });
@@ -21439,6 +22551,24 @@ export class GameRuntime {
         message = "짧은 시간에 보낼 수 있는 채팅 수를 초과했습니다.";
       } else if (reason === "chat too fast") {
         message = "채팅 전송 간격이 너무 빠릅니다.";
+      } else if (reason === "announce not allowed") {
+        message = "공지는 방장과 운영자만 보낼 수 있습니다.";
+      } else if (reason === "whisper player not found") {
+        message = "귓속말 대상을 이 방에서 찾을 수 없습니다.";
+      } else if (reason === "whisper ambiguous player name") {
+        message = "같은 닉네임이 여러 명이라 귓속말을 보낼 수 없습니다.";
+      } else if (reason === "cannot whisper yourself") {
+        message = "자신에게는 귓속말을 보낼 수 없습니다.";
+      } else if (reason === "message rejected") {
+        const label = CHAT_FILTER_REASON_LABELS[payload?.reasons?.[0]];
+        message = label
+          ? `${label} 규칙에 걸려 메시지를 보낼 수 없습니다.`
+          : "채팅 규칙에 걸려 메시지를 보낼 수 없습니다.";
+      } else if (reason === "muted") {
+        const until = Number(payload?.until) || 0;
+        message = until
+          ? `${new Date(until).toLocaleString()}까지 채팅이 제한되었습니다.`
+          : "채팅이 제한되었습니다.";
       }
       this.showChatRateLimitNotice(message);
     });
@@ -21482,9 +22612,45 @@ export class GameRuntime {
     };
 
     sendPing();
+    // A short burst right after connect gives the clock offset a few samples to pick from.
+    for (const delayMs of [400, 900, 1500]) {
+      window.setTimeout(sendPing, delayMs);
+    }
     this.netPingTimer = window.setInterval(sendPing, 5000);
   }
 
+  resetServerClock() {
+    this.serverClockOffsetMs = 0;
+    this.serverClockSynced = false;
+    this.serverClockSamples.length = 0;
+  }
+
+  // Offset maps performance.now() onto the server's Date.now(); the lowest-RTT recent sample wins
+  // because its midpoint assumption is the tightest.
+  recordServerClockSample(serverTimeMs, sentAt, rttMs) {
+    const serverTime = Number(serverTimeMs);
+    if (!Number.isFinite(serverTime) || serverTime <= 0) {
+      return;
+    }
+    const samples = this.serverClockSamples;
+    samples.push({ rttMs, offsetMs: serverTime - (sentAt + rttMs * 0.5) });
+    if (samples.length > 8) {
+      samples.shift();
+    }
+    let best = samples[0];
+    for (const sample of samples) {
+      if (sample.rttMs < best.rttMs) {
+        best = sample;
+      }
+    }
+    this.serverClockOffsetMs = best.offsetMs;
+    this.serverClockSynced = true;
+  }
+
+  getEstimatedServerTimeMs() {
+    return performance.now() + this.serverClockOffsetMs;
+  }
+
   stopNetworkPing() {
     if (this.netPingTimer) {
       window.clearInterval(this.netPingTimer);
@@ -21629,9 +22795,26 @@ export class GameRuntime {
 
   handleRoomUpdate(room) {
     const previousHostState = this.isRoomHost;
+    const nextRoomCode = String(room?.code ?? "").trim();
+    if (nextRoomCode && nextRoomCode !== this.currentRoomCode) {
+      const previousRoomCode = this.currentRoomCode;
+      this.currentRoomCode = nextRoomCode;
+      if (previousRoomCode) {
+        this.clearChatLogs({ clearSeenIds: true });
+        this.pendingAuthoritativeStateSync = true;
+        const roomName = String(room?.name ?? "").trim() || nextRoomCode;
+        this.appendChatLine("", `방 이동: ${roomName} (${nextRoomCode})`, "system");
+      }
+    }
     const nextHostId = String(room?.hostId ?? "").trim();
     this.roomHostId = nextHostId || null;
+    this.roomCoHostIds = new Set(Array.isArray(room?.coHostIds) ? room.coHostIds : []);
     this.isRoomHost = Boolean(this.localPlayerId && nextHostId && this.localPlayerId === nextHostId);
+    const previousRole = this.roomRole;
+    const localEntry = Array.isArray(room?.players)
+      ? room.players.find((player) => player?.id && player.id === this.localPlayerId)
+      : null;
+    this.roomRole = normalizeRoomRole(localEntry?.role, "guest");
     if (typeof room?.portalTarget === "string") {
       const portalTargetChanged = this.applyPortalTargetUpdate(room.portalTarget);
       if (portalTargetChanged) {
@@ -21673,8 +22856,13 @@ export class GameRuntime {
       this.applyPromoState(room.promoObjects);
     }
 
+    // The server scopes players to our zone; the local zone must be current before the roster renders.
+    const viewerZone = this.normalizeRoomZone(room?.zone ?? "", "");
+    if (viewerZone) {
+      this.localRoomZone = viewerZone;
+    }
     const players = Array.isArray(room?.players) ? room.players : [];
-    this.updateRoomPlayerSnapshot(players);
+    this.updateRoomPlayerSnapshot(players, room?.playerCount);
     const seen = new Set();
     const remotePool = [];
 
@@ -21728,7 +22916,10 @@ export class GameRuntime {
       this.syncHostPortalTargetCandidate();
       this.syncHostAZonePortalTargetCandidate();
     }
-    if (previousHostState !== this.isRoomHost) {
+    if (previousRole !== this.roomRole && this.networkConnected) {
+      this.appendChatLine("", `내 역할: ${ROOM_ROLE_LABELS[this.roomRole] ?? this.roomRole}`, "system");
+    }
+    if (previousHostState !== this.isRoomHost || previousRole !== this.roomRole) {
       this.hud.setStatus(this.getStatusText());
       this.updateSurfacePainterSaveAvailability();
     }
@@ -21781,12 +22972,185 @@ export class GameRuntime {
       return;
     }
     this.lastAckInputSeq = ackSeq;
-    if (this.pendingInputQueue.length > 0) {
-      this.pendingInputQueue = this.pendingInputQueue.filter((entry) => entry.seq > ackSeq);
+  }
+
+  collectReplayInputFrames(ackSeq) {
+    const ring = this.inputFrameRing;
+    const frames = [];
+    for (let seq = ackSeq; seq <= this.localInputSeq; seq += 1) {
+      const frame = ring[seq % ring.length];
+      // A missing frame means the ring wrapped past the ack; replaying would skip inputs.
+      if (!frame || frame.seq !== seq) {
+        return null;
+      }
+      frames.push(frame);
+    }
+    return frames;
+  }
+
+  findPlatformSupportTopY(x, z, prevFeetY, feetY) {
+    const candidatePlatforms = this.getNearbyPlatformCandidates(x, z);
+    const promoPlatforms = this.getNearbyPromoPlatformCandidates(x, z);
+    if (promoPlatforms.length > 0) {
+      for (const promoPlatform of promoPlatforms) {
+        candidatePlatforms.push(promoPlatform);
+      }
+    }
+
+    let platformTopY = null;
+    for (const p of candidatePlatforms) {
+      const halfW = Math.max(0.1, Number(p.w) || 0) * 0.5 + 0.28;
+      const halfD = Math.max(0.1, Number(p.d) || 0) * 0.5 + 0.28;
+      if (Math.abs(x - (Number(p.x) || 0)) >= halfW || Math.abs(z - (Number(p.z) || 0)) >= halfD) {
+        continue;
+      }
+      const topY = (Number(p.y) || 0) + Math.max(0.05, Number(p.h) || 0.3) * 0.5;
+      const swept = prevFeetY >= topY && feetY <= topY; // swept through from above
+      const nearTop = feetY >= topY - 0.6 && feetY <= topY + 0.1;
+      if ((swept || nearTop) && (platformTopY === null || topY > platformTopY)) {
+        platformTopY = topY;
+      }
+    }
+    return platformTopY;
+  }
+
+  // Mirrors AuthoritativeWorld.simulatePlayer (no airborne speed bonus, server world limit).
+  stepPredictedMovement(sim, frame, dt, moving, jump) {
+    const moveLength = moving ? Math.hypot(frame.moveX, frame.moveZ) : 0;
+    if (moveLength >= 0.0001) {
+      const scale = moveLength > 1 ? 1 / moveLength : 1;
+      const strafe = frame.moveX * scale;
+      const forward = frame.moveZ * scale;
+      const sinYaw = Math.sin(frame.yaw);
+      const cosYaw = Math.cos(frame.yaw);
+      const speed = frame.sprint ? GAME_CONSTANTS.PLAYER_SPRINT : GAME_CONSTANTS.PLAYER_SPEED;
+      const moveStep = speed * dt;
+      sim.x = THREE.MathUtils.clamp(
+        sim.x + (-sinYaw * forward + cosYaw * strafe) * moveStep,
+        -GAME_CONSTANTS.WORLD_LIMIT,
+        GAME_CONSTANTS.WORLD_LIMIT
+      );
+      sim.z = THREE.MathUtils.clamp(
+        sim.z + (-cosYaw * forward - sinYaw * strafe) * moveStep,
+        -GAME_CONSTANTS.WORLD_LIMIT,
+        GAME_CONSTANTS.WORLD_LIMIT
+      );
+    }
+
+    this.resolveStaticWorldCollisions(sim, this.playerCollisionRadius);
+
+    if (jump && sim.onGround) {
+      sim.velocityY = GAME_CONSTANTS.JUMP_FORCE;
+      sim.onGround = false;
+    }
+
+    const prevFeetY = sim.y - GAME_CONSTANTS.PLAYER_HEIGHT;
+    sim.velocityY += GAME_CONSTANTS.PLAYER_GRAVITY * dt;
+    sim.y += sim.velocityY * dt;
+    const platformTopY =
+      sim.velocityY <= 0.1
+        ? this.findPlatformSupportTopY(sim.x, sim.z, prevFeetY, sim.y - GAME_CONSTANTS.PLAYER_HEIGHT)
+        : null;
+    if (platformTopY !== null) {
+      sim.y = platformTopY + GAME_CONSTANTS.PLAYER_HEIGHT;
+      sim.velocityY = 0;
+      sim.onGround = true;
+    } else if (sim.y <= GAME_CONSTANTS.PLAYER_HEIGHT) {
+      sim.y = GAME_CONSTANTS.PLAYER_HEIGHT;
+      sim.velocityY = 0;
+      sim.onGround = true;
+    } else {
+      sim.onGround = false;
     }
   }
 
-  applyAuthoritativeSelfState(state, ackSeq) {
+  // Rewinds to the authoritative state and re-runs every input the server has not applied yet.
+  // The server state lags our timeline by one RTT, so only that window is replayed.
+  replayPendingInputs(state, ackSeq, velocityY) {
+    if (!ackSeq || this.flyModeActive || this.climbingRope) {
+      return null;
+    }
+    const frames = this.collectReplayInputFrames(ackSeq);
+    if (!frames || frames.some((frame) => frame.climb)) {
+      return null;
+    }
+
+    const serverVelocityY = Number(velocityY);
+    const sim = {
+      x: Number(state.x) || 0,
+      y: Math.max(GAME_CONSTANTS.PLAYER_HEIGHT, Number(state.y) || GAME_CONSTANTS.PLAYER_HEIGHT),
+      z: Number(state.z) || 0,
+      velocityY: Number.isFinite(serverVelocityY) ? serverVelocityY : 0,
+      onGround: !Number.isFinite(serverVelocityY) || Math.abs(serverVelocityY) < 0.001
+    };
+    const rttMs = Math.max(0, Number(this.clientRttSmoothedMs) || Number(this.clientRttMs) || 0);
+    if (rttMs <= 0) {
+      return null;
+    }
+    const now = performance.now();
+    const windowStartMs = Math.max(frames[0].sentAtMs, now - rttMs);
+    const stepSeconds = Math.max(1 / 120, Number(RUNTIME_TUNING.PREDICTION_STEP_SECONDS) || 1 / 30);
+    const staleMs = Math.max(0, Number(RUNTIME_TUNING.PREDICTION_INPUT_STALE_MS) || 600);
+
+    for (let index = 0; index < frames.length; index += 1) {
+      const frame = frames[index];
+      const startMs = Math.max(frame.sentAtMs, windowStartMs);
+      const endMs = index + 1 < frames.length ? frames[index + 1].sentAtMs : now;
+      // The acked frame's jump has already been applied by the server.
+      let jump = frame.jump && frame.seq !== ackSeq;
+      let cursorMs = startMs;
+      while (endMs - cursorMs > 0.1) {
+        const stepMs = Math.min(stepSeconds * 1000, endMs - cursorMs);
+        const moving = cursorMs - frame.sentAtMs < staleMs;
+        this.stepPredictedMovement(sim, frame, stepMs / 1000, moving, jump);
+        jump = false;
+        cursorMs += stepMs;
+      }
+    }
+    return sim;
+  }
+
+  applyReconciledSelfState(predicted, targetYaw, targetPitch) {
+    const dx = predicted.x - this.playerPosition.x;
+    const dy = predicted.y - this.playerPosition.y;
+    const dz = predicted.z - this.playerPosition.z;
+    const xzErrorSq = dx * dx + dz * dz;
+
+    if (xzErrorSq > 64 || Math.abs(dy) > 3) {
+      this.playerPosition.set(predicted.x, predicted.y, predicted.z);
+      this.verticalVelocity = predicted.velocityY;
+      this.onGround = predicted.onGround;
+    } else {
+      // Replay already accounts for latency, so what is left is real divergence; ease it out.
+      if (xzErrorSq > 0.0004) {
+        const alpha = xzErrorSq > 1 ? 0.35 : 0.2;
+        this.playerPosition.x += dx * alpha;
+        this.playerPosition.z += dz * alpha;
+      }
+      if (Math.abs(dy) > 0.05 && (this.onGround || predicted.onGround)) {
+        this.playerPosition.y += dy * 0.25;
+        if (predicted.onGround && Math.abs(dy) > 0.6) {
+          this.verticalVelocity = predicted.velocityY;
+          this.onGround = true;
+        }
+      }
+    }
+
+    if (!this.pointerLocked && !this.mobileEnabled) {
+      const yawDelta = Math.abs(
+        Math.atan2(Math.sin(targetYaw - this.yaw), Math.cos(targetYaw - this.yaw))
+      );
+      if (yawDelta > 0.14) {
+        this.yaw = lerpAngle(this.yaw, targetYaw, 0.18);
+      }
+      const pitchDelta = Math.abs(targetPitch - this.pitch);
+      if (pitchDelta > 0.08) {
+        this.pitch = THREE.MathUtils.lerp(this.pitch, targetPitch, 0.18);
+      }
+    }
+  }
+
+  applyAuthoritativeSelfState(state, ackSeq, velocityY = null) {
     if (!state || !this.networkConnected || !this.socket) {
       return;
     }
@@ -21801,6 +23165,12 @@ export class GameRuntime {
     const targetYaw = this.normalizeYawAngle(Number(state.yaw) || 0);
     const targetPitch = THREE.MathUtils.clamp(Number(state.pitch) || 0, -1.52, 1.52);
 
+    const predicted = this.replayPendingInputs(state, ackSeq, velocityY);
+    if (predicted) {
+      this.applyReconciledSelfState(predicted, targetYaw, targetPitch);
+      return;
+    }
+
     const dx = targetX - this.playerPosition.x;
     const dy = targetY - this.playerPosition.y;
     const dz = targetZ - this.playerPosition.z;
@@ -21927,7 +23297,12 @@ export class GameRuntime {
     }
   }
 
-  handleWorldSnapshot(payload) {
+  handleWorldSnapshot(rawPayload) {
+    // Binary snapshots arrive as ArrayBuffer; servers without binary support keep sending JSON.
+    const payload =
+      rawPayload instanceof ArrayBuffer || ArrayBuffer.isView(rawPayload)
+        ? decodeSnapshotBinary(rawPayload, this.snapshotPeerIds)
+        : rawPayload;
     if (!payload || typeof payload !== "object") {
       return;
     }
@@ -21941,12 +23316,21 @@ export class GameRuntime {
         }
         this.requestAuthoritativeStateSync();
       } else {
-        this.applyAuthoritativeSelfState(selfState, selfSeq);
+        this.applyAuthoritativeSelfState(selfState, selfSeq, payload?.self?.vy);
       }
     } else if (selfSeq > 0) {
       this.handleInputAck({ seq: selfSeq });
     }
 
+    const snapshotTimeMs = Number(payload?.t);
+    const hasSnapshotTime = Number.isFinite(snapshotTimeMs) && snapshotTimeMs > 0;
+    if (hasSnapshotTime && !this.serverClockSynced) {
+      // Until the first pong, assume zero latency so buffered samples share one timeline.
+      this.serverClockOffsetMs = snapshotTimeMs - performance.now();
+    }
+    const sampleTimeMs = hasSnapshotTime ? snapshotTimeMs : this.getEstimatedServerTimeMs();
+
+    const updatedIds = new Set();
     const players = Array.isArray(payload?.players) ? payload.players : [];
     for (const player of players) {
       const id = String(player?.id ?? "");
@@ -21959,7 +23343,15 @@ export class GameRuntime {
 
       const nextState = this.parsePackedSnapshotState(player?.s);
       const nextName = String(player?.n ?? "").trim();
-      this.upsertRemotePlayer(id, nextState, nextName || null);
+      this.upsertRemotePlayer(id, nextState, nextName || null, sampleTimeMs);
+      updatedIds.add(id);
+    }
+
+    // Delta snapshots omit peers that did not move, so they are known to be still at this time.
+    for (const [id, remote] of this.remotePlayers) {
+      if (!updatedIds.has(id)) {
+        this.holdRemotePlayerSample(remote, sampleTimeMs);
+      }
     }
 
     const gone = Array.isArray(payload?.gone) ? payload.gone : [];
@@ -21975,7 +23367,7 @@ export class GameRuntime {
     this.hud.setPlayers(this.remotePlayers.size + localPlayer);
   }
 
-  upsertRemotePlayer(id, state, name) {
+  upsertRemotePlayer(id, state, name, serverTimeMs = null) {
     let remote = this.remotePlayers.get(id);
     if (!remote) {
       const root = new THREE.Group();
@@ -22027,6 +23419,7 @@ export class GameRuntime {
         chatExpireAt: 0,
         targetPosition: new THREE.Vector3(0, 0, 0),
         targetYaw: 0,
+        samples: [],
         nextLodUpdateAt: 0,
         lastSeen: performance.now()
       };
@@ -22054,9 +23447,90 @@ export class GameRuntime {
       );
       remote.targetYaw = Number(state.yaw) || 0;
       remote.lastSeen = performance.now();
+      const sampleTimeMs = Number(serverTimeMs);
+      this.pushRemotePlayerSample(
+        remote,
+        Number.isFinite(sampleTimeMs) && sampleTimeMs > 0 ? sampleTimeMs : this.getEstimatedServerTimeMs()
+      );
+    }
+  }
+
+  pushRemotePlayerSample(remote, timeMs) {
+    const samples = remote.samples;
+    const last = samples[samples.length - 1];
+    const sample = {
+      t: timeMs,
+      x: remote.targetPosition.x,
+      y: remote.targetPosition.y,
+      z: remote.targetPosition.z,
+      yaw: remote.targetYaw
+    };
+    if (last && timeMs <= last.t) {
+      // Same or out-of-order timestamp: the newest state wins.
+      samples[samples.length - 1] = { ...sample, t: last.t };
+      return;
+    }
+    samples.push(sample);
+    const bufferSize = Math.max(4, GAME_CONSTANTS.REMOTE_SNAPSHOT_BUFFER_SIZE);
+    if (samples.length > bufferSize) {
+      samples.splice(0, samples.length - bufferSize);
     }
   }
 
+  holdRemotePlayerSample(remote, timeMs) {
+    const last = remote.samples[remote.samples.length - 1];
+    if (last && timeMs > last.t) {
+      this.pushRemotePlayerSample(remote, timeMs);
+    }
+  }
+
+  // Renders a peer at (server now - interpolation delay); runs past the newest sample with its
+  // last velocity for at most maxExtrapolationMs, then holds.
+  sampleRemotePlayerTransform(remote, renderTimeMs) {
+    const samples = remote.samples;
+    if (samples.length === 0) {
+      return false;
+    }
+
+    const mesh = remote.mesh;
+    const first = samples[0];
+    if (samples.length === 1 || renderTimeMs <= first.t) {
+      mesh.position.set(first.x, first.y, first.z);
+      mesh.rotation.y = first.yaw;
+      return true;
+    }
+
+    const last = samples[samples.length - 1];
+    if (renderTimeMs >= last.t) {
+      const prev = samples[samples.length - 2];
+      const spanMs = last.t - prev.t;
+      const aheadMs = Math.min(renderTimeMs - last.t, this.remoteMaxExtrapolationMs);
+      const scale = spanMs > 0 ? aheadMs / spanMs : 0;
+      mesh.position.set(
+        last.x + (last.x - prev.x) * scale,
+        Math.max(0, last.y + (last.y - prev.y) * scale),
+        last.z + (last.z - prev.z) * scale
+      );
+      mesh.rotation.y = last.yaw;
+      return true;
+    }
+
+    let index = samples.length - 2;
+    while (index > 0 && samples[index].t > renderTimeMs) {
+      index -= 1;
+    }
+    const from = samples[index];
+    const to = samples[index + 1];
+    const alpha = to.t > from.t ? (renderTimeMs - from.t) / (to.t - from.t) : 1;
+    mesh.position.set(
+      THREE.MathUtils.lerp(from.x, to.x, alpha),
+      THREE.MathUtils.lerp(from.y, to.y, alpha),
+      THREE.MathUtils.lerp(from.z, to.z, alpha)
+    );
+    mesh.rotation.y = lerpAngle(from.yaw, to.yaw, alpha);
+    return true;
+  }
+
   removeRemotePlayer(id) {
     const remote = this.remotePlayers.get(id);
     if (!remote) {
@@ -22194,6 +23668,46 @@ export class GameRuntime {
     };
   }
 
+  registerContentPackColliders() {
+    this.contentPackColliderIndexById.clear();
+    const boxes = Array.isArray(this.worldContent?.staticColliders)
+      ? this.worldContent.staticColliders
+      : [];
+    for (const box of boxes) {
+      if (!box || typeof box !== "object") {
+        continue;
+      }
+      const index = this.registerStaticWorldBoxCollider(
+        box.x,
+        box.z,
+        box.width,
+        box.depth,
+        box.minY,
+        box.maxY
+      );
+      const id = String(box.id ?? "").trim();
+      if (id && Number.isInteger(index)) {
+        this.contentPackColliderIndexById.set(id, index);
+      }
+    }
+  }
+
+  getContentPackCollider(id) {
+    const index = this.contentPackColliderIndexById.get(id);
+    const box = Number.isInteger(index) ? this.staticWorldColliders[index] : null;
+    if (!box) {
+      return null;
+    }
+    return {
+      index,
+      x: (box.minX + box.maxX) * 0.5,
+      z: (box.minZ + box.maxZ) * 0.5,
+      width: box.maxX - box.minX,
+      depth: box.maxZ - box.minZ,
+      maxY: box.maxY
+    };
+  }
+
   registerStaticWorldBoxCollider(centerX, centerZ, width, depth, minY = -2, maxY = 220) {
     const safeWidth = Math.max(0.2, Number(width) || 0);
     const safeDepth = Math.max(0.2, Number(depth) || 0);
@@ -22370,43 +23884,15 @@ export class GameRuntime {
       this.verticalVelocity += GAME_CONSTANTS.PLAYER_GRAVITY * delta;
       this.playerPosition.y += this.verticalVelocity * delta;
 
-      let platformTopY = null;
-      if (this.verticalVelocity <= 0.1) {
-        const feetY = this.playerPosition.y - GAME_CONSTANTS.PLAYER_HEIGHT;
-        const candidatePlatforms = this.getNearbyPlatformCandidates(
-          this.playerPosition.x,
-          this.playerPosition.z
-        );
-        const promoPlatforms = this.getNearbyPromoPlatformCandidates(
-          this.playerPosition.x,
-          this.playerPosition.z
-        );
-        if (promoPlatforms.length > 0) {
-          for (const promoPlatform of promoPlatforms) {
-            candidatePlatforms.push(promoPlatform);
-          }
-        }
-        if (candidatePlatforms.length > 0) {
-          for (const p of candidatePlatforms) {
-            const halfW = Math.max(0.1, Number(p.w) || 0) * 0.5 + 0.28;
-            const halfD = Math.max(0.1, Number(p.d) || 0) * 0.5 + 0.28;
-            if (
-              Math.abs(this.playerPosition.x - (Number(p.x) || 0)) >= halfW ||
-              Math.abs(this.playerPosition.z - (Number(p.z) || 0)) >= halfD
-            ) {
-              continue;
-            }
-            const topY = (Number(p.y) || 0) + Math.max(0.05, Number(p.h) || 0.3) * 0.5;
-            const swept = prevFeetY >= topY && feetY <= topY; // swept through from above
-            const nearTop = feetY >= topY - 0.6 && feetY <= topY + 0.1;
-            if (swept || nearTop) {
-              if (platformTopY === null || topY > platformTopY) {
-                platformTopY = topY;
-              }
-            }
-          }
-        }
-      }
+      const platformTopY =
+        this.verticalVelocity <= 0.1
+          ? this.findPlatformSupportTopY(
+              this.playerPosition.x,
+              this.playerPosition.z,
+              prevFeetY,
+              this.playerPosition.y - GAME_CONSTANTS.PLAYER_HEIGHT
+            )
+          : null;
 
       if (platformTopY !== null) {
         this.playerPosition.y = platformTopY + GAME_CONSTANTS.PLAYER_HEIGHT;
@@ -22455,6 +23941,7 @@ export class GameRuntime {
     }
     const alpha = THREE.MathUtils.clamp(1 - Math.exp(-this.remoteLerpSpeed * delta), 0, 1);
     const nowSec = this.elapsedSeconds;
+    const renderTimeMs = this.getEstimatedServerTimeMs() - this.remoteInterpolationDelayMs;
 
     for (const [id, remote] of this.remotePlayers) {
       const distanceScore = this.getRemoteDistanceScore(remote.targetPosition);
@@ -22482,7 +23969,7 @@ export class GameRuntime {
         if (remote.chatLabel.visible) {
           shouldUpdateTransform = true;
         }
-        if (shouldUpdateTransform) {
+        if (shouldUpdateTransform && !this.sampleRemotePlayerTransform(remote, renderTimeMs)) {
           remote.mesh.position.lerp(remote.targetPosition, alpha);
           remote.mesh.rotation.y = lerpAngle(remote.mesh.rotation.y, remote.targetYaw, alpha);
         }
@@ -22578,6 +24065,9 @@ export class GameRuntime {
       this.chatMessageSeq = 0;
     }
     this.chatHistoryLoaded = false;
+    this.chatHistoryCursor = "";
+    this.chatHistoryHasMore = false;
+    this.chatHistoryPageLoading = false;
   }
 
   scrollChatLogToLatest({ defer = false } = {}) {
@@ -22601,7 +24091,7 @@ export class GameRuntime {
     apply();
   }
 
-  requestChatHistory({ force = false, mode = "", beforeCreatedAtMs = 0, replace = false } = {}) {
+  requestChatHistory({ force = false, mode = "", beforeCreatedAtMs = 0, replace = false, before = "" } = {}) {
     if (!this.socket || !this.networkConnected) {
       return false;
     }
@@ -22626,6 +24116,9 @@ export class GameRuntime {
     if (replace) {
       payload.replace = true;
     }
+    if (before) {
+      payload.before = before;
+    }
     if (Object.keys(payload).length > 0) {
       this.socket.emit("chat:history:request", payload);
     } else {
@@ -22644,9 +24137,14 @@ export class GameRuntime {
     if (replaceExisting) {
       this.clearChatLogs({ clearSeenIds: true });
     }
+    // A page older than what is shown goes on top, keeping the visible lines in place.
+    const olderPage = Boolean(payload?.before);
     this.chatHistoryLoaded = true;
+    this.chatHistoryPageLoading = false;
+    this.chatHistoryHasMore = Boolean(payload?.hasMore);
+    this.chatHistoryCursor = String(payload?.nextCursor ?? "");
     if (!messages.length) {
-      if (replaceExisting && this.chatHistoryExpanded) {
+      if (replaceExisting && this.chatHistoryExpanded && payload?.mode === "before-today") {
         this.appendChatLine("", "어제까지 불러올 채팅 기록이 없습니다.", "system");
         this.scrollChatLogToLatest({ defer: true });
       }
@@ -22665,6 +24163,10 @@ export class GameRuntime {
         return left.createdAt - right.createdAt;
       })
       .map((item) => item.entry);
+    if (olderPage) {
+      sortedMessages.reverse();
+    }
+    const previousScrollHeight = this.chatLogEl?.scrollHeight ?? 0;
 
     for (const entry of sortedMessages) {
       const text = String(entry?.text ?? "").trim().slice(0, 120);
@@ -22688,13 +24190,168 @@ export class GameRuntime {
       }
       const lineType =
         senderId && this.localPlayerId && senderId === this.localPlayerId ? "self" : "remote";
-      this.appendChatLine(senderName, text, lineType);
+      this.appendChatLine(senderName, text, lineType, normalizeChatChannel(entry?.channel), entry?.toName ?? "", {
+        prepend: olderPage,
+        messageId,
+        mentions: entry?.mentions,
+        replyTo: entry?.replyTo
+      });
+    }
+    if (olderPage && this.chatLogEl) {
+      this.chatLogEl.scrollTop += this.chatLogEl.scrollHeight - previousScrollHeight;
     }
     if (replaceExisting) {
       this.scrollChatLogToLatest({ defer: true });
     }
   }
 
+  requestOlderChatHistory() {
+    if (!this.chatHistoryHasMore || this.chatHistoryPageLoading || !this.chatHistoryCursor) {
+      return;
+    }
+    if (this.requestChatHistory({ force: true, before: this.chatHistoryCursor })) {
+      this.chatHistoryPageLoading = true;
+    }
+  }
+
+  setChatSearchOpen(open) {
+    this.resolveUiElements();
+    const nextOpen = Boolean(open) && this.chatOpen;
+    this.chatSearchOpen = nextOpen;
+    this.chatSearchEl?.classList.toggle("hidden", !nextOpen);
+    this.chatLogEl?.classList.toggle("hidden", nextOpen);
+    this.chatSearchToggleBtnEl?.setAttribute("aria-pressed", nextOpen ? "true" : "false");
+    if (nextOpen) {
+      this.chatSearchInputEl?.focus();
+      return;
+    }
+    this.chatSearchSeq += 1;
+    this.chatSearchRequest = null;
+    this.chatSearchLoading = false;
+    if (this.chatSearchResultsEl) {
+      this.chatSearchResultsEl.textContent = "";
+    }
+    this.scrollChatLogToLatest({ defer: true });
+  }
+
+  // "text @author from:2026-03-01 to:2026-03-07"; dates are local days and `to` is inclusive.
+  parseChatSearchQuery(rawQuery) {
+    const request = { query: "", author: "", since: 0, until: 0 };
+    const words = [];
+    for (const token of String(rawQuery ?? "").trim().split(/\s+/).filter(Boolean)) {
+      const dateMatch = /^(from|to):(\d{4})-(\d{1,2})-(\d{1,2})$/i.exec(token);
+      if (dateMatch) {
+        const [, bound, year, month, day] = dateMatch;
+        const isEnd = bound.toLowerCase() === "to";
+        const time = new Date(Number(year), Number(month) - 1, Number(day) + (isEnd ? 1 : 0)).getTime();
+        request[isEnd ? "until" : "since"] = Number.isFinite(time) ? time : 0;
+      } else if (token.startsWith("@") && token.length > 1) {
+        request.author = token.slice(1);
+      } else {
+        words.push(token);
+      }
+    }
+    request.query = words.join(" ");
+    return request;
+  }
+
+  // Results are listed newest first; scrolling to the bottom loads older matches.
+  runChatSearch(rawQuery, { more = false } = {}) {
+    this.resolveUiElements();
+    if (!this.chatSearchResultsEl) {
+      return;
+    }
+    if (more) {
+      if (!this.chatSearchRequest || !this.chatSearchHasMore || this.chatSearchLoading) {
+        return;
+      }
+    } else {
+      this.chatSearchRequest = this.parseChatSearchQuery(rawQuery);
+      this.chatSearchCursor = "";
+      this.chatSearchHasMore = false;
+      this.chatSearchResultsEl.textContent = "";
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatSearchNotice("서버 연결 후 다시 시도하세요.");
+      return;
+    }
+    const seq = ++this.chatSearchSeq;
+    this.chatSearchLoading = true;
+    this.socket.emit(
+      "chat:history:search",
+      { ...this.chatSearchRequest, before: more ? this.chatSearchCursor : "", limit: 50 },
+      (response = {}) => {
+        if (seq !== this.chatSearchSeq) {
+          return;
+        }
+        this.chatSearchLoading = false;
+        if (!response?.ok) {
+          const reason = String(response?.error ?? "").trim();
+          const messages = {
+            "empty search": "검색어, @닉네임 또는 from:/to: 날짜를 입력하세요.",
+            "query too short": "검색어는 두 글자 이상 입력하세요."
+          };
+          this.appendChatSearchNotice(messages[reason] ?? `검색 실패: ${reason || "알 수 없는 오류"}`);
+          return;
+        }
+        const messages = Array.isArray(response.messages) ? response.messages : [];
+        this.chatSearchHasMore = Boolean(response.hasMore);
+        this.chatSearchCursor = String(response.nextCursor ?? "");
+        if (!messages.length && !more) {
+          this.appendChatSearchNotice("검색 결과가 없습니다.");
+          return;
+        }
+        for (const entry of messages.slice().reverse()) {
+          this.appendChatSearchResult(entry);
+        }
+      }
+    );
+  }
+
+  appendChatSearchNotice(text) {
+    const line = document.createElement("p");
+    line.className = "chat-line system";
+    line.textContent = text;
+    this.chatSearchResultsEl?.appendChild(line);
+  }
+
+  appendChatSearchResult(entry = {}) {
+    const text = String(entry?.text ?? "").trim();
+    if (!text || !this.chatSearchResultsEl) {
+      return;
+    }
+    const channel = normalizeChatChannel(entry?.channel);
+    const line = document.createElement("p");
+    line.className = "chat-line remote";
+    const createdAt = Number(entry?.createdAt) || 0;
+    const timeEl = document.createElement("span");
+    timeEl.className = "chat-time";
+    timeEl.textContent = createdAt
+      ? new Date(createdAt).toLocaleString([], {
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit"
+        })
+      : "";
+    line.append(timeEl);
+    if (CHAT_CHANNEL_TAGS[channel]) {
+      line.classList.add(`channel-${channel}`);
+      const tagEl = document.createElement("span");
+      tagEl.className = "chat-channel";
+      tagEl.textContent = `[${CHAT_CHANNEL_TAGS[channel]}]`;
+      line.append(tagEl);
+    }
+    const nameEl = document.createElement("span");
+    nameEl.className = "chat-name";
+    const name = this.formatPlayerName(entry?.name);
+    nameEl.textContent = entry?.toName ? `${name} → ${this.formatPlayerName(entry.toName)}:` : `${name}:`;
+    const textEl = document.createElement("span");
+    textEl.textContent = text;
+    line.append(nameEl, textEl);
+    this.chatSearchResultsEl.appendChild(line);
+  }
+
   handleChatMessage(payload) {
     const messageId = this.normalizeChatMessageId(
       payload?.messageId ?? payload?.clientMessageId ?? ""
@@ -22715,6 +24372,7 @@ export class GameRuntime {
     const senderId = String(payload?.id ?? "");
     const senderName = this.formatPlayerName(payload?.name);
     const signature = `${senderName}|${text}`;
+    const channel = normalizeChatChannel(payload?.channel);
 
     if (senderId && senderId === this.localPlayerId) {
       this.localPlayerName = senderName;
@@ -22722,15 +24380,31 @@ export class GameRuntime {
       const isRecentEcho =
         this.lastLocalChatEcho === signature && elapsed < RUNTIME_TUNING.CHAT_ECHO_DEDUP_MS;
       if (!isRecentEcho) {
-        this.appendChatLine(senderName, text, "self");
+        this.appendChatLine(senderName, text, "self", channel, payload?.toName ?? "", {
+          messageId,
+          mentions: payload?.mentions,
+          replyTo: payload?.replyTo
+        });
+      }
+      if (channel !== "whisper") {
+        this.showLocalChatBubble(text);
       }
-      this.showLocalChatBubble(text);
       this.lastLocalChatEcho = "";
       this.lastLocalChatEchoAt = 0;
       return;
     }
 
-    this.appendChatLine(senderName, text, "remote");
+    this.appendChatLine(senderName, text, "remote", channel, payload?.toName ?? "", {
+      messageId,
+      mentions: payload?.mentions,
+      replyTo: payload?.replyTo
+    });
+    this.noteChatUnread(this.isChatMentionOfLocalPlayer(payload?.mentions));
+    // No bubble for whispers, nor for announcements from players outside our zone.
+    const senderZone = this.normalizeRoomZone(payload?.zone ?? "", "");
+    if (channel === "whisper" || (senderZone && senderZone !== this.localRoomZone)) {
+      return;
+    }
 
     const senderState = this.parseChatMessageState(payload?.state);
     let remote = null;
@@ -22755,7 +24429,17 @@ export class GameRuntime {
     remote.lastSeen = performance.now();
   }
 
-  appendChatLine(name, text, type = "remote") {
+  // Whisper lines pass `toName` and read "sender → target" so both sides can tell who it was for.
+  // `prepend` puts the line above everything in the main log (older history pages) and skips the live feed.
+  // Lines with a `messageId` can be clicked to reply; `mentions` are highlighted, `replyTo` is quoted.
+  appendChatLine(
+    name,
+    text,
+    type = "remote",
+    channel = "zone",
+    toName = "",
+    { prepend = false, messageId = "", mentions = [], replyTo = null } = {}
+  ) {
     this.resolveUiElements();
     const hasMainLog = Boolean(this.chatLogEl);
     const hasLiveLog = Boolean(this.chatLiveLogEl);
@@ -22770,13 +24454,19 @@ export class GameRuntime {
     const createLineElement = () => {
       const line = document.createElement("p");
       line.className = `chat-line ${type}`;
+      const channelTag = CHAT_CHANNEL_TAGS[channel] ?? "";
+      if (channelTag) {
+        line.classList.add(`channel-${channel}`);
+      }
 
       if (type === "system") {
         line.textContent = String(text ?? "").trim();
         return line;
       }
 
-      const safeName = this.formatPlayerName(name);
+      const safeName = toName
+        ? `${this.formatPlayerName(name)} → ${this.formatPlayerName(toName)}`
+        : this.formatPlayerName(name);
       const safeText = String(text ?? "").trim();
       if (!safeText) {
         return null;
@@ -22787,8 +24477,39 @@ export class GameRuntime {
       nameEl.textContent = `${safeName}:`;
 
       const textEl = document.createElement("span");
-      textEl.textContent = safeText;
+      const localName = this.formatPlayerName(this.localPlayerName).toLowerCase();
+      for (const part of splitChatMentions(safeText, Array.isArray(mentions) ? mentions : [])) {
+        if (typeof part === "string") {
+          textEl.append(part);
+          continue;
+        }
+        const mentionEl = document.createElement("span");
+        mentionEl.className = "chat-mention";
+        mentionEl.textContent = part.text;
+        if (part.mention.toLowerCase() === localName) {
+          mentionEl.classList.add("self");
+          line.classList.add("mentions-me");
+        }
+        textEl.append(mentionEl);
+      }
 
+      if (messageId) {
+        line.dataset.messageId = messageId;
+        line.dataset.name = this.formatPlayerName(name);
+        line.dataset.text = safeText.slice(0, 80);
+      }
+      if (replyTo?.messageId) {
+        const replyEl = document.createElement("span");
+        replyEl.className = "chat-reply";
+        replyEl.textContent = `↪ ${this.formatPlayerName(replyTo.name)}: ${String(replyTo.text ?? "").slice(0, 40)}`;
+        line.append(replyEl);
+      }
+      if (channelTag) {
+        const tagEl = document.createElement("span");
+        tagEl.className = "chat-channel";
+        tagEl.textContent = `[${channelTag}]`;
+        line.append(tagEl);
+      }
       line.append(nameEl, textEl);
       return line;
     };
@@ -22797,6 +24518,10 @@ export class GameRuntime {
     if (!mainLine) {
       return false;
     }
+    if (prepend) {
+      this.chatLogEl?.prepend(mainLine);
+      return hasMainLog;
+    }
 
     let appended = false;
     if (hasMainLog) {
@@ -22920,40 +24645,128 @@ export class GameRuntime {
       return;
     }
 
-    const text = rawInput.slice(0, 120);
-    if (!this.consumeLocalChatSendBudget(text)) {
+    this.sendChatText(rawInput);
+
+    this.chatInputEl.value = "";
+    if (this.shouldKeepChatOpenAfterSend()) {
+      this.setChatOpen(true);
+      this.chatInputEl.focus();
+    } else {
+      this.setChatOpen(false);
+      this.chatInputEl.blur();
+    }
+  }
+
+  // `to` names the whisper target; the server resolves it within the room.
+  sendChatText(rawText, { channel = "zone", to = "" } = {}) {
+    const text = String(rawText ?? "").trim().slice(0, 120);
+    if (!text || !this.consumeLocalChatSendBudget(text)) {
       return;
     }
     const messageId = this.createClientChatMessageId();
 
     const senderName = this.formatPlayerName(this.localPlayerName);
     this.localPlayerName = senderName;
-    const appended = this.appendChatLine(senderName, text, "self");
+    // The server resolves mentions; locally only names on the roster are highlighted.
+    const rosterNames = new Set(this.roomPlayerSnapshot.map((player) => player.name.toLowerCase()));
+    const mentions = extractChatMentions(text).filter((name) => rosterNames.has(name.toLowerCase()));
+    const replyTo = this.chatReplyTarget;
+    this.setChatReplyTarget(null);
+    const appended = this.appendChatLine(senderName, text, "self", channel, channel === "whisper" ? to : "", {
+      messageId,
+      mentions,
+      replyTo
+    });
     if (appended) {
       this.lastLocalChatEcho = `${senderName}|${text}`;
       this.lastLocalChatEchoAt = performance.now();
       this.rememberSeenChatMessageId(messageId);
     }
-    this.showLocalChatBubble(text);
+    if (channel !== "whisper") {
+      this.showLocalChatBubble(text);
+    }
 
     if (this.socket && this.networkConnected) {
       this.socket.emit("chat:send", {
         name: senderName,
         text,
-        clientMessageId: messageId
+        clientMessageId: messageId,
+        channel,
+        to,
+        ...(replyTo ? { replyTo: replyTo.messageId } : {})
       });
     }
+  }
 
-    this.chatInputEl.value = "";
-    if (this.shouldKeepChatOpenAfterSend()) {
-      this.setChatOpen(true);
-      this.chatInputEl.focus();
-    } else {
-      this.setChatOpen(false);
-      this.chatInputEl.blur();
+  setChatReplyTarget(target) {
+    const messageId = this.normalizeChatMessageId(target?.messageId ?? "");
+    this.chatReplyTarget = messageId
+      ? { messageId, name: this.formatPlayerName(target.name), text: String(target.text ?? "").slice(0, 80) }
+      : null;
+    this.resolveUiElements();
+    this.chatReplyEl?.classList.toggle("hidden", !this.chatReplyTarget);
+    if (this.chatReplyTextEl) {
+      this.chatReplyTextEl.textContent = this.chatReplyTarget
+        ? `↪ ${this.chatReplyTarget.name}: ${this.chatReplyTarget.text.slice(0, 40)}`
+        : "";
+    }
+  }
+
+  isChatMentionOfLocalPlayer(mentions) {
+    if (!Array.isArray(mentions) || mentions.length === 0) {
+      return false;
+    }
+    const localName = this.formatPlayerName(this.localPlayerName).toLowerCase();
+    return mentions.some((name) => String(name ?? "").toLowerCase() === localName);
+  }
+
+  noteChatUnread(mention = false) {
+    if (this.chatOpen) {
+      return;
+    }
+    this.chatUnreadCount += 1;
+    this.chatUnreadMention = this.chatUnreadMention || Boolean(mention);
+    this.syncChatUnreadBadge();
+  }
+
+  syncChatUnreadBadge() {
+    const label = this.chatUnreadCount > 99 ? "99+" : String(this.chatUnreadCount);
+    for (const buttonEl of [this.chatToggleBtnEl, this.mobileChatBtnEl]) {
+      if (!buttonEl) {
+        continue;
+      }
+      if (this.chatUnreadCount > 0) {
+        buttonEl.dataset.unread = label;
+      } else {
+        delete buttonEl.dataset.unread;
+      }
+      buttonEl.classList.toggle("has-mention", this.chatUnreadMention);
     }
   }
 
+  // Mentions reach players in any zone; the line is only added when chat:message has not shown it.
+  handleChatMention(payload) {
+    const messageId = this.normalizeChatMessageId(payload?.messageId ?? "");
+    const nowMs = Date.now();
+    if (!messageId || this.hasSeenChatMessageId(messageId, nowMs)) {
+      return;
+    }
+    this.rememberSeenChatMessageId(messageId, nowMs);
+    const text = String(payload?.text ?? "").trim().slice(0, 120);
+    if (!text) {
+      return;
+    }
+    this.appendChatLine(
+      this.formatPlayerName(payload?.name),
+      text,
+      "remote",
+      normalizeChatChannel(payload?.channel),
+      payload?.toName ?? "",
+      { messageId, mentions: payload?.mentions, replyTo: payload?.replyTo }
+    );
+    this.noteChatUnread(true);
+  }
+
   showLocalChatBubble(text) {
     if (!text) return;
     if (!this.localChatLabel) {
@@ -23259,6 +25072,7 @@ export class GameRuntime {
       moveZ: movement.forward,
       sprint: movement.sprinting,
       jump: Boolean(this.pendingJumpInput),
+      climb: Boolean(this.climbingRope),
       yaw: normalizedYaw,
       pitch: this.pitch
     };
@@ -23279,7 +25093,8 @@ export class GameRuntime {
         moveZDelta >= 0.05 ||
         yawDelta >= this.localSyncMinYaw ||
         pitchDelta >= this.localSyncMinPitch ||
-        outboundInput.sprint !== this.lastSentInput.sprint;
+        outboundInput.sprint !== this.lastSentInput.sprint ||
+        outboundInput.climb !== this.lastSentInput.climb;
 
       if (!movementChanged && !outboundInput.jump && heartbeatElapsed < this.inputHeartbeatSeconds) {
         return;
@@ -23295,18 +25110,22 @@ export class GameRuntime {
       moveZ: quantize(outboundInput.moveZ, 1000),
       sprint: outboundInput.sprint,
       jump: outboundInput.jump,
+      climb: outboundInput.climb,
       yaw: quantize(outboundInput.yaw, 10000),
       pitch: quantize(outboundInput.pitch, 10000),
       t: Date.now()
     });
 
-    this.pendingInputQueue.push({
+    this.inputFrameRing[seq % this.inputFrameRing.length] = {
       seq,
-      sentAt: this.elapsedSeconds
-    });
-    if (this.pendingInputQueue.length > 120) {
-      this.pendingInputQueue.splice(0, this.pendingInputQueue.length - 120);
-    }
+      moveX: quantize(outboundInput.moveX, 1000),
+      moveZ: quantize(outboundInput.moveZ, 1000),
+      sprint: outboundInput.sprint,
+      jump: outboundInput.jump,
+      climb: outboundInput.climb,
+      yaw: quantize(outboundInput.yaw, 10000),
+      sentAtMs: performance.now()
+    };
 
     this.lastSentInput = {
       ...outboundInput,
@@ -24243,7 +26062,7 @@ export class GameRuntime {
     if (!this.objectStateDirty) {
       return;
     }
-    if (!(this.socket && this.networkConnected) || !this.hasHostPrivilege()) {
+    if (!(this.socket && this.networkConnected) || !this.hasRoomCapability("build")) {
       return;
     }
     this.objectStateAutosaveClock += Math.max(0, Number(delta) || 0);
@@ -24396,7 +26215,7 @@ export class GameRuntime {
           this.objectStateSavePendingForceFlush || Boolean(forceFlush);
         return;
       }
-      if (!this.hasHostPrivilege()) {
+      if (!this.hasRoomCapability("build")) {
         this.objectStateSavePending = false;
         this.objectStateSavePendingForceFlush = false;
         this.objectStateDirty = false;
@@ -24657,7 +26476,7 @@ export class GameRuntime {
   }
 
   requestDeleteHostCustomPaintBlockFromHostPanel() {
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("build")) {
       if (this.socket && this.networkConnected) {
         this.requestHostClaim({ manual: true });
       }
@@ -24789,7 +26608,7 @@ export class GameRuntime {
       }
       return;
     }
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("build")) {
       this.clearHostCustomBlockPlacementPreview({ syncUi: true });
       return;
     }
@@ -24823,7 +26642,7 @@ export class GameRuntime {
   }
 
   beginHostCustomBlockPlacementPreview() {
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("build")) {
       if (this.socket && this.networkConnected) {
         this.requestHostClaim({ manual: true });
       }
@@ -24943,7 +26762,7 @@ export class GameRuntime {
     if (!this.hostCustomBlockPlacementPreviewActive) {
       return false;
     }
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("build")) {
       this.clearHostCustomBlockPlacementPreview({ syncUi: true });
       this.appendChatLine("", "회색 오브젝트 추가는 방장만 가능합니다.", "system");
       return false;
@@ -25084,7 +26903,7 @@ export class GameRuntime {
   }
 
   requestDeletePlatformFromHostPanel() {
-    if (!this.hasHostPrivilege()) {
+    if (!this.hasRoomCapability("build")) {
       if (this.socket && this.networkConnected) {
         this.requestHostClaim({ manual: true });
       }
@@ -25288,7 +27107,7 @@ export class GameRuntime {
     if (!this.platformStateDirty) {
       return;
     }
-    if (!(this.socket && this.networkConnected) || !this.hasHostPrivilege()) {
+    if (!(this.socket && this.networkConnected) || !this.hasRoomCapability("build")) {
       return;
     }
     this.platformStateAutosaveClock += Math.max(0, Number(delta) || 0);
@@ -25362,7 +27181,7 @@ export class GameRuntime {
           this.platformSavePendingForceFlush || Boolean(forceFlush);
         return;
       }
-      if (!this.hasHostPrivilege()) {
+      if (!this.hasRoomCapability("build")) {
         this.platformSavePending = false;
         this.platformSavePendingForceFlush = false;
         this.platformStateDirty = false;
@@ -25674,7 +27493,7 @@ export class GameRuntime {
     if (!this.ropeStateDirty) {
       return;
     }
-    if (!(this.socket && this.networkConnected) || !this.hasHostPrivilege()) {
+    if (!(this.socket && this.networkConnected) || !this.hasRoomCapability("build")) {
       return;
     }
     this.ropeStateAutosaveClock += Math.max(0, Number(delta) || 0);
@@ -25738,7 +27557,7 @@ export class GameRuntime {
         this.ropeSavePendingForceFlush = this.ropeSavePendingForceFlush || Boolean(forceFlush);
         return;
       }
-      if (!this.hasHostPrivilege()) {
+      if (!this.hasRoomCapability("build")) {
         this.ropeSavePending = false;
         this.ropeSavePendingForceFlush = false;
         this.ropeStateDirty = false;
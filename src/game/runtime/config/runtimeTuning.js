@@ -16,5 +16,9 @@ export const RUNTIME_TUNING = Object.freeze({
   REMOTE_MESH_MAX_DISTANCE: 145,
   REMOTE_FAR_DISTANCE: 70,
   REMOTE_FAR_UPDATE_INTERVAL_SECONDS: 0.11,
-  REMOTE_HARD_CAP: 32
+  REMOTE_HARD_CAP: 32,
+  SNAPSHOT_ENCODING: "binary-v1",
+  PREDICTION_INPUT_RING_SIZE: 128,
+  PREDICTION_STEP_SECONDS: 1 / 30,
+  PREDICTION_INPUT_STALE_MS: 600
 });